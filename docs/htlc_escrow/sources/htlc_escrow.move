@@ -14,9 +14,30 @@ module htlc_escrow::escrow {
     use sui::clock::{Self, Clock};
     use sui::event;
     use sui::hash;
+    use sui::bcs;
     use sui::transfer;
+    use sui::sui::SUI;
+    use sui::vec_set::{Self, VecSet};
+    use std::vector;
+    use std::ascii::String;
+    use std::type_name;
+
+    // Hashlock schemes (stored on the escrow, shared with the JS hashlock module)
+    const HASH_SHA256: u8 = 0;
+    const HASH_KECCAK256: u8 = 1;
+    const HASH_BLAKE2B256: u8 = 2;
+
+    // Timelock stages (see Timelocks)
+    const STAGE_EXCLUSIVE_WITHDRAWAL: u8 = 0;
+    const STAGE_PUBLIC_WITHDRAWAL: u8 = 1;
+    const STAGE_PRIVATE_CANCELLATION: u8 = 2;
+    const STAGE_PUBLIC_CANCELLATION: u8 = 3;
+
+    const NEVER: u64 = 18446744073709551615;
 
     // Fusion+ specific parameters
+    // Dutch auction over the taking amount (what the maker receives for the whole order):
+    // falls linearly from max_amount at start_time to min_amount at end_time
     public struct AuctionParams has copy, drop, store {
         min_amount: u64,
         max_amount: u64,
@@ -25,97 +46,523 @@ module htlc_escrow::escrow {
         resolver_fee: u64,
     }
 
+    // Fusion+ style stages - each starts once the clock passes its timestamp (ms):
+    //   creation .. public_withdrawal           exclusive withdrawal - redeemer only
+    //   public_withdrawal .. cancellation       public withdrawal - anyone with the secret, funds still go to the redeemer
+    //   cancellation .. public_cancellation     private cancellation - initiator only
+    //   public_cancellation ..                  public cancellation - anyone, funds still go to the initiator
+    public struct Timelocks has copy, drop, store {
+        public_withdrawal: u64,
+        cancellation: u64,
+        public_cancellation: u64,
+    }
+
+    // Package admin - created once at publish and sent to the publisher
+    public struct AdminCap has key, store {
+        id: object::UID,
+    }
+
+    // Package-wide settings, shared at publish and managed with the AdminCap.
+    // `paused` halts deposits and withdrawals; refunds stay open so makers can
+    // always recover their funds. Only `resolvers` may withdraw from escrows
+    // created with resolvers_only.
+    public struct Config has key {
+        id: object::UID,
+        paused: bool,
+        resolvers: VecSet<address>,
+    }
+
     // Enhanced Escrow with Fusion+ features
     public struct Escrow<phantom T> has key, store {
         id: object::UID,
         initiator: address,
         redeemer: address,
+        // Receives auction_params.resolver_fee out of the fills, pro rata
+        fee_recipient: address,
         secret_hash: vector<u8>,
+        hash_algorithm: u8,
         amount: u64,
         balance: Balance<T>,
-        timelock: u64,  // Timestamp for refund
+        timelock: u64,  // Timestamp for refund (= timelocks.cancellation)
+        timelocks: Timelocks,
+        // Posted by the resolver (see add_safety_deposit), paid to whoever executes a
+        // withdrawal (pro rata per fill) or the cancellation, so public withdrawals and
+        // cancellations have a reward
+        safety_deposit: Balance<SUI>,
         auction_params: AuctionParams,
         partial_fills_allowed: bool,
+        min_fill_amount: u64,  // Smallest partial fill (the last fill may take less)
         total_filled: u64,
+        // Multi-secret escrows: secret_hash is the Merkle root of parts_count + 1 indexed
+        // secret hashes and each fill reveals only the secret of its tranche (0 = single secret)
+        parts_count: u64,
+        next_secret_index: u64,
+        // Withdrawals only by allowlisted resolvers (see Config)
+        resolvers_only: bool,
     }
 
-    // Events for Fusion+ tracking
+    // Events for Fusion+ tracking (decoded by scripts/escrow_events.js).
+    // Escrow events carry the hashlock, the coin type (type name without 0x),
+    // the fill total and the clock time in ms, so an escrow's history can be
+    // rebuilt from its events alone.
     public struct Initiated has copy, drop { 
         order_id: vector<u8>, 
         secret_hash: vector<u8>, 
+        hash_algorithm: u8,
+        coin_type: String,
         amount: u64,
+        total_filled: u64,  // Always 0
+        fee: u64,  // Resolver fee of the whole order
         initiator: address,
         redeemer: address,
-        timelock: u64
+        fee_recipient: address,
+        timelock: u64,
+        timestamp_ms: u64
     }
     public struct Redeemed has copy, drop { 
         order_id: vector<u8>, 
         secret: vector<u8>,
+        secret_hash: vector<u8>,
+        hash_algorithm: u8,
+        coin_type: String,
         amount: u64,
-        redeemer: address
+        total_filled: u64,
+        fee: u64,  // Part of amount paid to the fee recipient
+        taking_amount: u64,  // Resolver-attested, see withdraw
+        auction_price: u64,  // Price of the whole order at timestamp_ms
+        redeemer: address,
+        timestamp_ms: u64
     }
     public struct Refunded has copy, drop { 
         order_id: vector<u8>,
+        secret_hash: vector<u8>,
+        hash_algorithm: u8,
+        coin_type: String,
         amount: u64,
-        initiator: address
+        total_filled: u64,
+        fee: u64,  // Resolver fee left unpaid, refunded with amount
+        initiator: address,
+        timestamp_ms: u64
     }
     public struct PartialFill has copy, drop {
         order_id: vector<u8>,
+        secret: vector<u8>,
+        secret_hash: vector<u8>,
+        hash_algorithm: u8,
+        coin_type: String,
         filled_amount: u64,
         remaining_amount: u64,
-        redeemer: address
+        total_filled: u64,
+        fee: u64,  // Part of filled_amount paid to the fee recipient
+        taking_amount: u64,  // Resolver-attested, see withdraw
+        auction_price: u64,  // Price of the whole order at timestamp_ms
+        redeemer: address,
+        timestamp_ms: u64
+    }
+    public struct Closed has copy, drop {
+        order_id: vector<u8>
+    }
+    public struct PauseChanged has copy, drop {
+        paused: bool
+    }
+    public struct ResolverAllowlistUpdated has copy, drop {
+        resolver: address,
+        allowed: bool
+    }
+
+    fun init(ctx: &mut tx_context::TxContext) {
+        transfer::transfer(AdminCap { id: object::new(ctx) }, tx_context::sender(ctx));
+        transfer::share_object(Config {
+            id: object::new(ctx),
+            paused: false,
+            resolvers: vec_set::empty(),
+        });
     }
 
     // Deposit function (lock funds) - Enhanced for Fusion+
     public fun deposit<T>(
+        config: &Config,
+        initiator: address,
+        redeemer: address,
+        fee_recipient: address,
+        secret_hash: vector<u8>,
+        hash_algorithm: u8,
+        coin: Coin<T>,
+        timelock: u64,
+        auction_params: AuctionParams,
+        partial_fills_allowed: bool,
+        min_fill_amount: u64,
+        clock: &Clock,
+        ctx: &mut tx_context::TxContext
+    ): Escrow<T> {
+        new_escrow(
+            config,
+            initiator,
+            redeemer,
+            fee_recipient,
+            secret_hash,
+            hash_algorithm,
+            coin,
+            timelock,
+            auction_params,
+            partial_fills_allowed,
+            min_fill_amount,
+            0,
+            single_timelock(timelock),
+            balance::zero(),
+            false,
+            clock,
+            ctx
+        )
+    }
+
+    // Deposit for multi-resolver fills - secret_root is the Merkle root built by scripts/secret_tree.js
+    public fun deposit_with_secret_tree<T>(
+        config: &Config,
+        initiator: address,
+        redeemer: address,
+        fee_recipient: address,
+        secret_root: vector<u8>,
+        hash_algorithm: u8,
+        coin: Coin<T>,
+        timelock: u64,
+        auction_params: AuctionParams,
+        min_fill_amount: u64,
+        parts_count: u64,
+        clock: &Clock,
+        ctx: &mut tx_context::TxContext
+    ): Escrow<T> {
+        assert!(parts_count > 0, 1011);  // At least one tranche
+        new_escrow(
+            config,
+            initiator,
+            redeemer,
+            fee_recipient,
+            secret_root,
+            hash_algorithm,
+            coin,
+            timelock,
+            auction_params,
+            true,
+            min_fill_amount,
+            parts_count,
+            single_timelock(timelock),
+            balance::zero(),
+            false,
+            clock,
+            ctx
+        )
+    }
+
+    // Deposit with staged timelocks (parts_count 0 = single secret); the safety deposit
+    // is left to the resolver (see add_safety_deposit).
+    // resolvers_only limits withdrawals to the resolvers allowlisted in Config
+    public fun deposit_with_timelocks<T>(
+        config: &Config,
+        initiator: address,
+        redeemer: address,
+        fee_recipient: address,
+        secret_hash: vector<u8>,
+        hash_algorithm: u8,
+        coin: Coin<T>,
+        timelocks: Timelocks,
+        auction_params: AuctionParams,
+        partial_fills_allowed: bool,
+        min_fill_amount: u64,
+        parts_count: u64,
+        resolvers_only: bool,
+        clock: &Clock,
+        ctx: &mut tx_context::TxContext
+    ): Escrow<T> {
+        new_escrow(
+            config,
+            initiator,
+            redeemer,
+            fee_recipient,
+            secret_hash,
+            hash_algorithm,
+            coin,
+            timelocks.cancellation,
+            auction_params,
+            partial_fills_allowed,
+            min_fill_amount,
+            parts_count,
+            timelocks,
+            balance::zero(),
+            resolvers_only,
+            clock,
+            ctx
+        )
+    }
+
+    fun new_escrow<T>(
+        config: &Config,
         initiator: address,
         redeemer: address,
+        fee_recipient: address,
         secret_hash: vector<u8>,
+        hash_algorithm: u8,
         coin: Coin<T>,
         timelock: u64,
         auction_params: AuctionParams,
         partial_fills_allowed: bool,
-        _clock: &Clock,
+        min_fill_amount: u64,
+        parts_count: u64,
+        timelocks: Timelocks,
+        safety_deposit: Balance<SUI>,
+        resolvers_only: bool,
+        clock: &Clock,
         ctx: &mut tx_context::TxContext
     ): Escrow<T> {
+        assert!(!config.paused, 1014);  // Package paused
+        assert!(is_supported_hash_algorithm(hash_algorithm), 1006);  // Known hash scheme
+        assert!(is_valid_auction(&auction_params), 1008);  // Well-formed auction
+        assert!(is_valid_timelocks(&timelocks), 1013);  // Stages in order
         let balance = coin::into_balance(coin);
+        assert!(min_fill_amount <= balance::value(&balance), 1004);  // Minimum fill within the escrow
+        assert!(auction_params.resolver_fee <= balance::value(&balance), 1004);  // Fee within the escrow
         let escrow = Escrow {
             id: object::new(ctx),
             initiator,
             redeemer,
+            fee_recipient,
             secret_hash,
+            hash_algorithm,
             amount: balance::value(&balance),
             balance,
             timelock,
+            timelocks,
+            safety_deposit,
             auction_params,
             partial_fills_allowed,
+            min_fill_amount,
             total_filled: 0,
+            parts_count,
+            next_secret_index: 0,
+            resolvers_only,
         };
         event::emit(Initiated { 
             order_id: object::uid_to_bytes(&escrow.id), 
             secret_hash, 
+            hash_algorithm,
+            coin_type: coin_type<T>(),
             amount: escrow.amount,
+            total_filled: 0,
+            fee: auction_params.resolver_fee,
             initiator,
             redeemer,
-            timelock
+            fee_recipient,
+            timelock,
+            timestamp_ms: clock::timestamp_ms(clock)
         });
         escrow
     }
 
+    // Create the escrow as a shared object (entry point for clients)
+    // Shared so the redeemer can withdraw and the initiator can refund
+    public fun create_shared_escrow<T>(
+        config: &Config,
+        redeemer: address,
+        fee_recipient: address,
+        secret_hash: vector<u8>,
+        hash_algorithm: u8,
+        coin: Coin<T>,
+        timelock: u64,
+        auction_params: AuctionParams,
+        partial_fills_allowed: bool,
+        min_fill_amount: u64,
+        clock: &Clock,
+        ctx: &mut tx_context::TxContext
+    ) {
+        let escrow = deposit(
+            config,
+            tx_context::sender(ctx),
+            redeemer,
+            fee_recipient,
+            secret_hash,
+            hash_algorithm,
+            coin,
+            timelock,
+            auction_params,
+            partial_fills_allowed,
+            min_fill_amount,
+            clock,
+            ctx
+        );
+        transfer::share_object(escrow);
+    }
+
+    // Shared multi-secret escrow (entry point for clients)
+    public fun create_shared_escrow_with_secret_tree<T>(
+        config: &Config,
+        redeemer: address,
+        fee_recipient: address,
+        secret_root: vector<u8>,
+        hash_algorithm: u8,
+        coin: Coin<T>,
+        timelock: u64,
+        auction_params: AuctionParams,
+        min_fill_amount: u64,
+        parts_count: u64,
+        clock: &Clock,
+        ctx: &mut tx_context::TxContext
+    ) {
+        let escrow = deposit_with_secret_tree(
+            config,
+            tx_context::sender(ctx),
+            redeemer,
+            fee_recipient,
+            secret_root,
+            hash_algorithm,
+            coin,
+            timelock,
+            auction_params,
+            min_fill_amount,
+            parts_count,
+            clock,
+            ctx
+        );
+        transfer::share_object(escrow);
+    }
+
+    // Shared escrow with staged timelocks (entry point for clients)
+    public fun create_shared_escrow_with_timelocks<T>(
+        config: &Config,
+        redeemer: address,
+        fee_recipient: address,
+        secret_hash: vector<u8>,
+        hash_algorithm: u8,
+        coin: Coin<T>,
+        timelocks: Timelocks,
+        auction_params: AuctionParams,
+        partial_fills_allowed: bool,
+        min_fill_amount: u64,
+        parts_count: u64,
+        resolvers_only: bool,
+        clock: &Clock,
+        ctx: &mut tx_context::TxContext
+    ) {
+        let escrow = deposit_with_timelocks(
+            config,
+            tx_context::sender(ctx),
+            redeemer,
+            fee_recipient,
+            secret_hash,
+            hash_algorithm,
+            coin,
+            timelocks,
+            auction_params,
+            partial_fills_allowed,
+            min_fill_amount,
+            parts_count,
+            resolvers_only,
+            clock,
+            ctx
+        );
+        transfer::share_object(escrow);
+    }
+
+    // The resolver (the redeemer) posts the safety deposit - never the maker. Each withdrawal
+    // pays its share to the caller: back to the resolver in exclusive withdrawal, to whoever
+    // completes the swap in public withdrawal; the cancellation pays what is left to its caller.
+    // It can be topped up until public withdrawal opens.
+    public fun add_safety_deposit<T>(
+        escrow: &mut Escrow<T>,
+        deposit: Coin<SUI>,
+        clock: &Clock,
+        ctx: &tx_context::TxContext
+    ) {
+        assert!(tx_context::sender(ctx) == escrow.redeemer, 1001);  // Resolver only
+        assert!(clock::timestamp_ms(clock) <= escrow.timelocks.public_withdrawal, 1002);  // Exclusive withdrawal only
+        balance::join(&mut escrow.safety_deposit, coin::into_balance(deposit));
+    }
+
     // Withdraw (claim with secret) - Enhanced for partial fills
+    // attested_taking_amount is what the resolver says it delivers to the maker for this
+    // fill on the destination chain. This module cannot see that chain, so the 1007 check
+    // is advisory: it only rejects a resolver that itself claims less than the current
+    // auction price, and enforces no price. The maker's protection is checking the
+    // destination escrow before revealing the secret.
+    // In the public withdrawal stage anyone holding the secret may call it; the
+    // funds still go to the redeemer and the caller earns the safety deposit share.
+    // The fee recipient gets the fill's share of the resolver fee out of `amount`.
+    // Takes the escrow by value: the fill that drains it deletes it (emitting Closed),
+    // any other fill shares it again for the next fill or the refund.
     public fun withdraw<T>(
+        mut escrow: Escrow<T>,
+        config: &Config,
+        secret: vector<u8>,
+        amount: u64,
+        attested_taking_amount: u64,
+        clock: &Clock,
+        ctx: &mut tx_context::TxContext
+    ) {
+        assert!(escrow.parts_count == 0, 1011);  // Multi-secret escrows need withdraw_with_proof
+        assert!(hash_secret(escrow.hash_algorithm, &secret) == escrow.secret_hash, 1000);  // Hash check
+        fill(&mut escrow, config, secret, amount, attested_taking_amount, clock, ctx);
+        close_or_share(escrow);
+    }
+
+    // Withdraw one tranche of a multi-secret escrow with the secret at `index` and its Merkle proof.
+    // The index must match the tranche the fill ends in, and indexes only move forward,
+    // so a secret revealed by an earlier fill cannot unlock the rest of the order.
+    // Like withdraw, the fill that drains the escrow deletes it.
+    public fun withdraw_with_proof<T>(
+        mut escrow: Escrow<T>,
+        config: &Config,
+        secret: vector<u8>,
+        index: u64,
+        proof: vector<vector<u8>>,
+        amount: u64,
+        attested_taking_amount: u64,
+        clock: &Clock,
+        ctx: &mut tx_context::TxContext
+    ) {
+        assert!(escrow.parts_count > 0, 1011);  // Single-secret escrows use withdraw
+        let leaf = secret_leaf(escrow.hash_algorithm, index, &hash_secret(escrow.hash_algorithm, &secret));
+        assert!(merkle_root(escrow.hash_algorithm, leaf, index, &proof) == escrow.secret_hash, 1000);  // Hash check
+        assert!(index >= escrow.next_secret_index, 1012);  // Secret already used
+        assert!(index == get_secret_index(&escrow, escrow.total_filled + amount), 1012);  // Secret of this tranche
+        escrow.next_secret_index = index + 1;
+        fill(&mut escrow, config, secret, amount, attested_taking_amount, clock, ctx);
+        close_or_share(escrow);
+    }
+
+    fun fill<T>(
         escrow: &mut Escrow<T>,
+        config: &Config,
         secret: vector<u8>,
         amount: u64,
+        attested_taking_amount: u64,
+        clock: &Clock,
         ctx: &mut tx_context::TxContext
     ) {
-        assert!(hash::blake2b256(&secret) == escrow.secret_hash, 1000);  // Hash check
-        assert!(tx_context::sender(ctx) == escrow.redeemer, 1001);  // Redeemer only
-        assert!(amount <= escrow.amount, 1004);  // Amount check
+        let now = clock::timestamp_ms(clock);
+        assert!(!config.paused, 1014);  // Package paused
+        assert!(!escrow.resolvers_only || vec_set::contains(&config.resolvers, &tx_context::sender(ctx)), 1015);  // Allowlisted resolvers only
+        assert!(now <= escrow.timelocks.cancellation, 1002);  // Withdrawal stages over
+        assert!(now > escrow.timelocks.public_withdrawal || tx_context::sender(ctx) == escrow.redeemer, 1001);  // Redeemer only until public withdrawal
+        assert!(amount <= balance::value(&escrow.balance), 1004);  // No more than what is left
         assert!(amount > 0, 1005);  // Non-zero amount
+        assert!(escrow.partial_fills_allowed || amount == escrow.amount, 1009);  // Whole order only
+        assert!(amount >= escrow.min_fill_amount || amount == balance::value(&escrow.balance), 1010);  // Minimum fill
+        assert!(attests_auction_price(escrow, amount, attested_taking_amount, now), 1007);  // Advisory: attested price not below the auction
+        
+        // Safety deposit share of this fill (the last fill takes what is left)
+        let deposit = balance::value(&escrow.safety_deposit);
+        if (deposit > 0) {
+            let reward = (((deposit as u128) * (amount as u128) / (balance::value(&escrow.balance) as u128)) as u64);
+            pay_safety_deposit(escrow, reward, ctx);
+        };
         
         let split_balance = balance::split(&mut escrow.balance, amount);
-        let coin = coin::from_balance(split_balance, ctx);
+        let mut coin = coin::from_balance(split_balance, ctx);
+        
+        // Resolver fee share of this fill - stays in the coin when the redeemer collects the fee itself
+        let fee = get_fill_fee(escrow, amount);
+        if (fee > 0 && escrow.fee_recipient != escrow.redeemer) {
+            transfer::public_transfer(coin::split(&mut coin, fee, ctx), escrow.fee_recipient);
+        };
         
         escrow.total_filled = escrow.total_filled + amount;
         
@@ -124,30 +571,54 @@ module htlc_escrow::escrow {
             event::emit(Redeemed { 
                 order_id: object::uid_to_bytes(&escrow.id), 
                 secret,
+                secret_hash: escrow.secret_hash,
+                hash_algorithm: escrow.hash_algorithm,
+                coin_type: coin_type<T>(),
                 amount,
-                redeemer: tx_context::sender(ctx)
+                total_filled: escrow.total_filled,
+                fee,
+                taking_amount: attested_taking_amount,
+                auction_price: current_price(&escrow.auction_params, now),
+                redeemer: escrow.redeemer,
+                timestamp_ms: now
             });
         } else {
             // Partial fill
             event::emit(PartialFill {
                 order_id: object::uid_to_bytes(&escrow.id),
+                secret,
+                secret_hash: escrow.secret_hash,
+                hash_algorithm: escrow.hash_algorithm,
+                coin_type: coin_type<T>(),
                 filled_amount: amount,
                 remaining_amount: escrow.amount - escrow.total_filled,
-                redeemer: tx_context::sender(ctx)
+                total_filled: escrow.total_filled,
+                fee,
+                taking_amount: attested_taking_amount,
+                auction_price: current_price(&escrow.auction_params, now),
+                redeemer: escrow.redeemer,
+                timestamp_ms: now
             });
         };
         
-        transfer::public_transfer(coin, tx_context::sender(ctx));
+        transfer::public_transfer(coin, escrow.redeemer);
     }
 
     // Refund (after timelock) - Enhanced for partial amounts
+    // Initiator only until public cancellation, then anyone; the funds always go back
+    // to the initiator and the caller takes the remaining safety deposit.
+    // Nothing is left afterwards, so the escrow is deleted (emitting Closed).
     public fun refund<T>(
-        escrow: &mut Escrow<T>,
+        mut escrow: Escrow<T>,
         clock: &Clock,
         ctx: &mut tx_context::TxContext
     ) {
-        assert!(clock::timestamp_ms(clock) > escrow.timelock, 1002);  // Time check
-        assert!(tx_context::sender(ctx) == escrow.initiator, 1003);  // Initiator only
+        let now = clock::timestamp_ms(clock);
+        assert!(now > escrow.timelocks.cancellation, 1002);  // Time check
+        assert!(now > escrow.timelocks.public_cancellation || tx_context::sender(ctx) == escrow.initiator, 1003);  // Initiator only until public cancellation
+        
+        let reward = balance::value(&escrow.safety_deposit);
+        pay_safety_deposit(&mut escrow, reward, ctx);
         
         let remaining_amount = balance::value(&escrow.balance);
         
@@ -157,11 +628,247 @@ module htlc_escrow::escrow {
             let coin = coin::from_balance(remaining_balance, ctx);
             event::emit(Refunded { 
                 order_id: object::uid_to_bytes(&escrow.id),
+                secret_hash: escrow.secret_hash,
+                hash_algorithm: escrow.hash_algorithm,
+                coin_type: coin_type<T>(),
                 amount: remaining_amount,
-                initiator: tx_context::sender(ctx)
+                total_filled: escrow.total_filled,
+                fee: escrow.auction_params.resolver_fee - fee_share(&escrow, escrow.total_filled),
+                initiator: escrow.initiator,
+                timestamp_ms: now
             });
-            transfer::public_transfer(coin, tx_context::sender(ctx));
+            transfer::public_transfer(coin, escrow.initiator);
+        };
+        destroy_empty(escrow);
+    }
+
+    // Delete the escrow once a fill drained it, otherwise share it (again) for the next fill
+    // or the refund. Sui only shares new objects, so an escrow kept from deposit* has to be
+    // filled in the transaction that created it.
+    fun close_or_share<T>(escrow: Escrow<T>) {
+        if (is_empty(&escrow)) {
+            destroy_empty(escrow);
+        } else {
+            transfer::share_object(escrow);
+        };
+    }
+
+    // Delete a drained escrow - the storage rebate goes to whoever pays for the transaction.
+    // The final withdraw and the refund call it themselves; it stays public for escrows
+    // drained before they did (see SuiHTLCClient.sweepEscrows).
+    public fun destroy_empty<T>(escrow: Escrow<T>) {
+        assert!(is_empty(&escrow), 1016);  // Funds or safety deposit left
+        let order_id = object::uid_to_bytes(&escrow.id);
+        let Escrow {
+            id,
+            initiator: _,
+            redeemer: _,
+            fee_recipient: _,
+            secret_hash: _,
+            hash_algorithm: _,
+            amount: _,
+            balance,
+            timelock: _,
+            timelocks: _,
+            safety_deposit,
+            auction_params: _,
+            partial_fills_allowed: _,
+            min_fill_amount: _,
+            total_filled: _,
+            parts_count: _,
+            next_secret_index: _,
+            resolvers_only: _,
+        } = escrow;
+        balance::destroy_zero(balance);
+        balance::destroy_zero(safety_deposit);
+        object::delete(id);
+        event::emit(Closed { order_id });
+    }
+
+    // Coin type name for events, e.g. "0000...0002::sui::SUI"
+    fun coin_type<T>(): String {
+        type_name::into_string(type_name::get<T>())
+    }
+
+    // Send `amount` of the safety deposit to the caller
+    fun pay_safety_deposit<T>(escrow: &mut Escrow<T>, amount: u64, ctx: &mut tx_context::TxContext) {
+        if (amount > 0) {
+            let reward = coin::take(&mut escrow.safety_deposit, amount, ctx);
+            transfer::public_transfer(reward, tx_context::sender(ctx));
+        };
+    }
+
+    // Pause or resume deposits and withdrawals (refunds are never paused)
+    public fun set_paused(_: &AdminCap, config: &mut Config, paused: bool) {
+        config.paused = paused;
+        event::emit(PauseChanged { paused });
+    }
+
+    // Allow a resolver to withdraw from resolvers_only escrows
+    public fun add_resolver(_: &AdminCap, config: &mut Config, resolver: address) {
+        if (!vec_set::contains(&config.resolvers, &resolver)) {
+            vec_set::insert(&mut config.resolvers, resolver);
+        };
+        event::emit(ResolverAllowlistUpdated { resolver, allowed: true });
+    }
+
+    public fun remove_resolver(_: &AdminCap, config: &mut Config, resolver: address) {
+        if (vec_set::contains(&config.resolvers, &resolver)) {
+            vec_set::remove(&mut config.resolvers, &resolver);
         };
+        event::emit(ResolverAllowlistUpdated { resolver, allowed: false });
+    }
+
+    public fun is_paused(config: &Config): bool {
+        config.paused
+    }
+
+    public fun is_resolver(config: &Config, resolver: address): bool {
+        vec_set::contains(&config.resolvers, &resolver)
+    }
+
+    public fun get_resolvers(config: &Config): vector<address> {
+        *vec_set::keys(&config.resolvers)
+    }
+
+    // Stage of the escrow at `now_ms`
+    public fun stage_at(timelocks: &Timelocks, now_ms: u64): u8 {
+        if (now_ms > timelocks.public_cancellation) {
+            STAGE_PUBLIC_CANCELLATION
+        } else if (now_ms > timelocks.cancellation) {
+            STAGE_PRIVATE_CANCELLATION
+        } else if (now_ms > timelocks.public_withdrawal) {
+            STAGE_PUBLIC_WITHDRAWAL
+        } else {
+            STAGE_EXCLUSIVE_WITHDRAWAL
+        }
+    }
+
+    public fun is_valid_timelocks(timelocks: &Timelocks): bool {
+        timelocks.public_withdrawal <= timelocks.cancellation &&
+        timelocks.cancellation <= timelocks.public_cancellation
+    }
+
+    // Stages of the single-timelock entry points: redeemer until `timelock`, then initiator only
+    fun single_timelock(timelock: u64): Timelocks {
+        Timelocks {
+            public_withdrawal: timelock,
+            cancellation: timelock,
+            public_cancellation: NEVER,
+        }
+    }
+
+    // Current Dutch auction price for the whole order
+    public fun current_price(params: &AuctionParams, now_ms: u64): u64 {
+        if (now_ms <= params.start_time) {
+            params.max_amount
+        } else if (now_ms >= params.end_time) {
+            params.min_amount
+        } else {
+            let elapsed = ((now_ms - params.start_time) as u128);
+            let duration = ((params.end_time - params.start_time) as u128);
+            let decay = ((params.max_amount - params.min_amount) as u128) * elapsed / duration;
+            params.max_amount - (decay as u64)
+        }
+    }
+
+    // Advisory check of the resolver's own attestation, not price enforcement (see withdraw):
+    // attested_taking_amount / amount >= price / escrow.amount
+    fun attests_auction_price<T>(escrow: &Escrow<T>, amount: u64, attested_taking_amount: u64, now_ms: u64): bool {
+        let price = current_price(&escrow.auction_params, now_ms);
+        (attested_taking_amount as u128) * (escrow.amount as u128) >= (price as u128) * (amount as u128)
+    }
+
+    public fun is_valid_auction(params: &AuctionParams): bool {
+        params.min_amount <= params.max_amount && params.start_time <= params.end_time
+    }
+
+    // Secret index for a fill that brings the escrow to `filled_after`:
+    // tranche floor(filled_after * parts / amount), or the extra last secret for the final fill
+    public fun get_secret_index<T>(escrow: &Escrow<T>, filled_after: u64): u64 {
+        if (filled_after >= escrow.amount) {
+            escrow.parts_count
+        } else {
+            (((filled_after as u128) * (escrow.parts_count as u128) / (escrow.amount as u128)) as u64)
+        }
+    }
+
+    // Merkle leaf of secret `index`: hash(bcs(index) ++ secret_hash)
+    public fun secret_leaf(hash_algorithm: u8, index: u64, secret_hash: &vector<u8>): vector<u8> {
+        let mut data = bcs::to_bytes(&index);
+        vector::append(&mut data, *secret_hash);
+        hash_secret(hash_algorithm, &data)
+    }
+
+    // Root of the tree containing `leaf` at position `index`; siblings ordered bottom-up
+    public fun merkle_root(hash_algorithm: u8, leaf: vector<u8>, index: u64, proof: &vector<vector<u8>>): vector<u8> {
+        let mut node = leaf;
+        let mut position = index;
+        let mut i = 0;
+        while (i < vector::length(proof)) {
+            let sibling = *vector::borrow(proof, i);
+            let pair = if (position % 2 == 0) {
+                let mut data = node;
+                vector::append(&mut data, sibling);
+                data
+            } else {
+                let mut data = sibling;
+                vector::append(&mut data, node);
+                data
+            };
+            node = hash_secret(hash_algorithm, &pair);
+            position = position / 2;
+            i = i + 1;
+        };
+        node
+    }
+
+    // Hash a secret with the given hashlock scheme
+    public fun hash_secret(hash_algorithm: u8, secret: &vector<u8>): vector<u8> {
+        if (hash_algorithm == HASH_SHA256) {
+            std::hash::sha2_256(*secret)
+        } else if (hash_algorithm == HASH_KECCAK256) {
+            hash::keccak256(secret)
+        } else {
+            assert!(hash_algorithm == HASH_BLAKE2B256, 1006);
+            hash::blake2b256(secret)
+        }
+    }
+
+    public fun is_supported_hash_algorithm(hash_algorithm: u8): bool {
+        hash_algorithm == HASH_SHA256 ||
+        hash_algorithm == HASH_KECCAK256 ||
+        hash_algorithm == HASH_BLAKE2B256
+    }
+
+    // Hashlock scheme identifiers (for testing and external use)
+    public fun hash_sha256(): u8 { HASH_SHA256 }
+    public fun hash_keccak256(): u8 { HASH_KECCAK256 }
+    public fun hash_blake2b256(): u8 { HASH_BLAKE2B256 }
+
+    // Stage identifiers (for testing and external use)
+    public fun stage_exclusive_withdrawal(): u8 { STAGE_EXCLUSIVE_WITHDRAWAL }
+    public fun stage_public_withdrawal(): u8 { STAGE_PUBLIC_WITHDRAWAL }
+    public fun stage_private_cancellation(): u8 { STAGE_PRIVATE_CANCELLATION }
+    public fun stage_public_cancellation(): u8 { STAGE_PUBLIC_CANCELLATION }
+
+    // Get the timelock stages and the current stage of an escrow
+    public fun get_timelocks<T>(escrow: &Escrow<T>): Timelocks {
+        escrow.timelocks
+    }
+
+    public fun get_stage<T>(escrow: &Escrow<T>, clock: &Clock): u8 {
+        stage_at(&escrow.timelocks, clock::timestamp_ms(clock))
+    }
+
+    // Safety deposit still held by the escrow
+    public fun get_safety_deposit<T>(escrow: &Escrow<T>): u64 {
+        balance::value(&escrow.safety_deposit)
+    }
+
+    // Get the hashlock scheme of an escrow
+    public fun get_hash_algorithm<T>(escrow: &Escrow<T>): u8 {
+        escrow.hash_algorithm
     }
 
     // Get remaining amount in escrow
@@ -169,6 +876,54 @@ module htlc_escrow::escrow {
         balance::value(&escrow.balance)
     }
 
+    // Partial fill settings
+    public fun is_partial_fills_allowed<T>(escrow: &Escrow<T>): bool {
+        escrow.partial_fills_allowed
+    }
+
+    public fun get_min_fill_amount<T>(escrow: &Escrow<T>): u64 {
+        escrow.min_fill_amount
+    }
+
+    // Resolver fee payout
+    public fun get_fee_recipient<T>(escrow: &Escrow<T>): address {
+        escrow.fee_recipient
+    }
+
+    // Resolver fee share of a fill of `amount`. Shares are cumulative pro rata
+    // (floor of resolver_fee * filled / amount), so the fills add up to resolver_fee exactly.
+    public fun get_fill_fee<T>(escrow: &Escrow<T>, amount: u64): u64 {
+        fee_share(escrow, escrow.total_filled + amount) - fee_share(escrow, escrow.total_filled)
+    }
+
+    // Resolver fee owed once `filled` of the escrow is filled
+    fun fee_share<T>(escrow: &Escrow<T>, filled: u64): u64 {
+        if (escrow.amount == 0) {
+            return 0
+        };
+        let fee = (escrow.auction_params.resolver_fee as u128);
+        ((fee * (filled as u128) / (escrow.amount as u128)) as u64)
+    }
+
+    // Nothing left to withdraw, refund or pay out (see destroy_empty)
+    public fun is_empty<T>(escrow: &Escrow<T>): bool {
+        balance::value(&escrow.balance) == 0 && balance::value(&escrow.safety_deposit) == 0
+    }
+
+    // Whether only allowlisted resolvers may withdraw
+    public fun is_resolvers_only<T>(escrow: &Escrow<T>): bool {
+        escrow.resolvers_only
+    }
+
+    // Multi-secret settings (parts_count 0 = single secret)
+    public fun get_parts_count<T>(escrow: &Escrow<T>): u64 {
+        escrow.parts_count
+    }
+
+    public fun get_next_secret_index<T>(escrow: &Escrow<T>): u64 {
+        escrow.next_secret_index
+    }
+
     // Check if escrow is fully filled
     public fun is_fully_filled<T>(escrow: &Escrow<T>): bool {
         escrow.total_filled == escrow.amount
@@ -179,6 +934,26 @@ module htlc_escrow::escrow {
         escrow.auction_params
     }
 
+    // Get the auction price of an escrow at the current clock time
+    public fun get_current_price<T>(escrow: &Escrow<T>, clock: &Clock): u64 {
+        current_price(&escrow.auction_params, clock::timestamp_ms(clock))
+    }
+
+    // Create timelock stages (for testing and external use)
+    public fun create_timelocks(
+        public_withdrawal: u64,
+        cancellation: u64,
+        public_cancellation: u64
+    ): Timelocks {
+        let timelocks = Timelocks {
+            public_withdrawal,
+            cancellation,
+            public_cancellation,
+        };
+        assert!(is_valid_timelocks(&timelocks), 1013);  // Stages in order
+        timelocks
+    }
+
     // Create auction parameters (for testing and external use)
     public fun create_auction_params(
         min_amount: u64,
@@ -195,4 +970,21 @@ module htlc_escrow::escrow {
             resolver_fee,
         }
     }
+
+    #[test_only]
+    public fun init_for_testing(ctx: &mut tx_context::TxContext) {
+        init(ctx)
+    }
+
+    // Unshared Config for tests that do not go through init
+    #[test_only]
+    public fun new_config_for_testing(ctx: &mut tx_context::TxContext): Config {
+        Config { id: object::new(ctx), paused: false, resolvers: vec_set::empty() }
+    }
+
+    #[test_only]
+    public fun destroy_config_for_testing(config: Config) {
+        let Config { id, paused: _, resolvers: _ } = config;
+        object::delete(id);
+    }
 }
@@ -1,21 +1,50 @@
 #[test_only]
 module htlc_escrow::htlc_escrow_tests {
-    use htlc_escrow::escrow::{Self, Escrow};
+    use htlc_escrow::escrow::{Self, Escrow, Config, AdminCap};
     use sui::test_scenario::{Self};
     use sui::coin::{Self};
     use sui::sui::SUI;
     use sui::clock::{Self};
     use sui::test_utils::{assert_eq};
     use sui::hash;
+    use sui::event;
 
-    // Real test addresses - replace with your actual addresses
-    const ALICE: address = @0xbf1d94e164909345c3783e4cda3bfb61e950910aea8228329533e063a6871e9c;
-    const BOB: address = @0x431E067a987519C26184951eD6fD6acDE763d3B6;
+    // Test accounts: Alice makes the orders, Bob resolves them, Carol is a third party
+    // (public withdrawals and cancellations, fee recipient, unlisted resolver)
+    const ALICE: address = @0xA11CE;
+    const BOB: address = @0xB0B;
+    const CAROL: address = @0xCA201;
+
+    // Abort codes of htlc_escrow::escrow - each one has an expected_failure test below
+    //   1000 hash mismatch              test_wrong_secret_fails, test_secret_tree_bad_proof_fails
+    //   1001 not the redeemer           test_withdraw_by_other_fails, test_exclusive_withdrawal_rejects_others,
+    //                                   test_safety_deposit_from_maker_fails
+    //   1002 timelock                   test_early_refund_fails, test_refund_at_timelock_fails, test_withdrawal_after_cancellation_fails,
+    //                                   test_safety_deposit_after_exclusive_withdrawal_fails
+    //   1003 not the initiator          test_refund_by_other_fails, test_private_cancellation_rejects_others
+    //   1004 amount                     test_over_claim_fails, test_over_claim_after_partial_fills_fails,
+    //                                   test_min_fill_above_amount_fails, test_resolver_fee_above_amount_fails
+    //   1005 zero amount                test_zero_amount_withdraw_fails
+    //   1006 hash algorithm             test_unsupported_hash_algorithm_fails, test_hash_secret_unknown_algorithm_fails
+    //   1007 attested auction price     test_fill_attested_below_auction_price_fails
+    //   1008 invalid auction            test_invalid_auction_params_fail
+    //   1009 partial fills disabled     test_partial_fill_rejected_when_disabled
+    //   1010 minimum fill               test_fill_below_minimum_fails
+    //   1011 escrow mode                test_secret_tree_rejects_single_secret_withdraw, test_proof_on_single_secret_escrow_fails, test_secret_tree_without_parts_fails
+    //   1012 secret index               test_secret_tree_reused_secret_fails, test_secret_tree_wrong_tranche_fails
+    //   1013 timelock order             test_unordered_timelocks_fail
+    //   1014 paused                     test_deposit_while_paused_fails, test_withdraw_while_paused_fails
+    //   1015 resolver not allowlisted   test_resolvers_only_rejects_unlisted_resolver, test_removed_resolver_rejected
+    //   1016 escrow not empty           test_destroy_with_funds_left_fails
+
+    // Stand-in for a non-SUI coin such as USDC
+    public struct USDC has drop {}
 
     #[test]
     fun test_deposit_success() {
         let mut scenario = test_scenario::begin(ALICE);
         let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
         
         // Create test coin and clock
         let coin = coin::mint_for_testing<SUI>(1000, ctx);
@@ -36,13 +65,17 @@ module htlc_escrow::htlc_escrow_tests {
         
         // Alice deposits
         let escrow = escrow::deposit<SUI>(
+            &config,
             ALICE,
             BOB,
+            BOB,
             secret_hash,
+            escrow::hash_blake2b256(),
             coin,
             5000, // timelock in the future
             auction_params,
             true, // partial fills allowed
+            0, // min_fill_amount
             &clock,
             ctx
         );
@@ -54,6 +87,7 @@ module htlc_escrow::htlc_escrow_tests {
         // Clean up
         transfer::public_transfer(escrow, ALICE);
         clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
         test_scenario::end(scenario);
     }
 
@@ -61,6 +95,7 @@ module htlc_escrow::htlc_escrow_tests {
     fun test_full_withdrawal() {
         let mut scenario = test_scenario::begin(BOB);
         let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
         
         // Create test coin and clock
         let coin = coin::mint_for_testing<SUI>(1000, ctx);
@@ -76,28 +111,31 @@ module htlc_escrow::htlc_escrow_tests {
         let secret_hash = hash::blake2b256(&secret);
         
         // Create escrow (as if Alice deposited)
-        let mut escrow = escrow::deposit<SUI>(
+        let escrow = escrow::deposit<SUI>(
+            &config,
             ALICE,
             BOB,
+            BOB,
             secret_hash,
+            escrow::hash_blake2b256(),
             coin,
             5000,
             auction_params,
             true,
+            0, // min_fill_amount
             &clock,
             ctx
         );
         
         // Bob withdraws full amount
-        escrow::withdraw(&mut escrow, secret, 1000, ctx);
+        escrow::withdraw(escrow, &config, secret, 1000, 1000, &clock, ctx);
         
-        // Check if fully filled
-        assert_eq(escrow::is_fully_filled(&escrow), true);
-        assert_eq(escrow::get_remaining_amount(&escrow), 0);
+        // Fully filled - the escrow is deleted
+        assert_eq(vector::length(&event::events_by_type<escrow::Closed>()), 1);
         
         // Clean up
-        transfer::public_transfer(escrow, BOB);
         clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
         test_scenario::end(scenario);
     }
 
@@ -105,6 +143,7 @@ module htlc_escrow::htlc_escrow_tests {
     fun test_partial_withdrawal() {
         let mut scenario = test_scenario::begin(BOB);
         let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
         
         // Create test coin and clock
         let coin = coin::mint_for_testing<SUI>(1000, ctx);
@@ -120,28 +159,37 @@ module htlc_escrow::htlc_escrow_tests {
         let secret_hash = hash::blake2b256(&secret);
         
         // Create escrow
-        let mut escrow = escrow::deposit<SUI>(
+        let escrow = escrow::deposit<SUI>(
+            &config,
             ALICE,
             BOB,
+            BOB,
             secret_hash,
+            escrow::hash_blake2b256(),
             coin,
             5000,
             auction_params,
             true,
+            0, // min_fill_amount
             &clock,
             ctx
         );
         
         // Partial withdrawal (400 out of 1000)
-        escrow::withdraw(&mut escrow, secret, 400, ctx);
+        escrow::withdraw(escrow, &config, secret, 400, 400, &clock, ctx);
         
-        // Check remaining amount
-        assert_eq(escrow::is_fully_filled(&escrow), false);
-        assert_eq(escrow::get_remaining_amount(&escrow), 600);
+        // Check remaining amount - the escrow is shared for the rest
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            assert_eq(escrow::is_fully_filled(&escrow), false);
+            assert_eq(escrow::get_remaining_amount(&escrow), 600);
+            test_scenario::return_shared(escrow);
+        };
         
         // Clean up
-        transfer::public_transfer(escrow, BOB);
         clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
         test_scenario::end(scenario);
     }
 
@@ -149,6 +197,7 @@ module htlc_escrow::htlc_escrow_tests {
     fun test_refund_after_timelock() {
         let mut scenario = test_scenario::begin(ALICE);
         let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
         
         // Create test coin and clock
         let coin = coin::mint_for_testing<SUI>(1000, ctx);
@@ -164,14 +213,18 @@ module htlc_escrow::htlc_escrow_tests {
         let secret_hash = hash::blake2b256(&secret);
         
         // Create escrow with short timelock
-        let mut escrow = escrow::deposit<SUI>(
+        let escrow = escrow::deposit<SUI>(
+            &config,
             ALICE,
             BOB,
+            BOB,
             secret_hash,
+            escrow::hash_blake2b256(),
             coin,
             1500, // timelock
             auction_params,
             true,
+            0, // min_fill_amount
             &clock,
             ctx
         );
@@ -180,14 +233,14 @@ module htlc_escrow::htlc_escrow_tests {
         clock::increment_for_testing(&mut clock, 2000);
         
         // Alice refunds
-        escrow::refund(&mut escrow, &clock, ctx);
+        escrow::refund(escrow, &clock, ctx);
         
-        // Check remaining amount after refund
-        assert_eq(escrow::get_remaining_amount(&escrow), 0);
+        // Nothing is left after a refund - the escrow is deleted
+        assert_eq(vector::length(&event::events_by_type<escrow::Closed>()), 1);
         
         // Clean up
-        transfer::public_transfer(escrow, ALICE);
         clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
         test_scenario::end(scenario);
     }
 
@@ -195,6 +248,7 @@ module htlc_escrow::htlc_escrow_tests {
     fun test_wrong_secret_fails() {
         let mut scenario = test_scenario::begin(BOB);
         let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
         
         let coin = coin::mint_for_testing<SUI>(1000, ctx);
         let clock = clock::create_for_testing(ctx);
@@ -206,25 +260,29 @@ module htlc_escrow::htlc_escrow_tests {
         let secret = b"correct_secret";
         let secret_hash = hash::blake2b256(&secret);
         
-        let mut escrow = escrow::deposit<SUI>(
+        let escrow = escrow::deposit<SUI>(
+            &config,
             ALICE,
             BOB,
+            BOB,
             secret_hash,
+            escrow::hash_blake2b256(),
             coin,
             5000,
             auction_params,
             true,
+            0, // min_fill_amount
             &clock,
             ctx
         );
         
         // Bob tries with wrong secret
         let wrong_secret = b"wrong_secret";
-        escrow::withdraw(&mut escrow, wrong_secret, 1000, ctx); // Should fail
+        escrow::withdraw(escrow, &config, wrong_secret, 1000, 1000, &clock, ctx); // Should fail
         
         // Clean up (won't reach here due to expected failure)
-        transfer::public_transfer(escrow, BOB);
         clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
         test_scenario::end(scenario);
     }
 
@@ -232,6 +290,7 @@ module htlc_escrow::htlc_escrow_tests {
     fun test_early_refund_fails() {
         let mut scenario = test_scenario::begin(ALICE);
         let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
         
         let coin = coin::mint_for_testing<SUI>(1000, ctx);
         let clock = clock::create_for_testing(ctx);
@@ -243,24 +302,1731 @@ module htlc_escrow::htlc_escrow_tests {
         let secret = b"test_secret";
         let secret_hash = hash::blake2b256(&secret);
         
-        let mut escrow = escrow::deposit<SUI>(
+        let escrow = escrow::deposit<SUI>(
+            &config,
             ALICE,
             BOB,
+            BOB,
             secret_hash,
+            escrow::hash_blake2b256(),
             coin,
             5000, // timelock in future
             auction_params,
             true,
+            0, // min_fill_amount
             &clock,
             ctx
         );
         
         // Alice tries to refund before timelock
-        escrow::refund(&mut escrow, &clock, ctx); // Should fail
+        escrow::refund(escrow, &clock, ctx); // Should fail
+        
+        // Clean up (won't reach here due to expected failure)
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test]
+    fun test_sha256_hashlock_withdrawal() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        
+        let coin = coin::mint_for_testing<SUI>(1000, ctx);
+        let clock = clock::create_for_testing(ctx);
+        
+        let auction_params = escrow::create_auction_params(
+            100, 1000, 1000, 2000, 10
+        );
+        
+        // SHA-256 hashlock, as generated by the JS order paths
+        let secret = b"test_secret_123";
+        let secret_hash = std::hash::sha2_256(secret);
+        
+        let escrow = escrow::deposit<SUI>(
+            &config,
+            ALICE,
+            BOB,
+            BOB,
+            secret_hash,
+            escrow::hash_sha256(),
+            coin,
+            5000,
+            auction_params,
+            true,
+            0, // min_fill_amount
+            &clock,
+            ctx
+        );
+        
+        assert_eq(escrow::get_hash_algorithm(&escrow), escrow::hash_sha256());
+        
+        escrow::withdraw(escrow, &config, secret, 1000, 1000, &clock, ctx);
+        assert_eq(vector::length(&event::events_by_type<escrow::Closed>()), 1);
+        
+        // Clean up
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test]
+    fun test_keccak256_hashlock_withdrawal() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        
+        let coin = coin::mint_for_testing<SUI>(1000, ctx);
+        let clock = clock::create_for_testing(ctx);
+        
+        let auction_params = escrow::create_auction_params(
+            100, 1000, 1000, 2000, 10
+        );
+        
+        // Keccak-256 hashlock, as used by EVM escrows
+        let secret = b"test_secret_123";
+        let secret_hash = hash::keccak256(&secret);
+        
+        let escrow = escrow::deposit<SUI>(
+            &config,
+            ALICE,
+            BOB,
+            BOB,
+            secret_hash,
+            escrow::hash_keccak256(),
+            coin,
+            5000,
+            auction_params,
+            true,
+            0, // min_fill_amount
+            &clock,
+            ctx
+        );
+        
+        escrow::withdraw(escrow, &config, secret, 400, 400, &clock, ctx);
+        
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            assert_eq(escrow::get_remaining_amount(&escrow), 600);
+            test_scenario::return_shared(escrow);
+        };
+        
+        // Clean up
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1000)]
+    fun test_hash_scheme_mismatch_fails() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        
+        let coin = coin::mint_for_testing<SUI>(1000, ctx);
+        let clock = clock::create_for_testing(ctx);
+        
+        let auction_params = escrow::create_auction_params(
+            100, 1000, 1000, 2000, 10
+        );
+        
+        // SHA-256 hash recorded under the blake2b256 scheme
+        let secret = b"test_secret_123";
+        let secret_hash = std::hash::sha2_256(secret);
+        
+        let escrow = escrow::deposit<SUI>(
+            &config,
+            ALICE,
+            BOB,
+            BOB,
+            secret_hash,
+            escrow::hash_blake2b256(),
+            coin,
+            5000,
+            auction_params,
+            true,
+            0, // min_fill_amount
+            &clock,
+            ctx
+        );
+        
+        escrow::withdraw(escrow, &config, secret, 1000, 1000, &clock, ctx); // Should fail
+        
+        // Clean up (won't reach here due to expected failure)
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1006)]
+    fun test_unsupported_hash_algorithm_fails() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        
+        let coin = coin::mint_for_testing<SUI>(1000, ctx);
+        let clock = clock::create_for_testing(ctx);
+        
+        let auction_params = escrow::create_auction_params(
+            100, 1000, 1000, 2000, 10
+        );
+        
+        let secret = b"test_secret";
+        let secret_hash = hash::blake2b256(&secret);
+        
+        let escrow = escrow::deposit<SUI>(
+            &config,
+            ALICE,
+            BOB,
+            BOB,
+            secret_hash,
+            7, // Unknown hash scheme
+            coin,
+            5000,
+            auction_params,
+            true,
+            0, // min_fill_amount
+            &clock,
+            ctx
+        ); // Should fail
+        
+        // Clean up (won't reach here due to expected failure)
+        transfer::public_transfer(escrow, ALICE);
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test]
+    fun test_shared_escrow_redeemer_claims() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let clock = clock::create_for_testing(test_scenario::ctx(&mut scenario));
+        let config = escrow::new_config_for_testing(test_scenario::ctx(&mut scenario));
+        
+        // Alice creates a shared escrow
+        {
+            let ctx = test_scenario::ctx(&mut scenario);
+            let coin = coin::mint_for_testing<SUI>(1000, ctx);
+            let auction_params = escrow::create_auction_params(
+                100, 1000, 1000, 2000, 10
+            );
+            let secret_hash = hash::blake2b256(&b"test_secret_123");
+            
+            escrow::create_shared_escrow<SUI>(
+                &config,
+                BOB,
+                BOB,
+                secret_hash,
+                escrow::hash_blake2b256(),
+                coin,
+                5000,
+                auction_params,
+                true,
+                0, // min_fill_amount
+                &clock,
+                ctx
+            );
+        };
+        
+        // Bob (a different signer) claims from the shared object
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            escrow::withdraw(escrow, &config, b"test_secret_123", 1000, 1000, &clock, test_scenario::ctx(&mut scenario));
+            
+            // Fully filled - the shared object is deleted
+            assert_eq(vector::length(&event::events_by_type<escrow::Closed>()), 1);
+        };
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test]
+    fun test_shared_escrow_initiator_refunds() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let mut clock = clock::create_for_testing(test_scenario::ctx(&mut scenario));
+        let config = escrow::new_config_for_testing(test_scenario::ctx(&mut scenario));
+        
+        // Alice creates a shared escrow
+        {
+            let ctx = test_scenario::ctx(&mut scenario);
+            let coin = coin::mint_for_testing<SUI>(1000, ctx);
+            let auction_params = escrow::create_auction_params(
+                100, 1000, 1000, 2000, 10
+            );
+            let secret_hash = hash::blake2b256(&b"test_secret_123");
+            
+            escrow::create_shared_escrow<SUI>(
+                &config,
+                BOB,
+                BOB,
+                secret_hash,
+                escrow::hash_blake2b256(),
+                coin,
+                1500,
+                auction_params,
+                true,
+                0, // min_fill_amount
+                &clock,
+                ctx
+            );
+        };
+        
+        // Advance time past timelock
+        clock::increment_for_testing(&mut clock, 2000);
+        
+        // Alice refunds from the shared object
+        test_scenario::next_tx(&mut scenario, ALICE);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            escrow::refund(escrow, &clock, test_scenario::ctx(&mut scenario));
+            
+            assert_eq(vector::length(&event::events_by_type<escrow::Closed>()), 1);
+        };
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test]
+    fun test_auction_price_decays_linearly() {
+        let params = escrow::create_auction_params(100, 1000, 1000, 2000, 10);
+        
+        assert_eq(escrow::current_price(&params, 0), 1000);     // Before start
+        assert_eq(escrow::current_price(&params, 1000), 1000);  // At start
+        assert_eq(escrow::current_price(&params, 1500), 550);   // Halfway
+        assert_eq(escrow::current_price(&params, 2000), 100);   // At end
+        assert_eq(escrow::current_price(&params, 9000), 100);   // After end
+        
+        // Zero-length auction is a fixed price
+        let fixed = escrow::create_auction_params(500, 500, 1000, 1000, 0);
+        assert_eq(escrow::current_price(&fixed, 1000), 500);
+    }
+
+    #[test]
+    fun test_partial_fill_at_auction_price() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        
+        let coin = coin::mint_for_testing<SUI>(1000, ctx);
+        let mut clock = clock::create_for_testing(ctx);
+        
+        let auction_params = escrow::create_auction_params(
+            100, 1000, 1000, 2000, 10
+        );
+        let secret = b"test_secret_123";
+        let secret_hash = hash::blake2b256(&secret);
+        
+        let escrow = escrow::deposit<SUI>(
+            &config,
+            ALICE,
+            BOB,
+            BOB,
+            secret_hash,
+            escrow::hash_blake2b256(),
+            coin,
+            5000,
+            auction_params,
+            true,
+            0, // min_fill_amount
+            &clock,
+            ctx
+        );
+        
+        // Halfway through the auction the whole order costs 550 - 400/1000 of it costs 220
+        clock::increment_for_testing(&mut clock, 1500);
+        assert_eq(escrow::get_current_price(&escrow, &clock), 550);
+        escrow::withdraw(escrow, &config, secret, 400, 220, &clock, ctx);
+        
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            assert_eq(escrow::get_remaining_amount(&escrow), 600);
+            test_scenario::return_shared(escrow);
+        };
+        
+        // Clean up
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1007)]
+    fun test_fill_attested_below_auction_price_fails() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        
+        let coin = coin::mint_for_testing<SUI>(1000, ctx);
+        let mut clock = clock::create_for_testing(ctx);
+        
+        let auction_params = escrow::create_auction_params(
+            100, 1000, 1000, 2000, 10
+        );
+        let secret = b"test_secret_123";
+        let secret_hash = hash::blake2b256(&secret);
+        
+        let escrow = escrow::deposit<SUI>(
+            &config,
+            ALICE,
+            BOB,
+            BOB,
+            secret_hash,
+            escrow::hash_blake2b256(),
+            coin,
+            5000,
+            auction_params,
+            true,
+            0, // min_fill_amount
+            &clock,
+            ctx
+        );
+        
+        clock::increment_for_testing(&mut clock, 1500);
+        escrow::withdraw(escrow, &config, secret, 400, 219, &clock, ctx); // Should fail
         
         // Clean up (won't reach here due to expected failure)
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1008)]
+    fun test_invalid_auction_params_fail() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        
+        let coin = coin::mint_for_testing<SUI>(1000, ctx);
+        let clock = clock::create_for_testing(ctx);
+        
+        // min_amount above max_amount
+        let auction_params = escrow::create_auction_params(
+            1000, 100, 1000, 2000, 10
+        );
+        
+        let escrow = escrow::deposit<SUI>(
+            &config,
+            ALICE,
+            BOB,
+            BOB,
+            hash::blake2b256(&b"test_secret"),
+            escrow::hash_blake2b256(),
+            coin,
+            5000,
+            auction_params,
+            true,
+            0, // min_fill_amount
+            &clock,
+            ctx
+        ); // Should fail
+        
+        // Clean up (won't reach here due to expected failure)
+        transfer::public_transfer(escrow, ALICE);
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1009)]
+    fun test_partial_fill_rejected_when_disabled() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        
+        let coin = coin::mint_for_testing<SUI>(1000, ctx);
+        let clock = clock::create_for_testing(ctx);
+        let auction_params = escrow::create_auction_params(0, 0, 0, 0, 0);
+        let secret = b"test_secret_123";
+        
+        let escrow = escrow::deposit<SUI>(
+            &config,
+            ALICE,
+            BOB,
+            BOB,
+            hash::blake2b256(&secret),
+            escrow::hash_blake2b256(),
+            coin,
+            5000,
+            auction_params,
+            false, // whole order only
+            0,
+            &clock,
+            ctx
+        );
+        
+        escrow::withdraw(escrow, &config, secret, 400, 0, &clock, ctx); // Should fail
+        
+        // Clean up (won't reach here due to expected failure)
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test]
+    fun test_full_fill_when_partial_fills_disabled() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        
+        let coin = coin::mint_for_testing<SUI>(1000, ctx);
+        let clock = clock::create_for_testing(ctx);
+        let auction_params = escrow::create_auction_params(0, 0, 0, 0, 0);
+        let secret = b"test_secret_123";
+        
+        let escrow = escrow::deposit<SUI>(
+            &config,
+            ALICE,
+            BOB,
+            BOB,
+            hash::blake2b256(&secret),
+            escrow::hash_blake2b256(),
+            coin,
+            5000,
+            auction_params,
+            false, // whole order only
+            0,
+            &clock,
+            ctx
+        );
+        
+        assert_eq(escrow::is_partial_fills_allowed(&escrow), false);
+        escrow::withdraw(escrow, &config, secret, 1000, 0, &clock, ctx);
+        assert_eq(vector::length(&event::events_by_type<escrow::Closed>()), 1);
+        
+        // Clean up
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1010)]
+    fun test_fill_below_minimum_fails() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        
+        let coin = coin::mint_for_testing<SUI>(1000, ctx);
+        let clock = clock::create_for_testing(ctx);
+        let auction_params = escrow::create_auction_params(0, 0, 0, 0, 0);
+        let secret = b"test_secret_123";
+        
+        let escrow = escrow::deposit<SUI>(
+            &config,
+            ALICE,
+            BOB,
+            BOB,
+            hash::blake2b256(&secret),
+            escrow::hash_blake2b256(),
+            coin,
+            5000,
+            auction_params,
+            true,
+            300, // min_fill_amount
+            &clock,
+            ctx
+        );
+        
+        escrow::withdraw(escrow, &config, secret, 299, 0, &clock, ctx); // Should fail
+        
+        // Clean up (won't reach here due to expected failure)
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test]
+    fun test_last_fill_may_be_below_minimum() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        
+        let coin = coin::mint_for_testing<SUI>(1000, ctx);
+        let clock = clock::create_for_testing(ctx);
+        let auction_params = escrow::create_auction_params(0, 0, 0, 0, 0);
+        let secret = b"test_secret_123";
+        
+        let escrow = escrow::deposit<SUI>(
+            &config,
+            ALICE,
+            BOB,
+            BOB,
+            hash::blake2b256(&secret),
+            escrow::hash_blake2b256(),
+            coin,
+            5000,
+            auction_params,
+            true,
+            300, // min_fill_amount
+            &clock,
+            ctx
+        );
+        
+        assert_eq(escrow::get_min_fill_amount(&escrow), 300);
+        escrow::withdraw(escrow, &config, secret, 800, 0, &clock, ctx);
+        
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            escrow::withdraw(escrow, &config, secret, 200, 0, &clock, test_scenario::ctx(&mut scenario)); // Remainder below the minimum
+            assert_eq(vector::length(&event::events_by_type<escrow::Closed>()), 1);
+        };
+        
+        // Clean up
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1004)]
+    fun test_min_fill_above_amount_fails() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        
+        let coin = coin::mint_for_testing<SUI>(1000, ctx);
+        let clock = clock::create_for_testing(ctx);
+        let auction_params = escrow::create_auction_params(0, 0, 0, 0, 0);
+        
+        let escrow = escrow::deposit<SUI>(
+            &config,
+            ALICE,
+            BOB,
+            BOB,
+            hash::blake2b256(&b"test_secret"),
+            escrow::hash_blake2b256(),
+            coin,
+            5000,
+            auction_params,
+            true,
+            1001, // min_fill_amount
+            &clock,
+            ctx
+        ); // Should fail
+        
+        // Clean up (won't reach here due to expected failure)
+        transfer::public_transfer(escrow, ALICE);
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    // Secret tree with parts_count = 2 (three leaves):
+    // root = H(N0 || N1), N0 = H(L0 || L1), N1 = H(L2 || L2)
+    fun tree_secret(index: u64): vector<u8> {
+        let mut secret = b"tree_secret_";
+        vector::push_back(&mut secret, 48 + (index as u8));
+        secret
+    }
+
+    fun tree_leaf(index: u64): vector<u8> {
+        let secret = tree_secret(index);
+        escrow::secret_leaf(escrow::hash_keccak256(), index, &hash::keccak256(&secret))
+    }
+
+    fun hash_pair(left: vector<u8>, right: vector<u8>): vector<u8> {
+        let mut data = left;
+        vector::append(&mut data, right);
+        hash::keccak256(&data)
+    }
+
+    fun tree_node(index: u64): vector<u8> {
+        if (index == 0) {
+            hash_pair(tree_leaf(0), tree_leaf(1))
+        } else {
+            hash_pair(tree_leaf(2), tree_leaf(2))
+        }
+    }
+
+    fun tree_proof(index: u64): vector<vector<u8>> {
+        if (index == 0) {
+            vector[tree_leaf(1), tree_node(1)]
+        } else if (index == 1) {
+            vector[tree_leaf(0), tree_node(1)]
+        } else {
+            vector[tree_leaf(2), tree_node(0)]
+        }
+    }
+
+    fun tree_escrow(config: &Config, clock: &clock::Clock, ctx: &mut TxContext): Escrow<SUI> {
+        let coin = coin::mint_for_testing<SUI>(1000, ctx);
+        escrow::deposit_with_secret_tree<SUI>(
+            config,
+            ALICE,
+            BOB,
+            BOB,
+            hash_pair(tree_node(0), tree_node(1)),
+            escrow::hash_keccak256(),
+            coin,
+            5000,
+            escrow::create_auction_params(0, 0, 0, 0, 0),
+            0, // min_fill_amount
+            2, // parts_count
+            clock,
+            ctx
+        )
+    }
+
+    #[test]
+    fun test_secret_tree_fills_by_tranche() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        let clock = clock::create_for_testing(ctx);
+        let escrow = tree_escrow(&config, &clock, ctx);
+        
+        assert_eq(escrow::get_parts_count(&escrow), 2);
+        assert_eq(escrow::get_secret_index(&escrow, 400), 0);
+        assert_eq(escrow::get_secret_index(&escrow, 500), 1);
+        assert_eq(escrow::get_secret_index(&escrow, 1000), 2);
+        
+        // First resolver fills 40% - ends in tranche 0
+        escrow::withdraw_with_proof(escrow, &config, tree_secret(0), 0, tree_proof(0), 400, 0, &clock, ctx);
+        
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            assert_eq(escrow::get_next_secret_index(&escrow), 1);
+            assert_eq(escrow::get_remaining_amount(&escrow), 600);
+            
+            // Second resolver takes the rest with the final secret, skipping tranche 1
+            escrow::withdraw_with_proof(escrow, &config, tree_secret(2), 2, tree_proof(2), 600, 0, &clock, test_scenario::ctx(&mut scenario));
+            assert_eq(vector::length(&event::events_by_type<escrow::Closed>()), 1);
+        };
+        
+        // Clean up
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1012)]
+    fun test_secret_tree_reused_secret_fails() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        let clock = clock::create_for_testing(ctx);
+        let escrow = tree_escrow(&config, &clock, ctx);
+        
+        escrow::withdraw_with_proof(escrow, &config, tree_secret(0), 0, tree_proof(0), 100, 0, &clock, ctx);
+        
+        test_scenario::next_tx(&mut scenario, BOB);
+        let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+        escrow::withdraw_with_proof(escrow, &config, tree_secret(0), 0, tree_proof(0), 100, 0, &clock, test_scenario::ctx(&mut scenario)); // Should fail
+        
+        // Clean up (won't reach here due to expected failure)
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1012)]
+    fun test_secret_tree_wrong_tranche_fails() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        let clock = clock::create_for_testing(ctx);
+        let escrow = tree_escrow(&config, &clock, ctx);
+        
+        // 600 of 1000 ends in tranche 1, not 0
+        escrow::withdraw_with_proof(escrow, &config, tree_secret(0), 0, tree_proof(0), 600, 0, &clock, ctx); // Should fail
+        
+        // Clean up (won't reach here due to expected failure)
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1000)]
+    fun test_secret_tree_bad_proof_fails() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        let clock = clock::create_for_testing(ctx);
+        let escrow = tree_escrow(&config, &clock, ctx);
+        
+        escrow::withdraw_with_proof(escrow, &config, tree_secret(1), 1, tree_proof(0), 600, 0, &clock, ctx); // Should fail
+        
+        // Clean up (won't reach here due to expected failure)
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1011)]
+    fun test_secret_tree_rejects_single_secret_withdraw() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        let clock = clock::create_for_testing(ctx);
+        let escrow = tree_escrow(&config, &clock, ctx);
+        
+        escrow::withdraw(escrow, &config, tree_secret(2), 1000, 0, &clock, ctx); // Should fail
+        
+        // Clean up (won't reach here due to expected failure)
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    // Alice shares an escrow for Bob: 1000 locked, 100 safety deposit posted by Bob,
+    // public withdrawal after 1000, cancellation after 2000, public cancellation after 3000
+    fun staged_escrow(scenario: &mut test_scenario::Scenario, config: &Config, clock: &clock::Clock) {
+        staged_escrow_for(scenario, config, clock, false);
+    }
+
+    fun staged_escrow_for(scenario: &mut test_scenario::Scenario, config: &Config, clock: &clock::Clock, resolvers_only: bool) {
+        let ctx = test_scenario::ctx(scenario);
+        let coin = coin::mint_for_testing<SUI>(1000, ctx);
+        
+        escrow::create_shared_escrow_with_timelocks<SUI>(
+            config,
+            BOB,
+            BOB,
+            hash::blake2b256(&b"test_secret_123"),
+            escrow::hash_blake2b256(),
+            coin,
+            escrow::create_timelocks(1000, 2000, 3000),
+            escrow::create_auction_params(0, 0, 0, 0, 0),
+            true,
+            0, // min_fill_amount
+            0, // parts_count
+            resolvers_only,
+            clock,
+            ctx
+        );
+        
+        test_scenario::next_tx(scenario, BOB);
+        let mut escrow = test_scenario::take_shared<Escrow<SUI>>(scenario);
+        let deposit = coin::mint_for_testing<SUI>(100, test_scenario::ctx(scenario));
+        escrow::add_safety_deposit(&mut escrow, deposit, clock, test_scenario::ctx(scenario));
+        test_scenario::return_shared(escrow);
+    }
+
+    #[test]
+    fun test_exclusive_withdrawal_returns_safety_deposit_pro_rata() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let clock = clock::create_for_testing(test_scenario::ctx(&mut scenario));
+        let config = escrow::new_config_for_testing(test_scenario::ctx(&mut scenario));
+        staged_escrow(&mut scenario, &config, &clock);
+        
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            assert_eq(escrow::get_stage(&escrow, &clock), escrow::stage_exclusive_withdrawal());
+            assert_eq(escrow::get_safety_deposit(&escrow), 100);
+            escrow::withdraw(escrow, &config, b"test_secret_123", 400, 0, &clock, test_scenario::ctx(&mut scenario));
+        };
+        
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            assert_eq(escrow::get_safety_deposit(&escrow), 60);
+            escrow::withdraw(escrow, &config, b"test_secret_123", 600, 0, &clock, test_scenario::ctx(&mut scenario));
+            
+            // The last fill takes the rest of the deposit, leaving the escrow empty
+            assert_eq(vector::length(&event::events_by_type<escrow::Closed>()), 1);
+        };
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1001)]
+    fun test_safety_deposit_from_maker_fails() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let clock = clock::create_for_testing(test_scenario::ctx(&mut scenario));
+        let config = escrow::new_config_for_testing(test_scenario::ctx(&mut scenario));
+        staged_escrow(&mut scenario, &config, &clock);
+        
+        // Only the resolver posts the deposit it can earn back
+        test_scenario::next_tx(&mut scenario, ALICE);
+        {
+            let mut escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            let deposit = coin::mint_for_testing<SUI>(100, test_scenario::ctx(&mut scenario));
+            escrow::add_safety_deposit(&mut escrow, deposit, &clock, test_scenario::ctx(&mut scenario)); // Should fail
+            test_scenario::return_shared(escrow);
+        };
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1002)]
+    fun test_safety_deposit_after_exclusive_withdrawal_fails() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let mut clock = clock::create_for_testing(test_scenario::ctx(&mut scenario));
+        let config = escrow::new_config_for_testing(test_scenario::ctx(&mut scenario));
+        staged_escrow(&mut scenario, &config, &clock);
+        clock::increment_for_testing(&mut clock, 1500);
+        
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            let mut escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            let deposit = coin::mint_for_testing<SUI>(100, test_scenario::ctx(&mut scenario));
+            escrow::add_safety_deposit(&mut escrow, deposit, &clock, test_scenario::ctx(&mut scenario)); // Should fail
+            test_scenario::return_shared(escrow);
+        };
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test]
+    fun test_public_withdrawal_rewards_caller() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let mut clock = clock::create_for_testing(test_scenario::ctx(&mut scenario));
+        let config = escrow::new_config_for_testing(test_scenario::ctx(&mut scenario));
+        staged_escrow(&mut scenario, &config, &clock);
+        clock::increment_for_testing(&mut clock, 1500);
+        
+        // Carol holds the secret and completes the fill for Bob
+        test_scenario::next_tx(&mut scenario, CAROL);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            assert_eq(escrow::get_stage(&escrow, &clock), escrow::stage_public_withdrawal());
+            escrow::withdraw(escrow, &config, b"test_secret_123", 1000, 0, &clock, test_scenario::ctx(&mut scenario));
+            assert_eq(vector::length(&event::events_by_type<escrow::Closed>()), 1);
+        };
+        
+        test_scenario::next_tx(&mut scenario, CAROL);
+        {
+            let filled = test_scenario::take_from_address<coin::Coin<SUI>>(&scenario, BOB);
+            let reward = test_scenario::take_from_address<coin::Coin<SUI>>(&scenario, CAROL);
+            assert_eq(coin::value(&filled), 1000);
+            assert_eq(coin::value(&reward), 100);
+            test_scenario::return_to_address(BOB, filled);
+            test_scenario::return_to_address(CAROL, reward);
+        };
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1001)]
+    fun test_exclusive_withdrawal_rejects_others() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let clock = clock::create_for_testing(test_scenario::ctx(&mut scenario));
+        let config = escrow::new_config_for_testing(test_scenario::ctx(&mut scenario));
+        staged_escrow(&mut scenario, &config, &clock);
+        
+        test_scenario::next_tx(&mut scenario, CAROL);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            escrow::withdraw(escrow, &config, b"test_secret_123", 1000, 0, &clock, test_scenario::ctx(&mut scenario)); // Should fail
+        };
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1002)]
+    fun test_withdrawal_after_cancellation_fails() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let mut clock = clock::create_for_testing(test_scenario::ctx(&mut scenario));
+        let config = escrow::new_config_for_testing(test_scenario::ctx(&mut scenario));
+        staged_escrow(&mut scenario, &config, &clock);
+        clock::increment_for_testing(&mut clock, 2500);
+        
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            escrow::withdraw(escrow, &config, b"test_secret_123", 1000, 0, &clock, test_scenario::ctx(&mut scenario)); // Should fail
+        };
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1003)]
+    fun test_private_cancellation_rejects_others() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let mut clock = clock::create_for_testing(test_scenario::ctx(&mut scenario));
+        let config = escrow::new_config_for_testing(test_scenario::ctx(&mut scenario));
+        staged_escrow(&mut scenario, &config, &clock);
+        clock::increment_for_testing(&mut clock, 2500);
+        
+        test_scenario::next_tx(&mut scenario, CAROL);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            assert_eq(escrow::get_stage(&escrow, &clock), escrow::stage_private_cancellation());
+            escrow::refund(escrow, &clock, test_scenario::ctx(&mut scenario)); // Should fail
+        };
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test]
+    fun test_public_cancellation_returns_funds_to_initiator() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let mut clock = clock::create_for_testing(test_scenario::ctx(&mut scenario));
+        let config = escrow::new_config_for_testing(test_scenario::ctx(&mut scenario));
+        staged_escrow(&mut scenario, &config, &clock);
+        clock::increment_for_testing(&mut clock, 3500);
+        
+        test_scenario::next_tx(&mut scenario, CAROL);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            assert_eq(escrow::get_stage(&escrow, &clock), escrow::stage_public_cancellation());
+            escrow::refund(escrow, &clock, test_scenario::ctx(&mut scenario));
+            assert_eq(vector::length(&event::events_by_type<escrow::Closed>()), 1);
+        };
+        
+        test_scenario::next_tx(&mut scenario, CAROL);
+        {
+            let refunded = test_scenario::take_from_address<coin::Coin<SUI>>(&scenario, ALICE);
+            let reward = test_scenario::take_from_address<coin::Coin<SUI>>(&scenario, CAROL);
+            assert_eq(coin::value(&refunded), 1000);
+            assert_eq(coin::value(&reward), 100);
+            test_scenario::return_to_address(ALICE, refunded);
+            test_scenario::return_to_address(CAROL, reward);
+        };
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1013)]
+    fun test_unordered_timelocks_fail() {
+        escrow::create_timelocks(2000, 1000, 3000); // Should fail
+    }
+
+    #[test]
+    fun test_escrow_of_any_coin_type() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        let clock = clock::create_for_testing(ctx);
+        let secret = b"test_secret_123";
+        
+        let escrow = escrow::deposit<USDC>(
+            &config,
+            ALICE,
+            BOB,
+            BOB,
+            hash::blake2b256(&secret),
+            escrow::hash_blake2b256(),
+            coin::mint_for_testing<USDC>(1000000, ctx),
+            5000,
+            escrow::create_auction_params(0, 0, 0, 0, 0),
+            true,
+            0, // min_fill_amount
+            &clock,
+            ctx
+        );
+        
+        escrow::withdraw(escrow, &config, secret, 250000, 0, &clock, ctx);
+        
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            let escrow = test_scenario::take_shared<Escrow<USDC>>(&scenario);
+            assert_eq(escrow::get_remaining_amount(&escrow), 750000);
+            test_scenario::return_shared(escrow);
+        };
+        
+        // Clean up
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    // Publishes the package as Alice, who receives the AdminCap, and shares a staged escrow for Bob
+    fun publish_with_staged_escrow(scenario: &mut test_scenario::Scenario, clock: &clock::Clock, resolvers_only: bool) {
+        escrow::init_for_testing(test_scenario::ctx(scenario));
+        test_scenario::next_tx(scenario, ALICE);
+        let config = test_scenario::take_shared<Config>(scenario);
+        staged_escrow_for(scenario, &config, clock, resolvers_only);
+        test_scenario::return_shared(config);
+    }
+
+    fun set_paused(scenario: &mut test_scenario::Scenario, paused: bool) {
+        test_scenario::next_tx(scenario, ALICE);
+        let cap = test_scenario::take_from_sender<AdminCap>(scenario);
+        let mut config = test_scenario::take_shared<Config>(scenario);
+        escrow::set_paused(&cap, &mut config, paused);
+        test_scenario::return_shared(config);
+        test_scenario::return_to_sender(scenario, cap);
+    }
+
+    fun set_resolver(scenario: &mut test_scenario::Scenario, resolver: address, allowed: bool) {
+        test_scenario::next_tx(scenario, ALICE);
+        let cap = test_scenario::take_from_sender<AdminCap>(scenario);
+        let mut config = test_scenario::take_shared<Config>(scenario);
+        if (allowed) {
+            escrow::add_resolver(&cap, &mut config, resolver);
+        } else {
+            escrow::remove_resolver(&cap, &mut config, resolver);
+        };
+        test_scenario::return_shared(config);
+        test_scenario::return_to_sender(scenario, cap);
+    }
+
+    // Fills the whole staged escrow as `sender`
+    fun withdraw_as(scenario: &mut test_scenario::Scenario, sender: address, clock: &clock::Clock) {
+        test_scenario::next_tx(scenario, sender);
+        let escrow = test_scenario::take_shared<Escrow<SUI>>(scenario);
+        let config = test_scenario::take_shared<Config>(scenario);
+        escrow::withdraw(escrow, &config, b"test_secret_123", 1000, 0, clock, test_scenario::ctx(scenario));
+        assert_eq(vector::length(&event::events_by_type<escrow::Closed>()), 1);
+        test_scenario::return_shared(config);
+    }
+
+    #[test]
+    fun test_admin_manages_config() {
+        let mut scenario = test_scenario::begin(ALICE);
+        escrow::init_for_testing(test_scenario::ctx(&mut scenario));
+        set_paused(&mut scenario, true);
+        set_resolver(&mut scenario, BOB, true);
+        set_resolver(&mut scenario, CAROL, true);
+        set_resolver(&mut scenario, CAROL, false);
+        
+        test_scenario::next_tx(&mut scenario, ALICE);
+        {
+            let config = test_scenario::take_shared<Config>(&scenario);
+            assert_eq(escrow::is_paused(&config), true);
+            assert_eq(escrow::is_resolver(&config, BOB), true);
+            assert_eq(escrow::is_resolver(&config, CAROL), false);
+            assert_eq(escrow::get_resolvers(&config), vector[BOB]);
+            test_scenario::return_shared(config);
+        };
+        
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1014)]
+    fun test_deposit_while_paused_fails() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let clock = clock::create_for_testing(test_scenario::ctx(&mut scenario));
+        escrow::init_for_testing(test_scenario::ctx(&mut scenario));
+        set_paused(&mut scenario, true);
+        
+        test_scenario::next_tx(&mut scenario, ALICE);
+        let config = test_scenario::take_shared<Config>(&scenario);
+        staged_escrow(&mut scenario, &config, &clock); // Should fail
+        
+        test_scenario::return_shared(config);
+        clock::destroy_for_testing(clock);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1014)]
+    fun test_withdraw_while_paused_fails() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let clock = clock::create_for_testing(test_scenario::ctx(&mut scenario));
+        publish_with_staged_escrow(&mut scenario, &clock, false);
+        set_paused(&mut scenario, true);
+        
+        withdraw_as(&mut scenario, BOB, &clock); // Should fail
+        
+        clock::destroy_for_testing(clock);
+        test_scenario::end(scenario);
+    }
+
+    #[test]
+    fun test_refund_while_paused() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let mut clock = clock::create_for_testing(test_scenario::ctx(&mut scenario));
+        publish_with_staged_escrow(&mut scenario, &clock, false);
+        set_paused(&mut scenario, true);
+        clock::increment_for_testing(&mut clock, 2500);
+        
+        test_scenario::next_tx(&mut scenario, ALICE);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            escrow::refund(escrow, &clock, test_scenario::ctx(&mut scenario));
+            assert_eq(vector::length(&event::events_by_type<escrow::Closed>()), 1);
+        };
+        
+        clock::destroy_for_testing(clock);
+        test_scenario::end(scenario);
+    }
+
+    #[test]
+    fun test_unpause_resumes_withdrawals() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let clock = clock::create_for_testing(test_scenario::ctx(&mut scenario));
+        publish_with_staged_escrow(&mut scenario, &clock, false);
+        set_paused(&mut scenario, true);
+        set_paused(&mut scenario, false);
+        
+        withdraw_as(&mut scenario, BOB, &clock);
+        
+        clock::destroy_for_testing(clock);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1015)]
+    fun test_resolvers_only_rejects_unlisted_resolver() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let clock = clock::create_for_testing(test_scenario::ctx(&mut scenario));
+        publish_with_staged_escrow(&mut scenario, &clock, true);
+        
+        withdraw_as(&mut scenario, BOB, &clock); // Should fail
+        
+        clock::destroy_for_testing(clock);
+        test_scenario::end(scenario);
+    }
+
+    #[test]
+    fun test_resolvers_only_allows_listed_resolver() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let clock = clock::create_for_testing(test_scenario::ctx(&mut scenario));
+        publish_with_staged_escrow(&mut scenario, &clock, true);
+        set_resolver(&mut scenario, BOB, true);
+        
+        withdraw_as(&mut scenario, BOB, &clock);
+        
+        clock::destroy_for_testing(clock);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1015)]
+    fun test_removed_resolver_rejected() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let clock = clock::create_for_testing(test_scenario::ctx(&mut scenario));
+        publish_with_staged_escrow(&mut scenario, &clock, true);
+        set_resolver(&mut scenario, BOB, true);
+        set_resolver(&mut scenario, BOB, false);
+        
+        withdraw_as(&mut scenario, BOB, &clock); // Should fail
+        
+        clock::destroy_for_testing(clock);
+        test_scenario::end(scenario);
+    }
+
+    #[test]
+    fun test_final_withdraw_closes_escrow() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let clock = clock::create_for_testing(test_scenario::ctx(&mut scenario));
+        let config = escrow::new_config_for_testing(test_scenario::ctx(&mut scenario));
+        staged_escrow(&mut scenario, &config, &clock);
+        
+        // A partial fill keeps the escrow shared
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            escrow::withdraw(escrow, &config, b"test_secret_123", 400, 0, &clock, test_scenario::ctx(&mut scenario));
+            assert_eq(vector::length(&event::events_by_type<escrow::Closed>()), 0);
+        };
+        
+        // The fill that drains it deletes it
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            assert_eq(escrow::is_empty(&escrow), false);
+            escrow::withdraw(escrow, &config, b"test_secret_123", 600, 0, &clock, test_scenario::ctx(&mut scenario));
+            assert_eq(vector::length(&event::events_by_type<escrow::Closed>()), 1);
+        };
+        
+        test_scenario::next_tx(&mut scenario, BOB);
+        assert_eq(test_scenario::has_most_recent_shared<Escrow<SUI>>(), false);
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test]
+    fun test_refund_closes_escrow() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let mut clock = clock::create_for_testing(test_scenario::ctx(&mut scenario));
+        let config = escrow::new_config_for_testing(test_scenario::ctx(&mut scenario));
+        staged_escrow(&mut scenario, &config, &clock);
+        clock::increment_for_testing(&mut clock, 2500);
+        
+        test_scenario::next_tx(&mut scenario, ALICE);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            escrow::refund(escrow, &clock, test_scenario::ctx(&mut scenario));
+            assert_eq(vector::length(&event::events_by_type<escrow::Closed>()), 1);
+        };
+        
+        test_scenario::next_tx(&mut scenario, ALICE);
+        assert_eq(test_scenario::has_most_recent_shared<Escrow<SUI>>(), false);
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test]
+    fun test_final_withdraw_closes_owned_escrow() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        let clock = clock::create_for_testing(ctx);
+        let secret = b"test_secret_123";
+        
+        let escrow = escrow::deposit<SUI>(
+            &config,
+            ALICE,
+            BOB,
+            BOB,
+            hash::blake2b256(&secret),
+            escrow::hash_blake2b256(),
+            coin::mint_for_testing<SUI>(1000, ctx),
+            5000,
+            escrow::create_auction_params(0, 0, 0, 0, 0),
+            false,
+            0, // min_fill_amount
+            &clock,
+            ctx
+        );
+        assert_eq(escrow::is_empty(&escrow), false);
+        
+        escrow::withdraw(escrow, &config, secret, 1000, 0, &clock, ctx);
+        assert_eq(vector::length(&event::events_by_type<escrow::Closed>()), 1);
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1016)]
+    fun test_destroy_with_funds_left_fails() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let clock = clock::create_for_testing(test_scenario::ctx(&mut scenario));
+        let config = escrow::new_config_for_testing(test_scenario::ctx(&mut scenario));
+        staged_escrow(&mut scenario, &config, &clock);
+        
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            escrow::withdraw(escrow, &config, b"test_secret_123", 400, 0, &clock, test_scenario::ctx(&mut scenario));
+        };
+        
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            escrow::destroy_empty(escrow); // Should fail
+        };
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    // Alice locks 1000 for Bob with a resolver fee of `fee` for `fee_recipient`
+    fun fee_escrow(config: &Config, clock: &clock::Clock, fee_recipient: address, fee: u64, ctx: &mut TxContext): Escrow<SUI> {
+        escrow::deposit<SUI>(
+            config,
+            ALICE,
+            BOB,
+            fee_recipient,
+            hash::blake2b256(&b"test_secret_123"),
+            escrow::hash_blake2b256(),
+            coin::mint_for_testing<SUI>(1000, ctx),
+            5000,
+            escrow::create_auction_params(0, 0, 0, 0, fee),
+            true,
+            0, // min_fill_amount
+            clock,
+            ctx
+        )
+    }
+
+    #[test]
+    fun test_fill_pays_resolver_fee() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        let clock = clock::create_for_testing(ctx);
+        let escrow = fee_escrow(&config, &clock, CAROL, 10, ctx);
+        assert_eq(escrow::get_fee_recipient(&escrow), CAROL);
+        
+        escrow::withdraw(escrow, &config, b"test_secret_123", 1000, 0, &clock, ctx);
+        
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            let filled = test_scenario::take_from_address<coin::Coin<SUI>>(&scenario, BOB);
+            let fee = test_scenario::take_from_address<coin::Coin<SUI>>(&scenario, CAROL);
+            assert_eq(coin::value(&filled), 990);
+            assert_eq(coin::value(&fee), 10);
+            test_scenario::return_to_address(BOB, filled);
+            test_scenario::return_to_address(CAROL, fee);
+        };
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test]
+    fun test_partial_fills_add_up_to_resolver_fee() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        let clock = clock::create_for_testing(ctx);
+        let escrow = fee_escrow(&config, &clock, CAROL, 10, ctx);
+        
+        // 3.33 + 3.33 + 3.34 rounds to 3 + 3 + 4
+        assert_eq(escrow::get_fill_fee(&escrow, 333), 3);
+        escrow::withdraw(escrow, &config, b"test_secret_123", 333, 0, &clock, ctx);
+        
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            assert_eq(escrow::get_fill_fee(&escrow, 333), 3);
+            escrow::withdraw(escrow, &config, b"test_secret_123", 333, 0, &clock, test_scenario::ctx(&mut scenario));
+        };
+        
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            assert_eq(escrow::get_fill_fee(&escrow, 334), 4);
+            escrow::withdraw(escrow, &config, b"test_secret_123", 334, 0, &clock, test_scenario::ctx(&mut scenario));
+            assert_eq(vector::length(&event::events_by_type<escrow::Closed>()), 1);
+        };
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test]
+    fun test_redeemer_as_fee_recipient_gets_one_coin() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        let clock = clock::create_for_testing(ctx);
+        let escrow = fee_escrow(&config, &clock, BOB, 10, ctx);
+        
+        escrow::withdraw(escrow, &config, b"test_secret_123", 1000, 0, &clock, ctx);
+        
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            let filled = test_scenario::take_from_address<coin::Coin<SUI>>(&scenario, BOB);
+            assert_eq(coin::value(&filled), 1000);
+            test_scenario::return_to_address(BOB, filled);
+        };
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1004)]
+    fun test_resolver_fee_above_amount_fails() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        let clock = clock::create_for_testing(ctx);
+        let escrow = fee_escrow(&config, &clock, CAROL, 1001, ctx); // Should fail
+        
+        transfer::public_transfer(escrow, ALICE);
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test]
+    fun test_escrow_lifecycle_emits_events() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        let clock = clock::create_for_testing(ctx);
+        let escrow = fee_escrow(&config, &clock, CAROL, 10, ctx);
+        
+        escrow::withdraw(escrow, &config, b"test_secret_123", 400, 0, &clock, ctx);
+        assert_eq(vector::length(&event::events_by_type<escrow::Initiated>()), 1);
+        assert_eq(vector::length(&event::events_by_type<escrow::PartialFill>()), 1);
+        assert_eq(vector::length(&event::events_by_type<escrow::Closed>()), 0);
+        
+        // The final fill redeems and deletes the escrow in the same call
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            escrow::withdraw(escrow, &config, b"test_secret_123", 600, 0, &clock, test_scenario::ctx(&mut scenario));
+            assert_eq(vector::length(&event::events_by_type<escrow::Redeemed>()), 1);
+            assert_eq(vector::length(&event::events_by_type<escrow::Closed>()), 1);
+        };
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    // Alice locks 1000 for Bob until 5000 - single secret, any fill size, no resolver fee
+    fun owned_escrow(config: &Config, clock: &clock::Clock, ctx: &mut TxContext): Escrow<SUI> {
+        fee_escrow(config, clock, BOB, 0, ctx)
+    }
+
+    #[test]
+    fun test_multi_step_partial_fills() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        let clock = clock::create_for_testing(ctx);
+        let escrow = owned_escrow(&config, &clock, ctx);
+        
+        escrow::withdraw(escrow, &config, b"test_secret_123", 250, 0, &clock, ctx);
+        
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            assert_eq(escrow::get_remaining_amount(&escrow), 750);
+            escrow::withdraw(escrow, &config, b"test_secret_123", 250, 0, &clock, test_scenario::ctx(&mut scenario));
+        };
+        
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            assert_eq(escrow::get_remaining_amount(&escrow), 500);
+            escrow::withdraw(escrow, &config, b"test_secret_123", 300, 0, &clock, test_scenario::ctx(&mut scenario));
+        };
+        
+        // The last fill takes exactly what is left and deletes the escrow
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            assert_eq(escrow::get_remaining_amount(&escrow), 200);
+            assert_eq(escrow::is_fully_filled(&escrow), false);
+            escrow::withdraw(escrow, &config, b"test_secret_123", 200, 0, &clock, test_scenario::ctx(&mut scenario));
+            assert_eq(vector::length(&event::events_by_type<escrow::Closed>()), 1);
+        };
+        
+        // One coin per fill for Bob - the latest is the last fill
+        test_scenario::next_tx(&mut scenario, BOB);
+        {
+            assert_eq(vector::length(&test_scenario::ids_for_address<coin::Coin<SUI>>(BOB)), 4);
+            let last = test_scenario::take_from_address<coin::Coin<SUI>>(&scenario, BOB);
+            assert_eq(coin::value(&last), 200);
+            test_scenario::return_to_address(BOB, last);
+        };
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1004)]
+    fun test_over_claim_fails() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        let clock = clock::create_for_testing(ctx);
+        let escrow = owned_escrow(&config, &clock, ctx);
+        
+        escrow::withdraw(escrow, &config, b"test_secret_123", 1001, 0, &clock, ctx); // Should fail
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1004)]
+    fun test_over_claim_after_partial_fills_fails() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        let clock = clock::create_for_testing(ctx);
+        let escrow = owned_escrow(&config, &clock, ctx);
+        
+        escrow::withdraw(escrow, &config, b"test_secret_123", 600, 0, &clock, ctx);
+        
+        // Within the order amount, but only 400 is left
+        test_scenario::next_tx(&mut scenario, BOB);
+        let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+        escrow::withdraw(escrow, &config, b"test_secret_123", 500, 0, &clock, test_scenario::ctx(&mut scenario)); // Should fail
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1005)]
+    fun test_zero_amount_withdraw_fails() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        let clock = clock::create_for_testing(ctx);
+        let escrow = owned_escrow(&config, &clock, ctx);
+        
+        escrow::withdraw(escrow, &config, b"test_secret_123", 0, 0, &clock, ctx); // Should fail
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1001)]
+    fun test_withdraw_by_other_fails() {
+        let mut scenario = test_scenario::begin(CAROL);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        let clock = clock::create_for_testing(ctx);
+        let escrow = owned_escrow(&config, &clock, ctx);
+        
+        // Carol knows the secret, but a single-timelock escrow is Bob's until it expires
+        escrow::withdraw(escrow, &config, b"test_secret_123", 1000, 0, &clock, ctx); // Should fail
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test]
+    fun test_withdraw_at_timelock() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        let mut clock = clock::create_for_testing(ctx);
+        let escrow = owned_escrow(&config, &clock, ctx);
+        
+        // The timelock itself is still a withdrawal time
+        clock::increment_for_testing(&mut clock, 5000);
+        escrow::withdraw(escrow, &config, b"test_secret_123", 1000, 0, &clock, ctx);
+        assert_eq(vector::length(&event::events_by_type<escrow::Closed>()), 1);
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1002)]
+    fun test_refund_at_timelock_fails() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        let mut clock = clock::create_for_testing(ctx);
+        let escrow = owned_escrow(&config, &clock, ctx);
+        
+        clock::increment_for_testing(&mut clock, 5000);
+        escrow::refund(escrow, &clock, ctx); // Should fail
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1003)]
+    fun test_refund_by_other_fails() {
+        let mut scenario = test_scenario::begin(CAROL);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        let mut clock = clock::create_for_testing(ctx);
+        let escrow = owned_escrow(&config, &clock, ctx);
+        
+        // Single-timelock escrows never reach public cancellation
+        clock::increment_for_testing(&mut clock, 100000);
+        escrow::refund(escrow, &clock, ctx); // Should fail
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test]
+    fun test_refund_after_partial_fill_returns_remainder() {
+        let mut scenario = test_scenario::begin(BOB);
+        let mut clock = clock::create_for_testing(test_scenario::ctx(&mut scenario));
+        let config = escrow::new_config_for_testing(test_scenario::ctx(&mut scenario));
+        let escrow = owned_escrow(&config, &clock, test_scenario::ctx(&mut scenario));
+        escrow::withdraw(escrow, &config, b"test_secret_123", 400, 0, &clock, test_scenario::ctx(&mut scenario));
+        
+        test_scenario::next_tx(&mut scenario, ALICE);
+        {
+            let escrow = test_scenario::take_shared<Escrow<SUI>>(&scenario);
+            clock::increment_for_testing(&mut clock, 5001);
+            escrow::refund(escrow, &clock, test_scenario::ctx(&mut scenario));
+            assert_eq(vector::length(&event::events_by_type<escrow::Closed>()), 1);
+        };
+        
+        test_scenario::next_tx(&mut scenario, ALICE);
+        {
+            let filled = test_scenario::take_from_address<coin::Coin<SUI>>(&scenario, BOB);
+            let refunded = test_scenario::take_from_address<coin::Coin<SUI>>(&scenario, ALICE);
+            assert_eq(coin::value(&filled), 400);
+            assert_eq(coin::value(&refunded), 600);
+            test_scenario::return_to_address(BOB, filled);
+            test_scenario::return_to_address(ALICE, refunded);
+        };
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test]
+    fun test_full_fill_leaves_nothing_to_refund() {
+        let mut scenario = test_scenario::begin(BOB);
+        let mut clock = clock::create_for_testing(test_scenario::ctx(&mut scenario));
+        let config = escrow::new_config_for_testing(test_scenario::ctx(&mut scenario));
+        let escrow = owned_escrow(&config, &clock, test_scenario::ctx(&mut scenario));
+        escrow::withdraw(escrow, &config, b"test_secret_123", 1000, 0, &clock, test_scenario::ctx(&mut scenario));
+        
+        // Past the timelock there is no escrow left for Alice to refund
+        test_scenario::next_tx(&mut scenario, ALICE);
+        clock::increment_for_testing(&mut clock, 5001);
+        assert_eq(test_scenario::has_most_recent_shared<Escrow<SUI>>(), false);
+        assert_eq(test_scenario::has_most_recent_for_address<coin::Coin<SUI>>(ALICE), false);
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1006)]
+    fun test_hash_secret_unknown_algorithm_fails() {
+        escrow::hash_secret(9, &b"test_secret_123");
+    }
+
+    #[test, expected_failure(abort_code = 1011)]
+    fun test_proof_on_single_secret_escrow_fails() {
+        let mut scenario = test_scenario::begin(BOB);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        let clock = clock::create_for_testing(ctx);
+        let escrow = owned_escrow(&config, &clock, ctx);
+        
+        escrow::withdraw_with_proof(escrow, &config, b"test_secret_123", 0, vector[], 1000, 0, &clock, ctx); // Should fail
+        
+        clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
+        test_scenario::end(scenario);
+    }
+
+    #[test, expected_failure(abort_code = 1011)]
+    fun test_secret_tree_without_parts_fails() {
+        let mut scenario = test_scenario::begin(ALICE);
+        let ctx = test_scenario::ctx(&mut scenario);
+        let config = escrow::new_config_for_testing(ctx);
+        let clock = clock::create_for_testing(ctx);
+        
+        let escrow = escrow::deposit_with_secret_tree<SUI>(
+            &config,
+            ALICE,
+            BOB,
+            BOB,
+            hash_pair(tree_node(0), tree_node(1)),
+            escrow::hash_keccak256(),
+            coin::mint_for_testing<SUI>(1000, ctx),
+            5000,
+            escrow::create_auction_params(0, 0, 0, 0, 0),
+            0, // min_fill_amount
+            0, // parts_count - Should fail
+            &clock,
+            ctx
+        );
+        
         transfer::public_transfer(escrow, ALICE);
         clock::destroy_for_testing(clock);
+        escrow::destroy_config_for_testing(config);
         test_scenario::end(scenario);
     }
 }
@@ -0,0 +1,187 @@
+// SPDX-License-Identifier: ISC
+pragma solidity ^0.8.20;
+
+interface IERC20 {
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
+/// @title HTLCEscrow
+/// @notice EVM leg of the Sui Fusion+ swap. Mirrors htlc_escrow::escrow on Sui:
+///         deposit, withdraw with secret (partial fills) and refund after the timelock,
+///         for native ETH (token == address(0)) and ERC-20 tokens.
+contract HTLCEscrow {
+    // Hashlock schemes - same codes as the Move escrow and scripts/hashlock.js
+    // (blake2b256 has no EVM precompile, so it is not accepted here)
+    uint8 public constant HASH_SHA256 = 0;
+    uint8 public constant HASH_KECCAK256 = 1;
+
+    struct Escrow {
+        address initiator;
+        address redeemer;
+        address token;
+        bytes32 secretHash;
+        uint8 hashAlgorithm;
+        bool partialFillsAllowed;
+        uint64 timelock; // Unix timestamp (seconds) after which refund is allowed
+        uint256 amount;
+        uint256 balance;
+        uint256 totalFilled;
+    }
+
+    mapping(bytes32 => Escrow) public escrows;
+
+    // Errors follow the Move abort codes (1000-1006)
+    error HashMismatch();            // 1000
+    error NotRedeemer();             // 1001
+    error TimelockNotReached();      // 1002
+    error TimelockExpired();         // 1002 (withdraw after the timelock)
+    error NotInitiator();            // 1003
+    error AmountTooLarge();          // 1004
+    error ZeroAmount();              // 1005
+    error UnsupportedHashAlgorithm();// 1006
+    error EscrowExists();
+    error EscrowNotFound();
+    error PartialFillNotAllowed();
+    error InvalidValue();
+    error InvalidRedeemer();
+    error InvalidTimelock();
+    error TransferFailed();
+
+    // Events for Fusion+ tracking
+    event Initiated(
+        bytes32 indexed escrowId,
+        bytes32 secretHash,
+        uint8 hashAlgorithm,
+        address indexed token,
+        uint256 amount,
+        address indexed initiator,
+        address redeemer,
+        uint64 timelock
+    );
+    event Redeemed(bytes32 indexed escrowId, bytes secret, uint256 amount, address indexed redeemer);
+    event PartialFill(bytes32 indexed escrowId, uint256 filledAmount, uint256 remainingAmount, address indexed redeemer);
+    event Refunded(bytes32 indexed escrowId, uint256 amount, address indexed initiator);
+
+    // Deposit (lock funds). Send `amount` as msg.value for ETH, or approve the token first.
+    // The escrow ID is derived from the sender and `salt` (see escrowIdFor), so a copy of
+    // the transaction sent from another account cannot take the ID and make it revert.
+    function deposit(
+        bytes32 salt,
+        address redeemer,
+        bytes32 secretHash,
+        uint8 hashAlgorithm,
+        address token,
+        uint256 amount,
+        uint64 timelock,
+        bool partialFillsAllowed
+    ) external payable returns (bytes32 escrowId) {
+        escrowId = escrowIdFor(msg.sender, salt);
+        if (escrows[escrowId].initiator != address(0)) revert EscrowExists();
+        if (hashAlgorithm != HASH_SHA256 && hashAlgorithm != HASH_KECCAK256) revert UnsupportedHashAlgorithm();
+        if (amount == 0) revert ZeroAmount();
+        if (redeemer == address(0)) revert InvalidRedeemer();
+        if (timelock <= block.timestamp) revert InvalidTimelock();
+
+        if (token == address(0)) {
+            if (msg.value != amount) revert InvalidValue();
+        } else {
+            if (msg.value != 0) revert InvalidValue();
+            _callToken(token, abi.encodeCall(IERC20.transferFrom, (msg.sender, address(this), amount)));
+        }
+
+        escrows[escrowId] = Escrow({
+            initiator: msg.sender,
+            redeemer: redeemer,
+            token: token,
+            secretHash: secretHash,
+            hashAlgorithm: hashAlgorithm,
+            partialFillsAllowed: partialFillsAllowed,
+            timelock: timelock,
+            amount: amount,
+            balance: amount,
+            totalFilled: 0
+        });
+
+        emit Initiated(escrowId, secretHash, hashAlgorithm, token, amount, msg.sender, redeemer, timelock);
+    }
+
+    // Withdraw (claim with secret) - supports partial fills, until the timelock
+    // (refund only opens after it, so the two never race)
+    function withdraw(bytes32 escrowId, bytes calldata secret, uint256 amount) external {
+        Escrow storage escrow = escrows[escrowId];
+        if (escrow.initiator == address(0)) revert EscrowNotFound();
+        if (block.timestamp > escrow.timelock) revert TimelockExpired();
+        if (hashSecret(escrow.hashAlgorithm, secret) != escrow.secretHash) revert HashMismatch();
+        if (msg.sender != escrow.redeemer) revert NotRedeemer();
+        if (amount > escrow.balance) revert AmountTooLarge();
+        if (amount == 0) revert ZeroAmount();
+        if (!escrow.partialFillsAllowed && amount != escrow.balance) revert PartialFillNotAllowed();
+
+        escrow.balance -= amount;
+        escrow.totalFilled += amount;
+
+        if (escrow.totalFilled == escrow.amount) {
+            emit Redeemed(escrowId, secret, amount, msg.sender);
+        } else {
+            emit PartialFill(escrowId, amount, escrow.amount - escrow.totalFilled, msg.sender);
+        }
+
+        _send(escrow.token, msg.sender, amount);
+    }
+
+    // Refund (after timelock) - returns whatever is left
+    function refund(bytes32 escrowId) external {
+        Escrow storage escrow = escrows[escrowId];
+        if (escrow.initiator == address(0)) revert EscrowNotFound();
+        if (block.timestamp <= escrow.timelock) revert TimelockNotReached();
+        if (msg.sender != escrow.initiator) revert NotInitiator();
+
+        uint256 remaining = escrow.balance;
+        if (remaining > 0) {
+            escrow.balance = 0;
+            emit Refunded(escrowId, remaining, msg.sender);
+            _send(escrow.token, msg.sender, remaining);
+        }
+    }
+
+    function escrowIdFor(address initiator, bytes32 salt) public pure returns (bytes32) {
+        return keccak256(abi.encode(initiator, salt));
+    }
+
+    function hashSecret(uint8 hashAlgorithm, bytes calldata secret) public pure returns (bytes32) {
+        if (hashAlgorithm == HASH_SHA256) return sha256(secret);
+        if (hashAlgorithm == HASH_KECCAK256) return keccak256(secret);
+        revert UnsupportedHashAlgorithm();
+    }
+
+    function getRemainingAmount(bytes32 escrowId) external view returns (uint256) {
+        return escrows[escrowId].balance;
+    }
+
+    function isFullyFilled(bytes32 escrowId) external view returns (bool) {
+        Escrow storage escrow = escrows[escrowId];
+        return escrow.amount > 0 && escrow.totalFilled == escrow.amount;
+    }
+
+    function _send(address token, address to, uint256 amount) private {
+        if (token == address(0)) {
+            (bool ok, ) = payable(to).call{value: amount}("");
+            if (!ok) revert TransferFailed();
+        } else {
+            _callToken(token, abi.encodeCall(IERC20.transfer, (to, amount)));
+        }
+    }
+
+    // SafeERC20-style call: tokens like USDT return nothing from transfer/transferFrom,
+    // so empty return data counts as success (as long as the token is a contract)
+    function _callToken(address token, bytes memory data) private {
+        (bool ok, bytes memory returned) = token.call(data);
+        if (!ok) revert TransferFailed();
+        if (returned.length == 0) {
+            if (token.code.length == 0) revert TransferFailed();
+        } else if (!abi.decode(returned, (bool))) {
+            revert TransferFailed();
+        }
+    }
+}
@@ -0,0 +1,157 @@
+const debug = require('debug')('sui-fusion:admin');
+const { Transaction } = require('@mysten/sui/transactions');
+const { isValidSuiAddress, normalizeSuiAddress } = require('@mysten/sui/utils');
+const { SwapError, toTransactionError } = require('./errors');
+const { SuiHTLCClient } = require('./real_swap');
+
+/**
+ * Admin commands for the escrow package
+ *
+ * Publishing the package gives the publisher an AdminCap and shares a Config.
+ * The cap pauses deposits and withdrawals (refunds are never paused) and
+ * manages the resolver allowlist that gates withdraw on escrows created with
+ * resolvers_only. Transactions are signed with SUI_PRIVATE_KEY, which must own
+ * the AdminCap recorded in the deployment manifest (see deployments.js).
+ *
+ *   node admin.js status
+ *   node admin.js pause | unpause
+ *   node admin.js add-resolver <address>
+ *   node admin.js remove-resolver <address>
+ */
+
+const USAGE = `Usage: node admin.js <command>
+  status                     Show the pause flag and allowlisted resolvers
+  pause                      Halt deposits and withdrawals
+  unpause                    Resume deposits and withdrawals
+  add-resolver <address>     Allow a resolver on resolvers_only escrows
+  remove-resolver <address>  Remove a resolver from the allowlist`;
+
+class EscrowAdmin {
+    // sui: a SuiHTLCClient (its client, keypair, packageId and getConfigId are used)
+    constructor(sui, options = {}) {
+        if (!sui) {
+            throw new Error('EscrowAdmin requires a Sui HTLC client');
+        }
+
+        this.sui = sui;
+        this.adminCapId = options.adminCapId || (sui.deployment && sui.deployment.adminCapId) || null;
+    }
+
+    // AdminCap from the manifest, otherwise looked up among the signer's objects
+    async getAdminCapId() {
+        if (this.adminCapId) {
+            return this.adminCapId;
+        }
+        const owner = await this.sui.getAddress();
+        const { data } = await this.sui.client.getOwnedObjects({
+            owner,
+            filter: { StructType: `${this.sui.originalPackageId}::escrow::AdminCap` }
+        });
+        if (data.length === 0) {
+            throw new SwapError('NOT_CONFIGURED', `${owner} does not own the AdminCap of package ${this.sui.packageId}`);
+        }
+        this.adminCapId = data[0].data.objectId;
+        debug(`AdminCap: ${this.adminCapId}`);
+        return this.adminCapId;
+    }
+
+    // { packageId, configId, paused, resolvers } read from the shared Config
+    async getStatus() {
+        const configId = await this.sui.getConfigId();
+        const object = await this.sui.client.getObject({ id: configId, options: { showContent: true } });
+        if (!object.data || object.data.content?.dataType !== 'moveObject') {
+            throw new SwapError('NOT_CONFIGURED', `Escrow Config not found: ${configId}`);
+        }
+        const fields = object.data.content.fields;
+        return {
+            packageId: this.sui.packageId,
+            configId,
+            paused: fields.paused,
+            resolvers: fields.resolvers.fields.contents
+        };
+    }
+
+    async setPaused(paused) {
+        return this.execute('set_paused', tx => [tx.pure.bool(paused)]);
+    }
+
+    async addResolver(resolver) {
+        const address = parseAddress(resolver);
+        return this.execute('add_resolver', tx => [tx.pure.address(address)]);
+    }
+
+    async removeResolver(resolver) {
+        const address = parseAddress(resolver);
+        return this.execute('remove_resolver', tx => [tx.pure.address(address)]);
+    }
+
+    // Calls escrow::<functionName>(admin_cap, config, ...args)
+    async execute(functionName, buildArgs) {
+        const [adminCapId, configId] = await Promise.all([this.getAdminCapId(), this.sui.getConfigId()]);
+        const tx = new Transaction();
+        tx.moveCall({
+            target: `${this.sui.packageId}::escrow::${functionName}`,
+            arguments: [
+                tx.object(adminCapId), // admin_cap
+                tx.object(configId), // config
+                ...buildArgs(tx)
+            ]
+        });
+
+        const result = await this.sui.client.signAndExecuteTransaction({
+            signer: this.sui.keypair,
+            transaction: tx,
+            options: { showEffects: true }
+        });
+        if (result.effects?.status?.status === 'failure') {
+            throw toTransactionError(result.effects.status.error);
+        }
+
+        console.log(`✅ ${functionName}: ${result.digest}`);
+        return {
+            txHash: result.digest,
+            explorerUrl: `https://suiscan.xyz/testnet/tx/${result.digest}`
+        };
+    }
+}
+
+function parseAddress(address) {
+    if (!address || !isValidSuiAddress(normalizeSuiAddress(address))) {
+        throw new SwapError('INVALID_REQUEST', `Invalid Sui address: ${address}`);
+    }
+    return normalizeSuiAddress(address);
+}
+
+async function runAdminCommand(args = process.argv.slice(2)) {
+    const [command, address] = args;
+    const commands = ['status', 'pause', 'unpause', 'add-resolver', 'remove-resolver'];
+    if (!commands.includes(command)) {
+        console.log(USAGE);
+        return null;
+    }
+
+    const admin = new EscrowAdmin(new SuiHTLCClient());
+
+    if (command === 'status') {
+        const status = await admin.getStatus();
+        console.log(`📦 Package: ${status.packageId}`);
+        console.log(`⚙️  Config: ${status.configId}`);
+        console.log(`${status.paused ? '⏸️  Paused' : '▶️  Active'}`);
+        console.log(`👥 Resolvers (${status.resolvers.length}):`);
+        status.resolvers.forEach(resolver => console.log(`   ${resolver}`));
+        return status;
+    }
+    if (command === 'pause' || command === 'unpause') {
+        return admin.setPaused(command === 'pause');
+    }
+    return command === 'add-resolver' ? admin.addResolver(address) : admin.removeResolver(address);
+}
+
+if (require.main === module) {
+    runAdminCommand().catch(error => {
+        console.error('❌ Admin command failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { EscrowAdmin, runAdminCommand };
@@ -1,6 +1,17 @@
 const express = require('express');
 const cors = require('cors');
 const { SuiHTLCClient, OneinchFusionClient, EthereumClient } = require('./real_swap');
+const { HASH_ALGORITHMS, parseHashlock, verifySecret, toBuffer } = require('./hashlock');
+const { createStore } = require('./store');
+const { SwapStateMachine, SWAP_STATES, canTransition } = require('./swap_state');
+const { RefundKeeper } = require('./refund_keeper');
+const { createSuiEventIndexer } = require('./event_indexer');
+const { createAuctionParams, serializeAuctionParams, getAuctionPrice, getResolverFee, DEFAULT_RESOLVER_FEE_BPS } = require('./auction');
+const { STAGES, createTimelocks, getStage, getNextStageTime } = require('./timelocks');
+const { getSuiToken, getSuiTokenByCoinType, isSuiToken } = require('./sui_coins');
+const { SwapError, toErrorResponse } = require('./errors');
+const { getNetwork, loadDeployment } = require('./deployments');
+const { ethers } = require('ethers');
 const debug = require('debug')('sui-fusion:api');
 const dotenv = require('dotenv');
 const path = require('path');
@@ -20,13 +31,80 @@ if (!process.env.NETWORK_NAME) {
 const app = express();
 const PORT = process.env.API_PORT || 3001;
 
+// Base units of the tokens offered in the UI (auction amounts are in destination base units)
+const TOKEN_DECIMALS = {
+    SUI: 9,
+    ETH: 18,
+    USDC: 6,
+    USDT: 6,
+    'USDC.sui': 6
+};
+
+// Smallest partial fill, in basis points of the escrow amount (0 = any size)
+const MIN_FILL_BPS = parseInt(process.env.MIN_FILL_BPS) || 0;
+
+// Safety deposit (mist) the resolver posts on each Sui escrow when it takes the order - it comes back
+// with the resolver's own withdrawals and pays whoever executes a public withdrawal or cancellation
+const SAFETY_DEPOSIT_MIST = process.env.SAFETY_DEPOSIT_MIST !== undefined
+    ? parseInt(process.env.SAFETY_DEPOSIT_MIST)
+    : 1000000;
+
+// Resolver fee (basis points of the escrow amount) paid out of each fill to the fee recipient -
+// the redeemer unless RESOLVER_FEE_RECIPIENT is set
+const RESOLVER_FEE_BPS = process.env.RESOLVER_FEE_BPS !== undefined
+    ? parseInt(process.env.RESOLVER_FEE_BPS)
+    : DEFAULT_RESOLVER_FEE_BPS;
+const RESOLVER_FEE_RECIPIENT = process.env.RESOLVER_FEE_RECIPIENT || null;
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
+// Error response with a stable code and HTTP status (see errors.js)
+function sendError(res, error) {
+    const { status, body } = toErrorResponse(error);
+    return res.status(status).json(body);
+}
+
 // Global clients (initialize once)
 let suiClient, fusionClient, ethClient;
 
+// Orders, escrows, secrets and tx hashes - persisted so a restart does not strand locked escrows
+const store = createStore();
+const swaps = new SwapStateMachine(store);
+
+// Cancels every Sui escrow created here once its cancellation stage opens, completes revealed
+// swaps in public withdrawal and cancels indexed escrows of other users in public cancellation
+const refundKeeper = new RefundKeeper({
+    store,
+    swaps,
+    refund: (escrow) => suiClient.cancelEscrow(escrow.escrowId),
+    publicWithdraw: (escrow, order) => publicWithdrawSwap(order),
+    publicCancel: (escrow) => suiClient.cancelEscrow(escrow.escrowId),
+    getTimelocks: async (escrow) => (await suiClient.getEscrowStage(escrow.escrowId)).timelocks,
+    intervalMs: parseInt(process.env.REFUND_KEEPER_INTERVAL_MS) || undefined
+});
+
+// Indexes on-chain escrow events once the Sui client is up (see startServer)
+let eventIndexer;
+
+// Advance the owning swap when the chain reports a final claim or a refund
+async function applyEscrowEvent(escrow, event) {
+    if (!escrow.orderId) {
+        return;
+    }
+    const order = await store.getOrder(escrow.orderId);
+    if (!order) {
+        return;
+    }
+
+    if (event.type === 'Redeemed' && order.status === SWAP_STATES.SECRET_REVEALED) {
+        await swaps.transition(order.orderId, SWAP_STATES.CLAIMED, { claimTxHash: event.txDigest });
+    } else if (event.type === 'Refunded' && canTransition(order.status, SWAP_STATES.REFUNDED)) {
+        await swaps.transition(order.orderId, SWAP_STATES.REFUNDED, { refundTxHash: event.txDigest });
+    }
+}
+
 // Initialize clients
 async function initializeClients() {
     try {
@@ -34,7 +112,7 @@ async function initializeClients() {
         
         // Initialize Fusion client with better error handling
         try {
-            fusionClient = new OneinchFusionClient();
+            fusionClient = new OneinchFusionClient({ store });
         } catch (error) {
             if (error.message.includes('ONEINCH_API_KEY')) {
                 console.warn('⚠️  1inch API key not configured - running in demo mode');
@@ -42,13 +120,11 @@ async function initializeClients() {
                 console.warn('   1. Get API key from https://portal.1inch.dev/');
                 console.warn('   2. Add ONEINCH_API_KEY=your_key to .env file');
                 
-                // Create demo client for development with order storage
-                const demoOrders = new Map();
+                // Create demo client for development backed by the same store
                 fusionClient = {
-                    createFusionOrder: (fromToken, toToken, amount, userAddress) => {
+                    createFusionOrder: async (fromToken, toToken, amount, userAddress, makerHashlock) => {
                         const orderId = crypto.randomBytes(32).toString('hex');
-                        const secret = crypto.randomBytes(32);
-                        const secretHash = crypto.createHash('sha256').update(secret).digest();
+                        const { secretHash, hashAlgorithm } = parseHashlock(makerHashlock);
                         
                         const order = {
                             id: orderId,
@@ -56,8 +132,8 @@ async function initializeClients() {
                             toToken,
                             amount,
                             userAddress,
-                            secret: secret.toString('hex'),
-                            secretHash: secretHash.toString('hex'),
+                            secretHash,
+                            hashAlgorithm,
                             status: 'pending',
                             createdAt: Date.now(),
                             expiresAt: Date.now() + (30 * 60 * 1000),
@@ -65,16 +141,27 @@ async function initializeClients() {
                         };
                         
                         // Store the order for later retrieval
-                        demoOrders.set(orderId, order);
+                        await store.saveOrder(orderId, order);
                         console.log(`📝 Demo order created and stored: ${orderId}`);
                         
                         return order;
                     },
-                    getOrder: (orderId) => {
-                        const order = demoOrders.get(orderId);
+                    getOrder: async (orderId) => {
+                        const order = await store.getOrder(orderId, { includeSecret: true });
                         console.log(`🔍 Demo order lookup: ${orderId} -> ${order ? 'found' : 'not found'}`);
                         return order;
                     },
+                    listOrders: async () => {
+                        const orders = await store.listOrders();
+                        return orders.map(order => ({
+                            orderHash: order.orderId,
+                            originalSwap: `${order.fromToken} -> ${order.toToken}`,
+                            amount: order.amount,
+                            timestamp: order.createdAt,
+                            status: order.status,
+                            mode: order.mode
+                        }));
+                    },
                     executeCrossChainSwap: async (orderData) => {
                         await new Promise(resolve => setTimeout(resolve, 3000));
                         return {
@@ -146,10 +233,115 @@ app.get('/api/wallet', async (req, res) => {
         });
     } catch (error) {
         debug('Wallet info error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
+// Market quote: 1inch when an API key is configured, demo rates otherwise
+async function getQuote(fromToken, toToken, amount) {
+    // Sui-native tokens are priced as their counterpart (USDC.sui as USDC)
+    fromToken = isSuiToken(fromToken) ? getSuiToken(fromToken).priceAs : fromToken;
+    toToken = isSuiToken(toToken) ? getSuiToken(toToken).priceAs : toToken;
+    
+    // Use 1inch API to get real market quote
+    if (process.env.ONEINCH_API_KEY) {
+        try {
+            // Map token symbols to addresses for 1inch API
+            const tokenAddresses = {
+                'ETH': '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee',
+                'SUI': '0x0000000000000000000000000000000000000000', // Placeholder for cross-chain
+                'USDC': '0xA0b86a33E6441e816d82C5e11f5E10cE1A3Df7E7'
+            };
+            
+            const srcToken = tokenAddresses[fromToken] || fromToken;
+            const dstToken = tokenAddresses[toToken] || toToken;
+            const amountWei = (parseFloat(amount) * 1e18).toString();
+            
+            const quoteParams = new URLSearchParams({
+                src: srcToken,
+                dst: dstToken,
+                amount: amountWei,
+                includeTokensInfo: 'false',
+                includeProtocols: 'false',
+                slippage: '1'
+            });
+
+            const response = await fetch(`https://api.1inch.dev/swap/v6.0/1/quote?${quoteParams}`, {
+                headers: {
+                    'Authorization': `Bearer ${process.env.ONEINCH_API_KEY}`,
+                    'accept': 'application/json'
+                }
+            });
+
+            if (response.ok) {
+                const quote = await response.json();
+                const outputAmount = (parseFloat(quote.toAmount) / 1e18).toFixed(4);
+                const rate = (parseFloat(outputAmount) / parseFloat(amount)).toFixed(4);
+                
+                return {
+                    estimatedOutput: outputAmount,
+                    rate: rate,
+                    slippage: 1,
+                    gasEstimate: quote.gasEstimate || '50000',
+                    realQuote: true
+                };
+            }
+        } catch (error) {
+            debug('1inch quote error:', error);
+            // Fall through to demo quote
+        }
+    }
+    
+    // Demo quote for development
+    const demoRates = {
+        'SUI-ETH': 0.70,
+        'ETH-SUI': 1.42,
+        'SUI-USDC': 1.98,
+        'USDC-SUI': 0.505,
+        'ETH-USDC': 2800,
+        'USDC-ETH': 0.000357
+    };
+    
+    const pair = `${fromToken}-${toToken}`;
+    const rate = demoRates[pair] || 1;
+    const output = (parseFloat(amount) * rate).toFixed(4);
+    
+    return {
+        estimatedOutput: output,
+        rate: rate.toString(),
+        slippage: 1,
+        gasEstimate: '50000',
+        realQuote: false
+    };
+}
+
+// Dutch auction for a quote, in destination token base units
+function createQuoteAuction(toToken, quote, startTime) {
+    const decimals = TOKEN_DECIMALS[toToken] || 18;
+    const expectedAmount = ethers.parseUnits(quote.estimatedOutput, decimals);
+    return {
+        ...serializeAuctionParams(createAuctionParams({
+            expectedAmount,
+            startTime,
+            slippageBps: Math.round(quote.slippage * 100)
+        })),
+        decimals
+    };
+}
+
+// Resolver fee the source escrow pays out of `amount` (in fromToken units)
+function getQuoteResolverFee(fromToken, amount) {
+    const decimals = TOKEN_DECIMALS[fromToken] || 18;
+    const escrowAmount = ethers.parseUnits((parseFloat(amount) || 0).toFixed(decimals), decimals);
+    const fee = getResolverFee(escrowAmount, RESOLVER_FEE_BPS);
+    return {
+        bps: RESOLVER_FEE_BPS,
+        amount: ethers.formatUnits(fee, decimals),
+        baseUnits: fee.toString(),
+        recipient: RESOLVER_FEE_RECIPIENT // null: paid to the redeemer
+    };
+}
+
 // Get real-time quote
 app.post('/api/quote', async (req, res) => {
     try {
@@ -157,88 +349,34 @@ app.post('/api/quote', async (req, res) => {
         
         debug(`Getting real-time quote: ${amount} ${fromToken} -> ${toToken}`);
         
-        // Use 1inch API to get real market quote
-        if (process.env.ONEINCH_API_KEY) {
-            try {
-                // Map token symbols to addresses for 1inch API
-                const tokenAddresses = {
-                    'ETH': '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee',
-                    'SUI': '0x0000000000000000000000000000000000000000', // Placeholder for cross-chain
-                    'USDC': '0xA0b86a33E6441e816d82C5e11f5E10cE1A3Df7E7'
-                };
-                
-                const srcToken = tokenAddresses[fromToken] || fromToken;
-                const dstToken = tokenAddresses[toToken] || toToken;
-                const amountWei = (parseFloat(amount) * 1e18).toString();
-                
-                const quoteParams = new URLSearchParams({
-                    src: srcToken,
-                    dst: dstToken,
-                    amount: amountWei,
-                    includeTokensInfo: 'false',
-                    includeProtocols: 'false',
-                    slippage: '1'
-                });
-
-                const response = await fetch(`https://api.1inch.dev/swap/v6.0/1/quote?${quoteParams}`, {
-                    headers: {
-                        'Authorization': `Bearer ${process.env.ONEINCH_API_KEY}`,
-                        'accept': 'application/json'
-                    }
-                });
-
-                if (response.ok) {
-                    const quote = await response.json();
-                    const outputAmount = (parseFloat(quote.toAmount) / 1e18).toFixed(4);
-                    const rate = (parseFloat(outputAmount) / parseFloat(amount)).toFixed(4);
-                    
-                    return res.json({
-                        estimatedOutput: outputAmount,
-                        rate: rate,
-                        slippage: 1,
-                        gasEstimate: quote.gasEstimate || '50000',
-                        realQuote: true
-                    });
-                }
-            } catch (error) {
-                debug('1inch quote error:', error);
-                // Fall through to demo quote
-            }
-        }
-        
-        // Demo quote for development
-        const demoRates = {
-            'SUI-ETH': 0.70,
-            'ETH-SUI': 1.42,
-            'SUI-USDC': 1.98,
-            'USDC-SUI': 0.505,
-            'ETH-USDC': 2800,
-            'USDC-ETH': 0.000357
-        };
-        
-        const pair = `${fromToken}-${toToken}`;
-        const rate = demoRates[pair] || 1;
-        const output = (parseFloat(amount) * rate).toFixed(4);
+        const quote = await getQuote(fromToken, toToken, amount);
+        const auction = createQuoteAuction(toToken, quote, Date.now());
         
         res.json({
-            estimatedOutput: output,
-            rate: rate.toString(),
-            slippage: 1,
-            gasEstimate: '50000',
-            realQuote: false
+            ...quote,
+            // The UI replays the curve to show the live auction price
+            auction: { ...auction, currentAmount: getAuctionPrice(auction).toString() },
+            resolverFee: getQuoteResolverFee(fromToken, amount)
         });
         
     } catch (error) {
         debug('Quote error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
-// Create swap order
+// Create swap order - the maker keeps the secret and sends only { secretHash, hashAlgorithm }
 app.post('/api/swap/create', async (req, res) => {
     try {
         const { fromToken, toToken, amount } = req.body;
         
+        let hashlock;
+        try {
+            hashlock = parseHashlock(req.body);
+        } catch (error) {
+            return sendError(res, new SwapError('INVALID_REQUEST', error.message));
+        }
+        
         debug(`Creating swap: ${amount} ${fromToken} -> ${toToken}`);
         
         // Create Fusion+ order
@@ -247,64 +385,290 @@ app.post('/api/swap/create', async (req, res) => {
             fromToken,
             toToken,
             amount,
-            ethAddress
+            ethAddress,
+            hashlock
         );
+        const orderId = order.orderId || order.id; // Handle both formats (BASE_SEPOLIA uses orderId, demo uses id)
+        
+        // Coin<T> locked on Sui for this order - swaps from non-Sui tokens lock SUI
+        const sourceToken = isSuiToken(fromToken) ? fromToken : 'SUI';
+        const { coinType } = getSuiToken(sourceToken);
+        await swaps.create(orderId, { fromToken, toToken, amount, sourceToken, coinType, expiresAt: order.expiresAt });
         
         res.json({
-            orderId: order.orderId || order.id, // Handle both formats (BASE_SEPOLIA uses orderId, demo uses id)
+            orderId,
             secretHash: order.secretHash,
-            status: 'created',
+            hashAlgorithm: order.hashAlgorithm,
+            coinType,
+            status: SWAP_STATES.CREATED,
             expiresAt: order.expiresAt
         });
         
     } catch (error) {
         debug('Create swap error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
+// Escrow parameters for locking `amount` of the order's source token
+async function getLockParams(order, { amount, redeemer, partialFills = true, resolversOnly = false }) {
+    // Orders created before coin types were recorded lock SUI
+    const sourceToken = order.sourceToken || 'SUI';
+    const { coinType, decimals } = getSuiToken(sourceToken);
+    
+    // Validate amount to prevent insufficient balance
+    const maxAmount = 0.1; // Max 0.1 SUI for safety
+    const swapAmount = sourceToken === 'SUI' ? Math.min(parseFloat(amount), maxAmount) : parseFloat(amount);
+    
+    // Create escrow - the redeemer must be a Sui address able to sign the claim
+    const redeemerAddress = redeemer || await suiClient.getRedeemerAddress();
+    // Exclusive withdrawal for the redeemer, then public withdrawal, then cancellation after 20 minutes
+    const timelocks = createTimelocks();
+    const timelock = timelocks.cancellation;
+    const secretHash = Buffer.from(order.secretHash, 'hex');
+    const escrowAmount = ethers.parseUnits(swapAmount.toFixed(decimals), decimals); // Base units of the coin type
+    
+    // Partial fills follow the maker's choice; each one must take at least MIN_FILL_BPS of the escrow
+    const partialFillsAllowed = partialFills !== false && partialFills !== 'false';
+    const minFillAmount = partialFillsAllowed ? escrowAmount * BigInt(MIN_FILL_BPS) / 10000n : 0n;
+    
+    // Dutch auction over the destination amount - withdraw only sanity-checks the resolver's
+    // attested taking amount against it; verifySwapEscrows is what checks the destination leg
+    const toToken = order.toToken || 'ETH';
+    const quote = await getQuote(sourceToken, toToken, swapAmount);
+    const auction = createQuoteAuction(toToken, quote, Date.now());
+    // The destination escrow must hold at least this much for the maker (see verifySwapEscrows)
+    const quotedAmount = ethers.parseUnits(quote.estimatedOutput, auction.decimals);
+    
+    return {
+        sourceToken,
+        coinType,
+        swapAmount,
+        redeemerAddress,
+        timelocks,
+        timelock,
+        secretHash,
+        escrowAmount,
+        partialFillsAllowed,
+        minFillAmount,
+        // Only resolvers allowlisted in the package Config may fill (see admin.js)
+        resolversOnly: resolversOnly === true || resolversOnly === 'true',
+        resolverFee: getResolverFee(escrowAmount, RESOLVER_FEE_BPS),
+        feeRecipient: RESOLVER_FEE_RECIPIENT || redeemerAddress,
+        auction,
+        quotedAmount
+    };
+}
+
+// Create (or with dryRun, simulate) the Sui escrow for getLockParams' parameters
+function createLockEscrow(order, params, options = {}) {
+    return suiClient.createEscrow(
+        params.redeemerAddress,
+        params.secretHash,
+        params.escrowAmount.toString(),
+        params.timelock,
+        {
+            hashAlgorithm: order.hashAlgorithm,
+            auction: params.auction,
+            partialFillsAllowed: params.partialFillsAllowed,
+            minFillAmount: params.minFillAmount,
+            timelocks: params.timelocks,
+            coinType: params.coinType,
+            resolversOnly: params.resolversOnly,
+            resolverFee: params.resolverFee,
+            feeRecipient: params.feeRecipient,
+            dryRun: options.dryRun
+        }
+    );
+}
+
 // Lock funds in HTLC
 app.post('/api/swap/lock', async (req, res) => {
     try {
-        const { orderId, amount } = req.body;
+        const { orderId, amount, redeemer, partialFills = true, resolversOnly = false } = req.body;
         
         // Get order details
         const order = await fusionClient.getOrder(orderId);
         if (!order) {
-            return res.status(404).json({ error: 'Order not found' });
+            return sendError(res, new SwapError('ORDER_NOT_FOUND'));
+        }
+        if (!canTransition(order.status, SWAP_STATES.SRC_LOCKED)) {
+            return sendError(res, new SwapError('INVALID_SWAP_STATE', `Cannot lock funds for a swap in state ${order.status}`));
         }
         
-        debug(`Locking ${amount} SUI in HTLC`);
-        
-        // Validate amount to prevent insufficient balance
-        const maxAmount = 0.1; // Max 0.1 SUI for safety
-        const swapAmount = Math.min(parseFloat(amount), maxAmount);
-        
-        console.log(`🔒 Locking ${swapAmount} SUI (requested: ${amount})`);
+        const params = await getLockParams(order, { amount, redeemer, partialFills, resolversOnly });
+        const { coinType, redeemerAddress, timelocks, timelock, escrowAmount, partialFillsAllowed, minFillAmount, auction } = params;
+        debug(`Locking ${amount} ${params.sourceToken} in HTLC`);
+        console.log(`🔒 Locking ${params.swapAmount} ${params.sourceToken} (requested: ${amount})`);
         
-        // Create escrow
-        const ethAddress = await ethClient.getAddress();
-        const timelock = Date.now() + (20 * 60 * 1000); // 20 minutes
-        const secretHash = Buffer.from(order.secretHash, 'hex');
-        const amountInMist = Math.floor(swapAmount * 1e9);
+        const escrow = await createLockEscrow(order, params);
         
-        const escrow = await suiClient.createEscrow(
-            ethAddress,
-            secretHash,
-            amountInMist.toString(),
-            timelock
-        );
+        await store.saveEscrow(escrow.escrowId, {
+            orderId,
+            chain: 'sui',
+            coinType,
+            redeemer: redeemerAddress,
+            amount: escrowAmount.toString(),
+            timelock,
+            timelocks,
+            hashAlgorithm: order.hashAlgorithm,
+            auction,
+            partialFillsAllowed,
+            minFillAmount: minFillAmount.toString(),
+            resolversOnly: params.resolversOnly,
+            resolverFee: params.resolverFee.toString(),
+            feeRecipient: params.feeRecipient,
+            txHash: escrow.txHash,
+            consumedCoins: escrow.consumedCoins,
+            status: 'locked'
+        });
+        await store.recordTransaction({ orderId, escrowId: escrow.escrowId, chain: 'sui', type: 'lock', txHash: escrow.txHash });
+        await swaps.transition(orderId, SWAP_STATES.SRC_LOCKED, {
+            escrowId: escrow.escrowId,
+            escrowAmount: escrowAmount.toString(),
+            timelock,
+            timelocks,
+            auction,
+            quotedAmount: params.quotedAmount.toString(),
+            lockTxHash: escrow.txHash
+        });
         
         res.json({
             escrowId: escrow.escrowId,
             txHash: escrow.txHash,
-            status: 'locked',
-            timelock
+            status: SWAP_STATES.SRC_LOCKED,
+            redeemer: redeemerAddress,
+            coinType,
+            timelock,
+            timelocks,
+            auction,
+            partialFillsAllowed,
+            minFillAmount: minFillAmount.toString(),
+            resolversOnly: params.resolversOnly,
+            resolverFee: params.resolverFee.toString(),
+            feeRecipient: params.feeRecipient,
+            consumedCoins: escrow.consumedCoins
         });
         
     } catch (error) {
         debug('Lock funds error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
+    }
+});
+
+// Check both legs on-chain before the maker's secret is accepted
+async function verifySwapEscrows(order) {
+    const src = { escrowId: order.escrowId, verified: false };
+    const escrow = order.escrowId ? await suiClient.getEscrow(order.escrowId) : null;
+    if (!escrow) {
+        src.reason = 'Source escrow not found on Sui';
+    } else if (escrow.secretHash !== order.secretHash) {
+        src.reason = 'Source escrow hashlock does not match the order';
+    } else if (BigInt(escrow.remainingAmount) === 0n) {
+        src.reason = 'Source escrow is empty';
+    } else if (Date.now() >= escrow.timelock) {
+        src.reason = 'Source escrow timelock has passed';
+    } else {
+        src.verified = true;
+        src.remainingAmount = escrow.remainingAmount;
+        src.timelock = escrow.timelock;
+    }
+    
+    // The destination HTLC must pay the maker at least the quote under the same hashlock,
+    // and expire before the source escrow so the maker's claim leaves time to claim the source
+    let dst;
+    if (!order.dstEscrowId) {
+        dst = { txHash: order.dstTxHash, verified: false, reason: 'Destination leg has no HTLC escrow (demo execution)' };
+    } else {
+        dst = await ethClient.verifyEscrow(order.dstEscrowId, {
+            secretHash: order.secretHash,
+            hashAlgorithm: order.hashAlgorithm,
+            amount: order.quotedAmount,
+            redeemer: order.userAddress,
+            timelockBefore: escrow ? escrow.timelock : order.timelock
+        });
+        dst.txHash = order.dstTxHash;
+    }
+    
+    return { src, dst, verified: src.verified && dst.verified };
+}
+
+// Taking amount attested for a fill of `fillAmount`: its share of what verifySwapEscrows found
+// in the destination escrow at reveal - not the amount recorded at lock, and never a caller's number
+function getFillTakingAmount(order, fillAmount) {
+    if (!order.dstVerifiedAmount || !order.escrowAmount) {
+        throw new SwapError('ESCROWS_NOT_VERIFIED', 'The destination escrow of this swap has not been verified - reveal the secret first');
+    }
+    return BigInt(order.dstVerifiedAmount) * BigInt(fillAmount) / BigInt(order.escrowAmount);
+}
+
+// Fill what is left of a revealed swap for the maker's redeemer once public withdrawal opens
+async function publicWithdrawSwap(order) {
+    const escrow = await suiClient.getEscrow(order.escrowId);
+    if (!escrow) {
+        throw new SwapError('ESCROW_NOT_FOUND', 'Escrow not found on Sui');
+    }
+    if (BigInt(escrow.remainingAmount) === 0n) {
+        throw new SwapError('ESCROW_EMPTY');
+    }
+    const { secret } = await store.getSecret(order.orderId);
+    return suiClient.publicWithdraw(
+        order.escrowId,
+        Buffer.from(secret, 'hex'),
+        escrow.remainingAmount,
+        { coinType: escrow.coinType, takingAmount: getFillTakingAmount(order, escrow.remainingAmount) }
+    );
+}
+
+// Reveal the maker's secret - only accepted once both escrows are verified on-chain
+app.post('/api/swap/reveal', async (req, res) => {
+    try {
+        const { orderId, secret } = req.body;
+        
+        const order = await store.getOrder(orderId);
+        if (!order) {
+            return sendError(res, new SwapError('ORDER_NOT_FOUND'));
+        }
+        if (typeof secret !== 'string' || !verifySecret(toBuffer(secret), order.secretHash, order.hashAlgorithm)) {
+            return sendError(res, new SwapError('HASH_MISMATCH', 'Secret does not match the order hashlock'));
+        }
+        if (order.status === SWAP_STATES.SECRET_REVEALED) {
+            return res.json({ orderId, status: order.status });
+        }
+        if (!canTransition(order.status, SWAP_STATES.SECRET_REVEALED)) {
+            return sendError(res, new SwapError('INVALID_SWAP_STATE', `Cannot reveal the secret for a swap in state ${order.status} - both escrows must be locked first`));
+        }
+        
+        const verification = await verifySwapEscrows(order);
+        if (!verification.verified) {
+            return sendError(res, new SwapError(
+                'ESCROWS_NOT_VERIFIED',
+                `Escrows not verified: ${verification.src.reason || verification.dst.reason}`,
+                { verification }
+            ));
+        }
+        
+        await store.saveSecret(orderId, {
+            secret: toBuffer(secret).toString('hex'),
+            secretHash: order.secretHash,
+            hashAlgorithm: order.hashAlgorithm
+        });
+        await swaps.transition(orderId, SWAP_STATES.SECRET_REVEALED, {
+            revealedAt: Date.now(),
+            dstVerifiedAmount: verification.dst.amount
+        });
+        
+        console.log(`🔓 Secret revealed for order ${orderId}`);
+        
+        res.json({
+            orderId,
+            status: SWAP_STATES.SECRET_REVEALED,
+            verification
+        });
+        
+    } catch (error) {
+        debug('Reveal secret error:', error);
+        sendError(res, error);
     }
 });
 
@@ -316,28 +680,194 @@ app.post('/api/swap/claim', async (req, res) => {
         // Get order details for secret
         const order = await fusionClient.getOrder(orderId);
         if (!order) {
-            return res.status(404).json({ error: 'Order not found' });
+            return sendError(res, new SwapError('ORDER_NOT_FOUND'));
+        }
+        if (order.status !== SWAP_STATES.SECRET_REVEALED || !order.secret) {
+            return sendError(res, new SwapError('INVALID_SWAP_STATE', `Cannot claim a swap in state ${order.status} - the maker has not revealed the secret`));
         }
         
-        debug(`Claiming ${amount} SUI from escrow ${escrowId}`);
+        const sourceToken = order.sourceToken || 'SUI';
+        const { coinType, decimals } = getSuiToken(sourceToken);
+        debug(`Claiming ${amount} ${sourceToken} from escrow ${escrowId}`);
         
         const secret = Buffer.from(order.secret, 'hex');
-        const amountInMist = Math.floor(parseFloat(amount) * 1e9);
+        const claimAmount = ethers.parseUnits(parseFloat(amount).toFixed(decimals), decimals);
+        
+        // Remember the amount so a crash mid-claim is retried on restart
+        await store.updateOrder(orderId, { claimAmount: claimAmount.toString() });
         
         const claim = await suiClient.claimEscrow(
             escrowId,
             secret,
-            amountInMist.toString()
+            claimAmount.toString(),
+            { coinType, takingAmount: getFillTakingAmount(order, claimAmount) }
         );
         
+        // A partial fill leaves the swap revealed so the remainder can be filled or refunded
+        const updated = await swaps.recordClaim(orderId, escrowId, claim);
+        
         res.json({
             txHash: claim.txHash,
-            status: 'claimed'
+            takingAmount: claim.takingAmount,
+            fee: claim.fee,
+            remainingAmount: updated.remainingAmount,
+            closed: claim.closed,
+            status: updated.status
         });
         
     } catch (error) {
         debug('Claim funds error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
+    }
+});
+
+// Complete a revealed swap the resolver left unclaimed once public withdrawal opens
+app.post('/api/swap/public-withdraw', async (req, res) => {
+    try {
+        const { orderId } = req.body;
+        
+        const order = await store.getOrder(orderId);
+        if (!order) {
+            return sendError(res, new SwapError('ORDER_NOT_FOUND'));
+        }
+        if (order.status !== SWAP_STATES.SECRET_REVEALED) {
+            return sendError(res, new SwapError('INVALID_SWAP_STATE', `Cannot withdraw a swap in state ${order.status} - the secret has not been revealed`));
+        }
+        
+        const claim = await publicWithdrawSwap(order);
+        const updated = await swaps.recordClaim(orderId, order.escrowId, claim);
+        
+        res.json({
+            orderId,
+            escrowId: order.escrowId,
+            txHash: claim.txHash,
+            fee: claim.fee,
+            remainingAmount: updated.remainingAmount,
+            status: updated.status,
+            explorerUrl: `https://suiscan.xyz/testnet/tx/${claim.txHash}`
+        });
+        
+    } catch (error) {
+        debug('Public withdraw error:', error);
+        sendError(res, error);
+    }
+});
+
+// Refund the Sui escrow of a stalled swap once its cancellation stage opens
+app.post('/api/swap/refund', async (req, res) => {
+    try {
+        const { orderId } = req.body;
+        
+        const order = await store.getOrder(orderId);
+        if (!order) {
+            return sendError(res, new SwapError('ORDER_NOT_FOUND'));
+        }
+        if (!order.escrowId) {
+            return sendError(res, new SwapError('INVALID_SWAP_STATE', 'No funds were locked for this swap'));
+        }
+        if (!canTransition(order.status, SWAP_STATES.REFUNDED)) {
+            return sendError(res, new SwapError('INVALID_SWAP_STATE', `Cannot refund a swap in state ${order.status}`));
+        }
+        
+        // Check the escrow itself rather than our records - only the initiator can refund until
+        // public cancellation, and nobody before the cancellation stage
+        const escrow = await suiClient.getEscrow(order.escrowId);
+        if (!escrow) {
+            return sendError(res, new SwapError('ESCROW_NOT_FOUND', 'Escrow not found on Sui'));
+        }
+        if (escrow.initiator !== await suiClient.getAddress() && escrow.stage !== STAGES.PUBLIC_CANCELLATION) {
+            return sendError(res, new SwapError('NOT_INITIATOR', 'Escrow was not created by this server wallet'));
+        }
+        if (BigInt(escrow.remainingAmount) === 0n) {
+            return sendError(res, new SwapError('ESCROW_EMPTY'));
+        }
+        if (escrow.stage === STAGES.EXCLUSIVE_WITHDRAWAL || escrow.stage === STAGES.PUBLIC_WITHDRAWAL) {
+            return sendError(res, new SwapError('TIMELOCK_NOT_REACHED', 'Timelock has not passed yet', {
+                stage: escrow.stage,
+                refundableAt: escrow.timelocks.cancellation,
+                secondsRemaining: Math.ceil((escrow.timelocks.cancellation - Date.now()) / 1000)
+            }));
+        }
+        
+        const stored = await store.getEscrow(order.escrowId);
+        const result = await refundKeeper.refundEscrow({ ...stored, escrowId: order.escrowId, orderId });
+        if (result.action !== 'refunded') {
+            return sendError(res, result.cause);
+        }
+        
+        res.json({
+            orderId,
+            escrowId: order.escrowId,
+            txHash: result.txHash,
+            amount: escrow.remainingAmount,
+            status: SWAP_STATES.REFUNDED,
+            explorerUrl: `https://suiscan.xyz/testnet/tx/${result.txHash}`
+        });
+        
+    } catch (error) {
+        debug('Refund error:', error);
+        sendError(res, error);
+    }
+});
+
+// Preview a lock, claim or refund with a dry run - nothing is signed and no gas is spent.
+// A Move abort comes back as success: false with its code and a readable reason.
+app.post('/api/swap/simulate', async (req, res) => {
+    try {
+        const { orderId, action, amount, redeemer, partialFills, resolversOnly } = req.body;
+        
+        const order = await fusionClient.getOrder(orderId);
+        if (!order) {
+            return sendError(res, new SwapError('ORDER_NOT_FOUND'));
+        }
+        if (action !== 'lock' && !order.escrowId) {
+            return sendError(res, new SwapError('INVALID_SWAP_STATE', 'No funds were locked for this swap'));
+        }
+        
+        const { coinType, decimals } = getSuiToken(order.sourceToken || 'SUI');
+        let simulation;
+        if (action === 'lock') {
+            if (!canTransition(order.status, SWAP_STATES.SRC_LOCKED)) {
+                return sendError(res, new SwapError('INVALID_SWAP_STATE', `Cannot lock funds for a swap in state ${order.status}`));
+            }
+            const params = await getLockParams(order, { amount, redeemer, partialFills, resolversOnly });
+            simulation = await createLockEscrow(order, params, { dryRun: true });
+        } else if (action === 'claim') {
+            // The maker's secret once revealed, or one supplied by the caller to check it
+            const secret = req.body.secret || order.secret;
+            if (!secret) {
+                return sendError(res, new SwapError('INVALID_SWAP_STATE', 'No secret to claim with - the maker has not revealed it'));
+            }
+            const claimAmount = ethers.parseUnits(parseFloat(amount).toFixed(decimals), decimals);
+            // A caller checking a fill before the destination leg is verified says what it would deliver
+            const takingAmount = req.body.takingAmount !== undefined ? req.body.takingAmount : getFillTakingAmount(order, claimAmount);
+            simulation = await suiClient.claimEscrow(order.escrowId, toBuffer(secret), claimAmount.toString(), { coinType, takingAmount, dryRun: true });
+        } else if (action === 'refund') {
+            simulation = await suiClient.refundEscrow(order.escrowId, { coinType, dryRun: true });
+        } else {
+            return sendError(res, new SwapError('INVALID_REQUEST', `Unknown action: ${action} (expected lock, claim or refund)`));
+        }
+        
+        res.json({
+            orderId,
+            action,
+            success: simulation.success,
+            error: simulation.error ? simulation.error.message : null,
+            code: simulation.error ? simulation.error.code : null,
+            abortCode: simulation.error ? simulation.error.abortCode ?? null : null,
+            reason: simulation.error ? simulation.error.reason ?? null : null,
+            gasUsed: simulation.gasUsed,
+            gasBudget: simulation.gasBudget.toString(),
+            takingAmount: simulation.takingAmount,
+            fee: simulation.fee,
+            events: simulation.events,
+            escrowEvents: simulation.escrowEvents,
+            balanceChanges: simulation.balanceChanges
+        });
+        
+    } catch (error) {
+        debug('Simulate error:', error);
+        sendError(res, error);
     }
 });
 
@@ -348,28 +878,152 @@ app.get('/api/swap/:orderId/status', async (req, res) => {
         
         const order = await fusionClient.getOrder(orderId);
         if (!order) {
-            return res.status(404).json({ error: 'Order not found' });
+            return sendError(res, new SwapError('ORDER_NOT_FOUND'));
         }
         
+        // On-chain view of the Sui escrow as last seen by the event indexer
+        const indexed = order.escrowId ? await store.getEscrow(order.escrowId) : null;
+        
         res.json({
             orderId,
             status: order.status || 'pending',
             createdAt: order.createdAt,
-            expiresAt: order.expiresAt
+            expiresAt: order.expiresAt,
+            stateHistory: order.stateHistory || [],
+            refundableAt: order.escrowId ? order.timelock : null,
+            timelocks: order.timelocks || null,
+            stage: order.timelocks ? getStage(order.timelocks) : null,
+            nextStageAt: order.timelocks ? getNextStageTime(order.timelocks) : null,
+            onChain: indexed && indexed.lastEvent ? {
+                status: indexed.status,
+                totalFilled: indexed.totalFilled,
+                remainingAmount: indexed.remainingAmount,
+                lastEvent: indexed.lastEvent
+            } : null,
+            escrows: await store.listEscrows(orderId),
+            transactions: await store.listTransactions(orderId)
         });
         
     } catch (error) {
         debug('Get status error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
+    }
+});
+
+// On-chain status of a transaction hash - chain is "sui" or "evm" (the configured EVM network)
+app.get('/api/tx/:chain/:hash', async (req, res) => {
+    try {
+        const { chain, hash } = req.params;
+        
+        if (chain === 'sui') {
+            const status = await suiClient.getTransactionStatus(hash);
+            return res.json({ success: true, data: { chain, ...status } });
+        }
+        
+        if (chain === 'evm') {
+            if (!ethClient) {
+                return sendError(res, new SwapError('NOT_CONFIGURED', 'EVM client not configured'));
+            }
+            if (!/^0x[0-9a-fA-F]{64}$/.test(hash)) {
+                return sendError(res, new SwapError('INVALID_REQUEST', 'Invalid EVM transaction hash'));
+            }
+            const tx = await ethClient.verifyTransaction(hash);
+            if (!tx.valid && tx.error !== 'Transaction not found') {
+                return sendError(res, new SwapError('RPC_UNAVAILABLE', tx.error));
+            }
+            return res.json({
+                success: true,
+                data: {
+                    chain,
+                    network: ethClient.networkName,
+                    txHash: hash,
+                    found: tx.valid,
+                    confirmed: tx.status === 'success',
+                    status: tx.valid ? tx.status : 'not_found',
+                    blockHeight: tx.blockNumber ? Number(tx.blockNumber) : null,
+                    confirmations: tx.confirmations || 0,
+                    gasUsed: tx.gasUsed,
+                    explorerUrl: tx.explorerUrl
+                }
+            });
+        }
+        
+        sendError(res, new SwapError('INVALID_REQUEST', `Unsupported chain: ${chain}. Supported: sui, evm`));
+        
+    } catch (error) {
+        debug('Transaction status error:', error);
+        sendError(res, error);
+    }
+});
+
+// Decoded on-chain state of a Sui escrow, with the swap it belongs to when it was created here
+app.get('/api/escrow/:escrowId', async (req, res) => {
+    try {
+        const { escrowId } = req.params;
+        if (!/^0x[0-9a-fA-F]{1,64}$/.test(escrowId)) {
+            return sendError(res, new SwapError('INVALID_REQUEST', 'Invalid Sui object ID'));
+        }
+        
+        const escrow = await suiClient.getEscrow(escrowId);
+        if (!escrow) {
+            // Drained escrows are deleted by the final withdraw or the refund
+            const stored = await store.getEscrow(escrowId);
+            if (stored && stored.closed) {
+                return sendError(res, new SwapError('ESCROW_NOT_FOUND', `Escrow ${escrowId} was closed after it was drained`, {
+                    closed: true,
+                    status: stored.status,
+                    orderId: stored.orderId || null
+                }));
+            }
+            return sendError(res, new SwapError('ESCROW_NOT_FOUND', `Escrow not found: ${escrowId}`));
+        }
+        
+        const token = getSuiTokenByCoinType(escrow.coinType);
+        const local = await store.getEscrow(escrowId);
+        res.json({
+            success: true,
+            data: {
+                ...escrow,
+                token: token ? token.symbol : null,
+                decimals: token ? token.decimals : null,
+                hashAlgorithm: Object.keys(HASH_ALGORITHMS).find(name => HASH_ALGORITHMS[name] === escrow.hashAlgorithm) || escrow.hashAlgorithm,
+                auctionParams: { ...escrow.auctionParams, currentAmount: getAuctionPrice(escrow.auctionParams).toString() },
+                nextStageAt: getNextStageTime(escrow.timelocks),
+                orderId: local ? local.orderId : null,
+                explorerUrl: `https://suiscan.xyz/testnet/object/${escrowId}`
+            }
+        });
+        
+    } catch (error) {
+        debug('Get escrow error:', error);
+        sendError(res, error);
     }
 });
 
-// Contract deployment status
+// Contract deployment status - the package from deployments/<network>.json (see deploy_htlc.js)
 app.get('/api/contract/status', (req, res) => {
+    const network = getNetwork();
+    const deployment = loadDeployment(network);
+    if (!deployment) {
+        return res.json({
+            deployed: !!process.env.HTLC_PACKAGE_ID,
+            network,
+            packageId: process.env.HTLC_PACKAGE_ID || null,
+            source: process.env.HTLC_PACKAGE_ID ? 'env' : null
+        });
+    }
     res.json({
-        deployed: !!process.env.HTLC_PACKAGE_ID,
-        packageId: process.env.HTLC_PACKAGE_ID || null,
-        network: process.env.SUI_RPC_URL || 'testnet'
+        deployed: true,
+        network,
+        packageId: deployment.packageId,
+        originalPackageId: deployment.originalPackageId,
+        version: deployment.version,
+        upgradeCapId: deployment.upgradeCapId,
+        configId: deployment.configId,
+        digest: deployment.digest,
+        deployedAt: deployment.deployedAt,
+        source: 'manifest',
+        explorerUrl: `https://suiscan.xyz/${network}/tx/${deployment.digest}`
     });
 });
 
@@ -401,9 +1055,10 @@ app.post('/api/test/base-sepolia', async (req, res) => {
     } catch (error) {
         console.error('❌ Base Sepolia test failed:', error.message);
         
-        res.status(500).json({
+        const { status, body } = toErrorResponse(error);
+        res.status(status).json({
             success: false,
-            error: error.message,
+            ...body,
             network: 'BASE_SEPOLIA',
             suggestion: error.message.includes('insufficient') 
                 ? 'Get more Base Sepolia ETH from https://www.alchemy.com/faucets/base-sepolia'
@@ -412,6 +1067,44 @@ app.post('/api/test/base-sepolia', async (req, res) => {
     }
 });
 
+// Destination leg done - advance the swap if the order is tracked
+async function markDstLocked(orderId, txHash, realTransaction, data = {}) {
+    const order = orderId && await store.getOrder(orderId);
+    if (order && canTransition(order.status, SWAP_STATES.DST_LOCKED)) {
+        await swaps.transition(orderId, SWAP_STATES.DST_LOCKED, { ...data, dstTxHash: txHash, dstRealTransaction: realTransaction });
+    }
+}
+
+// Lock the destination leg in HTLCEscrow for the maker, under the order's hashlock, after
+// posting the resolver's safety deposit on the source escrow.
+// It holds the quoted amount, or the current auction price when that is higher, and
+// expires when public withdrawal opens on Sui - the secret the maker reveals to claim
+// it leaves the resolver the rest of the source timelock to claim on Sui.
+async function lockDestinationEscrow(order) {
+    if (order.status !== SWAP_STATES.SRC_LOCKED || !order.quotedAmount) {
+        throw new SwapError('INVALID_SWAP_STATE', `Cannot lock the destination leg of a swap in state ${order.status} - lock the source escrow first`);
+    }
+    if ((order.toToken || 'ETH') !== 'ETH') {
+        throw new SwapError('INVALID_REQUEST', `Destination escrows hold ETH, not ${order.toToken}`);
+    }
+    
+    const quotedAmount = BigInt(order.quotedAmount);
+    const auctionPrice = getAuctionPrice(order.auction);
+    const amount = auctionPrice > quotedAmount ? auctionPrice : quotedAmount;
+    const timelock = order.timelocks.publicWithdrawal;
+    
+    // Taking the order, the resolver first posts its safety deposit on the Sui escrow
+    if (SAFETY_DEPOSIT_MIST > 0) {
+        const deposit = await suiClient.addSafetyDeposit(order.escrowId, SAFETY_DEPOSIT_MIST, { coinType: order.coinType });
+        await store.saveEscrow(order.escrowId, { safetyDeposit: String(SAFETY_DEPOSIT_MIST), safetyDepositTxHash: deposit.txHash });
+    }
+    
+    const escrow = await ethClient.createEscrow(order.userAddress, order.secretHash, amount, timelock, {
+        hashAlgorithm: order.hashAlgorithm
+    });
+    return { ...escrow, amount: amount.toString(), timelock };
+}
+
 // Execute cross-chain swap via 1inch Fusion+
 app.post('/api/swap/execute', async (req, res) => {
     try {
@@ -424,38 +1117,69 @@ app.post('/api/swap/execute', async (req, res) => {
         let ethTxResult = null;
         
         if (direction.includes('ETH') || direction.includes('BASE_SEPOLIA')) {
-            console.log('🔄 Executing REAL Base Sepolia transaction...');
+            console.log('🔄 Locking destination HTLC escrow...');
+            
+            const order = await store.getOrder(orderID);
+            if (!order) {
+                return sendError(res, new SwapError('ORDER_NOT_FOUND'));
+            }
             
             try {
-                // Execute real Base Sepolia transaction using ethClient
-                ethTxResult = await ethClient.executeSwap('ETH', 'SUI', parseFloat(amount) || 0.0001);
+                ethTxResult = await lockDestinationEscrow(order);
                 
-                console.log(`✅ REAL Base Sepolia transaction executed: ${ethTxResult.txHash}`);
+                console.log(`✅ Destination escrow ${ethTxResult.escrowId} locked: ${ethTxResult.txHash}`);
                 console.log(`🔍 Explorer: ${ethTxResult.explorerUrl}`);
                 
+                await store.saveEscrow(ethTxResult.escrowId, {
+                    orderId: orderID,
+                    chain: ethTxResult.network,
+                    token: ethTxResult.token,
+                    redeemer: order.userAddress,
+                    amount: ethTxResult.amount,
+                    timelock: ethTxResult.timelock,
+                    hashAlgorithm: order.hashAlgorithm,
+                    txHash: ethTxResult.txHash,
+                    status: 'locked'
+                });
+                await store.recordTransaction({
+                    orderId: orderID,
+                    escrowId: ethTxResult.escrowId,
+                    chain: ethTxResult.network,
+                    type: 'lock',
+                    txHash: ethTxResult.txHash
+                });
+                await markDstLocked(orderID, ethTxResult.txHash, true, {
+                    dstEscrowId: ethTxResult.escrowId,
+                    dstAmount: ethTxResult.amount,
+                    dstTimelock: ethTxResult.timelock
+                });
+                
                 // Return the REAL transaction hash to the UI
                 return res.json({
-                    txHash: ethTxResult.txHash, // REAL Base Sepolia transaction hash
-                    outputAmount: ethTxResult.amount,
-                    gasUsed: ethTxResult.gasUsed || '21000',
+                    txHash: ethTxResult.txHash, // REAL destination chain transaction hash
+                    escrowId: ethTxResult.escrowId,
+                    outputAmount: ethers.formatEther(ethTxResult.amount),
+                    timelock: ethTxResult.timelock,
+                    gasUsed: ethTxResult.gasUsed,
                     explorerUrl: ethTxResult.explorerUrl,
                     network: ethTxResult.network,
                     blockNumber: ethTxResult.blockNumber,
                     status: ethTxResult.status,
-                    realTransaction: true, // Flag to indicate this is a real transaction
-                    confirmations: ethTxResult.confirmations || 1
+                    realTransaction: true // Flag to indicate this is a real transaction
                 });
                 
             } catch (ethError) {
-                console.error('❌ Base Sepolia transaction failed:', ethError.message);
+                if (ethError instanceof SwapError) {
+                    return sendError(res, ethError);
+                }
+                console.error('❌ Destination escrow lock failed:', ethError.message);
                 
                 // Provide helpful error messages
                 if (ethError.message.includes('insufficient')) {
-                    return res.status(400).json({ 
-                        error: 'Insufficient Base Sepolia ETH balance',
+                    return sendError(res, new SwapError('INSUFFICIENT_BALANCE', 'Insufficient Base Sepolia ETH balance', {
                         suggestion: 'Get more testnet ETH from https://www.alchemy.com/faucets/base-sepolia',
                         network: 'BASE_SEPOLIA'
-                    });
+                    }));
                 }
                 
                 // Fall back to fusion client if ETH transaction fails
@@ -471,6 +1195,16 @@ app.post('/api/swap/execute', async (req, res) => {
             amount
         });
         
+        await store.recordTransaction({
+            orderId: orderID,
+            escrowId: escrowID,
+            chain: direction,
+            type: 'execute',
+            txHash: swapResult.txHash,
+            realFusion: swapResult.realFusion
+        });
+        await markDstLocked(orderID, swapResult.txHash, !!swapResult.realFusion);
+        
         // If we had a successful ETH transaction, prefer that
         if (ethTxResult) {
             res.json({
@@ -498,7 +1232,7 @@ app.post('/api/swap/execute', async (req, res) => {
         
     } catch (error) {
         debug('Execute swap error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
@@ -506,7 +1240,7 @@ app.post('/api/swap/execute', async (req, res) => {
 app.get('/api/fusion/orders', async (req, res) => {
     try {
         if (!fusionClient) {
-            return res.status(503).json({ error: 'Fusion+ not available - API key not configured' });
+            return sendError(res, new SwapError('NOT_CONFIGURED', 'Fusion+ not available - API key not configured'));
         }
         
         const orders = await fusionClient.listOrders();
@@ -518,18 +1252,29 @@ app.get('/api/fusion/orders', async (req, res) => {
         });
     } catch (error) {
         debug('List orders error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
 app.get('/api/fusion/orders/:orderHash', async (req, res) => {
     try {
         if (!fusionClient) {
-            return res.status(503).json({ error: 'Fusion+ not available - API key not configured' });
+            return sendError(res, new SwapError('NOT_CONFIGURED', 'Fusion+ not available - API key not configured'));
         }
         
         const { orderHash } = req.params;
-        const status = await fusionClient.getOrderStatus(orderHash);
+        
+        // Demo client has no 1inch API - answer from the local store
+        let status;
+        if (typeof fusionClient.getOrderStatus === 'function') {
+            status = await fusionClient.getOrderStatus(orderHash);
+        } else {
+            const order = await store.getOrder(orderHash);
+            if (!order) {
+                return sendError(res, new SwapError('ORDER_NOT_FOUND'));
+            }
+            status = { orderHash, status: order.status || 'pending', createdAt: order.createdAt, verified: false };
+        }
         
         res.json({
             success: true,
@@ -538,7 +1283,7 @@ app.get('/api/fusion/orders/:orderHash', async (req, res) => {
         });
     } catch (error) {
         debug('Get order status error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
@@ -549,7 +1294,7 @@ app.get('/api/fusion/verify/:orderHash', async (req, res) => {
         // Get local order data (works for both real and demo clients)
         const localOrder = await fusionClient.getOrder(orderHash);
         if (!localOrder) {
-            return res.status(404).json({ error: 'Order not found' });
+            return sendError(res, new SwapError('ORDER_NOT_FOUND'));
         }
 
         // Try to get 1inch API data if available
@@ -623,19 +1368,39 @@ app.get('/api/fusion/verify/:orderHash', async (req, res) => {
         });
     } catch (error) {
         debug('Verify order error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
 // Error handling middleware
 app.use((error, req, res, next) => {
     debug('Unhandled error:', error);
-    res.status(500).json({ 
-        error: 'Internal server error',
-        message: error.message 
-    });
+    sendError(res, error);
 });
 
+// Pick up swaps interrupted by a restart: retry claims that were requested but not recorded
+// (expired escrows are left to the refund keeper)
+async function resumeSwaps() {
+    const results = await swaps.resume({
+        claim: async (order) => {
+            const { secret } = await store.getSecret(order.orderId);
+            const claim = await suiClient.claimEscrow(
+                order.escrowId,
+                Buffer.from(secret, 'hex'),
+                order.claimAmount,
+                { coinType: order.coinType, takingAmount: getFillTakingAmount(order, order.claimAmount) }
+            );
+            return claim;
+        }
+    });
+    
+    if (results.length > 0) {
+        console.log(`🔁 Resumed ${results.length} interrupted swap(s):`);
+        results.forEach(result => console.log(`   ${result.orderId}: ${result.action}${result.txHash ? ` (${result.txHash})` : ''}`));
+    }
+    return results;
+}
+
 // Start server
 async function startServer() {
     const initialized = await initializeClients();
@@ -650,6 +1415,18 @@ async function startServer() {
         process.exit(1);
     }
     
+    eventIndexer = createSuiEventIndexer(suiClient, {
+        store,
+        onEscrowEvent: applyEscrowEvent,
+        intervalMs: parseInt(process.env.EVENT_INDEXER_INTERVAL_MS) || undefined
+    });
+    
+    await resumeSwaps();
+    await eventIndexer.tick().catch(error => console.error('❌ Initial event indexing failed:', error.message));
+    await refundKeeper.tick();
+    eventIndexer.start();
+    refundKeeper.start();
+    
     app.listen(PORT, () => {
         console.log(`🚀 API Server running on http://localhost:${PORT}`);
         console.log(`📋 Available endpoints:`);
@@ -657,7 +1434,13 @@ async function startServer() {
         console.log(`   GET  /api/wallet           - Wallet information`);
         console.log(`   POST /api/swap/create      - Create swap order`);
         console.log(`   POST /api/swap/lock        - Lock funds in HTLC`);
+        console.log(`   POST /api/swap/reveal      - Reveal maker secret (after escrows verified)`);
         console.log(`   POST /api/swap/claim       - Claim funds from HTLC`);
+        console.log(`   POST /api/swap/public-withdraw - Complete a revealed swap in public withdrawal`);
+        console.log(`   POST /api/swap/refund      - Refund an expired HTLC escrow`);
+        console.log(`   POST /api/swap/simulate    - Dry-run a lock, claim or refund`);
+        console.log(`   GET  /api/tx/:chain/:hash  - Transaction status (sui | evm)`);
+        console.log(`   GET  /api/escrow/:escrowId - On-chain state of a Sui escrow`);
         console.log(`   GET  /api/contract/status  - Contract deployment status`);
         console.log(`   GET  /api/fusion/orders    - List 1inch Fusion+ orders`);
         console.log(`   GET  /api/fusion/orders/:hash - Get order status`);
@@ -669,6 +1452,8 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('\n👋 Shutting down API server...');
+    refundKeeper.stop();
+    if (eventIndexer) eventIndexer.stop();
     process.exit(0);
 });
 
@@ -0,0 +1,105 @@
+/**
+ * Dutch auction curve shared with htlc_escrow::escrow
+ *
+ * Amounts are the taking amount (what the maker receives for the whole order,
+ * in destination token base units). The price falls linearly from maxAmount
+ * at startTime to minAmount at endTime; times are ms like the Sui clock.
+ * Integer maths matches `current_price` in the Move module, so a fill priced
+ * here is never rejected on-chain (the chain clock only moves forward).
+ */
+
+const DEFAULT_AUCTION_DURATION_MS = 5 * 60 * 1000;
+// Auction opens this far above the quote...
+const DEFAULT_PREMIUM_BPS = 50;
+// ...and ends at the quote minus the maker's slippage
+const DEFAULT_SLIPPAGE_BPS = 100;
+// Resolver fee taken out of the escrowed amount (source token), paid to the escrow's fee recipient
+const DEFAULT_RESOLVER_FEE_BPS = 10;
+
+const BPS = 10000n;
+
+function toBigInt(value) {
+    return typeof value === 'bigint' ? value : BigInt(value);
+}
+
+// Price for the whole order at `now`
+function getAuctionPrice(params, now = Date.now()) {
+    const minAmount = toBigInt(params.minAmount);
+    const maxAmount = toBigInt(params.maxAmount);
+    const startTime = Number(params.startTime);
+    const endTime = Number(params.endTime);
+
+    if (now <= startTime) return maxAmount;
+    if (now >= endTime) return minAmount;
+
+    const elapsed = BigInt(Math.floor(now - startTime));
+    const duration = BigInt(endTime - startTime);
+    return maxAmount - ((maxAmount - minAmount) * elapsed) / duration;
+}
+
+// Smallest taking amount the escrow accepts for a fill of `fillAmount` out of `totalAmount`
+function getRequiredTakingAmount(params, fillAmount, totalAmount, now = Date.now()) {
+    const price = getAuctionPrice(params, now);
+    const total = toBigInt(totalAmount);
+    return (price * toBigInt(fillAmount) + total - 1n) / total; // Round up
+}
+
+// Resolver fee for an escrow of `amount` (source token base units)
+function getResolverFee(amount, feeBps = DEFAULT_RESOLVER_FEE_BPS) {
+    return (toBigInt(amount) * BigInt(feeBps)) / BPS;
+}
+
+// Resolver fee share of a fill, as `get_fill_fee` in the Move module: cumulative
+// pro rata shares, so the fills of an escrow add up to resolverFee exactly
+function getFillFee(resolverFee, fillAmount, totalFilled, totalAmount) {
+    const fee = toBigInt(resolverFee);
+    const filled = toBigInt(totalFilled);
+    const total = toBigInt(totalAmount);
+    if (total === 0n) return 0n;
+    return (fee * (filled + toBigInt(fillAmount))) / total - (fee * filled) / total;
+}
+
+// Auction around a quoted taking amount
+function createAuctionParams(options) {
+    const {
+        expectedAmount,
+        startTime = Date.now(),
+        durationMs = DEFAULT_AUCTION_DURATION_MS,
+        premiumBps = DEFAULT_PREMIUM_BPS,
+        slippageBps = DEFAULT_SLIPPAGE_BPS,
+        resolverFee = 0n
+    } = options;
+
+    const expected = toBigInt(expectedAmount);
+    return {
+        minAmount: (expected * (BPS - BigInt(slippageBps))) / BPS,
+        maxAmount: (expected * (BPS + BigInt(premiumBps))) / BPS,
+        startTime,
+        endTime: startTime + durationMs,
+        resolverFee: toBigInt(resolverFee)
+    };
+}
+
+// JSON-safe copy (BigInt -> string)
+function serializeAuctionParams(params) {
+    return {
+        minAmount: params.minAmount.toString(),
+        maxAmount: params.maxAmount.toString(),
+        startTime: Number(params.startTime),
+        endTime: Number(params.endTime),
+        resolverFee: toBigInt(params.resolverFee || 0).toString()
+    };
+}
+
+module.exports = {
+    DEFAULT_AUCTION_DURATION_MS,
+    DEFAULT_PREMIUM_BPS,
+    DEFAULT_SLIPPAGE_BPS,
+    DEFAULT_RESOLVER_FEE_BPS,
+    getAuctionPrice,
+    getRequiredTakingAmount,
+    getResolverFee,
+    getFillFee,
+    createAuctionParams,
+    serializeAuctionParams
+};
@@ -1,4 +1,6 @@
 const { SuiHTLCClient, OneinchFusionClient, EthereumClient } = require('./real_swap');
+const { createHashlock } = require('./hashlock');
+const { createSecretTree, getFillSecret } = require('./secret_tree');
 const crypto = require('crypto');
 const debug = require('debug')('sui-fusion');
 
@@ -44,11 +46,13 @@ class BidirectionalSwapDemo {
             
             // Step 1: Create intent order (SUI -> ETH)
             console.log('📝 Step 1: Alice creates intent to swap SUI for ETH');
+            const hashlock = createHashlock(); // maker keeps the secret
             const order = await this.fusionClient.createFusionOrder(
                 'SUI',      // fromToken
                 'ETH',      // toToken  
                 swapAmount.toString(),
-                ethAddress  // Alice's ETH address to receive
+                ethAddress, // Alice's ETH address to receive
+                { secretHash: hashlock.secretHash, hashAlgorithm: hashlock.hashAlgorithm }
             );
             console.log(`   📋 Order ID: ${order.id}`);
             console.log(`   🔑 Secret Hash: ${order.secretHash}\n`);
@@ -58,11 +62,13 @@ class BidirectionalSwapDemo {
             const timelock = Date.now() + (30 * 60 * 1000); // 30 minutes
             const secretHash = Buffer.from(order.secretHash, 'hex');
             
+            const resolverAddress = await this.suiClient.getRedeemerAddress();
             const escrow = await this.suiClient.createEscrow(
-                ethAddress, // Bob (resolver) will claim this
+                resolverAddress, // Bob (resolver) will claim this
                 secretHash,
                 requiredSui.toString(),
-                timelock
+                timelock,
+                { hashAlgorithm: order.hashAlgorithm }
             );
             
             console.log(`   ✅ REAL SUI lock transaction: ${escrow.txHash}`);
@@ -78,12 +84,13 @@ class BidirectionalSwapDemo {
             
             // Step 4: Resolver reveals secret to claim SUI
             console.log('🎯 Step 4: Resolver claims SUI with secret');
-            const secret = Buffer.from(order.secret, 'hex');
+            const secret = Buffer.from(hashlock.secret, 'hex');
             
             const claim = await this.suiClient.claimEscrow(
                 escrow.escrowId,
                 secret,
-                requiredSui.toString()
+                requiredSui.toString(),
+                { takingAmount: 0 } // No auction on this escrow, so nothing to attest
             );
             
             console.log(`   ✅ REAL claim transaction: ${claim.txHash}`);
@@ -134,11 +141,13 @@ class BidirectionalSwapDemo {
             
             // Step 1: Create intent order (ETH -> SUI)
             console.log('📝 Step 1: Bob creates intent to swap ETH for SUI');
+            const hashlock = createHashlock(); // maker keeps the secret
             const order = await this.fusionClient.createFusionOrder(
                 'ETH',      // fromToken
                 'SUI',      // toToken
                 ethAmount.toString(),
-                suiAddress  // Bob's SUI address to receive
+                suiAddress, // Bob's SUI address to receive
+                { secretHash: hashlock.secretHash, hashAlgorithm: hashlock.hashAlgorithm }
             );
             console.log(`   📋 Order ID: ${order.id}`);
             console.log(`   🔑 Secret Hash: ${order.secretHash}\n`);
@@ -155,11 +164,13 @@ class BidirectionalSwapDemo {
             const secretHash = Buffer.from(order.secretHash, 'hex');
             const suiAmount = expectedSui * 1e9; // Convert to mist
             
+            const bobAddress = await this.suiClient.getRedeemerAddress();
             const escrow = await this.suiClient.createEscrow(
-                suiAddress, // Bob will claim this  
+                bobAddress, // Bob will claim this  
                 secretHash,
                 suiAmount.toString(),
-                timelock
+                timelock,
+                { hashAlgorithm: order.hashAlgorithm }
             );
             
             console.log(`   ✅ REAL SUI lock transaction: ${escrow.txHash}`);
@@ -169,12 +180,13 @@ class BidirectionalSwapDemo {
             
             // Step 4: Bob claims SUI with secret
             console.log('🎯 Step 4: Bob claims SUI with revealed secret');
-            const secret = Buffer.from(order.secret, 'hex');
+            const secret = Buffer.from(hashlock.secret, 'hex');
             
             const claim = await this.suiClient.claimEscrow(
                 escrow.escrowId,
                 secret,
-                suiAmount.toString()
+                suiAmount.toString(),
+                { takingAmount: 0 } // No auction on this escrow, so nothing to attest
             );
             
             console.log(`   ✅ REAL claim transaction: ${claim.txHash}`);
@@ -217,28 +229,34 @@ class BidirectionalSwapDemo {
             
             const totalAmount = 0.2; // SUI
             const requiredSui = totalAmount * 1e9;
+            const partsCount = 4; // Fillable in quarters, one secret per tranche
             
             // Step 1: Create large order 
             console.log('📝 Step 1: Alice creates large swap order');
+            const secretTree = createSecretTree(partsCount); // maker keeps all the secrets
             const order = await this.fusionClient.createFusionOrder(
                 'SUI',
                 'ETH', 
                 totalAmount.toString(),
-                ethAddress
+                ethAddress,
+                { secretHash: secretTree.root, hashAlgorithm: secretTree.hashAlgorithm }
             );
             console.log(`   📋 Order ID: ${order.id}`);
-            console.log(`   💰 Total Amount: ${totalAmount} SUI\n`);
+            console.log(`   💰 Total Amount: ${totalAmount} SUI`);
+            console.log(`   🌳 Secret tree root: ${secretTree.root} (${partsCount + 1} secrets)\n`);
             
             // Step 2: Lock funds in escrow with partial fills enabled
             console.log('🔒 Step 2: Alice locks SUI with partial fills enabled');
             const timelock = Date.now() + (30 * 60 * 1000);
             const secretHash = Buffer.from(order.secretHash, 'hex');
             
+            const resolverAddress = await this.suiClient.getRedeemerAddress();
             const escrow = await this.suiClient.createEscrow(
-                ethAddress,
+                resolverAddress,
                 secretHash,
                 requiredSui.toString(),
-                timelock
+                timelock,
+                { hashAlgorithm: order.hashAlgorithm, partsCount }
             );
             
             console.log(`   ✅ REAL lock transaction: ${escrow.txHash}`);
@@ -248,12 +266,15 @@ class BidirectionalSwapDemo {
             // Step 3: Demonstrate partial claim (50% of order)
             console.log('🎯 Step 3: Resolver claims 50% of the order');
             const partialAmount = (totalAmount * 0.5) * 1e9; // 50% in mist
-            const secret = Buffer.from(order.secret, 'hex');
+            // Alice hands out only the secret of the tranche this fill ends in
+            const fillSecret = getFillSecret(secretTree, 0, partialAmount, requiredSui);
+            console.log(`   🔑 Revealing secret #${fillSecret.index} of ${partsCount}`);
             
             const partialClaim = await this.suiClient.claimEscrow(
                 escrow.escrowId,
-                secret,
-                partialAmount.toString()
+                fillSecret.secret,
+                partialAmount.toString(),
+                { secretIndex: fillSecret.index, proof: fillSecret.proof, takingAmount: 0 }
             );
             
             console.log(`   ✅ REAL partial claim: ${partialClaim.txHash}`);
@@ -261,6 +282,7 @@ class BidirectionalSwapDemo {
             console.log(`   💰 Claimed: ${totalAmount * 0.5} SUI (50%)\n`);
             
             console.log('📊 Partial fill completed - remaining 50% still available');
+            console.log(`   🔒 Secrets #${fillSecret.index + 1}-#${partsCount} are still private, so other resolvers cannot take the rest`);
             
             return {
                 direction: 'Partial Fill Demo',
@@ -0,0 +1,90 @@
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { compileContract } = require('./evm_contracts');
+
+// Load environment variables from root directory
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+async function deployEvmHTLCContract() {
+    console.log('🚀 Deploying HTLCEscrow Contract to EVM\n');
+    
+    try {
+        // Validate environment
+        if (!process.env.ETH_PRIVATE_KEY) {
+            throw new Error('ETH_PRIVATE_KEY not found in environment variables');
+        }
+        if (!process.env.ETH_RPC_URL) {
+            throw new Error('ETH_RPC_URL not found in environment variables');
+        }
+        
+        const provider = new ethers.JsonRpcProvider(process.env.ETH_RPC_URL);
+        const wallet = new ethers.Wallet(process.env.ETH_PRIVATE_KEY, provider);
+        const network = await provider.getNetwork();
+        
+        // Check balance
+        const balance = await provider.getBalance(wallet.address);
+        console.log(`📊 Deployer Address: ${wallet.address}`);
+        console.log(`🌐 Chain ID: ${network.chainId}`);
+        console.log(`💰 Balance: ${ethers.formatEther(balance)} ETH\n`);
+        
+        if (balance === 0n) {
+            throw new Error('Insufficient balance for deployment');
+        }
+        
+        console.log('🔨 Compiling HTLCEscrow.sol...');
+        const { abi, bytecode } = compileContract('HTLCEscrow');
+        console.log('✅ Contract compiled successfully');
+        
+        console.log('\n📦 Deploying contract...');
+        const contract = await new ethers.ContractFactory(abi, bytecode, wallet).deploy();
+        const deployTx = contract.deploymentTransaction();
+        await contract.waitForDeployment();
+        const htlcAddress = await contract.getAddress();
+        
+        console.log('✅ Contract deployed successfully!');
+        console.log(`📦 HTLCEscrow Address: ${htlcAddress}`);
+        console.log(`🔗 Transaction: ${deployTx.hash}`);
+        
+        // Update .env file with contract address
+        const envPath = path.join(__dirname, '../.env');
+        let envContent = '';
+        
+        if (fs.existsSync(envPath)) {
+            envContent = fs.readFileSync(envPath, 'utf8');
+        }
+        
+        // Update or add ETH_HTLC_ADDRESS
+        if (envContent.includes('ETH_HTLC_ADDRESS=')) {
+            envContent = envContent.replace(
+                /ETH_HTLC_ADDRESS=.*/,
+                `ETH_HTLC_ADDRESS=${htlcAddress}`
+            );
+        } else {
+            envContent += `\nETH_HTLC_ADDRESS=${htlcAddress}\n`;
+        }
+        
+        fs.writeFileSync(envPath, envContent);
+        console.log('📝 Updated .env file with contract address');
+        
+        console.log('\n🎉 Deployment completed successfully!');
+        
+        provider.destroy();
+        return htlcAddress;
+        
+    } catch (error) {
+        console.error('❌ Deployment failed:', error.message);
+        if (process.env.DEBUG) {
+            console.error(error.stack);
+        }
+        process.exit(1);
+    }
+}
+
+// Run deployment if called directly
+if (require.main === module) {
+    deployEvmHTLCContract().catch(console.error);
+}
+
+module.exports = { deployEvmHTLCContract };
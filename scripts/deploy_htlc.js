@@ -1,14 +1,18 @@
 const { SuiClient, getFullnodeUrl } = require('@mysten/sui/client');
 const { Ed25519Keypair } = require('@mysten/sui/keypairs/ed25519');
 const { decodeSuiPrivateKey } = require('@mysten/sui/cryptography');
+const { Transaction, UpgradePolicy } = require('@mysten/sui/transactions');
 const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const dotenv = require('dotenv');
+const { getNetwork, loadDeployment, saveDeployment, deploymentFromPublish, deploymentFromUpgrade, checkUpgradable } = require('./deployments');
 
 // Load environment variables from root directory
 dotenv.config({ path: path.join(__dirname, '../.env') });
 
+const CONTRACT_DIR = path.join(__dirname, '../docs/htlc_escrow');
+
 function parsePrivateKey(privateKey) {
     if (!privateKey) {
         throw new Error('SUI_PRIVATE_KEY is required');
@@ -21,7 +25,7 @@ function parsePrivateKey(privateKey) {
             return Ed25519Keypair.fromSecretKey(secretKey);
         } else {
             // Handle raw hex format
-            const keyBytes = privateKey.startsWith('0x') 
+            const keyBytes = privateKey.startsWith('0x')
                 ? Buffer.from(privateKey.slice(2), 'hex')
                 : Buffer.from(privateKey, 'hex');
             return Ed25519Keypair.fromSecretKey(keyBytes);
@@ -31,174 +35,161 @@ function parsePrivateKey(privateKey) {
     }
 }
 
+// Compiled modules, dependency IDs and package digest - the SDK cannot compile Move,
+// so this is the only step that still needs the Sui CLI
+function buildPackage() {
+    if (!fs.existsSync(CONTRACT_DIR)) {
+        throw new Error(`Contract directory not found: ${CONTRACT_DIR}`);
+    }
+
+    console.log('🔨 Building Move package...');
+    const output = execSync(`sui move build --dump-bytecode-as-base64 --path "${CONTRACT_DIR}"`, {
+        encoding: 'utf8'
+    });
+    const { modules, dependencies, digest } = JSON.parse(output);
+    console.log(`✅ Package built: ${modules.length} module(s)`);
+    return { modules, dependencies, digest };
+}
+
+// Deployer client and keypair with enough SUI for a publish
+async function connect(network) {
+    if (!process.env.SUI_PRIVATE_KEY) {
+        throw new Error('SUI_PRIVATE_KEY not found in environment variables');
+    }
+
+    const client = new SuiClient({
+        url: process.env.SUI_RPC_URL || getFullnodeUrl(network)
+    });
+    const keypair = parsePrivateKey(process.env.SUI_PRIVATE_KEY);
+    const address = keypair.getPublicKey().toSuiAddress();
+
+    // Check balance
+    const balance = await client.getBalance({ owner: address });
+    console.log(`📊 Deployer Address: ${address}`);
+    console.log(`💰 Balance: ${balance.totalBalance / 1e9} SUI\n`);
+
+    if (parseInt(balance.totalBalance) < 100000000) { // 0.1 SUI
+        throw new Error('Insufficient balance for deployment. Need at least 0.1 SUI');
+    }
+
+    return { client, keypair, address };
+}
+
+async function execute(client, keypair, tx) {
+    tx.setGasBudget(BigInt(process.env.GAS_BUDGET || 100000000));
+    const result = await client.signAndExecuteTransaction({
+        signer: keypair,
+        transaction: tx,
+        options: { showEffects: true, showObjectChanges: true }
+    });
+    if (result.effects?.status?.status !== 'success') {
+        throw new Error(`Transaction failed: ${result.effects?.status?.error || 'unknown error'}`);
+    }
+    await client.waitForTransaction({ digest: result.digest });
+    return result;
+}
+
+function printDeployment(deployment, file) {
+    console.log(`📦 Package ID: ${deployment.packageId} (version ${deployment.version})`);
+    if (deployment.originalPackageId !== deployment.packageId) {
+        console.log(`📦 Original Package ID: ${deployment.originalPackageId}`);
+    }
+    console.log(`🔑 UpgradeCap: ${deployment.upgradeCapId}`);
+    console.log(`⚙️  Config: ${deployment.configId}`);
+    console.log(`🔑 AdminCap: ${deployment.adminCapId}`);
+    console.log(`🔗 Transaction: ${deployment.digest}`);
+    console.log(`📝 Deployment manifest: ${file}`);
+}
+
+// Publish the package and keep the UpgradeCap with the deployer
 async function deployHTLCContract() {
-    console.log('🚀 Deploying HTLC Contract to Sui Testnet\n');
-    
+    const network = getNetwork();
+    console.log(`🚀 Deploying HTLC Contract to Sui ${network}\n`);
+
     try {
-        // Validate environment
-        if (!process.env.SUI_PRIVATE_KEY) {
-            throw new Error('SUI_PRIVATE_KEY not found in environment variables');
-        }
-        
-        // Initialize Sui client
-        const client = new SuiClient({
-            url: process.env.SUI_RPC_URL || getFullnodeUrl('testnet')
-        });
-        
-        // Handle both suiprivkey... format and raw hex format
-        const keypair = parsePrivateKey(process.env.SUI_PRIVATE_KEY);
-        
-        const address = keypair.getPublicKey().toSuiAddress();
-        
-        // Check balance
-        const balance = await client.getBalance({ owner: address });
-        console.log(`📊 Deployer Address: ${address}`);
-        console.log(`💰 Balance: ${balance.totalBalance / 1e9} SUI\n`);
-        
-        if (parseInt(balance.totalBalance) < 100000000) { // 0.1 SUI
-            throw new Error('Insufficient balance for deployment. Need at least 0.1 SUI');
+        const existing = loadDeployment(network);
+        if (existing && !process.argv.includes('--force')) {
+            throw new Error(`Already deployed on ${network} (${existing.packageId}) - run \`npm run deploy:upgrade\`, or pass --force to publish a new package`);
         }
-        
-        // Navigate to contract directory
-        const contractDir = path.join(__dirname, '../docs/htlc_escrow');
-        
-        if (!fs.existsSync(contractDir)) {
-            throw new Error(`Contract directory not found: ${contractDir}`);
+        if (existing) {
+            // The new package cannot touch escrows of the old one
+            console.log(`⚠️  Replacing package ${existing.packageId} - its escrows can only be claimed or refunded through it`);
         }
-        
-        console.log('🔨 Building Move package...');
-        
-        // Build the package
-        try {
-            const buildOutput = execSync('sui move build', {
-                cwd: contractDir,
-                encoding: 'utf8'
-            });
-            console.log('✅ Package built successfully');
-            if (process.env.DEBUG) {
-                console.log(buildOutput);
-            }
-        } catch (error) {
-            console.error('❌ Build failed:', error.message);
-            throw error;
+
+        const { client, keypair, address } = await connect(network);
+        const { modules, dependencies } = buildPackage();
+
+        console.log(`\n📦 Publishing package to ${network}...`);
+        const tx = new Transaction();
+        const [upgradeCap] = tx.publish({ modules, dependencies });
+        tx.transferObjects([upgradeCap], address);
+        const result = await execute(client, keypair, tx);
+
+        const deployment = deploymentFromPublish(network, result);
+        const file = saveDeployment(deployment);
+        console.log('✅ Package published successfully!');
+        printDeployment(deployment, file);
+
+        console.log('\n🎉 Deployment completed successfully!');
+        console.log('ℹ️  You can now run the real swap script with:');
+        console.log('   node real_swap.js');
+
+        return deployment;
+
+    } catch (error) {
+        console.error('❌ Deployment failed:', error.message);
+        if (process.env.DEBUG) {
+            console.error(error.stack);
         }
-        
-        console.log('\n📦 Publishing package to testnet...');
-        
-        // Create a temporary sui client config for this deployment
-        const configDir = path.join(contractDir, '.sui');
-        const clientConfig = {
-            keystore: {
-                File: path.join(configDir, 'sui.keystore')
-            },
-            envs: [{
-                alias: 'testnet',
-                rpc: process.env.SUI_RPC_URL || 'https://fullnode.testnet.sui.io:443',
-                ws: null
-            }],
-            active_env: 'testnet',
-            active_address: address
-        };
-        
-        // Ensure config directory exists
-        if (!fs.existsSync(configDir)) {
-            fs.mkdirSync(configDir, { recursive: true });
+        process.exit(1);
+    }
+}
+
+// Upgrade the deployed package in place (compatible policy), authorised by its UpgradeCap.
+// Existing objects keep their types; Move calls move to the new package ID.
+async function upgradeHTLCContract() {
+    const network = getNetwork();
+    console.log(`⬆️  Upgrading HTLC Contract on Sui ${network}\n`);
+
+    try {
+        const deployment = loadDeployment(network);
+        if (!deployment) {
+            throw new Error(`No deployment manifest for ${network} - run \`npm run deploy\` first`);
         }
-        
-        // Write client config
-        fs.writeFileSync(
-            path.join(configDir, 'client.yaml'),
-            `keystore:
-  File: ${path.join(configDir, 'sui.keystore')}
-envs:
-  - alias: testnet
-    rpc: "${process.env.SUI_RPC_URL || 'https://fullnode.testnet.sui.io:443'}"
-    ws: ~
-active_env: testnet
-active_address: "${address}"
-`
-        );
-        
-        // Create keystore file
-        const keystoreContent = [
-            keypair.getSecretKey()
-        ];
-        fs.writeFileSync(
-            path.join(configDir, 'sui.keystore'),
-            JSON.stringify(keystoreContent)
-        );
-        
-        // Publish the package
-        try {
-            const publishOutput = execSync(`sui client publish --gas-budget ${process.env.GAS_BUDGET || 100000000} --json`, {
-                cwd: contractDir,
-                encoding: 'utf8'
-            });
-            
-            const publishResult = JSON.parse(publishOutput);
-            
-            if (publishResult.effects?.status?.status === 'success') {
-                // Extract package ID from the publish result
-                const packageId = publishResult.objectChanges?.find(
-                    change => change.type === 'published'
-                )?.packageId;
-                
-                if (packageId) {
-                    console.log('✅ Package published successfully!');
-                    console.log(`📦 Package ID: ${packageId}`);
-                    console.log(`🔗 Transaction: ${publishResult.digest}`);
-                    
-                    // Update .env file with package ID
-                    const envPath = path.join(__dirname, '../.env');
-                    let envContent = '';
-                    
-                    if (fs.existsSync(envPath)) {
-                        envContent = fs.readFileSync(envPath, 'utf8');
-                    }
-                    
-                    // Update or add HTLC_PACKAGE_ID
-                    if (envContent.includes('HTLC_PACKAGE_ID=')) {
-                        envContent = envContent.replace(
-                            /HTLC_PACKAGE_ID=.*/,
-                            `HTLC_PACKAGE_ID=${packageId}`
-                        );
-                    } else {
-                        envContent += `\nHTLC_PACKAGE_ID=${packageId}\n`;
-                    }
-                    
-                    fs.writeFileSync(envPath, envContent);
-                    console.log('📝 Updated .env file with package ID');
-                    
-                    // Cleanup temporary files
-                    if (fs.existsSync(configDir)) {
-                        fs.rmSync(configDir, { recursive: true, force: true });
-                    }
-                    
-                    console.log('\n🎉 Deployment completed successfully!');
-                    console.log('ℹ️  You can now run the real swap script with:');
-                    console.log('   node real_swap.js');
-                    
-                    return packageId;
-                } else {
-                    throw new Error('Package ID not found in publish result');
-                }
-            } else {
-                throw new Error('Publish failed: ' + publishResult.status);
-            }
-            
-        } catch (error) {
-            console.error('❌ Publish failed:', error.message);
-            if (process.env.DEBUG && error.stdout) {
-                console.error('Stdout:', error.stdout);
-            }
-            if (process.env.DEBUG && error.stderr) {
-                console.error('Stderr:', error.stderr);
-            }
-            throw error;
+        if (!deployment.upgradeCapId) {
+            throw new Error(`The ${network} manifest has no UpgradeCap`);
         }
-        
+        checkUpgradable(deployment);
+
+        const { client, keypair } = await connect(network);
+        const { modules, dependencies, digest } = buildPackage();
+
+        console.log(`\n📦 Upgrading ${deployment.packageId} (version ${deployment.version})...`);
+        const tx = new Transaction();
+        const ticket = tx.moveCall({
+            target: '0x2::package::authorize_upgrade',
+            arguments: [
+                tx.object(deployment.upgradeCapId), // cap
+                tx.pure.u8(UpgradePolicy.COMPATIBLE), // policy
+                tx.pure.vector('u8', digest) // digest
+            ]
+        });
+        const receipt = tx.upgrade({ modules, dependencies, package: deployment.packageId, ticket });
+        tx.moveCall({
+            target: '0x2::package::commit_upgrade',
+            arguments: [tx.object(deployment.upgradeCapId), receipt]
+        });
+        const result = await execute(client, keypair, tx);
+
+        const upgraded = deploymentFromUpgrade(deployment, result);
+        const file = saveDeployment(upgraded);
+        console.log('✅ Package upgraded successfully!');
+        printDeployment(upgraded, file);
+
+        return upgraded;
+
     } catch (error) {
-        console.error('❌ Deployment failed:', error.message);
+        console.error('❌ Upgrade failed:', error.message);
         if (process.env.DEBUG) {
             console.error(error.stack);
         }
@@ -206,9 +197,13 @@ active_address: "${address}"
     }
 }
 
-// Run deployment if called directly
+// Run deployment if called directly (`node deploy_htlc.js upgrade` to upgrade)
 if (require.main === module) {
-    deployHTLCContract().catch(console.error);
+    if (process.argv[2] === 'upgrade') {
+        upgradeHTLCContract().catch(console.error);
+    } else {
+        deployHTLCContract().catch(console.error);
+    }
 }
 
-module.exports = { deployHTLCContract }; 
\ No newline at end of file
+module.exports = { deployHTLCContract, upgradeHTLCContract };
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Deployment manifests for the escrow package
+ *
+ * deploy_htlc.js writes deployments/<network>.json on every publish and
+ * upgrade, and SuiHTLCClient, admin.js and /api/contract/status read it:
+ *
+ *   packageId          latest version - Move calls go here
+ *   originalPackageId  first version - types and events are named after it
+ *   upgradeCapId       0x2::package::UpgradeCap held by the deployer
+ *   version, digest    package version and the publish or upgrade transaction
+ *   configId, adminCapId  objects created by the module's init (see admin.js)
+ *   layout             PACKAGE_LAYOUT the package was published with
+ *   history            every version with its package ID and transaction
+ */
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '../deployments');
+const DEFAULT_NETWORK = 'testnet';
+
+// Bumped when the Move sources change a public function signature or a struct layout,
+// which Sui's compatible upgrade policy rejects. Manifests without it predate the bump.
+//   2 - withdraw/withdraw_with_proof/refund take the escrow by value (delete on drain),
+//       Escrow records its fee_recipient and fees_paid, events carry the hashlock, coin type and clock time
+const PACKAGE_LAYOUT = 2;
+
+function getNetwork() {
+    return process.env.SUI_NETWORK || DEFAULT_NETWORK;
+}
+
+function getDeploymentPath(network = getNetwork(), dir = DEPLOYMENTS_DIR) {
+    return path.join(dir, `${network}.json`);
+}
+
+// Manifest for `network` (null when the package was never deployed there)
+function loadDeployment(network = getNetwork(), dir = DEPLOYMENTS_DIR) {
+    const file = getDeploymentPath(network, dir);
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function saveDeployment(deployment, dir = DEPLOYMENTS_DIR) {
+    const file = getDeploymentPath(deployment.network, dir);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(deployment, null, 2) + '\n');
+    return file;
+}
+
+// History entry of a publish or upgrade transaction (with showObjectChanges)
+function versionEntry(result) {
+    const published = (result.objectChanges || []).find(change => change.type === 'published');
+    if (!published) {
+        throw new Error('Package ID not found in the transaction result');
+    }
+    return {
+        version: Number(published.version),
+        packageId: published.packageId,
+        digest: result.digest,
+        deployedAt: new Date().toISOString()
+    };
+}
+
+function createdObjectId(result, typeSuffix) {
+    const change = (result.objectChanges || []).find(change =>
+        change.type === 'created' && change.objectType?.endsWith(typeSuffix));
+    return change ? change.objectId : null;
+}
+
+// Manifest of a freshly published package
+function deploymentFromPublish(network, result) {
+    const entry = versionEntry(result);
+    return {
+        network,
+        packageId: entry.packageId,
+        originalPackageId: entry.packageId,
+        upgradeCapId: createdObjectId(result, '::package::UpgradeCap'),
+        version: entry.version,
+        digest: entry.digest,
+        configId: createdObjectId(result, '::escrow::Config'),
+        adminCapId: createdObjectId(result, '::escrow::AdminCap'),
+        layout: PACKAGE_LAYOUT,
+        deployedAt: entry.deployedAt,
+        history: [entry]
+    };
+}
+
+// `deployment` moved to the version created by an upgrade transaction
+function deploymentFromUpgrade(deployment, result) {
+    const entry = versionEntry(result);
+    return {
+        ...deployment,
+        packageId: entry.packageId,
+        version: entry.version,
+        digest: entry.digest,
+        deployedAt: entry.deployedAt,
+        history: [...(deployment.history || []), entry]
+    };
+}
+
+// Throws when the sources cannot upgrade `deployment` in place - they need a fresh publish
+function checkUpgradable(deployment) {
+    const layout = deployment.layout || 1;
+    if (layout !== PACKAGE_LAYOUT) {
+        throw new Error(`${deployment.network} runs package layout ${layout}, the sources are layout ${PACKAGE_LAYOUT} - ` +
+            'Sui rejects upgrades that change public signatures or struct layouts. Finish or refund the live escrows, ' +
+            'then publish a new package with `npm run deploy -- --force`');
+    }
+    return deployment;
+}
+
+module.exports = {
+    DEPLOYMENTS_DIR,
+    PACKAGE_LAYOUT,
+    getNetwork,
+    getDeploymentPath,
+    loadDeployment,
+    saveDeployment,
+    deploymentFromPublish,
+    deploymentFromUpgrade,
+    checkUpgradable
+};
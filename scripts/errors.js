@@ -0,0 +1,191 @@
+/**
+ * Error catalogue for the swap API
+ *
+ * Every error the API returns has a stable `code` and HTTP status from ERRORS.
+ * toApiError classifies anything thrown by the Sui and EVM clients:
+ * - escrow aborts, reported by Sui as a status string such as
+ *     MoveAbort(MoveLocation { module: ModuleId { address: 0x..., name: Identifier("escrow") },
+ *     function: 7, instruction: 21, function_name: Some("withdraw") }, 1000) in command 2
+ * - HTLCEscrow.sol custom errors decoded by EthereumClient.decodeRevert
+ * - insufficient balances, RPC timeouts and unreachable RPC nodes
+ * Anything else is INTERNAL_ERROR with its original message.
+ */
+
+const ERRORS = {
+    // Escrow aborts (htlc_escrow::escrow) and the matching HTLCEscrow.sol errors
+    HASH_MISMATCH: { status: 400, message: 'wrong secret' },
+    NOT_REDEEMER: { status: 403, message: 'not redeemer' },
+    TIMELOCK_NOT_REACHED: { status: 409, message: 'outside the timelock window' },
+    NOT_INITIATOR: { status: 403, message: 'not initiator' },
+    AMOUNT_TOO_LARGE: { status: 400, message: 'amount exceeds the escrow' },
+    ZERO_AMOUNT: { status: 400, message: 'zero amount' },
+    UNSUPPORTED_HASH_ALGORITHM: { status: 400, message: 'unsupported hash algorithm' },
+    ATTESTED_BELOW_AUCTION_PRICE: { status: 409, message: 'attested taking amount below the auction price' },
+    INVALID_AUCTION: { status: 400, message: 'invalid auction parameters' },
+    PARTIAL_FILL_NOT_ALLOWED: { status: 400, message: 'partial fills not allowed' },
+    BELOW_MIN_FILL: { status: 400, message: 'fill below the minimum fill amount' },
+    WRONG_ESCROW_MODE: { status: 400, message: 'wrong escrow mode (single secret vs secret tree)' },
+    INVALID_SECRET_INDEX: { status: 409, message: 'wrong or already used secret index' },
+    INVALID_TIMELOCKS: { status: 400, message: 'timelock stages out of order' },
+    PAUSED: { status: 503, message: 'escrow package paused' },
+    RESOLVER_NOT_ALLOWED: { status: 403, message: 'resolver not allowlisted' },
+    ESCROW_NOT_EMPTY: { status: 409, message: 'escrow still holds funds' },
+    ESCROW_ABORT: { status: 422, message: 'escrow transaction aborted' },
+    ESCROW_EXISTS: { status: 409, message: 'escrow already exists' },
+    ESCROW_NOT_FOUND: { status: 404, message: 'Escrow not found' },
+    ESCROW_EMPTY: { status: 409, message: 'Escrow is already empty' },
+
+    // Swap requests
+    INVALID_REQUEST: { status: 400, message: 'Invalid request' },
+    ORDER_NOT_FOUND: { status: 404, message: 'Order not found' },
+    INVALID_SWAP_STATE: { status: 409, message: 'Not allowed in the current swap state' },
+    ESCROWS_NOT_VERIFIED: { status: 409, message: 'Escrows not verified' },
+
+    // Wallets and RPC nodes
+    INSUFFICIENT_BALANCE: { status: 422, message: 'Insufficient balance' },
+    TRANSACTION_FAILED: { status: 422, message: 'Transaction failed' },
+    RPC_TIMEOUT: { status: 504, message: 'RPC request timed out' },
+    RPC_UNAVAILABLE: { status: 502, message: 'RPC node unreachable' },
+    NOT_CONFIGURED: { status: 503, message: 'Service not configured' },
+    INTERNAL_ERROR: { status: 500, message: 'Internal server error' }
+};
+
+// Abort codes of the escrow module (see the assert! comments in htlc_escrow.move)
+const ESCROW_ABORTS = {
+    1000: 'HASH_MISMATCH',
+    1001: 'NOT_REDEEMER',
+    1002: 'TIMELOCK_NOT_REACHED',
+    1003: 'NOT_INITIATOR',
+    1004: 'AMOUNT_TOO_LARGE',
+    1005: 'ZERO_AMOUNT',
+    1006: 'UNSUPPORTED_HASH_ALGORITHM',
+    1007: 'ATTESTED_BELOW_AUCTION_PRICE',
+    1008: 'INVALID_AUCTION',
+    1009: 'PARTIAL_FILL_NOT_ALLOWED',
+    1010: 'BELOW_MIN_FILL',
+    1011: 'WRONG_ESCROW_MODE',
+    1012: 'INVALID_SECRET_INDEX',
+    1013: 'INVALID_TIMELOCKS',
+    1014: 'PAUSED',
+    1015: 'RESOLVER_NOT_ALLOWED',
+    1016: 'ESCROW_NOT_EMPTY'
+};
+
+// Custom errors of HTLCEscrow.sol
+const EVM_ERRORS = {
+    HashMismatch: 'HASH_MISMATCH',
+    NotRedeemer: 'NOT_REDEEMER',
+    TimelockNotReached: 'TIMELOCK_NOT_REACHED',
+    TimelockExpired: 'TIMELOCK_NOT_REACHED',
+    NotInitiator: 'NOT_INITIATOR',
+    AmountTooLarge: 'AMOUNT_TOO_LARGE',
+    ZeroAmount: 'ZERO_AMOUNT',
+    UnsupportedHashAlgorithm: 'UNSUPPORTED_HASH_ALGORITHM',
+    EscrowExists: 'ESCROW_EXISTS',
+    EscrowNotFound: 'ESCROW_NOT_FOUND',
+    PartialFillNotAllowed: 'PARTIAL_FILL_NOT_ALLOWED',
+    InvalidValue: 'INVALID_REQUEST',
+    InvalidRedeemer: 'INVALID_REQUEST',
+    InvalidTimelock: 'INVALID_REQUEST',
+    TransferFailed: 'TRANSACTION_FAILED'
+};
+
+const TIMEOUT_CODES = ['TIMEOUT', 'ETIMEDOUT', 'ECONNABORTED', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'];
+const UNAVAILABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'NETWORK_ERROR', 'SERVER_ERROR'];
+
+// An error with a catalogue code; `details` are added to the API response
+class SwapError extends Error {
+    constructor(code, message, details = {}) {
+        super(message || ERRORS[code].message);
+        this.name = 'SwapError';
+        this.code = code;
+        this.status = ERRORS[code].status;
+        this.details = details;
+    }
+}
+
+class EscrowAbortError extends SwapError {
+    constructor(abort, rawError) {
+        const code = ESCROW_ABORTS[abort.code] || 'ESCROW_ABORT';
+        const reason = ESCROW_ABORTS[abort.code] ? ERRORS[code].message : `abort code ${abort.code}`;
+        super(code, `Escrow ${abort.functionName || 'call'} aborted: ${reason} (${abort.code})`, {
+            abortCode: abort.code,
+            functionName: abort.functionName
+        });
+        this.name = 'EscrowAbortError';
+        this.abortCode = abort.code;
+        this.reason = ESCROW_ABORTS[abort.code] ? reason : null;
+        this.functionName = abort.functionName;
+        this.rawError = rawError;
+    }
+}
+
+// { module, functionName, code } of a MoveAbort status (null for other failures)
+function parseMoveAbort(status) {
+    const match = /MoveAbort\(.*?name: Identifier\("(\w+)"\).*?function_name: Some\("(\w+)"\).*?\},\s*(\d+)\)/.exec(status || '');
+    if (!match) {
+        return null;
+    }
+    return { module: match[1], functionName: match[2], code: Number(match[3]) };
+}
+
+// Error for a failed (or dry-run) transaction status - EscrowAbortError for aborts in the escrow module
+function toTransactionError(status) {
+    const abort = parseMoveAbort(status);
+    if (abort && abort.module === 'escrow') {
+        return new EscrowAbortError(abort, status);
+    }
+    if (/InsufficientCoinBalance|InsufficientGas|GasBalanceTooLow/.test(status || '')) {
+        return new SwapError('INSUFFICIENT_BALANCE', `Transaction failed: ${status}`);
+    }
+    return new SwapError('TRANSACTION_FAILED', `Transaction failed: ${status}`);
+}
+
+// SwapError for anything thrown while handling a request
+function toApiError(error) {
+    if (error instanceof SwapError) {
+        return error;
+    }
+    const message = (error && error.message) || String(error);
+
+    // HTLCEscrow.sol reverts (see EthereumClient.decodeRevert)
+    if (error && error.revert && EVM_ERRORS[error.revert.name]) {
+        return new SwapError(EVM_ERRORS[error.revert.name], undefined, { revert: error.revert.name });
+    }
+    // Sui transactions that executed and aborted ("Transaction failed: MoveAbort(...)")
+    const abort = parseMoveAbort(message);
+    if (abort && abort.module === 'escrow') {
+        return new EscrowAbortError(abort, message);
+    }
+    if (error && error.name === 'InvalidTransitionError') {
+        return new SwapError('INVALID_SWAP_STATE', message);
+    }
+    if ((error && error.code === 'INSUFFICIENT_FUNDS') || /insufficient (\S+ )?(balance|funds)|InsufficientCoinBalance|GasBalanceTooLow/i.test(message)) {
+        return new SwapError('INSUFFICIENT_BALANCE', message);
+    }
+    if ((error && TIMEOUT_CODES.includes(error.code)) || /timed? ?out/i.test(message)) {
+        return new SwapError('RPC_TIMEOUT', message);
+    }
+    if ((error && UNAVAILABLE_CODES.includes(error.code)) || /fetch failed|ECONNREFUSED|ENOTFOUND/.test(message)) {
+        return new SwapError('RPC_UNAVAILABLE', message);
+    }
+    return new SwapError('INTERNAL_ERROR', message);
+}
+
+// JSON body of an error response: { error, code, ...details }
+function toErrorResponse(error) {
+    const apiError = toApiError(error);
+    return { status: apiError.status, body: { error: apiError.message, code: apiError.code, ...apiError.details } };
+}
+
+module.exports = {
+    ERRORS,
+    ESCROW_ABORTS,
+    EVM_ERRORS,
+    SwapError,
+    EscrowAbortError,
+    parseMoveAbort,
+    toTransactionError,
+    toApiError,
+    toErrorResponse
+};
@@ -0,0 +1,215 @@
+const { normalizeCoinType } = require('./sui_coins');
+
+/**
+ * Decoded events of the htlc_escrow::escrow Move module
+ *
+ * `decodeEscrowEvent` turns a Sui event (`{ type, parsedJson }` as returned by
+ * queryEvents, dry runs and transaction responses) into a plain object: byte
+ * vectors as hex, u64 amounts as decimal strings, times as ms numbers and coin
+ * types as `0x`-prefixed type names. Used by the event indexer, the Sui client
+ * and the API so they all read the same shape.
+ */
+
+/**
+ * Hashlock of an escrow - `secretHash` is the Merkle root for multi-secret escrows
+ * @typedef {Object} Hashlock
+ * @property {string} secretHash - hex, no 0x
+ * @property {number} hashAlgorithm - 0 sha256, 1 keccak256, 2 blake2b256 (see hashlock.js)
+ */
+
+/**
+ * Fields shared by every escrow event
+ * @typedef {Object} EscrowEventBase
+ * @property {string} escrowId - 0x object id (the Move order_id)
+ * @property {number|null} timestampMs - Sui clock time of the event (null for Closed)
+ */
+
+/**
+ * Escrow created and funded - `fee` is the resolver fee of the whole order.
+ * @typedef {EscrowEventBase & Hashlock & {
+ *   type: 'Initiated',
+ *   coinType: string,
+ *   amount: string,
+ *   totalFilled: string,
+ *   fee: string,
+ *   initiator: string,
+ *   redeemer: string,
+ *   feeRecipient: string,
+ *   timelock: number
+ * }} InitiatedEvent
+ */
+
+/**
+ * Fill that leaves funds in the escrow - `fee` is the part of filledAmount paid to the fee recipient.
+ * @typedef {EscrowEventBase & Hashlock & {
+ *   type: 'PartialFill',
+ *   secret: string,
+ *   coinType: string,
+ *   filledAmount: string,
+ *   remainingAmount: string,
+ *   totalFilled: string,
+ *   fee: string,
+ *   takingAmount: string,
+ *   auctionPrice: string,
+ *   redeemer: string
+ * }} PartialFillEvent
+ */
+
+/**
+ * Fill that drains the escrow - `amount` is this fill only; `fee` is the part of it paid to the fee recipient.
+ * @typedef {EscrowEventBase & Hashlock & {
+ *   type: 'Redeemed',
+ *   secret: string,
+ *   coinType: string,
+ *   amount: string,
+ *   totalFilled: string,
+ *   fee: string,
+ *   takingAmount: string,
+ *   auctionPrice: string,
+ *   redeemer: string
+ * }} RedeemedEvent
+ */
+
+/**
+ * Remaining funds returned to the initiator - `fee` is the resolver fee left unpaid, refunded as part of amount.
+ * @typedef {EscrowEventBase & Hashlock & {
+ *   type: 'Refunded',
+ *   coinType: string,
+ *   amount: string,
+ *   totalFilled: string,
+ *   fee: string,
+ *   initiator: string
+ * }} RefundedEvent
+ */
+
+/**
+ * Escrow deleted by the fill that drained it, the refund or destroy_empty
+ * @typedef {EscrowEventBase & { type: 'Closed' }} ClosedEvent
+ */
+
+/**
+ * @typedef {InitiatedEvent | PartialFillEvent | RedeemedEvent | RefundedEvent | ClosedEvent} EscrowEvent
+ */
+
+const ESCROW_EVENT_TYPES = ['Initiated', 'PartialFill', 'Redeemed', 'Refunded', 'Closed'];
+
+// "0xpkg::escrow::Initiated" -> "Initiated"
+function eventName(type) {
+    return type.split('::').pop();
+}
+
+// Move vector<u8> fields come back as number arrays
+function bytesToHex(bytes) {
+    return Buffer.from(bytes).toString('hex');
+}
+
+function hashlock(fields) {
+    return {
+        secretHash: bytesToHex(fields.secret_hash),
+        hashAlgorithm: Number(fields.hash_algorithm)
+    };
+}
+
+// Type names have no 0x prefix: "000...002::sui::SUI" -> "0x2::sui::SUI"
+function coinType(fields) {
+    return normalizeCoinType(fields.coin_type);
+}
+
+/**
+ * Decode an event of the escrow module (null for other modules and events)
+ * @param {{ type: string, parsedJson?: Object }} event
+ * @returns {EscrowEvent|null}
+ */
+function decodeEscrowEvent(event) {
+    const type = eventName(event.type || '');
+    const fields = event.parsedJson;
+    if (!/::escrow::/.test(event.type || '') || !ESCROW_EVENT_TYPES.includes(type) || !fields || !fields.order_id) {
+        return null;
+    }
+
+    const base = {
+        type,
+        escrowId: `0x${bytesToHex(fields.order_id)}`,
+        timestampMs: fields.timestamp_ms !== undefined ? Number(fields.timestamp_ms) : null
+    };
+    switch (type) {
+        case 'Initiated':
+            return {
+                ...base,
+                ...hashlock(fields),
+                coinType: coinType(fields),
+                amount: String(fields.amount),
+                totalFilled: String(fields.total_filled),
+                fee: String(fields.fee),
+                initiator: fields.initiator,
+                redeemer: fields.redeemer,
+                feeRecipient: fields.fee_recipient,
+                timelock: Number(fields.timelock)
+            };
+        case 'PartialFill':
+            return {
+                ...base,
+                ...hashlock(fields),
+                secret: bytesToHex(fields.secret),
+                coinType: coinType(fields),
+                filledAmount: String(fields.filled_amount),
+                remainingAmount: String(fields.remaining_amount),
+                totalFilled: String(fields.total_filled),
+                fee: String(fields.fee),
+                takingAmount: String(fields.taking_amount),
+                auctionPrice: String(fields.auction_price),
+                redeemer: fields.redeemer
+            };
+        case 'Redeemed':
+            return {
+                ...base,
+                ...hashlock(fields),
+                secret: bytesToHex(fields.secret),
+                coinType: coinType(fields),
+                amount: String(fields.amount),
+                totalFilled: String(fields.total_filled),
+                fee: String(fields.fee),
+                takingAmount: String(fields.taking_amount),
+                auctionPrice: String(fields.auction_price),
+                redeemer: fields.redeemer
+            };
+        case 'Refunded':
+            return {
+                ...base,
+                ...hashlock(fields),
+                coinType: coinType(fields),
+                amount: String(fields.amount),
+                totalFilled: String(fields.total_filled),
+                fee: String(fields.fee),
+                initiator: fields.initiator
+            };
+        case 'Closed':
+            return base;
+    }
+}
+
+/**
+ * Decoded escrow events of a transaction, in emission order
+ * @param {Array<{ type: string, parsedJson?: Object }>} events
+ * @returns {EscrowEvent[]}
+ */
+function decodeEscrowEvents(events = []) {
+    return events.map(decodeEscrowEvent).filter(Boolean);
+}
+
+/**
+ * The Redeemed or PartialFill event of a withdraw transaction
+ * @param {Array<{ type: string, parsedJson?: Object }>} events
+ * @returns {RedeemedEvent|PartialFillEvent|null}
+ */
+function findFillEvent(events = []) {
+    return decodeEscrowEvents(events).find(event => event.type === 'Redeemed' || event.type === 'PartialFill') || null;
+}
+
+module.exports = {
+    ESCROW_EVENT_TYPES,
+    eventName,
+    decodeEscrowEvent,
+    decodeEscrowEvents,
+    findFillEvent
+};
@@ -0,0 +1,219 @@
+const debug = require('debug')('sui-fusion:event-indexer');
+const { decodeEscrowEvent } = require('./escrow_events');
+
+/**
+ * Sui event indexer for the HTLC escrow module
+ *
+ * Pages `queryEvents` for every event emitted by `<packageId>::escrow`
+ * (the original package ID - Sui keeps typing events with it after upgrades,
+ * see createSuiEventIndexer) and folds them into the escrow table of the swap store. The paging cursor
+ * is persisted after each page, so a restart continues where the last run
+ * stopped instead of replaying the whole history.
+ *
+ * `onEscrowEvent(escrow, event)` is called after each indexed event so the
+ * caller can advance the swap that owns the escrow.
+ */
+
+const DEFAULT_INTERVAL_MS = 15 * 1000;
+const DEFAULT_PAGE_SIZE = 50;
+// Bound one tick so a long backlog is caught up over several ticks
+const MAX_PAGES_PER_TICK = 20;
+
+const EVENT_STATUS = {
+    Initiated: 'locked',
+    PartialFill: 'partially_filled',
+    Redeemed: 'claimed',
+    Refunded: 'refunded',
+    Closed: null // Deleted once drained - keeps the claimed or refunded status
+};
+
+// Events can arrive out of order across pages - never move an escrow backwards
+const STATUS_RANK = {
+    locked: 0,
+    partially_filled: 1,
+    claimed: 2,
+    refunded: 2
+};
+
+// Escrow fields carried by each decoded event (see escrow_events.js)
+function escrowChanges(event) {
+    switch (event.type) {
+        case 'Initiated':
+            return {
+                initiator: event.initiator,
+                redeemer: event.redeemer,
+                feeRecipient: event.feeRecipient,
+                secretHash: event.secretHash,
+                hashAlgorithm: event.hashAlgorithm,
+                coinType: event.coinType,
+                amount: event.amount,
+                remainingAmount: event.amount,
+                totalFilled: event.totalFilled,
+                resolverFee: event.fee,
+                timelock: event.timelock,
+                createdAtMs: event.timestampMs
+            };
+        case 'PartialFill':
+            return {
+                remainingAmount: event.remainingAmount,
+                totalFilled: event.totalFilled,
+                lastFillAmount: event.filledAmount,
+                lastFillFee: event.fee,
+                lastFillTakingAmount: event.takingAmount,
+                lastFillRedeemer: event.redeemer
+            };
+        case 'Redeemed':
+            return {
+                remainingAmount: '0',
+                totalFilled: event.totalFilled,
+                lastFillAmount: event.amount,
+                lastFillFee: event.fee,
+                lastFillTakingAmount: event.takingAmount,
+                lastFillRedeemer: event.redeemer,
+                revealedSecret: event.secret
+            };
+        case 'Refunded':
+            return {
+                remainingAmount: '0',
+                totalFilled: event.totalFilled,
+                refundedAmount: event.amount
+            };
+        case 'Closed':
+            return {
+                remainingAmount: '0',
+                closed: true
+            };
+    }
+}
+
+class SuiEventIndexer {
+    constructor(options = {}) {
+        if (!options.client || !options.packageId || !options.store) {
+            throw new Error('SuiEventIndexer requires a Sui client, a package id and a store');
+        }
+
+        this.client = options.client;
+        this.packageId = options.packageId;
+        this.store = options.store;
+        this.module = options.module || 'escrow';
+        this.pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+        this.intervalMs = options.intervalMs || DEFAULT_INTERVAL_MS;
+        this.onEscrowEvent = options.onEscrowEvent;
+        this.cursorName = `sui-events:${this.packageId}`;
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.timer) {
+            return this;
+        }
+
+        console.log(`🔎 Indexing ${this.module} events of ${this.packageId} every ${this.intervalMs / 1000}s`);
+        this.timer = setInterval(() => {
+            this.tick().catch(error => console.error('❌ Event indexer tick failed:', error.message));
+        }, this.intervalMs);
+        this.timer.unref(); // Never keep the process alive on its own
+
+        return this;
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Page through new events; overlapping ticks are skipped
+    async tick() {
+        if (this.running) {
+            debug('Previous tick still running - skipping');
+            return 0;
+        }
+
+        this.running = true;
+        let indexed = 0;
+        try {
+            let cursor = await this.store.getCursor(this.cursorName);
+
+            for (let page = 0; page < MAX_PAGES_PER_TICK; page++) {
+                const result = await this.client.queryEvents({
+                    query: { MoveModule: { package: this.packageId, module: this.module } },
+                    cursor,
+                    limit: this.pageSize,
+                    order: 'ascending'
+                });
+
+                for (const event of result.data) {
+                    if (await this.indexEvent(event)) {
+                        indexed++;
+                    }
+                }
+
+                // An empty last page returns no cursor - keep the previous one
+                if (result.nextCursor) {
+                    cursor = result.nextCursor;
+                    await this.store.saveCursor(this.cursorName, cursor);
+                }
+                if (!result.hasNextPage) {
+                    break;
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+
+        if (indexed > 0) {
+            debug(`Indexed ${indexed} escrow event(s)`);
+        }
+        return indexed;
+    }
+
+    async indexEvent(event) {
+        const decoded = decodeEscrowEvent(event);
+        if (!decoded) {
+            return null;
+        }
+
+        // order_id is the escrow object id
+        const { type: name, escrowId } = decoded;
+        const fields = event.parsedJson;
+        const existing = await this.store.getEscrow(escrowId);
+
+        let status = EVENT_STATUS[name] || (existing && existing.status) || 'closed';
+        if (existing && STATUS_RANK[existing.status] > STATUS_RANK[status]) {
+            status = existing.status;
+        }
+
+        // The Move clock time of the event, or the checkpoint time for events without one
+        const timestampMs = decoded.timestampMs ?? (Number(event.timestampMs) || null);
+        const escrow = await this.store.saveEscrow(escrowId, {
+            chain: 'sui',
+            ...escrowChanges(decoded),
+            status,
+            lastEvent: { type: name, txDigest: event.id.txDigest, timestampMs }
+        });
+
+        if (this.onEscrowEvent) {
+            try {
+                await this.onEscrowEvent(escrow, { type: name, fields, decoded, txDigest: event.id.txDigest });
+            } catch (error) {
+                console.error(`❌ Failed to apply ${name} event for escrow ${escrowId}:`, error.message);
+            }
+        }
+        return escrow;
+    }
+}
+
+// Indexer for the package of a SuiHTLCClient - queried and cursored by the original package ID,
+// so an upgrade neither drops the events of live escrows nor restarts from the beginning
+function createSuiEventIndexer(suiClient, options = {}) {
+    return new SuiEventIndexer({ ...options, client: suiClient.client, packageId: suiClient.originalPackageId });
+}
+
+module.exports = {
+    DEFAULT_INTERVAL_MS,
+    SuiEventIndexer,
+    createSuiEventIndexer
+};
@@ -0,0 +1,57 @@
+const solc = require('solc');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Compiles the EVM HTLC contracts in docs/htlc_escrow_evm with solc-js
+ * Used by deploy_evm_htlc.js and the local-node tests
+ */
+
+const CONTRACTS_DIR = path.join(__dirname, '../docs/htlc_escrow_evm/contracts');
+
+const compiled = new Map();
+
+function compileContract(name) {
+    if (compiled.has(name)) {
+        return compiled.get(name);
+    }
+
+    const fileName = `${name}.sol`;
+    const filePath = path.join(CONTRACTS_DIR, fileName);
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Contract source not found: ${filePath}`);
+    }
+
+    const input = {
+        language: 'Solidity',
+        sources: {
+            [fileName]: { content: fs.readFileSync(filePath, 'utf8') }
+        },
+        settings: {
+            optimizer: { enabled: true, runs: 200 },
+            outputSelection: {
+                '*': { '*': ['abi', 'evm.bytecode.object'] }
+            }
+        }
+    };
+
+    const output = JSON.parse(solc.compile(JSON.stringify(input)));
+    const errors = (output.errors || []).filter(error => error.severity === 'error');
+    if (errors.length > 0) {
+        throw new Error(`Failed to compile ${fileName}:\n${errors.map(error => error.formattedMessage).join('\n')}`);
+    }
+
+    const contract = output.contracts[fileName][name];
+    const artifact = {
+        abi: contract.abi,
+        bytecode: `0x${contract.evm.bytecode.object}`
+    };
+
+    compiled.set(name, artifact);
+    return artifact;
+}
+
+module.exports = {
+    CONTRACTS_DIR,
+    compileContract
+};
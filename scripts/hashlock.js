@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { blake2b } = require('@noble/hashes/blake2b');
+
+/**
+ * Shared secret / hashlock helpers
+ * Every order path builds its hashlock here so the hash matches the scheme
+ * recorded on the Sui escrow (and the one used by EVM-side escrows).
+ */
+
+// Hashlock schemes - values match the u8 codes in htlc_escrow::escrow
+const HASH_ALGORITHMS = {
+    sha256: 0,
+    keccak256: 1,
+    blake2b256: 2
+};
+
+// keccak256 is what 1inch Fusion+ escrows use on EVM chains
+const DEFAULT_HASH_ALGORITHM = process.env.HASHLOCK_ALGORITHM || 'keccak256';
+
+const SECRET_LENGTH = 32;
+
+function normalizeAlgorithm(algorithm = DEFAULT_HASH_ALGORITHM) {
+    const name = String(algorithm).toLowerCase().replace(/[-_]/g, '');
+    if (!(name in HASH_ALGORITHMS)) {
+        throw new Error(`Unsupported hash algorithm: ${algorithm}. Supported: ${Object.keys(HASH_ALGORITHMS).join(', ')}`);
+    }
+    return name;
+}
+
+// On-chain u8 code for a hash algorithm name
+function getAlgorithmCode(algorithm) {
+    return HASH_ALGORITHMS[normalizeAlgorithm(algorithm)];
+}
+
+// Accept Buffers, Uint8Arrays and hex strings (with or without 0x)
+function toBuffer(value) {
+    if (Buffer.isBuffer(value)) return value;
+    if (value instanceof Uint8Array) return Buffer.from(value);
+    if (typeof value === 'string') {
+        return Buffer.from(value.startsWith('0x') ? value.slice(2) : value, 'hex');
+    }
+    throw new Error('Expected a Buffer, Uint8Array or hex string');
+}
+
+function generateSecret() {
+    return crypto.randomBytes(SECRET_LENGTH);
+}
+
+function hashSecret(secret, algorithm = DEFAULT_HASH_ALGORITHM) {
+    const data = toBuffer(secret);
+
+    switch (normalizeAlgorithm(algorithm)) {
+        case 'sha256':
+            return crypto.createHash('sha256').update(data).digest();
+        case 'keccak256':
+            return Buffer.from(ethers.getBytes(ethers.keccak256(data)));
+        case 'blake2b256':
+            return Buffer.from(blake2b(data, { dkLen: 32 }));
+    }
+}
+
+// Create a fresh secret and its hashlock (hex encoded, no 0x prefix)
+function createHashlock(algorithm = DEFAULT_HASH_ALGORITHM) {
+    const hashAlgorithm = normalizeAlgorithm(algorithm);
+    const secret = generateSecret();
+
+    return {
+        secret: secret.toString('hex'),
+        secretHash: hashSecret(secret, hashAlgorithm).toString('hex'),
+        hashAlgorithm
+    };
+}
+
+// Validate a maker-supplied hashlock - the secret itself stays with the maker
+function parseHashlock({ secretHash, hashAlgorithm } = {}) {
+    if (!secretHash) {
+        throw new Error('secretHash is required - generate the secret client-side and send only its hash');
+    }
+    const hash = toBuffer(secretHash);
+    if (hash.length !== 32) {
+        throw new Error('secretHash must be 32 bytes (64 hex characters)');
+    }
+    return {
+        secretHash: hash.toString('hex'),
+        hashAlgorithm: normalizeAlgorithm(hashAlgorithm || DEFAULT_HASH_ALGORITHM)
+    };
+}
+
+function verifySecret(secret, secretHash, algorithm = DEFAULT_HASH_ALGORITHM) {
+    const expected = toBuffer(secretHash);
+    const actual = hashSecret(secret, algorithm);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+    HASH_ALGORITHMS,
+    DEFAULT_HASH_ALGORITHM,
+    normalizeAlgorithm,
+    getAlgorithmCode,
+    toBuffer,
+    generateSecret,
+    hashSecret,
+    createHashlock,
+    parseHashlock,
+    verifySecret
+};
@@ -0,0 +1,130 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Move tests with a coverage gate
+ *
+ * Runs `sui move test --coverage` for the HTLC package, then reads the
+ * `sui move coverage summary` and fails when the package coverage drops below
+ * the recorded baseline (docs/htlc_escrow/coverage_baseline.json). Without a
+ * baseline the threshold is 80%; MOVE_COVERAGE_THRESHOLD or --threshold=<percent>
+ * override both.
+ *
+ *   node move_coverage.js                  # test and check coverage
+ *   node move_coverage.js --threshold=90
+ *   node move_coverage.js --record         # also record the total as the new baseline
+ */
+
+const CONTRACT_DIR = path.join(__dirname, '../docs/htlc_escrow');
+const BASELINE_PATH = path.join(CONTRACT_DIR, 'coverage_baseline.json');
+const DEFAULT_COVERAGE_THRESHOLD = 80;
+
+// Module and package percentages from `sui move coverage summary`:
+//   Module 0000...0000::escrow
+//   >>> % Module coverage: 93.75
+//   | % Move Coverage: 93.75  |
+function parseCoverageSummary(output) {
+    const modules = {};
+    let module = null;
+    for (const line of output.split('\n')) {
+        const name = /^Module\s+(\S+)/.exec(line.trim());
+        if (name) {
+            module = name[1].split('::').pop();
+            continue;
+        }
+        const moduleCoverage = /% Module coverage:\s*([\d.]+)/.exec(line);
+        if (moduleCoverage && module) {
+            modules[module] = parseFloat(moduleCoverage[1]);
+        }
+    }
+
+    const total = /% Move Coverage:\s*([\d.]+)/.exec(output);
+    return { total: total ? parseFloat(total[1]) : null, modules };
+}
+
+// Recorded package coverage (null when none was recorded yet)
+function loadBaseline(file = BASELINE_PATH) {
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    const { total } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return typeof total === 'number' ? total : null;
+}
+
+function saveBaseline(summary, file = BASELINE_PATH) {
+    fs.writeFileSync(file, JSON.stringify({ total: summary.total, modules: summary.modules }, null, 2) + '\n');
+    return file;
+}
+
+// --threshold=, then MOVE_COVERAGE_THRESHOLD, then the baseline, then 80%
+function getThreshold(args = process.argv.slice(2), baseline = loadBaseline()) {
+    const arg = args.find(value => value.startsWith('--threshold='));
+    const threshold = parseFloat(arg ? arg.split('=')[1] : process.env.MOVE_COVERAGE_THRESHOLD);
+    if (!Number.isNaN(threshold)) {
+        return threshold;
+    }
+    return baseline === null ? DEFAULT_COVERAGE_THRESHOLD : baseline;
+}
+
+// Throws when the summary has no total or the total is below the threshold
+function checkCoverage(summary, threshold) {
+    if (summary.total === null) {
+        throw new Error('No coverage total in the `sui move coverage summary` output');
+    }
+    if (summary.total < threshold) {
+        throw new Error(`Move coverage ${summary.total}% is below the ${threshold}% threshold`);
+    }
+    return summary;
+}
+
+function sui(args, options = {}) {
+    const result = spawnSync('sui', [...args, '--path', CONTRACT_DIR], { encoding: 'utf8', ...options });
+    if (result.error) {
+        throw new Error(result.error.code === 'ENOENT'
+            ? 'Sui CLI not found - install it from https://docs.sui.io/guides/developer/getting-started/sui-install'
+            : result.error.message);
+    }
+    if (result.status !== 0) {
+        throw new Error(`sui ${args.join(' ')} failed with exit code ${result.status}`);
+    }
+    return result.stdout;
+}
+
+function runMoveCoverage(args = process.argv.slice(2)) {
+    const threshold = getThreshold(args);
+
+    console.log('🧪 Running Move tests with coverage...');
+    sui(['move', 'test', '--coverage'], { stdio: 'inherit' });
+
+    const output = sui(['move', 'coverage', 'summary']);
+    const summary = parseCoverageSummary(output);
+    Object.entries(summary.modules).forEach(([module, coverage]) => console.log(`   ${module}: ${coverage}%`));
+
+    checkCoverage(summary, threshold);
+    console.log(`✅ Move coverage ${summary.total}% (threshold ${threshold}%)`);
+    if (args.includes('--record')) {
+        console.log(`📝 Recorded the baseline in ${saveBaseline(summary)}`);
+    }
+    return summary;
+}
+
+if (require.main === module) {
+    try {
+        runMoveCoverage();
+    } catch (error) {
+        console.error('❌', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    BASELINE_PATH,
+    DEFAULT_COVERAGE_THRESHOLD,
+    parseCoverageSummary,
+    loadBaseline,
+    saveBaseline,
+    getThreshold,
+    checkCoverage,
+    runMoveCoverage
+};
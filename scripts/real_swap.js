@@ -8,12 +8,61 @@ const crypto = require('crypto');
 const dotenv = require('dotenv');
 const debug = require('debug')('sui-fusion');
 const path = require('path');
+const { createStore } = require('./store');
+const { getResolverFee, getFillFee } = require('./auction');
+const { STAGES, NEVER, parseTimelocks, getStage, canCancel } = require('./timelocks');
+const { SUI_COIN_TYPE, isSuiCoinType, coinTypeFromEscrowType, prepareGasPayment, takeCoin } = require('./sui_coins');
+const { createHashlock, parseHashlock, getAlgorithmCode, normalizeAlgorithm, toBuffer, DEFAULT_HASH_ALGORITHM } = require('./hashlock');
+const { SwapError, toTransactionError } = require('./errors');
+const { getNetwork, loadDeployment } = require('./deployments');
+const { decodeEscrowEvents, findFillEvent } = require('./escrow_events');
 
 // Load environment variables from root directory
 dotenv.config({ path: path.join(__dirname, '../.env') });
 
-// REAL DEPLOYED PACKAGE ID - NO MORE MOCKS!
-const REAL_HTLC_PACKAGE_ID = '0x154666e5c0546dd30c47a1b48ee3dfaeeff43f243317b4949e3a8dff3b19dd6d';
+// Budget for dry runs; the real budget is the dry run's gas cost plus a margin
+const DRY_RUN_GAS_BUDGET = BigInt(parseInt(process.env.GAS_BUDGET) || 20000000);
+const GAS_BUDGET_MARGIN_BPS = BigInt(parseInt(process.env.GAS_BUDGET_MARGIN_BPS) || 2000);
+
+// Escrows checked per multiGetObjects call and closed per sweep transaction
+const SWEEP_BATCH_SIZE = 50;
+
+// EVM HTLC escrow interface (docs/htlc_escrow_evm/contracts/HTLCEscrow.sol)
+const HTLC_ESCROW_ABI = [
+    'function deposit(bytes32 salt, address redeemer, bytes32 secretHash, uint8 hashAlgorithm, address token, uint256 amount, uint64 timelock, bool partialFillsAllowed) payable returns (bytes32 escrowId)',
+    'function escrowIdFor(address initiator, bytes32 salt) pure returns (bytes32)',
+    'function withdraw(bytes32 escrowId, bytes secret, uint256 amount)',
+    'function refund(bytes32 escrowId)',
+    'function escrows(bytes32 escrowId) view returns (address initiator, address redeemer, address token, bytes32 secretHash, uint8 hashAlgorithm, bool partialFillsAllowed, uint64 timelock, uint256 amount, uint256 balance, uint256 totalFilled)',
+    'function getRemainingAmount(bytes32 escrowId) view returns (uint256)',
+    'event Initiated(bytes32 indexed escrowId, bytes32 secretHash, uint8 hashAlgorithm, address indexed token, uint256 amount, address indexed initiator, address redeemer, uint64 timelock)',
+    'event Redeemed(bytes32 indexed escrowId, bytes secret, uint256 amount, address indexed redeemer)',
+    'event PartialFill(bytes32 indexed escrowId, uint256 filledAmount, uint256 remainingAmount, address indexed redeemer)',
+    'event Refunded(bytes32 indexed escrowId, uint256 amount, address indexed initiator)',
+    'error HashMismatch()',
+    'error NotRedeemer()',
+    'error TimelockNotReached()',
+    'error TimelockExpired()',
+    'error NotInitiator()',
+    'error AmountTooLarge()',
+    'error ZeroAmount()',
+    'error UnsupportedHashAlgorithm()',
+    'error EscrowExists()',
+    'error EscrowNotFound()',
+    'error PartialFillNotAllowed()',
+    'error InvalidValue()',
+    'error InvalidRedeemer()',
+    'error InvalidTimelock()',
+    'error TransferFailed()'
+];
+
+const ERC20_ABI = [
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+// 1inch uses 0xeeee...eeee for the native token; the EVM escrow uses address(0)
+const NATIVE_TOKEN_ADDRESS = '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
 
 // Configuration validation
 function validateConfig() {
@@ -30,19 +79,54 @@ function validateConfig() {
     }
 }
 
+// Resolver fee paid by a fill, from its Redeemed or PartialFill event (null when not emitted)
+function fillFeeFromEvents(events) {
+    const fill = findFillEvent(events);
+    return fill ? fill.fee : null;
+}
+
+// Amount left in the escrow after a fill - a Redeemed event means it was drained
+function fillRemainingFromEvents(events) {
+    const fill = findFillEvent(events);
+    if (!fill) {
+        return null;
+    }
+    return fill.type === 'PartialFill' ? fill.remainingAmount : '0';
+}
+
+// Whether the transaction deleted the escrow - the final withdraw and the refund emit Closed
+function closedFromEvents(events) {
+    return decodeEscrowEvents(events).some(event => event.type === 'Closed');
+}
+
 // Real Sui Client with deployed contract
 class SuiHTLCClient {
     constructor() {
+        this.network = getNetwork();
         this.client = new SuiClient({
-            url: process.env.SUI_RPC_URL || getFullnodeUrl('testnet')
+            url: process.env.SUI_RPC_URL || getFullnodeUrl(this.network)
         });
         
         // Handle both suiprivkey... format and raw hex format
         this.keypair = this.parsePrivateKey(process.env.SUI_PRIVATE_KEY);
-        // Use the REAL deployed package ID
-        this.packageId = process.env.HTLC_PACKAGE_ID || REAL_HTLC_PACKAGE_ID;
+        // Optional separate redeemer key - claims must be signed by the escrow's redeemer
+        this.redeemerKeypair = process.env.SUI_REDEEMER_PRIVATE_KEY
+            ? this.parsePrivateKey(process.env.SUI_REDEEMER_PRIVATE_KEY)
+            : this.keypair;
+        // Package from deployments/<network>.json (written by deploy_htlc.js);
+        // HTLC_PACKAGE_ID only covers packages published before the manifest existed
+        this.deployment = loadDeployment(this.network);
+        this.packageId = this.deployment ? this.deployment.packageId : process.env.HTLC_PACKAGE_ID;
+        if (!this.packageId) {
+            throw new SwapError('NOT_CONFIGURED', `No HTLC deployment for ${this.network} - run \`npm run deploy\``);
+        }
+        // Types and events keep the ID of the first version across upgrades
+        this.originalPackageId = this.deployment ? this.deployment.originalPackageId : this.packageId;
+        // Shared Config of the package (see getConfigId)
+        this.configId = this.deployment ? this.deployment.configId : null;
         
-        console.log(`🔗 Using deployed HTLC package: ${this.packageId}`);
+        const version = this.deployment ? ` (version ${this.deployment.version})` : '';
+        console.log(`🔗 Using deployed HTLC package on ${this.network}: ${this.packageId}${version}`);
     }
 
     parsePrivateKey(privateKey) {
@@ -71,79 +155,293 @@ class SuiHTLCClient {
         return this.keypair.getPublicKey().toSuiAddress();
     }
 
-    async getBalance() {
+    async getRedeemerAddress() {
+        return this.redeemerKeypair.getPublicKey().toSuiAddress();
+    }
+
+    async getBalance(coinType = SUI_COIN_TYPE) {
         const address = await this.getAddress();
-        const balance = await this.client.getBalance({ owner: address });
+        const balance = await this.client.getBalance({ owner: address, coinType });
         return balance;
     }
 
+    // Read escrow state from chain (null if the object does not exist)
+    async getEscrow(escrowId) {
+        const object = await this.client.getObject({
+            id: escrowId,
+            options: { showContent: true, showType: true }
+        });
+        
+        if (!object.data || object.data.content?.dataType !== 'moveObject') {
+            return null;
+        }
+        
+        const fields = object.data.content.fields;
+        const auction = fields.auction_params.fields;
+        const timelocks = parseTimelocks(fields.timelocks.fields);
+        return {
+            escrowId,
+            type: object.data.content.type,
+            coinType: coinTypeFromEscrowType(object.data.content.type),
+            initiator: fields.initiator,
+            redeemer: fields.redeemer,
+            feeRecipient: fields.fee_recipient,
+            secretHash: Buffer.from(fields.secret_hash).toString('hex'),
+            hashAlgorithm: Number(fields.hash_algorithm),
+            partialFillsAllowed: fields.partial_fills_allowed,
+            minFillAmount: String(fields.min_fill_amount),
+            partsCount: Number(fields.parts_count),
+            nextSecretIndex: Number(fields.next_secret_index),
+            timelock: Number(fields.timelock),
+            timelocks,
+            stage: getStage(timelocks),
+            safetyDeposit: String(fields.safety_deposit),
+            amount: String(fields.amount),
+            remainingAmount: String(fields.balance),
+            totalFilled: String(fields.total_filled),
+            auctionParams: {
+                minAmount: String(auction.min_amount),
+                maxAmount: String(auction.max_amount),
+                startTime: Number(auction.start_time),
+                endTime: Number(auction.end_time),
+                resolverFee: String(auction.resolver_fee)
+            },
+            // Resolver fee paid to feeRecipient by the fills so far
+            feesPaid: getFillFee(auction.resolver_fee, fields.total_filled, 0, fields.amount).toString(),
+            resolversOnly: fields.resolvers_only
+        };
+    }
+
+    // Shared Config object holding the pause flag and resolver allowlist.
+    // From the deployment manifest, otherwise found in the package's publish transaction.
+    async getConfigId() {
+        if (this.configId) {
+            return this.configId;
+        }
+        const pkg = await this.client.getObject({ id: this.originalPackageId, options: { showPreviousTransaction: true } });
+        const digest = pkg.data?.previousTransaction;
+        if (!digest) {
+            throw new SwapError('NOT_CONFIGURED', `HTLC package not found: ${this.originalPackageId}`);
+        }
+        const publish = await this.client.getTransactionBlock({ digest, options: { showObjectChanges: true } });
+        const config = (publish.objectChanges || []).find(change =>
+            change.type === 'created' && change.objectType?.endsWith('::escrow::Config'));
+        if (!config) {
+            throw new SwapError('NOT_CONFIGURED', 'Escrow Config not found in the publish transaction - redeploy the package');
+        }
+        this.configId = config.objectId;
+        debug(`Escrow Config: ${this.configId}`);
+        return this.configId;
+    }
+
+    // Execution status of a transaction digest (found: false if the node does not know it)
+    async getTransactionStatus(digest) {
+        let tx;
+        try {
+            tx = await this.client.getTransactionBlock({
+                digest,
+                options: { showEffects: true, showEvents: true }
+            });
+        } catch (error) {
+            if (/could not find|not found|invalid/i.test(error.message)) {
+                return { txHash: digest, found: false, confirmed: false, status: 'not_found', confirmations: 0 };
+            }
+            throw error;
+        }
+        
+        // A transaction is final once it is included in a checkpoint
+        const checkpoint = tx.checkpoint ? Number(tx.checkpoint) : null;
+        const latest = checkpoint !== null ? Number(await this.client.getLatestCheckpointSequenceNumber()) : null;
+        const gas = tx.effects.gasUsed;
+        
+        return {
+            txHash: digest,
+            found: true,
+            confirmed: checkpoint !== null,
+            status: tx.effects.status.status === 'success' ? 'success' : 'failed',
+            error: tx.effects.status.error,
+            checkpoint,
+            confirmations: checkpoint !== null ? latest - checkpoint + 1 : 0,
+            timestampMs: tx.timestampMs ? Number(tx.timestampMs) : null,
+            gasUsed: (BigInt(gas.computationCost) + BigInt(gas.storageCost) - BigInt(gas.storageRebate)).toString(),
+            events: (tx.events || []).map(event => ({ type: event.type, parsedJson: event.parsedJson })),
+            escrowEvents: decodeEscrowEvents(tx.events), // see escrow_events.js
+            explorerUrl: `https://suiscan.xyz/testnet/tx/${digest}`
+        };
+    }
+
+    // Dry run of an unsigned transaction (sender and gas budget already set).
+    // Returns the outcome without spending gas: `error` is a readable error for Move aborts
+    // (see errors.js) and `gasBudget` is the computation and storage cost plus a margin.
+    async simulateTransaction(tx) {
+        const dryRun = await this.client.dryRunTransactionBlock({
+            transactionBlock: await tx.build({ client: this.client })
+        });
+        const { status, gasUsed: gas } = dryRun.effects;
+        const cost = BigInt(gas.computationCost) + BigInt(gas.storageCost);
+        return {
+            success: status.status === 'success',
+            error: status.status === 'success' ? null : toTransactionError(status.error),
+            gasUsed: (cost - BigInt(gas.storageRebate)).toString(),
+            gasBudget: cost * (10000n + GAS_BUDGET_MARGIN_BPS) / 10000n,
+            events: (dryRun.events || []).map(event => ({ type: event.type, parsedJson: event.parsedJson })),
+            escrowEvents: decodeEscrowEvents(dryRun.events),
+            balanceChanges: dryRun.balanceChanges || []
+        };
+    }
+
     // Create escrow (lock funds) - REAL IMPLEMENTATION
-    async createEscrow(redeemer, secretHash, amount, timelock) {
+    // options.auction: Dutch auction over the taking amount (see auction.js) - no auction when omitted
+    // options.partialFillsAllowed / options.minFillAmount: enforced by withdraw
+    // options.partsCount: secretHash is the root of a secret tree with that many tranches (see secret_tree.js)
+    // options.timelocks: staged timelocks (see timelocks.js) - `timelock` is ignored when given;
+    // the resolver posts the safety deposit afterwards (see addSafetyDeposit)
+    // options.coinType: Coin<T> to lock (default SUI); `amount` is in its base units (see sui_coins.js)
+    // options.resolversOnly: only resolvers allowlisted in the Config may withdraw (needs options.timelocks)
+    // options.resolverFee / options.feeRecipient: fee paid out of the fills (default 0.1% of `amount`, see auction.js)
+    // and who gets it (default the redeemer, so the fee stays with the fill)
+    // options.dryRun: return the simulation (see simulateTransaction) instead of executing
+    async createEscrow(redeemer, secretHash, amount, timelock, options = {}) {
+        const {
+            hashAlgorithm = DEFAULT_HASH_ALGORITHM,
+            auction,
+            partialFillsAllowed = true,
+            minFillAmount = 0,
+            partsCount = 0,
+            timelocks,
+            coinType = SUI_COIN_TYPE,
+            resolversOnly = false,
+            resolverFee = getResolverFee(amount),
+            feeRecipient = redeemer
+        } = options;
         debug('Creating REAL HTLC escrow on Sui testnet...');
         
         try {
             const address = await this.getAddress();
             const balance = await this.getBalance();
+            const configId = await this.getConfigId();
             const amountMist = parseInt(amount);
-            const gasReserve = 0.005e9; // Reserve 0.005 SUI for gas (reduced from 0.02)
+            // SUI split from the gas coin: the escrow amount when locking SUI
+            const splitFromGas = isSuiCoinType(coinType) ? BigInt(amount) : 0n;
             
-            // Check if we have enough balance
-            if (parseInt(balance.totalBalance) < amountMist + gasReserve) {
-                throw new Error(`Insufficient balance: need ${(amountMist + gasReserve) / 1e9} SUI, have ${balance.totalBalance / 1e9} SUI`);
+            if (!isSuiCoinType(coinType)) {
+                console.log(`💰 Creating escrow: ${amount} base units of ${coinType}`);
+            } else {
+                console.log(`💰 Creating escrow: ${amountMist / 1e9} SUI (${amountMist} mist)`);
             }
-            
-            console.log(`💰 Creating escrow: ${amountMist / 1e9} SUI (${amountMist} mist)`);
             console.log(`💰 Available balance: ${balance.totalBalance / 1e9} SUI`);
             
-            const tx = new Transaction();
+            // The whole transaction for a given gas budget - gas is paid with SUI coins covering
+            // the budget and everything split from the gas coin; other coin types are merged and split
+            const buildTx = async (gasBudget) => {
+                const tx = new Transaction();
+                tx.setSender(address);
+                tx.setGasBudget(gasBudget);
+                const gasCoins = await prepareGasPayment(tx, this.client, address, splitFromGas + gasBudget);
+                const { coin, coins } = await takeCoin(tx, this.client, address, coinType, amount);
+                
+                // Create auction parameters for Fusion+ compatibility
+                // (a zero price curve accepts any taking amount)
+                const auctionParams = tx.moveCall({
+                    target: `${this.packageId}::escrow::create_auction_params`,
+                    arguments: [
+                        tx.pure.u64(auction ? BigInt(auction.minAmount) : 0n), // min_amount
+                        tx.pure.u64(auction ? BigInt(auction.maxAmount) : 0n), // max_amount
+                        tx.pure.u64(auction ? auction.startTime : 0), // start_time
+                        tx.pure.u64(auction ? auction.endTime : 0), // end_time
+                        tx.pure.u64(BigInt(resolverFee)) // resolver_fee
+                    ]
+                });
             
-            // Get coins for the transaction amount
-            // Note: For amounts < 1 SUI, we can usually use the gas coin directly
-            // For larger amounts, we need to handle coin selection differently
-            const amountInSui = amountMist / 1e9;
-            let coin;
+                // Create the escrow as a shared object - REAL ONCHAIN EXECUTION
+                // (initiator is the sender; shared so the redeemer can claim and we can refund)
+                if (timelocks) {
+                    const stages = tx.moveCall({
+                        target: `${this.packageId}::escrow::create_timelocks`,
+                        arguments: [
+                            tx.pure.u64(timelocks.publicWithdrawal), // public_withdrawal
+                            tx.pure.u64(timelocks.cancellation), // cancellation
+                            tx.pure.u64(timelocks.publicCancellation ?? NEVER) // public_cancellation
+                        ]
+                    });
+                    tx.moveCall({
+                        target: `${this.packageId}::escrow::create_shared_escrow_with_timelocks`,
+                        typeArguments: [coinType],
+                        arguments: [
+                            tx.object(configId), // config
+                            tx.pure.address(redeemer), // redeemer
+                            tx.pure.address(feeRecipient), // fee_recipient
+                            tx.pure.vector('u8', Array.from(toBuffer(secretHash))), // secret_hash (or secret tree root)
+                            tx.pure.u8(getAlgorithmCode(hashAlgorithm)), // hash_algorithm
+                            coin, // coin
+                            stages, // timelocks
+                            auctionParams, // auction_params
+                            tx.pure.bool(partialFillsAllowed || partsCount > 0), // partial_fills_allowed
+                            tx.pure.u64(BigInt(minFillAmount)), // min_fill_amount
+                            tx.pure.u64(partsCount), // parts_count
+                            tx.pure.bool(resolversOnly), // resolvers_only
+                            tx.object('0x6'), // clock
+                        ]
+                    });
+                } else if (partsCount > 0) {
+                    tx.moveCall({
+                        target: `${this.packageId}::escrow::create_shared_escrow_with_secret_tree`,
+                        typeArguments: [coinType],
+                        arguments: [
+                            tx.object(configId), // config
+                            tx.pure.address(redeemer), // redeemer
+                            tx.pure.address(feeRecipient), // fee_recipient
+                            tx.pure.vector('u8', Array.from(toBuffer(secretHash))), // secret_root
+                            tx.pure.u8(getAlgorithmCode(hashAlgorithm)), // hash_algorithm
+                            coin, // coin
+                            tx.pure.u64(parseInt(timelock)), // timelock
+                            auctionParams, // auction_params
+                            tx.pure.u64(BigInt(minFillAmount)), // min_fill_amount
+                            tx.pure.u64(partsCount), // parts_count
+                            tx.object('0x6'), // clock
+                        ]
+                    });
+                } else {
+                    tx.moveCall({
+                        target: `${this.packageId}::escrow::create_shared_escrow`,
+                        typeArguments: [coinType],
+                        arguments: [
+                            tx.object(configId), // config
+                            tx.pure.address(redeemer), // redeemer
+                            tx.pure.address(feeRecipient), // fee_recipient
+                            tx.pure.vector('u8', Array.from(toBuffer(secretHash))), // secret_hash
+                            tx.pure.u8(getAlgorithmCode(hashAlgorithm)), // hash_algorithm
+                            coin, // coin
+                            tx.pure.u64(parseInt(timelock)), // timelock
+                            auctionParams, // auction_params
+                            tx.pure.bool(partialFillsAllowed), // partial_fills_allowed
+                            tx.pure.u64(BigInt(minFillAmount)), // min_fill_amount
+                            tx.object('0x6'), // clock
+                        ]
+                    });
+                }
+                
+                return { tx, coins: [...gasCoins, ...coins] };
+            };
             
-            if (amountInSui <= 0.5) {
-                // For small amounts, split from gas coin
-                [coin] = tx.splitCoins(tx.gas, [amount]);
-            } else {
-                // For larger amounts, we need better coin management
-                // This is a simplified approach - in production, you'd want proper coin selection
-                [coin] = tx.splitCoins(tx.gas, [amount]);
+            // Gas reserve from a dry run of the same transaction instead of a fixed amount
+            // (the dry run budget is capped by what is left after the split so small wallets can still lock)
+            const spare = BigInt(balance.totalBalance) - splitFromGas;
+            if (spare <= 0n) {
+                throw new SwapError('INSUFFICIENT_BALANCE', `Insufficient balance: need more than ${Number(splitFromGas) / 1e9} SUI, have ${balance.totalBalance / 1e9} SUI`);
             }
-            
-            // Create auction parameters for Fusion+ compatibility
-            const auctionParams = tx.moveCall({
-                target: `${this.packageId}::escrow::create_auction_params`,
-                arguments: [
-                    tx.pure.u64(parseInt(amount)), // min_amount
-                    tx.pure.u64(parseInt(amount)), // max_amount
-                    tx.pure.u64(Date.now()), // start_time
-                    tx.pure.u64(Date.now() + (30 * 60 * 1000)), // end_time (30 minutes)
-                    tx.pure.u64(Math.floor(parseInt(amount) * 0.001)) // resolver_fee (0.1%)
-                ]
-            });
-            
-            // Call the deposit function - REAL ONCHAIN EXECUTION
-            const escrowObject = tx.moveCall({
-                target: `${this.packageId}::escrow::deposit`,
-                typeArguments: ['0x2::sui::SUI'],
-                arguments: [
-                    tx.pure.address(address), // initiator
-                    tx.pure.address(redeemer), // redeemer
-                    tx.pure.vector('u8', Array.from(secretHash)), // secret_hash
-                    coin, // coin
-                    tx.pure.u64(parseInt(timelock)), // timelock
-                    auctionParams, // auction_params
-                    tx.pure.bool(true), // partial_fills_allowed
-                    tx.object('0x6'), // clock
-                ]
-            });
-            
-            // Transfer the escrow object to the initiator for management
-            tx.transferObjects([escrowObject], address);
-            
-            tx.setGasBudget(parseInt(process.env.GAS_BUDGET) || 20000000); // Reduced from 100M to 20M mist (0.02 SUI)
+            const dryRunBudget = spare < DRY_RUN_GAS_BUDGET ? spare : DRY_RUN_GAS_BUDGET;
+            const simulation = await this.simulateTransaction((await buildTx(dryRunBudget)).tx);
+            if (options.dryRun) {
+                return simulation;
+            }
+            if (!simulation.success) {
+                throw simulation.error;
+            }
+            const { gasBudget } = simulation;
+            const { tx, coins } = await buildTx(gasBudget);
+            const consumedCoins = coins.map(coin => coin.coinObjectId);
+            console.log(`⛽ Gas budget from dry run: ${gasBudget} mist, paying with ${consumedCoins.length} coin object(s)`);
             
             // EXECUTE REAL TRANSACTION
             const result = await this.client.signAndExecuteTransaction({
@@ -163,7 +461,7 @@ class SuiHTLCClient {
             if (result.effects?.status?.status === 'failure') {
                 const error = result.effects.status.error || 'Unknown error';
                 console.error(`❌ Transaction failed: ${error}`);
-                throw new Error(`Transaction failed: ${error}`);
+                throw toTransactionError(error);
             }
             
             // Extract escrow ID from object changes
@@ -226,6 +524,10 @@ class SuiHTLCClient {
                 txHash: result.digest, // REAL TRANSACTION HASH
                 escrowId,              // REAL ESCROW OBJECT ID
                 status: 'locked',
+                resolverFee: resolverFee.toString(),
+                feeRecipient,
+                consumedCoins,         // Coin objects spent or merged (gas payment first)
+                gasBudget: gasBudget.toString(),
                 explorerUrl: `https://suiscan.xyz/testnet/tx/${result.digest}`
             };
             
@@ -236,28 +538,77 @@ class SuiHTLCClient {
     }
 
     // Claim escrow (withdraw with secret) - REAL IMPLEMENTATION
-    async claimEscrow(escrowId, secret, amount) {
+    // Signed by the redeemer key unless options.signer is given.
+    // options.takingAmount is required: what the resolver attests it delivers to the maker for
+    // this fill (attested_taking_amount in the Move module - only an advisory check against the auction price,
+    // not against the destination chain). It is never filled in from the auction curve.
+    // Multi-secret escrows also need options.secretIndex and options.proof (see secret_tree.js).
+    // The fill that drains the escrow deletes it (closed: true) and the signer gets the storage rebate.
+    // The result reports the resolver fee the fill paid to the escrow's fee recipient and the
+    // amount left in the escrow (status partially_filled until a fill drains it).
+    // options.dryRun: return the simulation (with the takingAmount used) instead of executing
+    async claimEscrow(escrowId, secret, amount, options = {}) {
         debug('Claiming REAL HTLC escrow...');
+        const signer = options.signer || this.redeemerKeypair;
         
         try {
+            let { takingAmount, coinType } = options;
+            if (takingAmount === undefined || takingAmount === null) {
+                throw new SwapError('INVALID_REQUEST', 'takingAmount is required - the amount delivered to the maker for this fill');
+            }
+            if (!coinType) {
+                coinType = await this.getEscrowCoinType(escrowId);
+            }
+            
+            const configId = await this.getConfigId();
             const tx = new Transaction();
             
             // Call the withdraw function - REAL ONCHAIN EXECUTION
-            tx.moveCall({
-                target: `${this.packageId}::escrow::withdraw`,
-                typeArguments: ['0x2::sui::SUI'],
-                arguments: [
-                    tx.object(escrowId), // escrow
-                    tx.pure.vector('u8', Array.from(secret)), // secret
-                    tx.pure.u64(parseInt(amount)), // amount
-                ]
-            });
+            if (options.proof) {
+                tx.moveCall({
+                    target: `${this.packageId}::escrow::withdraw_with_proof`,
+                    typeArguments: [coinType],
+                    arguments: [
+                        tx.object(escrowId), // escrow
+                        tx.object(configId), // config
+                        tx.pure.vector('u8', Array.from(toBuffer(secret))), // secret
+                        tx.pure.u64(options.secretIndex), // index
+                        tx.pure.vector('vector<u8>', options.proof.map(node => Array.from(toBuffer(node)))), // proof
+                        tx.pure.u64(parseInt(amount)), // amount
+                        tx.pure.u64(BigInt(takingAmount)), // attested_taking_amount
+                        tx.object('0x6'), // clock
+                    ]
+                });
+            } else {
+                tx.moveCall({
+                    target: `${this.packageId}::escrow::withdraw`,
+                    typeArguments: [coinType],
+                    arguments: [
+                        tx.object(escrowId), // escrow
+                        tx.object(configId), // config
+                        tx.pure.vector('u8', Array.from(toBuffer(secret))), // secret
+                        tx.pure.u64(parseInt(amount)), // amount
+                        tx.pure.u64(BigInt(takingAmount)), // attested_taking_amount
+                        tx.object('0x6'), // clock
+                    ]
+                });
+            }
             
-            tx.setGasBudget(parseInt(process.env.GAS_BUDGET) || 100000000);
+            // Dry run first so an abort costs no gas, then execute with the simulated budget
+            tx.setSender(signer.toSuiAddress());
+            tx.setGasBudget(DRY_RUN_GAS_BUDGET);
+            const simulation = await this.simulateTransaction(tx);
+            if (options.dryRun) {
+                return { ...simulation, takingAmount: takingAmount.toString(), fee: fillFeeFromEvents(simulation.events) };
+            }
+            if (!simulation.success) {
+                throw simulation.error;
+            }
+            tx.setGasBudget(simulation.gasBudget);
             
             // EXECUTE REAL TRANSACTION
             const result = await this.client.signAndExecuteTransaction({
-                signer: this.keypair,
+                signer,
                 transaction: tx,
                 options: {
                     showEvents: true,
@@ -267,9 +618,14 @@ class SuiHTLCClient {
             console.log(`✅ REAL claim transaction: ${result.digest}`);
             console.log(`🔍 View on explorer: https://suiscan.xyz/testnet/tx/${result.digest}`);
             
+            const remainingAmount = fillRemainingFromEvents(result.events);
             return {
                 txHash: result.digest, // REAL TRANSACTION HASH
-                status: 'claimed',
+                status: remainingAmount === '0' ? 'claimed' : 'partially_filled',
+                takingAmount: takingAmount.toString(),
+                fee: fillFeeFromEvents(result.events),
+                remainingAmount,
+                closed: closedFromEvents(result.events),
                 explorerUrl: `https://suiscan.xyz/testnet/tx/${result.digest}`
             };
             
@@ -279,28 +635,92 @@ class SuiHTLCClient {
         }
     }
 
+    // Post the resolver's safety deposit (in mist) on an escrow with staged timelocks - signed by the
+    // redeemer key unless options.signer is given, since only the redeemer may post it. The deposit
+    // comes back to the resolver with its exclusive withdrawals and rewards whoever executes later.
+    // options.dryRun: return the simulation instead of executing
+    async addSafetyDeposit(escrowId, amount, options = {}) {
+        debug('Posting safety deposit...');
+        const signer = options.signer || this.redeemerKeypair;
+        
+        try {
+            const coinType = options.coinType || await this.getEscrowCoinType(escrowId);
+            const tx = new Transaction();
+            const [deposit] = tx.splitCoins(tx.gas, [BigInt(amount)]);
+            tx.moveCall({
+                target: `${this.packageId}::escrow::add_safety_deposit`,
+                typeArguments: [coinType],
+                arguments: [
+                    tx.object(escrowId), // escrow
+                    deposit, // deposit
+                    tx.object('0x6'), // clock
+                ]
+            });
+            
+            tx.setSender(signer.toSuiAddress());
+            tx.setGasBudget(DRY_RUN_GAS_BUDGET);
+            const simulation = await this.simulateTransaction(tx);
+            if (options.dryRun) {
+                return simulation;
+            }
+            if (!simulation.success) {
+                throw simulation.error;
+            }
+            tx.setGasBudget(simulation.gasBudget);
+            
+            const result = await this.client.signAndExecuteTransaction({ signer, transaction: tx });
+            
+            console.log(`✅ Safety deposit posted: ${result.digest}`);
+            
+            return {
+                txHash: result.digest,
+                amount: String(amount),
+                explorerUrl: `https://suiscan.xyz/testnet/tx/${result.digest}`
+            };
+            
+        } catch (error) {
+            console.error('❌ Error posting safety deposit:', error);
+            throw error;
+        }
+    }
+
     // Refund escrow (after timelock) - REAL IMPLEMENTATION
-    async refundEscrow(escrowId) {
+    // Signed by the initiator key unless options.signer is given; options.coinType is read from chain when omitted
+    // A refund drains the escrow, so the Move module deletes it in the same call (closed: true)
+    // options.dryRun: return the simulation instead of executing
+    async refundEscrow(escrowId, options = {}) {
         debug('Refunding REAL HTLC escrow...');
+        const signer = options.signer || this.keypair;
         
         try {
+            const coinType = options.coinType || await this.getEscrowCoinType(escrowId);
             const tx = new Transaction();
             
             // Call the refund function - REAL ONCHAIN EXECUTION
             tx.moveCall({
                 target: `${this.packageId}::escrow::refund`,
-                typeArguments: ['0x2::sui::SUI'],
+                typeArguments: [coinType],
                 arguments: [
                     tx.object(escrowId), // escrow
                     tx.object('0x6'), // clock
                 ]
             });
             
-            tx.setGasBudget(parseInt(process.env.GAS_BUDGET) || 100000000);
+            // Dry run first so an abort costs no gas, then execute with the simulated budget
+            tx.setSender(signer.toSuiAddress());
+            tx.setGasBudget(DRY_RUN_GAS_BUDGET);
+            const simulation = await this.simulateTransaction(tx);
+            if (options.dryRun) {
+                return simulation;
+            }
+            if (!simulation.success) {
+                throw simulation.error;
+            }
+            tx.setGasBudget(simulation.gasBudget);
             
             // EXECUTE REAL TRANSACTION
             const result = await this.client.signAndExecuteTransaction({
-                signer: this.keypair,
+                signer,
                 transaction: tx,
                 options: {
                     showEvents: true,
@@ -313,6 +733,7 @@ class SuiHTLCClient {
             return {
                 txHash: result.digest, // REAL TRANSACTION HASH
                 status: 'refunded',
+                closed: closedFromEvents(result.events),
                 explorerUrl: `https://suiscan.xyz/testnet/tx/${result.digest}`
             };
             
@@ -321,6 +742,144 @@ class SuiHTLCClient {
             throw error;
         }
     }
+
+    // Delete an escrow drained before the final withdraw and the refund deleted escrows themselves (see sweepEscrows)
+    addDestroyEmpty(tx, escrowId, coinType) {
+        tx.moveCall({
+            target: `${this.packageId}::escrow::destroy_empty`,
+            typeArguments: [coinType],
+            arguments: [tx.object(escrowId)] // escrow (by value)
+        });
+    }
+
+    // Drained escrows created by this account that still exist on chain.
+    // Shared escrows are not owned by anyone, so they are found through the
+    // account's Initiated events and checked with multiGetObjects.
+    async findDrainedEscrows() {
+        const address = await this.getAddress();
+        const escrowIds = [];
+        let cursor = null;
+        do {
+            const page = await this.client.queryEvents({
+                query: { MoveEventType: `${this.originalPackageId}::escrow::Initiated` },
+                cursor,
+                order: 'ascending'
+            });
+            for (const event of page.data) {
+                if (event.parsedJson && event.parsedJson.initiator === address) {
+                    escrowIds.push(`0x${Buffer.from(event.parsedJson.order_id).toString('hex')}`);
+                }
+            }
+            cursor = page.hasNextPage ? page.nextCursor : null;
+        } while (cursor);
+
+        const drained = [];
+        for (let i = 0; i < escrowIds.length; i += SWEEP_BATCH_SIZE) {
+            const objects = await this.client.multiGetObjects({
+                ids: escrowIds.slice(i, i + SWEEP_BATCH_SIZE),
+                options: { showContent: true, showOwner: true }
+            });
+            for (const object of objects) {
+                const content = object.data && object.data.content;
+                // Deleted escrows come back without data; owned ones can only be closed by their owner
+                if (!content || content.dataType !== 'moveObject' || !object.data.owner?.Shared) {
+                    continue;
+                }
+                if (String(content.fields.balance) === '0' && String(content.fields.safety_deposit) === '0') {
+                    drained.push({ escrowId: object.data.objectId, coinType: coinTypeFromEscrowType(content.type) });
+                }
+            }
+        }
+        return drained;
+    }
+
+    // Sweep command: delete this account's drained escrows, SWEEP_BATCH_SIZE per transaction,
+    // and return the storage rebates to the signer. options.dryRun only lists them.
+    async sweepEscrows(options = {}) {
+        const drained = await this.findDrainedEscrows();
+        console.log(`🧹 ${drained.length} drained escrow(s) to close`);
+        if (options.dryRun || drained.length === 0) {
+            return { escrows: drained, transactions: [] };
+        }
+
+        const signer = options.signer || this.keypair;
+        const transactions = [];
+        for (let i = 0; i < drained.length; i += SWEEP_BATCH_SIZE) {
+            const batch = drained.slice(i, i + SWEEP_BATCH_SIZE);
+            const tx = new Transaction();
+            batch.forEach(({ escrowId, coinType }) => this.addDestroyEmpty(tx, escrowId, coinType));
+            
+            tx.setSender(signer.toSuiAddress());
+            tx.setGasBudget(DRY_RUN_GAS_BUDGET);
+            const simulation = await this.simulateTransaction(tx);
+            if (!simulation.success) {
+                throw simulation.error;
+            }
+            tx.setGasBudget(simulation.gasBudget);
+            
+            const result = await this.client.signAndExecuteTransaction({
+                signer,
+                transaction: tx,
+                options: { showEffects: true }
+            });
+            if (result.effects?.status?.status === 'failure') {
+                throw toTransactionError(result.effects.status.error);
+            }
+            const rebate = result.effects?.gasUsed?.storageRebate || '0';
+            console.log(`✅ Closed ${batch.length} escrow(s): ${result.digest} (storage rebate ${rebate} mist)`);
+            transactions.push({
+                txHash: result.digest,
+                escrowIds: batch.map(escrow => escrow.escrowId),
+                storageRebate: String(rebate),
+                explorerUrl: `https://suiscan.xyz/testnet/tx/${result.digest}`
+            });
+        }
+        return { escrows: drained, transactions };
+    }
+
+    // Coin type T of an escrow's Coin<T>
+    async getEscrowCoinType(escrowId) {
+        const escrow = await this.getEscrow(escrowId);
+        if (!escrow) {
+            throw new SwapError('ESCROW_NOT_FOUND', `Escrow not found: ${escrowId}`);
+        }
+        return escrow.coinType;
+    }
+
+    // Current timelock stage of an escrow (see timelocks.js)
+    async getEscrowStage(escrowId) {
+        const escrow = await this.getEscrow(escrowId);
+        if (!escrow) {
+            throw new SwapError('ESCROW_NOT_FOUND', `Escrow not found: ${escrowId}`);
+        }
+        return { stage: escrow.stage, timelocks: escrow.timelocks, safetyDeposit: escrow.safetyDeposit };
+    }
+
+    // Complete a fill for the redeemer in the public withdrawal stage, signed by our own key.
+    // The funds go to the escrow's redeemer; we earn the fill's share of the safety deposit.
+    async publicWithdraw(escrowId, secret, amount, options = {}) {
+        const { stage } = await this.getEscrowStage(escrowId);
+        if (stage !== STAGES.PUBLIC_WITHDRAWAL) {
+            throw new SwapError('TIMELOCK_NOT_REACHED', `Escrow ${escrowId} is in the ${stage} stage, not public withdrawal`);
+        }
+        return this.claimEscrow(escrowId, secret, amount, { ...options, signer: options.signer || this.keypair });
+    }
+
+    // Cancel an escrow: the initiator from private cancellation, anyone from public cancellation.
+    // The funds go back to the initiator; the caller takes the safety deposit.
+    async cancelEscrow(escrowId, options = {}) {
+        const escrow = await this.getEscrow(escrowId);
+        if (!escrow) {
+            throw new SwapError('ESCROW_NOT_FOUND', `Escrow not found: ${escrowId}`);
+        }
+        const signer = options.signer || this.keypair;
+        const caller = signer.getPublicKey().toSuiAddress();
+        if (!canCancel(escrow, caller)) {
+            const code = escrow.stage === STAGES.PRIVATE_CANCELLATION ? 'NOT_INITIATOR' : 'TIMELOCK_NOT_REACHED';
+            throw new SwapError(code, `Escrow ${escrowId} cannot be cancelled by ${caller} in the ${escrow.stage} stage`);
+        }
+        return this.refundEscrow(escrowId, { signer, coinType: escrow.coinType });
+    }
 }
 
 // Import official 1inch Fusion SDK
@@ -328,14 +887,14 @@ const { FusionSDK, NetworkEnum, PrivateKeyProviderConnector } = require('@1inch/
 
 // Real 1inch Fusion+ API Client using official SDK
 class OneinchFusionClient {
-    constructor() {
+    constructor(options = {}) {
         this.apiKey = process.env.ONEINCH_API_KEY;
         if (!this.apiKey) {
             throw new Error('ONEINCH_API_KEY is required for real 1inch integration');
         }
         
         this.baseUrl = 'https://api.1inch.dev/fusion';
-        this.orders = new Map(); // Local tracking for testing
+        this.store = options.store || createStore(); // Orders and secrets survive restarts
         
         // Initialize the official Fusion SDK with blockchain provider
         try {
@@ -433,12 +992,14 @@ class OneinchFusionClient {
     }
 
     // Create real 1inch Fusion+ order using official SDK
-    async createFusionOrder(fromToken, toToken, amount, userAddress) {
+    // The maker generates the secret (createHashlock) and passes only { secretHash, hashAlgorithm }
+    async createFusionOrder(fromToken, toToken, amount, userAddress, makerHashlock) {
         debug('Creating REAL 1inch Fusion+ order using official SDK...');
+        const hashlock = parseHashlock(makerHashlock);
         
         // Handle BASE_SEPOLIA specially since it's not officially supported by 1inch Fusion+
         if (this.networkName === 'BASE_SEPOLIA') {
-            return this.createBaseSpoliaTestOrder(fromToken, toToken, amount, userAddress);
+            return this.createBaseSpoliaTestOrder(fromToken, toToken, amount, userAddress, hashlock);
         }
         
         try {
@@ -526,8 +1087,9 @@ class OneinchFusionClient {
             console.log('✅ REAL 1inch Fusion+ order submitted:', orderInfo.orderHash);
             
             // Store for verification
-            this.orders.set(orderInfo.orderHash, {
+            await this.store.saveOrder(orderInfo.orderHash, {
                 ...orderInfo,
+                ...hashlock,
                 originalAmount: amount,
                 originalFromToken: fromToken,
                 originalToToken: toToken,
@@ -542,8 +1104,7 @@ class OneinchFusionClient {
 
             return {
                 orderId: orderInfo.orderHash,
-                secretHash: crypto.randomBytes(32).toString('hex'),
-                secret: crypto.randomBytes(32).toString('hex'),
+                ...hashlock,
                 expiresAt: Date.now() + (30 * 60 * 1000),
                 // Verification data
                 fusionOrderHash: orderInfo.orderHash,
@@ -566,8 +1127,9 @@ class OneinchFusionClient {
                 const mockOrderHash = `0x${crypto.randomBytes(32).toString('hex')}`;
                 
                 // Store for verification - this proves the integration worked
-                this.orders.set(mockOrderHash, {
+                await this.store.saveOrder(mockOrderHash, {
                     orderHash: mockOrderHash,
+                    ...hashlock,
                     originalAmount: amount,
                     originalFromToken: fromToken,
                     originalToToken: toToken,
@@ -583,8 +1145,7 @@ class OneinchFusionClient {
 
                 return {
                     orderId: mockOrderHash,
-                    secretHash: crypto.randomBytes(32).toString('hex'),
-                    secret: crypto.randomBytes(32).toString('hex'),
+                    ...hashlock,
                     expiresAt: Date.now() + (30 * 60 * 1000),
                     // Verification data proving it worked
                     fusionOrderHash: mockOrderHash,
@@ -606,7 +1167,7 @@ class OneinchFusionClient {
     }
 
     // BASE_SEPOLIA specific implementation (since 1inch Fusion+ doesn't officially support testnets)
-    async createBaseSpoliaTestOrder(fromToken, toToken, amount, userAddress) {
+    async createBaseSpoliaTestOrder(fromToken, toToken, amount, userAddress, hashlock) {
         debug('Creating BASE_SEPOLIA testnet order (community contracts)...');
         
         console.log('🏗️  Using BASE_SEPOLIA testnet with community-deployed contracts');
@@ -634,14 +1195,13 @@ class OneinchFusionClient {
             
             // Create a testnet-compatible order that demonstrates the flow
             const orderId = crypto.randomBytes(32).toString('hex');
-            const secret = crypto.randomBytes(32);
-            const secretHash = crypto.createHash('sha256').update(secret).digest();
+            const { secretHash, hashAlgorithm } = parseHashlock(hashlock);
             
             // Simulate successful order creation for BASE_SEPOLIA testnet
             const orderData = {
                 orderId: orderId,
-                secretHash: secretHash.toString('hex'),
-                secret: secret.toString('hex'),
+                secretHash,
+                hashAlgorithm,
                 expiresAt: Date.now() + (30 * 60 * 1000), // 30 minutes
                 
                 // Real testnet data
@@ -663,7 +1223,7 @@ class OneinchFusionClient {
             };
             
             // Store for verification
-            this.orders.set(orderId, {
+            await this.store.saveOrder(orderId, {
                 ...orderData,
                 timestamp: Date.now(),
                 verified: true,
@@ -672,7 +1232,7 @@ class OneinchFusionClient {
             
             console.log('✅ BASE_SEPOLIA testnet order created successfully!');
             console.log(`📦 Order ID: ${orderId}`);
-            console.log(`🔐 Secret Hash: ${secretHash.toString('hex')}`);
+            console.log(`🔐 Secret Hash: ${secretHash} (${hashAlgorithm})`);
             console.log(`🌐 Network: Base Sepolia (Chain ID: 84532)`);
             console.log(`💰 Amount: ${ethAmount} ETH equivalent`);
             
@@ -685,10 +1245,9 @@ class OneinchFusionClient {
     }
 
     // Fallback demo order for development/testing
-    createDemoOrder(fromToken, toToken, amount, userAddress) {
+    async createDemoOrder(fromToken, toToken, amount, userAddress, hashlock) {
         const orderId = crypto.randomBytes(32).toString('hex');
-        const secret = crypto.randomBytes(32);
-        const secretHash = crypto.createHash('sha256').update(secret).digest();
+        const { secretHash, hashAlgorithm } = parseHashlock(hashlock);
         
         const order = {
             id: orderId,
@@ -696,15 +1255,15 @@ class OneinchFusionClient {
             toToken,
             amount,
             userAddress,
-            secret: secret.toString('hex'),
-            secretHash: secretHash.toString('hex'),
+            secretHash,
+            hashAlgorithm,
             status: 'pending',
             createdAt: Date.now(),
             expiresAt: Date.now() + (30 * 60 * 1000), // 30 minutes
             mode: 'demo'
         };
 
-        this.orders.set(orderId, order);
+        await this.store.saveOrder(orderId, order);
         console.log(`✅ Demo order created: ${orderId} (fallback mode)`);
         return order;
     }
@@ -732,7 +1291,8 @@ class OneinchFusionClient {
 
     // List all orders for verification
     async listOrders() {
-        return Array.from(this.orders.values()).map(order => ({
+        const orders = await this.store.listOrders();
+        return orders.map(order => ({
             orderHash: order.orderHash || order.orderId,
             originalSwap: `${order.originalFromToken} -> ${order.originalToToken}`,
             ethSwap: `${order.ethSrcToken} -> ${order.ethDstToken}`,
@@ -745,7 +1305,7 @@ class OneinchFusionClient {
     }
 
     async getOrder(orderId) {
-        return this.orders.get(orderId);
+        return this.store.getOrder(orderId, { includeSecret: true });
     }
 
     // Execute real cross-chain swap via 1inch
@@ -816,12 +1376,22 @@ class OneinchFusionClient {
 
 // Real Ethereum Operations (Compatible with Sepolia, Base Sepolia, and other testnets)
 class EthereumClient {
-    constructor() {
+    constructor(options = {}) {
+        // cacheTimeout -1: back-to-back txs (approve + deposit) must not reuse a cached nonce on instant-mining chains
         this.provider = new ethers.JsonRpcProvider(
-            process.env.ETH_RPC_URL || `https://sepolia.infura.io/v3/${process.env.INFURA_PROJECT_ID}`
+            options.rpcUrl || process.env.ETH_RPC_URL || `https://sepolia.infura.io/v3/${process.env.INFURA_PROJECT_ID}`,
+            undefined,
+            { cacheTimeout: -1 }
         );
-        this.wallet = new ethers.Wallet(process.env.ETH_PRIVATE_KEY, this.provider);
-        this.networkName = process.env.NETWORK_NAME || 'ETHEREUM';
+        this.wallet = new ethers.Wallet(options.privateKey || process.env.ETH_PRIVATE_KEY, this.provider);
+        
+        // Optional separate redeemer key - claims must be signed by the escrow's redeemer
+        const redeemerKey = options.redeemerPrivateKey || process.env.ETH_REDEEMER_PRIVATE_KEY;
+        this.redeemerWallet = redeemerKey ? new ethers.Wallet(redeemerKey, this.provider) : this.wallet;
+        
+        // Deployed HTLCEscrow contract (see deploy_evm_htlc.js)
+        this.htlcAddress = options.htlcAddress || process.env.ETH_HTLC_ADDRESS;
+        this.networkName = options.networkName || process.env.NETWORK_NAME || 'ETHEREUM';
     }
 
     // Get appropriate testnet explorer URL based on network
@@ -845,6 +1415,239 @@ class EthereumClient {
         return ethers.formatEther(balance);
     }
 
+    async getRedeemerAddress() {
+        return this.redeemerWallet.address;
+    }
+
+    getHTLCContract(signer = this.wallet) {
+        if (!this.htlcAddress) {
+            throw new Error('ETH_HTLC_ADDRESS is required for EVM escrows. Run: npm run deploy:evm');
+        }
+        return new ethers.Contract(this.htlcAddress, HTLC_ESCROW_ABI, signer);
+    }
+
+    // Wait for a transaction receipt and make sure it succeeded
+    async waitForReceipt(tx, confirmationTimeout = 60000) {
+        let timer;
+        const receipt = await Promise.race([
+            tx.wait(),
+            new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error('Transaction confirmation timeout')), confirmationTimeout);
+            })
+        ]).finally(() => clearTimeout(timer));
+
+        if (!receipt) {
+            throw new Error('Transaction receipt not received');
+        }
+        
+        if (receipt.status !== 1) {
+            throw new Error(`Transaction failed with status: ${receipt.status}`);
+        }
+        
+        return receipt;
+    }
+
+    // Create HTLC escrow on the EVM chain (native ETH or ERC-20)
+    // amount is in base units (wei), timelock in milliseconds like the Sui client
+    // The contract derives the escrow ID from the sender and options.salt (random by default)
+    async createEscrow(redeemer, secretHash, amount, timelock, options = {}) {
+        const {
+            token,
+            hashAlgorithm = DEFAULT_HASH_ALGORITHM,
+            partialFillsAllowed = true,
+            salt = ethers.hexlify(ethers.randomBytes(32))
+        } = options;
+        debug(`Creating EVM HTLC escrow on ${this.networkName}...`);
+        
+        try {
+            if (normalizeAlgorithm(hashAlgorithm) === 'blake2b256') {
+                throw new Error('blake2b256 hashlocks are not supported by EVM escrows (use sha256 or keccak256)');
+            }
+            
+            const contract = this.getHTLCContract();
+            const isNative = !token || token === ethers.ZeroAddress || token.toLowerCase() === NATIVE_TOKEN_ADDRESS;
+            const tokenAddress = isNative ? ethers.ZeroAddress : token;
+            const value = BigInt(amount);
+            
+            if (!isNative) {
+                await this.ensureAllowance(tokenAddress, value);
+            }
+            
+            console.log(`💰 Creating EVM escrow: ${value} ${isNative ? 'wei' : `units of ${tokenAddress}`}`);
+            
+            const escrowId = await contract.escrowIdFor(this.wallet.address, salt);
+            const tx = await contract.deposit(
+                salt,
+                redeemer,
+                ethers.hexlify(toBuffer(secretHash)),
+                getAlgorithmCode(hashAlgorithm),
+                tokenAddress,
+                value,
+                Math.floor(Number(timelock) / 1000), // EVM timelock is in seconds
+                partialFillsAllowed,
+                { value: isNative ? value : 0n }
+            );
+            const receipt = await this.waitForReceipt(tx);
+            const explorerUrl = this.getTestnetExplorerUrl(receipt.hash);
+            
+            console.log(`✅ EVM escrow created: ${escrowId}`);
+            console.log(`🔍 View on explorer: ${explorerUrl}`);
+            
+            return {
+                txHash: receipt.hash,
+                escrowId,
+                status: 'locked',
+                token: tokenAddress,
+                explorerUrl,
+                network: this.networkName,
+                blockNumber: receipt.blockNumber.toString(),
+                gasUsed: receipt.gasUsed.toString()
+            };
+            
+        } catch (error) {
+            this.decodeRevert(error);
+            console.error('❌ Error creating EVM escrow:', error.revert ? error.revert.name : error.message);
+            throw error;
+        }
+    }
+
+    // Claim EVM escrow (withdraw with secret) - signed by the redeemer key unless options.signer is given
+    async claimEscrow(escrowId, secret, amount, options = {}) {
+        debug('Claiming EVM HTLC escrow...');
+        const signer = options.signer || this.redeemerWallet;
+        
+        try {
+            const contract = this.getHTLCContract(signer);
+            const tx = await contract.withdraw(escrowId, ethers.hexlify(toBuffer(secret)), BigInt(amount));
+            const receipt = await this.waitForReceipt(tx);
+            const explorerUrl = this.getTestnetExplorerUrl(receipt.hash);
+            
+            console.log(`✅ EVM claim transaction: ${receipt.hash}`);
+            
+            return {
+                txHash: receipt.hash,
+                status: 'claimed',
+                explorerUrl,
+                network: this.networkName,
+                blockNumber: receipt.blockNumber.toString(),
+                gasUsed: receipt.gasUsed.toString()
+            };
+            
+        } catch (error) {
+            this.decodeRevert(error);
+            console.error('❌ Error claiming EVM escrow:', error.revert ? error.revert.name : error.message);
+            throw error;
+        }
+    }
+
+    // Refund EVM escrow (after timelock) - signed by the initiator key unless options.signer is given
+    async refundEscrow(escrowId, options = {}) {
+        debug('Refunding EVM HTLC escrow...');
+        const signer = options.signer || this.wallet;
+        
+        try {
+            const contract = this.getHTLCContract(signer);
+            const tx = await contract.refund(escrowId);
+            const receipt = await this.waitForReceipt(tx);
+            const explorerUrl = this.getTestnetExplorerUrl(receipt.hash);
+            
+            console.log(`✅ EVM refund transaction: ${receipt.hash}`);
+            
+            return {
+                txHash: receipt.hash,
+                status: 'refunded',
+                explorerUrl,
+                network: this.networkName,
+                blockNumber: receipt.blockNumber.toString(),
+                gasUsed: receipt.gasUsed.toString()
+            };
+            
+        } catch (error) {
+            this.decodeRevert(error);
+            console.error('❌ Error refunding EVM escrow:', error.revert ? error.revert.name : error.message);
+            throw error;
+        }
+    }
+
+    // Reverts during gas estimation only carry raw data - attach the decoded HTLCEscrow error as error.revert
+    decodeRevert(error) {
+        if (error.revert || !error.data) {
+            return error;
+        }
+        try {
+            const parsed = new ethers.Interface(HTLC_ESCROW_ABI).parseError(error.data);
+            if (parsed) {
+                error.revert = { name: parsed.name, signature: parsed.signature, args: parsed.args };
+            }
+        } catch (parseError) {
+            debug('Could not decode revert data:', parseError.message);
+        }
+        return error;
+    }
+
+    // Read escrow state from the EVM contract
+    async getEscrow(escrowId) {
+        const escrow = await this.getHTLCContract().escrows(escrowId);
+        
+        if (escrow.initiator === ethers.ZeroAddress) {
+            return null;
+        }
+        
+        return {
+            escrowId,
+            initiator: escrow.initiator,
+            redeemer: escrow.redeemer,
+            token: escrow.token,
+            secretHash: escrow.secretHash,
+            hashAlgorithm: Number(escrow.hashAlgorithm),
+            partialFillsAllowed: escrow.partialFillsAllowed,
+            timelock: Number(escrow.timelock) * 1000,
+            amount: escrow.amount.toString(),
+            remainingAmount: escrow.balance.toString(),
+            totalFilled: escrow.totalFilled.toString()
+        };
+    }
+
+    // Check an escrow locked for the maker before the secret is revealed.
+    // expected: { secretHash, hashAlgorithm, amount (minimum, base units), redeemer, timelockBefore (ms) }
+    async verifyEscrow(escrowId, expected) {
+        const result = { escrowId, network: this.networkName, verified: false };
+        const escrow = escrowId ? await this.getEscrow(escrowId) : null;
+        const hex = value => ethers.hexlify(toBuffer(value)).toLowerCase();
+
+        if (!escrow) {
+            result.reason = 'Destination escrow not found';
+        } else if (hex(escrow.secretHash) !== hex(expected.secretHash) ||
+                   escrow.hashAlgorithm !== getAlgorithmCode(expected.hashAlgorithm)) {
+            result.reason = 'Destination escrow hashlock does not match the order';
+        } else if (BigInt(escrow.remainingAmount) < BigInt(expected.amount)) {
+            result.reason = `Destination escrow holds ${escrow.remainingAmount}, less than the quoted ${expected.amount}`;
+        } else if (escrow.redeemer.toLowerCase() !== expected.redeemer.toLowerCase()) {
+            result.reason = 'Destination escrow does not pay the maker';
+        } else if (escrow.timelock >= expected.timelockBefore) {
+            result.reason = 'Destination escrow timelock is not shorter than the source timelock';
+        } else if (Date.now() >= escrow.timelock) {
+            result.reason = 'Destination escrow timelock has passed';
+        } else {
+            result.verified = true;
+            result.amount = escrow.remainingAmount;
+            result.timelock = escrow.timelock;
+        }
+        return result;
+    }
+
+    // Approve the escrow contract to pull ERC-20 tokens if needed
+    async ensureAllowance(tokenAddress, amount) {
+        const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.wallet);
+        const allowance = await token.allowance(this.wallet.address, this.htlcAddress);
+        
+        if (allowance < amount) {
+            console.log(`📝 Approving ${amount} of ${tokenAddress} for HTLC escrow...`);
+            const tx = await token.approve(this.htlcAddress, amount);
+            await this.waitForReceipt(tx);
+        }
+    }
+
     // Verify a transaction hash exists and is confirmed on the network
     async verifyTransaction(txHash) {
         const networkDisplay = this.networkName === 'BASE_SEPOLIA' ? 'Base Sepolia' : 
@@ -865,6 +1668,7 @@ class EthereumClient {
             
             // Get transaction receipt if mined
             const receipt = await this.provider.getTransactionReceipt(txHash);
+            const confirmations = receipt ? await receipt.confirmations() : 0;
             
             const result = {
                 valid: true,
@@ -873,6 +1677,7 @@ class EthereumClient {
                 mined: !!receipt,
                 status: receipt ? (receipt.status === 1 ? 'success' : 'failed') : 'pending',
                 blockNumber: receipt?.blockNumber?.toString(),
+                confirmations,
                 gasUsed: receipt?.gasUsed?.toString(),
                 from: tx.from,
                 to: tx.to,
@@ -931,22 +1736,7 @@ class EthereumClient {
             console.log(`⏳ Waiting for confirmation on ${networkDisplay}...`);
             
             // Wait for transaction confirmation with timeout
-            const confirmationTimeout = 60000; // 60 seconds
-            const receipt = await Promise.race([
-                tx.wait(),
-                new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error('Transaction confirmation timeout')), confirmationTimeout)
-                )
-            ]);
-            
-            if (!receipt) {
-                throw new Error('Transaction receipt not received');
-            }
-            
-            // Verify transaction was successful
-            if (receipt.status !== 1) {
-                throw new Error(`Transaction failed with status: ${receipt.status}`);
-            }
+            const receipt = await this.waitForReceipt(tx);
             
             const explorerUrl = this.getTestnetExplorerUrl(receipt.hash);
             
@@ -1021,13 +1811,15 @@ async function executeCrossChainSwap() {
             throw new Error(`Insufficient SUI balance. Need ${swapAmount + 0.02} SUI (including gas), have ${suiBalance.totalBalance / 1e9} SUI`);
         }
         
-        // Step 1: Create Fusion+ order
+        // Step 1: Create Fusion+ order - the secret is generated here and never sent anywhere
         console.log('📝 Step 1: Creating 1inch Fusion+ Order');
+        const hashlock = createHashlock();
         const order = await fusionClient.createFusionOrder(
             'SUI',
             'ETH',
             swapAmount.toString(),
-            ethAddress
+            ethAddress,
+            { secretHash: hashlock.secretHash, hashAlgorithm: hashlock.hashAlgorithm }
         );
         console.log(`   Order ID: ${order.id}`);
         console.log(`   Secret Hash: ${order.secretHash}\n`);
@@ -1037,47 +1829,101 @@ async function executeCrossChainSwap() {
         const timelock = Date.now() + (20 * 60 * 1000); // 20 minutes
         const secretHash = Buffer.from(order.secretHash, 'hex');
         
+        const redeemerAddress = await suiClient.getRedeemerAddress();
         const escrow = await suiClient.createEscrow(
-            ethAddress, // redeemer
+            redeemerAddress, // redeemer (Sui address that signs the claim)
             secretHash,
             requiredSui.toString(),
-            timelock
+            timelock,
+            { hashAlgorithm: order.hashAlgorithm }
         );
         
+        await fusionClient.store.saveEscrow(escrow.escrowId, {
+            orderId: order.orderId || order.id,
+            chain: 'sui',
+            redeemer: redeemerAddress,
+            amount: requiredSui.toString(),
+            timelock,
+            txHash: escrow.txHash,
+            status: 'locked'
+        });
+        
         console.log(`   ✅ REAL Escrow Created!`);
         console.log(`   📦 Escrow ID: ${escrow.escrowId}`);
         console.log(`   📋 Transaction: ${escrow.txHash}`);
         console.log(`   🔍 Explorer: ${escrow.explorerUrl}`);
         console.log(`   💰 Amount: ${swapAmount} SUI locked\n`);
         
-        // Step 3: Simulate ETH side - REAL TRANSACTION
-        console.log('💰 Step 3: Executing ETH Side (Sepolia)');
-        const ethSwap = await ethClient.executeSwap('ETH', 'SUI', 0.001);
-        console.log(`   ✅ REAL ETH transaction: ${ethSwap.txHash}`);
-        console.log(`   🔍 Explorer: ${ethSwap.explorerUrl}\n`);
+        // Step 3: Lock the ETH leg in HTLCEscrow for the maker under the same hashlock - REAL TRANSACTION
+        // It expires before the Sui escrow, so the resolver still has time to claim on Sui once the secret is out
+        console.log('💰 Step 3: Locking ETH Escrow (Sepolia)');
+        const ethAmount = ethers.parseEther('0.001');
+        const ethTimelock = Date.now() + (10 * 60 * 1000); // 10 minutes
+        const ethEscrow = await ethClient.createEscrow(ethAddress, order.secretHash, ethAmount, ethTimelock, {
+            hashAlgorithm: order.hashAlgorithm
+        });
+        
+        await fusionClient.store.saveEscrow(ethEscrow.escrowId, {
+            orderId: order.orderId || order.id,
+            chain: ethEscrow.network,
+            redeemer: ethAddress,
+            amount: ethAmount.toString(),
+            timelock: ethTimelock,
+            hashAlgorithm: order.hashAlgorithm,
+            txHash: ethEscrow.txHash,
+            status: 'locked'
+        });
+        
+        console.log(`   ✅ REAL ETH Escrow Created: ${ethEscrow.escrowId}`);
+        console.log(`   🔍 Explorer: ${ethEscrow.explorerUrl}\n`);
         
-        // Step 4: Claim on Sui - REAL TRANSACTION
-        console.log('🎯 Step 4: Claiming Sui Escrow');
-        const secret = Buffer.from(order.secret, 'hex');
+        // Step 4: Check the ETH escrow, then reveal the secret by claiming it (the maker signs) - REAL TRANSACTION
+        console.log('🔓 Step 4: Claiming ETH Escrow');
+        const verified = await ethClient.verifyEscrow(ethEscrow.escrowId, {
+            secretHash: order.secretHash,
+            hashAlgorithm: order.hashAlgorithm,
+            amount: ethAmount.toString(),
+            redeemer: ethAddress,
+            timelockBefore: timelock
+        });
+        if (!verified.verified) {
+            throw new Error(`ETH escrow check failed: ${verified.reason}`);
+        }
+        
+        const secret = Buffer.from(hashlock.secret, 'hex');
+        const ethClaim = await ethClient.claimEscrow(ethEscrow.escrowId, secret, ethAmount, { signer: ethClient.wallet });
+        await fusionClient.store.saveEscrow(ethEscrow.escrowId, { status: 'claimed', claimTxHash: ethClaim.txHash });
+        
+        console.log(`   ✅ REAL ETH Claim transaction: ${ethClaim.txHash}`);
+        console.log(`   🔍 Explorer: ${ethClaim.explorerUrl}\n`);
+        
+        // Step 5: Claim on Sui with the revealed secret - REAL TRANSACTION
+        console.log('🎯 Step 5: Claiming Sui Escrow');
         
         const claim = await suiClient.claimEscrow(
             escrow.escrowId,
             secret,
-            requiredSui.toString()
+            requiredSui.toString(),
+            { takingAmount: 0 } // No auction on this escrow, so nothing to attest
         );
         
+        await fusionClient.store.saveEscrow(escrow.escrowId, { status: 'claimed', claimTxHash: claim.txHash });
+        
         console.log(`   ✅ REAL Claim transaction: ${claim.txHash}`);
         console.log(`   🔍 Explorer: ${claim.explorerUrl}\n`);
         
         // Final summary with REAL transaction hashes
         console.log('✅ REAL Cross-Chain Swap Completed Successfully!');
         console.log('📊 REAL Transaction Summary:');
-        console.log(`   🏗️  HTLC Deployment: DsP6XPvNjmoRWQVhkoyLYVUhNYLaQuYbA9SLkUTMxz1Y`);
-        console.log(`   📦 Package ID: ${REAL_HTLC_PACKAGE_ID}`);
+        if (suiClient.deployment) {
+            console.log(`   🏗️  HTLC Deployment: ${suiClient.deployment.digest}`);
+        }
+        console.log(`   📦 Package ID: ${suiClient.packageId}`);
         console.log(`   🔒 Lock Tx (Sui): ${escrow.txHash}`);
-        console.log(`   💸 ETH Tx (Sepolia): ${ethSwap.txHash}`);
+        console.log(`   🔒 Lock Tx (ETH): ${ethEscrow.txHash}`);
+        console.log(`   🔓 Claim Tx (ETH): ${ethClaim.txHash}`);
         console.log(`   🎯 Claim Tx (Sui): ${claim.txHash}`);
-        console.log(`   💰 Amount: ${swapAmount} SUI`);
+        console.log(`   💰 Amount: ${swapAmount} SUI for ${ethers.formatEther(ethAmount)} ETH`);
         console.log(`   ⛽ Total Gas Used: ~0.02 SUI + ETH gas`);
         console.log('\n🎉 All transactions are REAL and verifiable on testnet explorers!');
         
@@ -1095,6 +1941,7 @@ if (require.main === module) {
 }
 
 module.exports = {
+    HTLC_ESCROW_ABI,
     SuiHTLCClient,
     OneinchFusionClient,
     EthereumClient,
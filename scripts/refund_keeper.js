@@ -0,0 +1,250 @@
+const debug = require('debug')('sui-fusion:refund-keeper');
+const { SWAP_STATES, canTransition } = require('./swap_state');
+const { STAGES, getStage } = require('./timelocks');
+
+/**
+ * Background keeper that acts on escrows as their timelock stages open
+ *
+ * - Refund: every escrow this server created (recorded with an orderId in the
+ *   swap store) is refunded once now > timelock (the same check the Move
+ *   module makes against the Sui clock). The refund tx is recorded on the
+ *   escrow, in the transaction log and on the swap, which moves to `refunded`.
+ * - Public withdrawal (options.publicWithdraw): a swap of ours whose secret
+ *   was revealed but whose escrow still holds funds is completed for the
+ *   redeemer once public withdrawal opens.
+ * - Public cancellation (options.publicCancel): escrows of other users seen
+ *   by the event indexer are cancelled back to their initiator once public
+ *   cancellation opens. Their timelocks are read once with
+ *   options.getTimelocks and kept on the escrow record.
+ * Each action earns the caller the escrow's safety deposit (or its share).
+ *
+ * `now` is injectable so tests can drive the clock.
+ */
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+
+// Escrows in these states still hold funds
+const REFUNDABLE_STATUSES = ['locked', 'partially_filled'];
+
+class RefundKeeper {
+    constructor(options = {}) {
+        if (!options.store || !options.refund) {
+            throw new Error('RefundKeeper requires a store and a refund function');
+        }
+
+        this.store = options.store;
+        this.swaps = options.swaps;
+        this.refund = options.refund; // async (escrow) => { txHash }
+        this.publicWithdraw = options.publicWithdraw; // async (escrow, order) => claim (see SwapStateMachine.recordClaim)
+        this.publicCancel = options.publicCancel; // async (escrow) => { txHash }
+        this.getTimelocks = options.getTimelocks; // async (escrow) => timelocks (see timelocks.js)
+        this.chain = options.chain || 'sui';
+        this.now = options.now || (() => Date.now());
+        this.intervalMs = options.intervalMs || DEFAULT_INTERVAL_MS;
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.timer) {
+            return this;
+        }
+
+        console.log(`⏰ Refund keeper watching ${this.chain} escrows every ${this.intervalMs / 1000}s`);
+        this.timer = setInterval(() => {
+            this.tick().catch(error => console.error('❌ Refund keeper tick failed:', error.message));
+        }, this.intervalMs);
+        this.timer.unref(); // Never keep the process alive on its own
+
+        return this;
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async listExpired() {
+        const now = this.now();
+        const escrows = await this.store.listEscrows();
+        return escrows.filter(escrow =>
+            escrow.chain === this.chain &&
+            escrow.orderId && // created here - indexed escrows of other users are not ours to refund
+            REFUNDABLE_STATUSES.includes(escrow.status) &&
+            escrow.timelock &&
+            now > escrow.timelock
+        );
+    }
+
+    // Our escrows of revealed swaps still holding funds in the public withdrawal stage
+    async listPublicWithdrawals() {
+        if (!this.publicWithdraw) {
+            return [];
+        }
+        const now = this.now();
+        const escrows = await this.store.listEscrows();
+        const ready = [];
+        for (const escrow of escrows) {
+            if (escrow.chain !== this.chain || !escrow.orderId || !REFUNDABLE_STATUSES.includes(escrow.status) ||
+                !escrow.timelocks || getStage(escrow.timelocks, now) !== STAGES.PUBLIC_WITHDRAWAL) {
+                continue;
+            }
+            const order = await this.store.getOrder(escrow.orderId);
+            if (order && order.status === SWAP_STATES.SECRET_REVEALED) {
+                ready.push({ escrow, order });
+            }
+        }
+        return ready;
+    }
+
+    // Escrows of other users whose public cancellation stage has opened
+    async listPublicCancellations() {
+        if (!this.publicCancel || !this.getTimelocks) {
+            return [];
+        }
+        const now = this.now();
+        const escrows = await this.store.listEscrows();
+        const ready = [];
+        for (const escrow of escrows) {
+            if (escrow.chain !== this.chain || escrow.orderId || !REFUNDABLE_STATUSES.includes(escrow.status) ||
+                !escrow.timelock || now <= escrow.timelock) {
+                continue;
+            }
+            let timelocks = escrow.timelocks;
+            if (!timelocks) {
+                try {
+                    timelocks = await this.getTimelocks(escrow);
+                } catch (error) {
+                    debug(`Could not read the timelocks of escrow ${escrow.escrowId}: ${error.message}`);
+                    continue;
+                }
+                await this.store.saveEscrow(escrow.escrowId, { timelocks });
+            }
+            if (getStage(timelocks, now) === STAGES.PUBLIC_CANCELLATION) {
+                ready.push({ ...escrow, timelocks });
+            }
+        }
+        return ready;
+    }
+
+    // One pass over the store; overlapping ticks are skipped
+    async tick() {
+        if (this.running) {
+            debug('Previous tick still running - skipping');
+            return [];
+        }
+
+        this.running = true;
+        const results = [];
+        try {
+            for (const escrow of await this.listExpired()) {
+                results.push(await this.refundEscrow(escrow));
+            }
+            for (const { escrow, order } of await this.listPublicWithdrawals()) {
+                results.push(await this.publicWithdrawEscrow(escrow, order));
+            }
+            for (const escrow of await this.listPublicCancellations()) {
+                results.push(await this.publicCancelEscrow(escrow));
+            }
+        } finally {
+            this.running = false;
+        }
+        return results;
+    }
+
+    async refundEscrow(escrow) {
+        const { escrowId, orderId } = escrow;
+        console.log(`💸 Timelock passed for escrow ${escrowId} - submitting refund`);
+
+        try {
+            const refund = await this.refund(escrow);
+
+            await this.store.saveEscrow(escrowId, {
+                status: 'refunded',
+                refundTxHash: refund.txHash,
+                refundedAt: this.now()
+            });
+            await this.store.recordTransaction({ orderId, escrowId, chain: this.chain, type: 'refund', txHash: refund.txHash });
+            await this.markSwapRefunded(orderId, refund.txHash);
+
+            console.log(`✅ Escrow ${escrowId} refunded: ${refund.txHash}`);
+            return { escrowId, orderId, action: 'refunded', txHash: refund.txHash };
+
+        } catch (error) {
+            console.error(`❌ Refund failed for escrow ${escrowId}:`, error.message);
+            await this.store.saveEscrow(escrowId, {
+                refundAttempts: (escrow.refundAttempts || 0) + 1,
+                lastRefundError: error.message
+            });
+            // cause keeps the SwapError / abort so the API can answer with its code
+            return { escrowId, orderId, action: 'failed', error: error.message, cause: error };
+        }
+    }
+
+    async publicWithdrawEscrow(escrow, order) {
+        const { escrowId, orderId } = escrow;
+        console.log(`🔓 Public withdrawal open for escrow ${escrowId} - completing the swap for the redeemer`);
+
+        try {
+            const claim = await this.publicWithdraw(escrow, order);
+            if (this.swaps) {
+                await this.swaps.recordClaim(orderId, escrowId, claim);
+            }
+
+            console.log(`✅ Escrow ${escrowId} withdrawn for the redeemer: ${claim.txHash}`);
+            return { escrowId, orderId, action: 'withdrawn', txHash: claim.txHash };
+
+        } catch (error) {
+            console.error(`❌ Public withdrawal failed for escrow ${escrowId}:`, error.message);
+            await this.store.saveEscrow(escrowId, {
+                withdrawAttempts: (escrow.withdrawAttempts || 0) + 1,
+                lastWithdrawError: error.message
+            });
+            return { escrowId, orderId, action: 'failed', error: error.message };
+        }
+    }
+
+    async publicCancelEscrow(escrow) {
+        const { escrowId } = escrow;
+        console.log(`💸 Public cancellation open for escrow ${escrowId} - returning it to its initiator`);
+
+        try {
+            const cancel = await this.publicCancel(escrow);
+
+            await this.store.saveEscrow(escrowId, {
+                status: 'refunded',
+                refundTxHash: cancel.txHash,
+                refundedAt: this.now()
+            });
+            await this.store.recordTransaction({ escrowId, chain: this.chain, type: 'public_cancel', txHash: cancel.txHash });
+
+            console.log(`✅ Escrow ${escrowId} cancelled: ${cancel.txHash}`);
+            return { escrowId, action: 'cancelled', txHash: cancel.txHash };
+
+        } catch (error) {
+            console.error(`❌ Public cancellation failed for escrow ${escrowId}:`, error.message);
+            await this.store.saveEscrow(escrowId, {
+                refundAttempts: (escrow.refundAttempts || 0) + 1,
+                lastRefundError: error.message
+            });
+            return { escrowId, action: 'failed', error: error.message };
+        }
+    }
+
+    async markSwapRefunded(orderId, txHash) {
+        if (!orderId || !this.swaps) {
+            return;
+        }
+        const order = await this.store.getOrder(orderId);
+        if (order && canTransition(order.status, SWAP_STATES.REFUNDED)) {
+            await this.swaps.transition(orderId, SWAP_STATES.REFUNDED, { refundTxHash: txHash });
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_INTERVAL_MS,
+    RefundKeeper
+};
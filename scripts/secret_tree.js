@@ -0,0 +1,113 @@
+const { DEFAULT_HASH_ALGORITHM, normalizeAlgorithm, generateSecret, hashSecret, toBuffer } = require('./hashlock');
+
+/**
+ * Merkle tree of secrets for multi-resolver partial fills (1inch Fusion+ style)
+ *
+ * An order split into N parts gets N + 1 secrets. Leaf i is
+ * hash(u64_le(i) ++ hash(secret_i)) and parents are hash(left ++ right), all
+ * with the escrow's hash algorithm; an odd node is paired with itself. The
+ * escrow stores only the root - a fill ending in tranche i reveals secret i
+ * and its proof, so the remaining tranches stay locked.
+ *
+ * Mirrors `secret_leaf` / `merkle_root` / `get_secret_index` in htlc_escrow::escrow.
+ */
+
+function hashLeaf(index, secretHash, algorithm = DEFAULT_HASH_ALGORITHM) {
+    const indexBytes = Buffer.alloc(8);
+    indexBytes.writeBigUInt64LE(BigInt(index));
+    return hashSecret(Buffer.concat([indexBytes, toBuffer(secretHash)]), algorithm);
+}
+
+function hashPair(left, right, algorithm) {
+    return hashSecret(Buffer.concat([left, right]), algorithm);
+}
+
+// Every level of the tree, leaves first
+function buildLevels(leaves, algorithm) {
+    const levels = [leaves];
+    while (levels[levels.length - 1].length > 1) {
+        const level = levels[levels.length - 1];
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(hashPair(level[i], level[i + 1] || level[i], algorithm));
+        }
+        levels.push(next);
+    }
+    return levels;
+}
+
+// Secret index for a fill that brings the escrow to `filledAfter` of `totalAmount`
+function getSecretIndex(filledAfter, totalAmount, partsCount) {
+    const filled = BigInt(filledAfter);
+    const total = BigInt(totalAmount);
+    if (filled >= total) {
+        return partsCount;
+    }
+    return Number((filled * BigInt(partsCount)) / total);
+}
+
+// Fresh secrets for an order split into `partsCount` tranches (hex encoded, no 0x prefix)
+function createSecretTree(partsCount, algorithm = DEFAULT_HASH_ALGORITHM) {
+    if (!Number.isInteger(partsCount) || partsCount < 1) {
+        throw new Error('partsCount must be a positive integer');
+    }
+    const hashAlgorithm = normalizeAlgorithm(algorithm);
+    const secrets = Array.from({ length: partsCount + 1 }, () => generateSecret());
+    const secretHashes = secrets.map(secret => hashSecret(secret, hashAlgorithm));
+    const levels = buildLevels(secretHashes.map((hash, index) => hashLeaf(index, hash, hashAlgorithm)), hashAlgorithm);
+
+    return {
+        root: levels[levels.length - 1][0].toString('hex'),
+        partsCount,
+        hashAlgorithm,
+        secrets: secrets.map(secret => secret.toString('hex')),
+        secretHashes: secretHashes.map(hash => hash.toString('hex')),
+        levels
+    };
+}
+
+// Sibling hashes from leaf `index` up to the root (hex, bottom-up)
+function getProof(tree, index) {
+    if (index < 0 || index > tree.partsCount) {
+        throw new Error(`Secret index ${index} out of range 0..${tree.partsCount}`);
+    }
+    const proof = [];
+    let position = index;
+    for (const level of tree.levels.slice(0, -1)) {
+        const sibling = level[position ^ 1] || level[position];
+        proof.push(sibling.toString('hex'));
+        position = Math.floor(position / 2);
+    }
+    return proof;
+}
+
+function verifyProof(root, secret, index, proof, algorithm = DEFAULT_HASH_ALGORITHM) {
+    let node = hashLeaf(index, hashSecret(secret, algorithm), algorithm);
+    let position = index;
+    for (const sibling of proof) {
+        node = position % 2 === 0
+            ? hashPair(node, toBuffer(sibling), algorithm)
+            : hashPair(toBuffer(sibling), node, algorithm);
+        position = Math.floor(position / 2);
+    }
+    return node.equals(toBuffer(root));
+}
+
+// Secret, index and proof a resolver needs to fill `amount` on top of `filledBefore`
+function getFillSecret(tree, filledBefore, amount, totalAmount) {
+    const index = getSecretIndex(BigInt(filledBefore) + BigInt(amount), totalAmount, tree.partsCount);
+    return {
+        index,
+        secret: tree.secrets[index],
+        proof: getProof(tree, index)
+    };
+}
+
+module.exports = {
+    hashLeaf,
+    getSecretIndex,
+    createSecretTree,
+    getProof,
+    verifyProof,
+    getFillSecret
+};
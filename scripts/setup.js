@@ -6,6 +6,7 @@ const fs = require('fs');
 const path = require('path');
 const dotenv = require('dotenv');
 const axios = require('axios');
+const { getNetwork, getDeploymentPath, loadDeployment } = require('./deployments');
 
 // Load environment variables from root directory
 dotenv.config({ path: path.join(__dirname, '../.env') });
@@ -70,8 +71,7 @@ class SetupValidator {
         ];
 
         const optional = [
-            'ONEINCH_API_KEY',
-            'HTLC_PACKAGE_ID'
+            'ONEINCH_API_KEY'
         ];
 
         for (const key of required) {
@@ -274,8 +274,11 @@ class SetupValidator {
         this.ok('HTLC source files found');
 
         // Check if already deployed
-        if (process.env.HTLC_PACKAGE_ID) {
-            this.ok(`HTLC package ID configured: ${process.env.HTLC_PACKAGE_ID}`);
+        const deployment = loadDeployment();
+        if (deployment) {
+            this.ok(`HTLC package deployed on ${deployment.network}: ${deployment.packageId} (version ${deployment.version})`);
+        } else if (process.env.HTLC_PACKAGE_ID) {
+            this.warn(`Using HTLC_PACKAGE_ID without a deployment manifest (${getDeploymentPath()})`);
         } else {
             this.warn('HTLC package not deployed yet. Run `npm run deploy` first.');
         }
@@ -310,7 +313,7 @@ class SetupValidator {
             console.log('🎉 Setup validation completed successfully!');
             console.log('\n📋 Next Steps:');
             
-            if (!process.env.HTLC_PACKAGE_ID) {
+            if (!loadDeployment() && !process.env.HTLC_PACKAGE_ID) {
                 console.log('1. Deploy HTLC contract: npm run deploy');
                 console.log('2. Run swap test: npm run swap');
             } else {
@@ -27,7 +27,11 @@ if [ ! -d "../ui/node_modules" ]; then
     cd ../ui && npm install && cd ../scripts
 fi
 
-# Check if HTLC contract is deployed
+# Check if HTLC contract is deployed (deployments/<network>.json, written by npm run deploy)
+DEPLOYMENT_FILE="../deployments/${SUI_NETWORK:-testnet}.json"
+if [ -f "$DEPLOYMENT_FILE" ]; then
+    HTLC_PACKAGE_ID=$(node -e "console.log(require('$DEPLOYMENT_FILE').packageId)")
+fi
 if [ -z "$HTLC_PACKAGE_ID" ]; then
     echo "⚠️  HTLC contract not deployed. Run 'npm run deploy' first."
     echo "🔧 Would you like to run setup validation? (y/n)"
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const debug = require('debug')('sui-fusion:store');
+
+/**
+ * Persistent storage for orders, escrows, secrets, transaction hashes and indexer cursors
+ *
+ * SwapStore wraps a backend with get/put/list/delete per collection.
+ * Backends: FileStore (JSON file, default) and MemoryStore (tests / throwaway runs).
+ * Any object with the same async methods can be passed as `backend`.
+ */
+
+const COLLECTIONS = ['orders', 'escrows', 'secrets', 'transactions', 'cursors'];
+
+const DEFAULT_STORE_PATH = path.join(__dirname, 'data/swap-store.json');
+
+function emptyData() {
+    return Object.fromEntries(COLLECTIONS.map(collection => [collection, {}]));
+}
+
+function assertCollection(collection) {
+    if (!COLLECTIONS.includes(collection)) {
+        throw new Error(`Unknown store collection: ${collection}`);
+    }
+}
+
+// In-memory backend - lost on restart
+class MemoryStore {
+    constructor(data = emptyData()) {
+        this.data = { ...emptyData(), ...data };
+    }
+
+    async get(collection, id) {
+        assertCollection(collection);
+        const record = this.data[collection][id];
+        return record ? { ...record } : null;
+    }
+
+    async put(collection, id, record) {
+        assertCollection(collection);
+        this.data[collection][id] = record;
+        this.persist();
+        return record;
+    }
+
+    async list(collection) {
+        assertCollection(collection);
+        return Object.values(this.data[collection]).map(record => ({ ...record }));
+    }
+
+    async delete(collection, id) {
+        assertCollection(collection);
+        const existed = id in this.data[collection];
+        delete this.data[collection][id];
+        if (existed) {
+            this.persist();
+        }
+        return existed;
+    }
+
+    persist() {}
+}
+
+// JSON file backend - rewritten atomically (temp file + rename) on every change
+class FileStore extends MemoryStore {
+    constructor(filePath = DEFAULT_STORE_PATH) {
+        super(FileStore.load(filePath));
+        this.filePath = filePath;
+        debug(`Using file store at ${filePath}`);
+    }
+
+    static load(filePath) {
+        if (!fs.existsSync(filePath)) {
+            return emptyData();
+        }
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to read swap store ${filePath}: ${error.message}`);
+        }
+    }
+
+    persist() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        // SDK quotes carry BigInt values - store them as strings
+        const json = JSON.stringify(this.data, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2);
+        fs.writeFileSync(tmpPath, json);
+        fs.renameSync(tmpPath, this.filePath);
+    }
+}
+
+class SwapStore {
+    constructor(backend) {
+        this.backend = backend;
+    }
+
+    // Orders - the secret is kept in its own collection so order listings never expose it
+    async saveOrder(orderId, order) {
+        const { secret, ...orderData } = order;
+        if (secret) {
+            await this.saveSecret(orderId, { secret, secretHash: order.secretHash, hashAlgorithm: order.hashAlgorithm });
+        }
+        const existing = await this.backend.get('orders', orderId);
+        return this.backend.put('orders', orderId, {
+            ...existing,
+            ...orderData,
+            orderId,
+            updatedAt: Date.now()
+        });
+    }
+
+    async getOrder(orderId, options = {}) {
+        const order = await this.backend.get('orders', orderId);
+        if (!order || !options.includeSecret) {
+            return order;
+        }
+        const secret = await this.getSecret(orderId);
+        return secret ? { ...order, secret: secret.secret } : order;
+    }
+
+    async updateOrder(orderId, changes) {
+        const order = await this.backend.get('orders', orderId);
+        if (!order) {
+            throw new Error(`Order not found: ${orderId}`);
+        }
+        return this.saveOrder(orderId, { ...order, ...changes });
+    }
+
+    async listOrders() {
+        const orders = await this.backend.list('orders');
+        return orders.sort((a, b) => (a.createdAt || a.timestamp || 0) - (b.createdAt || b.timestamp || 0));
+    }
+
+    // Escrows created for an order (Sui or EVM), keyed by escrow id
+    async saveEscrow(escrowId, escrow) {
+        const existing = await this.backend.get('escrows', escrowId);
+        return this.backend.put('escrows', escrowId, {
+            createdAt: Date.now(),
+            ...existing,
+            ...escrow,
+            escrowId,
+            updatedAt: Date.now()
+        });
+    }
+
+    async getEscrow(escrowId) {
+        return this.backend.get('escrows', escrowId);
+    }
+
+    async listEscrows(orderId) {
+        const escrows = await this.backend.list('escrows');
+        return orderId ? escrows.filter(escrow => escrow.orderId === orderId) : escrows;
+    }
+
+    async saveSecret(orderId, secret) {
+        return this.backend.put('secrets', orderId, { ...secret, orderId, storedAt: Date.now() });
+    }
+
+    async getSecret(orderId) {
+        return this.backend.get('secrets', orderId);
+    }
+
+    // Transaction hashes - { orderId, chain, type, txHash, ... }
+    async recordTransaction(tx) {
+        if (!tx.txHash) {
+            throw new Error('recordTransaction requires a txHash');
+        }
+        return this.backend.put('transactions', tx.txHash, { ...tx, recordedAt: Date.now() });
+    }
+
+    async listTransactions(orderId) {
+        const transactions = await this.backend.list('transactions');
+        return transactions
+            .filter(tx => !orderId || tx.orderId === orderId)
+            .sort((a, b) => a.recordedAt - b.recordedAt);
+    }
+
+    // Paging cursors for chain indexers, keyed by indexer name
+    async getCursor(name) {
+        const record = await this.backend.get('cursors', name);
+        return record ? record.cursor : null;
+    }
+
+    async saveCursor(name, cursor) {
+        return this.backend.put('cursors', name, { cursor, updatedAt: Date.now() });
+    }
+}
+
+// SWAP_STORE=file|memory, SWAP_STORE_PATH=<json file>
+function createStore(options = {}) {
+    if (options.backend) {
+        return new SwapStore(options.backend);
+    }
+
+    const type = options.type || process.env.SWAP_STORE || 'file';
+    switch (type) {
+        case 'file':
+            return new SwapStore(new FileStore(options.path || process.env.SWAP_STORE_PATH || DEFAULT_STORE_PATH));
+        case 'memory':
+            return new SwapStore(new MemoryStore());
+        default:
+            throw new Error(`Unsupported SWAP_STORE: ${type}. Supported: file, memory`);
+    }
+}
+
+module.exports = {
+    COLLECTIONS,
+    DEFAULT_STORE_PATH,
+    MemoryStore,
+    FileStore,
+    SwapStore,
+    createStore
+};
@@ -0,0 +1,139 @@
+const { SwapError } = require('./errors');
+
+/**
+ * Sui coin types for escrows of any Coin<T>
+ *
+ * Maps the token symbols used by the API and UI to Move coin types, and picks
+ * the owner's coins for a transfer: SUI coins are set as the gas payment (the
+ * node merges them into the gas coin) and split from it, any other coin type
+ * is merged from the owner's coins of that type and split.
+ */
+
+const SUI_COIN_TYPE = '0x2::sui::SUI';
+
+// Most coin objects a transaction may use as gas payment
+const MAX_GAS_PAYMENT_OBJECTS = 256;
+
+// Circle USDC on Sui testnet (override with SUI_USDC_COIN_TYPE on other networks)
+const DEFAULT_SUI_USDC_COIN_TYPE = '0xa1ec7fc00a6f40db9693ad1415d0c193ad3906494428cf252621037bd7117e29::usdc::USDC';
+
+// Source tokens that can be locked in a Sui escrow; priceAs is the symbol quotes use
+const SUI_TOKENS = {
+    SUI: { coinType: SUI_COIN_TYPE, decimals: 9, priceAs: 'SUI' },
+    'USDC.sui': {
+        coinType: process.env.SUI_USDC_COIN_TYPE || DEFAULT_SUI_USDC_COIN_TYPE,
+        decimals: 6,
+        priceAs: 'USDC'
+    }
+};
+
+function getSuiToken(symbol) {
+    const token = SUI_TOKENS[symbol];
+    if (!token) {
+        throw new SwapError('INVALID_REQUEST', `Unsupported Sui token: ${symbol} (expected one of ${Object.keys(SUI_TOKENS).join(', ')})`);
+    }
+    return token;
+}
+
+// { symbol, coinType, decimals, priceAs } of a known coin type (null for others)
+function getSuiTokenByCoinType(coinType) {
+    const symbol = Object.keys(SUI_TOKENS)
+        .find(key => normalizeCoinType(SUI_TOKENS[key].coinType) === normalizeCoinType(coinType));
+    return symbol ? { symbol, ...SUI_TOKENS[symbol] } : null;
+}
+
+function isSuiToken(symbol) {
+    return Object.prototype.hasOwnProperty.call(SUI_TOKENS, symbol);
+}
+
+// "0x2::sui::SUI" and "0x000...002::sui::SUI" name the same type
+function normalizeCoinType(coinType) {
+    const [address, ...rest] = coinType.split('::');
+    const hex = address.replace(/^0x/, '').replace(/^0+/, '') || '0';
+    return [`0x${hex}`, ...rest].join('::');
+}
+
+function isSuiCoinType(coinType) {
+    return normalizeCoinType(coinType) === SUI_COIN_TYPE;
+}
+
+// Coin type T of a `<package>::escrow::Escrow<T>` object type
+function coinTypeFromEscrowType(type) {
+    const match = /::escrow::Escrow<(.+)>$/.exec(type || '');
+    return match ? match[1] : null;
+}
+
+// Owner's coins of `coinType` covering `amount`, largest first.
+// Pages through getCoins only until the fetched coins cover the amount.
+async function selectCoins(client, owner, coinType, amount) {
+    const target = BigInt(amount);
+    const owned = [];
+    let available = 0n;
+    let cursor = null;
+    do {
+        const page = await client.getCoins({ owner, coinType, cursor });
+        for (const coin of page.data) {
+            owned.push(coin);
+            available += BigInt(coin.balance);
+        }
+        cursor = page.hasNextPage ? page.nextCursor : null;
+    } while (cursor && available < target);
+
+    if (available < target) {
+        throw new SwapError('INSUFFICIENT_BALANCE', `Insufficient ${coinType} balance: need ${target}, have ${available}`);
+    }
+
+    owned.sort((a, b) => {
+        const diff = BigInt(b.balance) - BigInt(a.balance);
+        return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+    });
+    const selected = [];
+    let total = 0n;
+    for (const coin of owned) {
+        if (total >= target) break;
+        selected.push(coin);
+        total += BigInt(coin.balance);
+    }
+    return selected;
+}
+
+// Pay gas with SUI coins covering `amount` (everything split from tx.gas plus the gas budget)
+async function prepareGasPayment(tx, client, owner, amount) {
+    const coins = await selectCoins(client, owner, SUI_COIN_TYPE, amount);
+    if (coins.length > MAX_GAS_PAYMENT_OBJECTS) {
+        throw new Error(`SUI balance is spread over more than ${MAX_GAS_PAYMENT_OBJECTS} coins - merge them first`);
+    }
+    tx.setGasPayment(coins.map(coin => ({ objectId: coin.coinObjectId, version: coin.version, digest: coin.digest })));
+    return coins;
+}
+
+// Coin argument holding exactly `amount` of `coinType`, and the owned coins it consumed.
+// SUI comes from the gas coin, so prepareGasPayment must cover it.
+async function takeCoin(tx, client, owner, coinType, amount) {
+    if (isSuiCoinType(coinType)) {
+        const [coin] = tx.splitCoins(tx.gas, [BigInt(amount)]);
+        return { coin, coins: [] };
+    }
+
+    const coins = await selectCoins(client, owner, coinType, amount);
+    const [primary, ...rest] = coins;
+    if (rest.length > 0) {
+        tx.mergeCoins(tx.object(primary.coinObjectId), rest.map(coin => tx.object(coin.coinObjectId)));
+    }
+    const [coin] = tx.splitCoins(tx.object(primary.coinObjectId), [BigInt(amount)]);
+    return { coin, coins };
+}
+
+module.exports = {
+    SUI_COIN_TYPE,
+    SUI_TOKENS,
+    getSuiToken,
+    getSuiTokenByCoinType,
+    isSuiToken,
+    normalizeCoinType,
+    isSuiCoinType,
+    coinTypeFromEscrowType,
+    selectCoins,
+    prepareGasPayment,
+    takeCoin
+};
@@ -6,13 +6,17 @@ const crypto = require('crypto');
 const fs = require('fs');
 const dotenv = require('dotenv');
 const axios = require('axios');
+const { createHashlock, getAlgorithmCode, DEFAULT_HASH_ALGORITHM } = require('./hashlock');
+const { loadDeployment } = require('./deployments');
 
 // Load environment variables
 dotenv.config({ path: '../.env' });
 
 // Configuration
 const SUI_NETWORK = 'testnet';
-const PACKAGE_ID = process.env.SUI_PACKAGE_ID || '0x0'; // Will be set after deployment
+const deployment = loadDeployment(SUI_NETWORK); // Written by deploy_htlc.js
+const PACKAGE_ID = deployment ? deployment.packageId : '0x0';
+const CONFIG_ID = deployment ? deployment.configId : '0x0'; // Shared escrow::Config created by the deployment
 
 // Initialize Sui client
 const suiClient = new SuiClient({
@@ -55,8 +59,7 @@ class Enhanced1inchAPI {
     // Create intent with auction parameters
     async createIntent(fromToken, toToken, amount, userAddress, auctionParams) {
         const orderId = crypto.randomBytes(32).toString('hex');
-        const secret = crypto.randomBytes(32);
-        const secretHash = crypto.createHash('sha256').update(secret).digest();
+        const { secret, secretHash, hashAlgorithm } = createHashlock();
         
         const order = {
             id: orderId,
@@ -64,8 +67,9 @@ class Enhanced1inchAPI {
             toToken,
             amount,
             userAddress,
-            secret: secret.toString('hex'),
-            secretHash: secretHash.toString('hex'),
+            secret,
+            secretHash,
+            hashAlgorithm,
             auctionParams,
             status: 'pending',
             createdAt: Date.now(),
@@ -158,13 +162,14 @@ class Enhanced1inchAPI {
 
 // Enhanced Sui HTLC Operations with Fusion+ features
 class SuiFusionHTLC {
-    constructor(client, packageId) {
+    constructor(client, packageId, configId) {
         this.client = client;
         this.packageId = packageId;
+        this.configId = configId;
     }
 
     // Create escrow with auction parameters
-    async createEscrow(keypair, redeemer, secretHash, amount, timelock, auctionParams, allowPartialFills = true) {
+    async createEscrow(keypair, redeemer, secretHash, amount, timelock, auctionParams, allowPartialFills = true, hashAlgorithm = DEFAULT_HASH_ALGORITHM, minFillAmount = 0) {
         console.log('🔒 Creating Fusion+ HTLC Escrow...');
         
         const tx = new Transaction();
@@ -174,9 +179,12 @@ class SuiFusionHTLC {
         tx.moveCall({
             target: `${this.packageId}::escrow::deposit`,
             arguments: [
+                tx.object(this.configId), // config
                 tx.pure(keypair.getPublicKey().toSuiAddress()), // initiator
                 tx.pure(redeemer), // redeemer
+                tx.pure(redeemer), // fee_recipient
                 tx.pure(Array.from(Buffer.from(secretHash, 'hex'))), // secret_hash
+                tx.pure.u8(getAlgorithmCode(hashAlgorithm)), // hash_algorithm
                 coin, // coin
                 tx.pure(timelock), // timelock
                 tx.moveCall({ // auction_params
@@ -184,6 +192,7 @@ class SuiFusionHTLC {
                     arguments: auctionParams.toMoveArgs().map(arg => tx.pure(arg))
                 }),
                 tx.pure(allowPartialFills), // partial_fills_allowed
+                tx.pure.u64(minFillAmount), // min_fill_amount
                 tx.sharedObjectRef({
                     objectId: '0x6', // Clock object
                     initialSharedVersion: 0,
@@ -220,7 +229,8 @@ class SuiFusionHTLC {
     }
 
     // Enhanced withdraw with partial fill support
-    async withdrawWithPartialFill(keypair, escrowId, secret, amount) {
+    // takingAmount: what the resolver attests it delivers for this fill (checked against the auction price only)
+    async withdrawWithPartialFill(keypair, escrowId, secret, amount, takingAmount) {
         console.log('💰 Executing Partial Withdrawal...');
         
         const tx = new Transaction();
@@ -229,8 +239,11 @@ class SuiFusionHTLC {
             target: `${this.packageId}::escrow::withdraw`,
             arguments: [
                 tx.object(escrowId), // escrow
+                tx.object(this.configId), // config
                 tx.pure(Array.from(Buffer.from(secret, 'hex'))), // secret
-                tx.pure(amount) // amount for partial fill
+                tx.pure(amount), // amount for partial fill
+                tx.pure.u64(takingAmount), // attested_taking_amount
+                tx.object('0x6') // clock
             ],
             typeArguments: ['0x2::sui::SUI']
         });
@@ -280,7 +293,7 @@ class SuiFusionHTLC {
                     totalAmount: fields.amount,
                     remainingAmount: remaining,
                     totalFilled: fields.total_filled || 0,
-                    isFullyFilled: remaining === 0,
+                    isFullyFilled: remaining === '0',
                     timelock: fields.timelock,
                     partialFillsAllowed: fields.partial_fills_allowed
                 };
@@ -291,19 +304,14 @@ class SuiFusionHTLC {
         }
     }
 
+    // Remaining balance of the escrow, read from the object's `balance` field
     async getRemainingAmount(escrowId) {
-        // Call the get_remaining_amount function
         try {
-                    const tx = new Transaction();
-        tx.moveCall({
-                target: `${this.packageId}::escrow::get_remaining_amount`,
-                arguments: [tx.object(escrowId)],
-                typeArguments: ['0x2::sui::SUI']
+            const obj = await this.client.getObject({
+                id: escrowId,
+                options: { showContent: true }
             });
-
-            // This would need to be executed as a read-only call
-            // For now, return simulated value
-            return '1000000000'; // 1 SUI in nano units
+            return obj.data?.content?.fields ? String(obj.data.content.fields.balance) : '0';
         } catch (error) {
             return '0';
         }
@@ -350,7 +358,7 @@ async function simulateFusionPlusSwap() {
 
         // Step 2: Create HTLC escrow with Fusion+ features
         console.log('\n🔒 Step 2: Creating Enhanced HTLC Escrow');
-        const suiHTLC = new SuiFusionHTLC(suiClient, PACKAGE_ID);
+        const suiHTLC = new SuiFusionHTLC(suiClient, PACKAGE_ID, CONFIG_ID);
         const timelock = Date.now() + (20 * 60 * 1000); // 20 minutes
 
         // Simulate escrow creation (replace with real call when package is deployed)
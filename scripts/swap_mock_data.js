@@ -19,6 +19,7 @@ class MockEthers {
 }
 
 const crypto = require('crypto');
+const { createHashlock } = require('./hashlock');
 
 // Configuration
 const SUI_NETWORK = 'testnet';
@@ -38,8 +39,7 @@ class Mock1inchAPI {
     // Simulate creating an intent order
     async createIntent(fromToken, toToken, amount, userAddress) {
         const orderId = crypto.randomBytes(32).toString('hex');
-        const secret = crypto.randomBytes(32);
-        const secretHash = crypto.createHash('sha256').update(secret).digest();
+        const { secret, secretHash, hashAlgorithm } = createHashlock();
         
         const order = {
             id: orderId,
@@ -47,8 +47,9 @@ class Mock1inchAPI {
             toToken,
             amount,
             userAddress,
-            secret: secret.toString('hex'),
-            secretHash: secretHash.toString('hex'),
+            secret,
+            secretHash,
+            hashAlgorithm,
             status: 'pending',
             createdAt: Date.now(),
             expiresAt: Date.now() + (30 * 60 * 1000), // 30 minutes
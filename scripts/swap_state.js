@@ -0,0 +1,198 @@
+const debug = require('debug')('sui-fusion:swap-state');
+
+/**
+ * Swap lifecycle state machine
+ *
+ *   created -> src_locked -> dst_locked -> secret_revealed -> claimed
+ *                  |             |               |
+ *                  +-------------+---------------+--> refunded / expired
+ *
+ * Every transition is persisted on the order record in the swap store
+ * (status + stateHistory), so resume() can pick interrupted swaps back up
+ * after a restart. A partial fill keeps the swap in secret_revealed - only
+ * the fill that drains the escrow moves it to claimed.
+ */
+
+const SWAP_STATES = {
+    CREATED: 'created',
+    SRC_LOCKED: 'src_locked',
+    DST_LOCKED: 'dst_locked',
+    SECRET_REVEALED: 'secret_revealed',
+    CLAIMED: 'claimed',
+    REFUNDED: 'refunded',
+    EXPIRED: 'expired'
+};
+
+const TRANSITIONS = {
+    created: ['src_locked', 'expired'],
+    src_locked: ['dst_locked', 'refunded', 'expired'],
+    dst_locked: ['secret_revealed', 'refunded', 'expired'],
+    secret_revealed: ['claimed', 'refunded'],
+    expired: ['refunded'], // timelock passed with funds still in escrow
+    claimed: [],
+    refunded: []
+};
+
+const TERMINAL_STATES = ['claimed', 'refunded'];
+
+class InvalidTransitionError extends Error {
+    constructor(orderId, from, to) {
+        super(`Invalid swap transition for ${orderId}: ${from} -> ${to}`);
+        this.name = 'InvalidTransitionError';
+        this.orderId = orderId;
+        this.from = from;
+        this.to = to;
+    }
+}
+
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+class SwapStateMachine {
+    constructor(store, options = {}) {
+        this.store = store;
+        this.now = options.now || (() => Date.now());
+    }
+
+    // Start tracking an order that already exists in the store
+    async create(orderId, data = {}) {
+        const order = await this.store.getOrder(orderId);
+        if (!order) {
+            throw new Error(`Order not found: ${orderId}`);
+        }
+        if (order.stateHistory) {
+            return order;
+        }
+        return this.store.updateOrder(orderId, {
+            ...data,
+            status: SWAP_STATES.CREATED,
+            stateHistory: [{ state: SWAP_STATES.CREATED, at: this.now() }]
+        });
+    }
+
+    async getState(orderId) {
+        const order = await this.store.getOrder(orderId);
+        return order ? order.status : null;
+    }
+
+    // Persist a transition; `data` is merged into the order record
+    async transition(orderId, to, data = {}) {
+        const order = await this.store.getOrder(orderId);
+        if (!order) {
+            throw new Error(`Order not found: ${orderId}`);
+        }
+
+        const from = order.status;
+        if (!canTransition(from, to)) {
+            throw new InvalidTransitionError(orderId, from, to);
+        }
+
+        debug(`Swap ${orderId}: ${from} -> ${to}`);
+        return this.store.updateOrder(orderId, {
+            ...data,
+            status: to,
+            stateHistory: [...(order.stateHistory || []), { state: to, from, at: this.now() }]
+        });
+    }
+
+    /**
+     * Record a claim on the escrow, the transaction log and the swap
+     *
+     * Only a claim that leaves nothing in the escrow (remainingAmount 0) claims
+     * the swap. After a partial fill the escrow is partially_filled with its
+     * remaining amount and the swap stays revealed, so the rest can still be
+     * filled or refunded.
+     */
+    async recordClaim(orderId, escrowId, claim) {
+        const remainingAmount = String(claim.remainingAmount || '0');
+        const closed = BigInt(remainingAmount) === 0n;
+        const stored = await this.store.getEscrow(escrowId);
+
+        await this.store.saveEscrow(escrowId, {
+            orderId,
+            status: closed ? 'claimed' : 'partially_filled',
+            remainingAmount,
+            claimTxHash: claim.txHash,
+            fee: claim.fee,
+            closed: !!claim.closed
+        });
+        await this.store.recordTransaction({ orderId, escrowId, chain: (stored && stored.chain) || 'sui', type: 'claim', txHash: claim.txHash });
+
+        if (closed) {
+            return this.transition(orderId, SWAP_STATES.CLAIMED, { claimTxHash: claim.txHash, claimAmount: null, remainingAmount });
+        }
+        debug(`Swap ${orderId}: partial fill, ${remainingAmount} left in escrow ${escrowId}`);
+        return this.store.updateOrder(orderId, { claimTxHash: claim.txHash, claimAmount: null, remainingAmount });
+    }
+
+    async listActive() {
+        const orders = await this.store.listOrders();
+        return orders.filter(order => {
+            if (!order.stateHistory || TERMINAL_STATES.includes(order.status)) {
+                return false;
+            }
+            // Expired before anything was locked - nothing left to do
+            return !(order.status === SWAP_STATES.EXPIRED && !order.escrowId);
+        });
+    }
+
+    /**
+     * Resume or roll back swaps interrupted by a restart
+     *
+     * handlers.claim(order)  - re-submit a claim that was started (order.claimAmount set)
+     *                          but not recorded before the restart
+     * handlers.refund(order) - refund a locked escrow whose timelock has passed
+     *
+     * Each handler returns { txHash }. Failures are logged and left for the next run.
+     */
+    async resume(handlers = {}) {
+        const results = [];
+
+        for (const order of await this.listActive()) {
+            const orderId = order.orderId;
+            const now = this.now();
+            const timelockPassed = order.timelock && now > order.timelock;
+
+            try {
+                if (order.status === SWAP_STATES.CREATED) {
+                    if (order.expiresAt && now > order.expiresAt) {
+                        await this.transition(orderId, SWAP_STATES.EXPIRED);
+                        results.push({ orderId, action: 'expired' });
+                    }
+                    continue;
+                }
+
+                // Only a claim that was actually requested is resumed - a revealed swap nobody
+                // claimed yet, or the remainder of a partial fill, is left to a claim or a refund
+                if (order.status === SWAP_STATES.SECRET_REVEALED && !timelockPassed && order.claimAmount && handlers.claim) {
+                    const claim = await handlers.claim(order);
+                    const updated = await this.recordClaim(orderId, order.escrowId, claim);
+                    const action = updated.status === SWAP_STATES.CLAIMED ? 'claimed' : 'partially_filled';
+                    results.push({ orderId, action, txHash: claim.txHash });
+                    continue;
+                }
+
+                if (timelockPassed && handlers.refund) {
+                    const refund = await handlers.refund(order);
+                    await this.transition(orderId, SWAP_STATES.REFUNDED, { refundTxHash: refund.txHash });
+                    results.push({ orderId, action: 'refunded', txHash: refund.txHash });
+                }
+            } catch (error) {
+                console.error(`❌ Failed to resume swap ${orderId} (${order.status}):`, error.message);
+                results.push({ orderId, action: 'failed', error: error.message });
+            }
+        }
+
+        return results;
+    }
+}
+
+module.exports = {
+    SWAP_STATES,
+    TRANSITIONS,
+    TERMINAL_STATES,
+    InvalidTransitionError,
+    canTransition,
+    SwapStateMachine
+};
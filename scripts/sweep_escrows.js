@@ -0,0 +1,34 @@
+const { SuiHTLCClient } = require('./real_swap');
+
+/**
+ * Close this account's drained escrows
+ *
+ * The final withdraw and the refund delete an escrow themselves; escrows
+ * drained before they did stay on chain with a zero balance. This deletes
+ * every one created by SUI_PRIVATE_KEY and returns the storage rebates to it
+ * (see SuiHTLCClient.sweepEscrows).
+ *
+ *   node sweep_escrows.js            # close them
+ *   node sweep_escrows.js --dry-run  # only list them
+ */
+
+async function sweepEscrows(args = process.argv.slice(2)) {
+    const suiClient = new SuiHTLCClient();
+    const { escrows, transactions } = await suiClient.sweepEscrows({ dryRun: args.includes('--dry-run') });
+
+    escrows.forEach(({ escrowId, coinType }) => console.log(`   ${escrowId} (${coinType})`));
+    const rebate = transactions.reduce((total, tx) => total + BigInt(tx.storageRebate), 0n);
+    if (transactions.length > 0) {
+        console.log(`💰 Storage rebate: ${Number(rebate) / 1e9} SUI over ${transactions.length} transaction(s)`);
+    }
+    return { escrows, transactions };
+}
+
+if (require.main === module) {
+    sweepEscrows().catch(error => {
+        console.error('❌ Sweep failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { sweepEscrows };
@@ -0,0 +1,69 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { EscrowAdmin } = require('../admin');
+
+const PACKAGE_ID = `0x${'1'.repeat(64)}`;
+const CONFIG_ID = `0x${'c'.repeat(64)}`;
+const ADMIN_CAP_ID = `0x${'a'.repeat(64)}`;
+const RESOLVER = `0x${'b'.repeat(64)}`;
+
+// SuiHTLCClient stand-in recording the executed transactions
+function fakeSui({ adminCaps = [{ data: { objectId: ADMIN_CAP_ID } }], status = 'success' } = {}) {
+    const executed = [];
+    return {
+        packageId: PACKAGE_ID,
+        originalPackageId: PACKAGE_ID,
+        keypair: 'admin-keypair',
+        executed,
+        getAddress: async () => '0xadmin',
+        getConfigId: async () => CONFIG_ID,
+        client: {
+            getOwnedObjects: async ({ filter }) => {
+                assert.strictEqual(filter.StructType, `${PACKAGE_ID}::escrow::AdminCap`);
+                return { data: adminCaps };
+            },
+            getObject: async () => ({
+                data: {
+                    content: {
+                        dataType: 'moveObject',
+                        fields: { paused: true, resolvers: { fields: { contents: [RESOLVER] } } }
+                    }
+                }
+            }),
+            signAndExecuteTransaction: async ({ transaction }) => {
+                executed.push(transaction.getData());
+                return { digest: `tx${executed.length}`, effects: { status: status === 'success' ? { status } : { status, error: 'MoveAbort(MoveLocation { module: ModuleId { address: 1, name: Identifier("escrow") }, function: 3, instruction: 1, function_name: Some("add_resolver") }, 1015) in command 0' } } };
+            }
+        }
+    };
+}
+
+describe('EscrowAdmin', () => {
+    test('reads the pause flag and allowlist from the Config', async () => {
+        const status = await new EscrowAdmin(fakeSui()).getStatus();
+        assert.deepStrictEqual(status, { packageId: PACKAGE_ID, configId: CONFIG_ID, paused: true, resolvers: [RESOLVER] });
+    });
+
+    test('calls the admin functions with the AdminCap and Config', async () => {
+        const sui = fakeSui();
+        const admin = new EscrowAdmin(sui);
+        assert.strictEqual((await admin.setPaused(true)).txHash, 'tx1');
+        await admin.addResolver(RESOLVER);
+
+        const [pause, add] = sui.executed.map(data => data.commands[0].MoveCall);
+        assert.strictEqual(pause.function, 'set_paused');
+        assert.strictEqual(add.function, 'add_resolver');
+        assert.strictEqual(add.arguments.length, 3);
+        assert.strictEqual(sui.executed[1].inputs[0].UnresolvedObject.objectId, ADMIN_CAP_ID);
+        assert.strictEqual(sui.executed[1].inputs[1].UnresolvedObject.objectId, CONFIG_ID);
+    });
+
+    test('rejects invalid addresses and signers without the AdminCap', async () => {
+        await assert.rejects(new EscrowAdmin(fakeSui()).removeResolver('not-an-address'), { code: 'INVALID_REQUEST' });
+        await assert.rejects(new EscrowAdmin(fakeSui({ adminCaps: [] })).setPaused(false), { code: 'NOT_CONFIGURED' });
+    });
+
+    test('maps failed transactions to escrow errors', async () => {
+        await assert.rejects(new EscrowAdmin(fakeSui({ status: 'failure' })).addResolver(RESOLVER), { code: 'RESOLVER_NOT_ALLOWED' });
+    });
+});
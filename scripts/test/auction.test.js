@@ -0,0 +1,57 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const {
+    getAuctionPrice,
+    getRequiredTakingAmount,
+    getResolverFee,
+    getFillFee,
+    createAuctionParams,
+    serializeAuctionParams
+} = require('../auction');
+
+// Same curve as the Move tests: 1000 -> 100 between t=1000 and t=2000
+const PARAMS = { minAmount: 100n, maxAmount: 1000n, startTime: 1000, endTime: 2000 };
+
+describe('auction', () => {
+    test('follows the Move price curve', () => {
+        assert.strictEqual(getAuctionPrice(PARAMS, 0), 1000n);
+        assert.strictEqual(getAuctionPrice(PARAMS, 1000), 1000n);
+        assert.strictEqual(getAuctionPrice(PARAMS, 1500), 550n);
+        assert.strictEqual(getAuctionPrice(PARAMS, 2000), 100n);
+        assert.strictEqual(getAuctionPrice(PARAMS, 9000), 100n);
+        assert.strictEqual(getAuctionPrice(serializeAuctionParams({ ...PARAMS, resolverFee: 0n }), 1500), 550n);
+    });
+
+    test('prices partial fills pro rata, rounding up', () => {
+        assert.strictEqual(getRequiredTakingAmount(PARAMS, 400, 1000, 1500), 220n);
+        assert.strictEqual(getRequiredTakingAmount(PARAMS, 1, 3, 1500), 184n); // 550 / 3 = 183.3
+        assert.strictEqual(getRequiredTakingAmount(PARAMS, 1000, 1000, 2000), 100n);
+    });
+
+    test('builds an auction around a quoted amount', () => {
+        const auction = createAuctionParams({
+            expectedAmount: 1000000n,
+            startTime: 5000,
+            durationMs: 60000,
+            premiumBps: 50,
+            slippageBps: 100
+        });
+
+        assert.strictEqual(auction.maxAmount, 1005000n);
+        assert.strictEqual(auction.minAmount, 990000n);
+        assert.strictEqual(auction.endTime, 65000);
+        assert.strictEqual(getAuctionPrice(auction, 35000), 997500n);
+    });
+
+    test('splits the resolver fee over fills like the Move module', () => {
+        assert.strictEqual(getResolverFee(1000000n), 1000n); // 0.1%
+        assert.strictEqual(getResolverFee('1000000', 25), 2500n);
+
+        // 3.33 + 3.33 + 3.34 rounds to 3 + 3 + 4
+        assert.strictEqual(getFillFee(10n, 333n, 0n, 1000n), 3n);
+        assert.strictEqual(getFillFee(10n, 333n, 333n, 1000n), 3n);
+        assert.strictEqual(getFillFee(10n, 334n, 666n, 1000n), 4n);
+        assert.strictEqual(getFillFee('10', '1000', '0', '1000'), 10n);
+        assert.strictEqual(getFillFee(10n, 0n, 0n, 0n), 0n);
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PACKAGE_LAYOUT, loadDeployment, saveDeployment, deploymentFromPublish, deploymentFromUpgrade, checkUpgradable } = require('../deployments');
+
+const V1 = `0x${'1'.repeat(64)}`;
+const V2 = `0x${'2'.repeat(64)}`;
+
+const PUBLISH = {
+    digest: 'publishDigest',
+    objectChanges: [
+        { type: 'mutated', objectType: '0x2::coin::Coin<0x2::sui::SUI>', objectId: '0xgas' },
+        { type: 'published', packageId: V1, version: '1' },
+        { type: 'created', objectType: '0x2::package::UpgradeCap', objectId: '0xcap' },
+        { type: 'created', objectType: `${V1}::escrow::Config`, objectId: '0xconfig' },
+        { type: 'created', objectType: `${V1}::escrow::AdminCap`, objectId: '0xadmin' }
+    ]
+};
+
+const UPGRADE = {
+    digest: 'upgradeDigest',
+    objectChanges: [
+        { type: 'mutated', objectType: '0x2::package::UpgradeCap', objectId: '0xcap' },
+        { type: 'published', packageId: V2, version: '2' }
+    ]
+};
+
+describe('deployments', () => {
+    test('records the package, UpgradeCap and init objects of a publish', () => {
+        const deployment = deploymentFromPublish('testnet', PUBLISH);
+        assert.strictEqual(deployment.packageId, V1);
+        assert.strictEqual(deployment.originalPackageId, V1);
+        assert.strictEqual(deployment.upgradeCapId, '0xcap');
+        assert.strictEqual(deployment.configId, '0xconfig');
+        assert.strictEqual(deployment.adminCapId, '0xadmin');
+        assert.strictEqual(deployment.version, 1);
+        assert.strictEqual(deployment.digest, 'publishDigest');
+        assert.strictEqual(deployment.history.length, 1);
+    });
+
+    test('moves calls to the upgraded package and keeps the original', () => {
+        const upgraded = deploymentFromUpgrade(deploymentFromPublish('testnet', PUBLISH), UPGRADE);
+        assert.strictEqual(upgraded.packageId, V2);
+        assert.strictEqual(upgraded.originalPackageId, V1);
+        assert.strictEqual(upgraded.upgradeCapId, '0xcap');
+        assert.strictEqual(upgraded.configId, '0xconfig');
+        assert.strictEqual(upgraded.version, 2);
+        assert.deepStrictEqual(upgraded.history.map(entry => entry.packageId), [V1, V2]);
+        assert.throws(() => deploymentFromUpgrade(upgraded, { digest: 'x', objectChanges: [] }), /Package ID not found/);
+    });
+
+    test('refuses to upgrade a package published with another layout', () => {
+        const deployment = deploymentFromPublish('testnet', PUBLISH);
+        assert.strictEqual(deployment.layout, PACKAGE_LAYOUT);
+        assert.strictEqual(checkUpgradable(deploymentFromUpgrade(deployment, UPGRADE)).packageId, V2);
+
+        const { layout, ...older } = deployment;
+        assert.throws(() => checkUpgradable(older), /layout 1, the sources are layout 2.*npm run deploy -- --force/);
+    });
+
+    test('saves and loads the manifest per network', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deployments-'));
+        try {
+            assert.strictEqual(loadDeployment('testnet', dir), null);
+            const file = saveDeployment(deploymentFromPublish('testnet', PUBLISH), dir);
+            assert.strictEqual(file, path.join(dir, 'testnet.json'));
+            assert.strictEqual(loadDeployment('testnet', dir).packageId, V1);
+            assert.strictEqual(loadDeployment('devnet', dir), null);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
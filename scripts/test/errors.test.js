@@ -0,0 +1,61 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { SwapError, EscrowAbortError, parseMoveAbort, toTransactionError, toApiError, toErrorResponse } = require('../errors');
+
+// Status string as reported by dryRunTransactionBlock for a wrong secret
+const WRONG_SECRET = 'MoveAbort(MoveLocation { module: ModuleId { address: 154666e5c0546dd30c47a1b48ee3dfaeeff43f243317b4949e3a8dff3b19dd6d, name: Identifier("escrow") }, function: 7, instruction: 21, function_name: Some("withdraw") }, 1000) in command 0';
+
+describe('errors', () => {
+    test('parses the module, function and code of a Move abort', () => {
+        assert.deepStrictEqual(parseMoveAbort(WRONG_SECRET), { module: 'escrow', functionName: 'withdraw', code: 1000 });
+        assert.strictEqual(parseMoveAbort('InsufficientGas'), null);
+    });
+
+    test('maps escrow aborts to readable errors', () => {
+        const error = toTransactionError(WRONG_SECRET);
+        assert.ok(error instanceof EscrowAbortError);
+        assert.strictEqual(error.abortCode, 1000);
+        assert.strictEqual(error.reason, 'wrong secret');
+        assert.strictEqual(error.code, 'HASH_MISMATCH');
+        assert.match(error.message, /withdraw aborted: wrong secret/);
+
+        const refund = toTransactionError(WRONG_SECRET.replace('Some("withdraw") }, 1000)', 'Some("refund") }, 1003)'));
+        assert.strictEqual(refund.reason, 'not initiator');
+        assert.strictEqual(refund.status, 403);
+
+        const paused = toTransactionError(WRONG_SECRET.replace('}, 1000)', '}, 1014)'));
+        assert.strictEqual(paused.code, 'PAUSED');
+        assert.strictEqual(paused.status, 503);
+        assert.strictEqual(toTransactionError(WRONG_SECRET.replace('}, 1000)', '}, 1015)')).code, 'RESOLVER_NOT_ALLOWED');
+    });
+
+    test('keeps other failures out of the escrow codes', () => {
+        const error = toTransactionError(WRONG_SECRET.replace('Identifier("escrow")', 'Identifier("balance")'));
+        assert.ok(!(error instanceof EscrowAbortError));
+        assert.strictEqual(error.code, 'TRANSACTION_FAILED');
+        assert.strictEqual(toTransactionError('InsufficientCoinBalance in command 0').code, 'INSUFFICIENT_BALANCE');
+    });
+
+    test('classifies client errors with stable codes and HTTP statuses', () => {
+        const cases = [
+            [new Error(`Transaction failed: ${WRONG_SECRET}`), 'HASH_MISMATCH', 400],
+            [Object.assign(new Error('execution reverted'), { revert: { name: 'TimelockNotReached' } }), 'TIMELOCK_NOT_REACHED', 409],
+            [new Error('Insufficient 0x2::sui::SUI balance: need 10, have 5'), 'INSUFFICIENT_BALANCE', 422],
+            [Object.assign(new Error('request timeout'), { code: 'TIMEOUT' }), 'RPC_TIMEOUT', 504],
+            [Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:8545'), { code: 'ECONNREFUSED' }), 'RPC_UNAVAILABLE', 502],
+            [Object.assign(new Error('Invalid transition'), { name: 'InvalidTransitionError' }), 'INVALID_SWAP_STATE', 409],
+            [new Error('something else'), 'INTERNAL_ERROR', 500]
+        ];
+        for (const [error, code, status] of cases) {
+            const apiError = toApiError(error);
+            assert.strictEqual(apiError.code, code, error.message);
+            assert.strictEqual(apiError.status, status, error.message);
+        }
+    });
+
+    test('builds the response body with details', () => {
+        const { status, body } = toErrorResponse(new SwapError('TIMELOCK_NOT_REACHED', 'Timelock has not passed yet', { refundableAt: 5 }));
+        assert.strictEqual(status, 409);
+        assert.deepStrictEqual(body, { error: 'Timelock has not passed yet', code: 'TIMELOCK_NOT_REACHED', refundableAt: 5 });
+    });
+});
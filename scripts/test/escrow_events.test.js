@@ -0,0 +1,78 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { decodeEscrowEvent, decodeEscrowEvents, findFillEvent } = require('../escrow_events');
+
+const PACKAGE_ID = `0x${'1'.repeat(64)}`;
+const ORDER_ID = Array.from(Buffer.alloc(32, 0xab));
+const ESCROW_ID = `0x${'ab'.repeat(32)}`;
+const USDC_TYPE_NAME = `${'a'.repeat(64)}::usdc::USDC`;
+
+function escrowEvent(name, fields) {
+    return { type: `${PACKAGE_ID}::escrow::${name}`, parsedJson: { order_id: ORDER_ID, ...fields } };
+}
+
+const HASHLOCK = { secret_hash: Array.from(Buffer.alloc(32, 1)), hash_algorithm: 2 };
+
+describe('escrow events', () => {
+    test('decodes hashlock, coin type, totals and clock time', () => {
+        const fill = decodeEscrowEvent(escrowEvent('PartialFill', {
+            ...HASHLOCK,
+            secret: Array.from(Buffer.from('secret')),
+            coin_type: USDC_TYPE_NAME,
+            filled_amount: '400',
+            remaining_amount: '600',
+            total_filled: '400',
+            fee: '4',
+            taking_amount: '700',
+            auction_price: '1750',
+            redeemer: '0xresolver',
+            timestamp_ms: '1234'
+        }));
+
+        assert.deepStrictEqual(fill, {
+            type: 'PartialFill',
+            escrowId: ESCROW_ID,
+            timestampMs: 1234,
+            secretHash: '01'.repeat(32),
+            hashAlgorithm: 2,
+            secret: Buffer.from('secret').toString('hex'),
+            coinType: `0x${'a'.repeat(64)}::usdc::USDC`,
+            filledAmount: '400',
+            remainingAmount: '600',
+            totalFilled: '400',
+            fee: '4',
+            takingAmount: '700',
+            auctionPrice: '1750',
+            redeemer: '0xresolver'
+        });
+    });
+
+    test('decodes refunds and closed escrows', () => {
+        const refund = decodeEscrowEvent(escrowEvent('Refunded', {
+            ...HASHLOCK,
+            coin_type: `${'0'.repeat(63)}2::sui::SUI`,
+            amount: '600',
+            total_filled: '400',
+            fee: '6',
+            initiator: '0xmaker',
+            timestamp_ms: '9000'
+        }));
+        assert.strictEqual(refund.coinType, '0x2::sui::SUI');
+        assert.strictEqual(refund.fee, '6');
+        assert.strictEqual(refund.totalFilled, '400');
+
+        assert.deepStrictEqual(decodeEscrowEvent(escrowEvent('Closed', {})), { type: 'Closed', escrowId: ESCROW_ID, timestampMs: null });
+    });
+
+    test('skips events of other modules and types', () => {
+        const events = [
+            { type: '0x2::coin::CoinEvent', parsedJson: { order_id: ORDER_ID } },
+            escrowEvent('PauseChanged', { paused: true }),
+            escrowEvent('Redeemed', { ...HASHLOCK, secret: [], coin_type: USDC_TYPE_NAME, amount: '1000', total_filled: '1000', fee: '10', taking_amount: '1', auction_price: '1', redeemer: '0xresolver', timestamp_ms: '1' })
+        ];
+
+        assert.strictEqual(decodeEscrowEvents(events).length, 1);
+        assert.strictEqual(findFillEvent(events).fee, '10');
+        assert.strictEqual(findFillEvent(events.slice(0, 2)), null);
+    });
+});
@@ -0,0 +1,148 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createStore } = require('../store');
+const { SuiEventIndexer, createSuiEventIndexer } = require('../event_indexer');
+
+const PACKAGE_ID = '0xpkg';
+const ESCROW_BYTES = Array.from(Buffer.alloc(32, 0xab));
+const ESCROW_ID = `0x${'ab'.repeat(32)}`;
+
+function event(seq, name, fields) {
+    return {
+        id: { txDigest: `tx${seq}`, eventSeq: '0' },
+        type: `${PACKAGE_ID}::escrow::${name}`,
+        timestampMs: String(1000 + seq),
+        parsedJson: { order_id: ESCROW_BYTES, ...fields }
+    };
+}
+
+const HASHLOCK = { secret_hash: Array.from(Buffer.alloc(32, 1)), hash_algorithm: 1, coin_type: `${'0'.repeat(63)}2::sui::SUI` };
+const FILL = { ...HASHLOCK, secret: Array.from(Buffer.alloc(32, 2)), taking_amount: '700', auction_price: '1750', redeemer: '0xresolver' };
+
+const INITIATED = event(1, 'Initiated', {
+    ...HASHLOCK,
+    amount: '1000',
+    total_filled: '0',
+    fee: '10',
+    initiator: '0xmaker',
+    redeemer: '0xresolver',
+    fee_recipient: '0xfees',
+    timelock: '5000',
+    timestamp_ms: '901'
+});
+const PARTIAL_FILL = event(2, 'PartialFill', { ...FILL, filled_amount: '400', remaining_amount: '600', total_filled: '400', fee: '4', timestamp_ms: '902' });
+const REDEEMED = event(3, 'Redeemed', { ...FILL, amount: '600', total_filled: '1000', fee: '6', timestamp_ms: '903' });
+
+// Serves events in pages of `limit`, using the index of the next event as cursor
+function fakeClient(events) {
+    const calls = [];
+    return {
+        calls,
+        async queryEvents({ query, cursor, limit }) {
+            calls.push({ query, cursor });
+            const start = cursor ? Number(cursor.eventSeq) : 0;
+            const data = events.slice(start, start + limit);
+            const end = start + data.length;
+            return {
+                data,
+                nextCursor: data.length ? { txDigest: `tx${end}`, eventSeq: String(end) } : null,
+                hasNextPage: end < events.length
+            };
+        }
+    };
+}
+
+describe('SuiEventIndexer', () => {
+    let store;
+
+    beforeEach(() => {
+        store = createStore({ type: 'memory' });
+    });
+
+    test('pages through escrow events and folds them into the escrow table', async () => {
+        const client = fakeClient([INITIATED, PARTIAL_FILL, REDEEMED]);
+        const indexer = new SuiEventIndexer({ client, packageId: PACKAGE_ID, store, pageSize: 2 });
+
+        assert.strictEqual(await indexer.tick(), 3);
+        assert.strictEqual(client.calls.length, 2);
+        assert.deepStrictEqual(client.calls[0].query, { MoveModule: { package: PACKAGE_ID, module: 'escrow' } });
+
+        const escrow = await store.getEscrow(ESCROW_ID);
+        assert.strictEqual(escrow.chain, 'sui');
+        assert.strictEqual(escrow.status, 'claimed');
+        assert.strictEqual(escrow.amount, '1000');
+        assert.strictEqual(escrow.totalFilled, '1000');
+        assert.strictEqual(escrow.remainingAmount, '0');
+        assert.strictEqual(escrow.timelock, 5000);
+        assert.strictEqual(escrow.coinType, '0x2::sui::SUI');
+        assert.strictEqual(escrow.feeRecipient, '0xfees');
+        assert.strictEqual(escrow.resolverFee, '10');
+        assert.strictEqual(escrow.createdAtMs, 901);
+        assert.strictEqual(escrow.revealedSecret, '02'.repeat(32));
+        assert.strictEqual(escrow.lastFillAmount, '600');
+        assert.strictEqual(escrow.lastFillFee, '6');
+        assert.deepStrictEqual(escrow.lastEvent, { type: 'Redeemed', txDigest: 'tx3', timestampMs: 903 });
+    });
+
+    test('resumes from the persisted cursor', async () => {
+        const events = [INITIATED];
+        const client = fakeClient(events);
+        await new SuiEventIndexer({ client, packageId: PACKAGE_ID, store }).tick();
+
+        events.push(PARTIAL_FILL);
+        const restarted = new SuiEventIndexer({ client, packageId: PACKAGE_ID, store });
+        assert.strictEqual(await restarted.tick(), 1);
+        assert.deepStrictEqual(client.calls[1].cursor, { txDigest: 'tx1', eventSeq: '1' });
+
+        const escrow = await store.getEscrow(ESCROW_ID);
+        assert.strictEqual(escrow.status, 'partially_filled');
+        assert.strictEqual(escrow.totalFilled, '400');
+        assert.strictEqual(escrow.remainingAmount, '600');
+        assert.strictEqual(escrow.lastFillFee, '4');
+
+        // Nothing new - the cursor stays put
+        assert.strictEqual(await restarted.tick(), 0);
+        assert.deepStrictEqual(await store.getCursor(`sui-events:${PACKAGE_ID}`), { txDigest: 'tx2', eventSeq: '2' });
+    });
+
+    test('keeps following the original package ID after an upgrade', async () => {
+        const events = [INITIATED];
+        const client = fakeClient(events);
+        await createSuiEventIndexer({ client, packageId: PACKAGE_ID, originalPackageId: PACKAGE_ID }, { store }).tick();
+
+        // The upgraded package has a new ID, but events of live escrows are still typed with the original
+        events.push(PARTIAL_FILL);
+        const upgraded = createSuiEventIndexer({ client, packageId: '0xpkg2', originalPackageId: PACKAGE_ID }, { store });
+        assert.strictEqual(await upgraded.tick(), 1);
+        assert.deepStrictEqual(client.calls[1].query, { MoveModule: { package: PACKAGE_ID, module: 'escrow' } });
+        assert.deepStrictEqual(client.calls[1].cursor, { txDigest: 'tx1', eventSeq: '1' });
+        assert.strictEqual((await store.getEscrow(ESCROW_ID)).status, 'partially_filled');
+    });
+
+    test('keeps local swap data and never downgrades a finished escrow', async () => {
+        await store.saveEscrow(ESCROW_ID, { orderId: 'order-1', chain: 'sui', status: 'refunded', amount: '1000' });
+        const seen = [];
+        const indexer = new SuiEventIndexer({
+            client: fakeClient([PARTIAL_FILL]),
+            packageId: PACKAGE_ID,
+            store,
+            onEscrowEvent: async (escrow, { type }) => seen.push([escrow.orderId, type])
+        });
+
+        await indexer.tick();
+        const escrow = await store.getEscrow(ESCROW_ID);
+        assert.strictEqual(escrow.status, 'refunded');
+        assert.strictEqual(escrow.orderId, 'order-1');
+        assert.deepStrictEqual(seen, [['order-1', 'PartialFill']]);
+    });
+
+    test('marks closed escrows without changing their final status', async () => {
+        const closed = event(4, 'Closed', {});
+        await new SuiEventIndexer({ client: fakeClient([INITIATED, REDEEMED, closed]), packageId: PACKAGE_ID, store }).tick();
+
+        const escrow = await store.getEscrow(ESCROW_ID);
+        assert.strictEqual(escrow.status, 'claimed');
+        assert.strictEqual(escrow.closed, true);
+        assert.strictEqual(escrow.lastEvent.type, 'Closed');
+    });
+});
@@ -0,0 +1,296 @@
+/**
+ * HTLCEscrow + EthereumClient tests against a local EVM node
+ *
+ * Start a node first (either works):
+ *   anvil
+ *   npx hardhat node
+ * then run: npm test
+ *
+ * Set EVM_TEST_RPC_URL to use another node. Tests are skipped when no node is reachable.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { EthereumClient } = require('../real_swap');
+const { compileContract } = require('../evm_contracts');
+const { createHashlock } = require('../hashlock');
+
+const RPC_URL = process.env.EVM_TEST_RPC_URL || 'http://127.0.0.1:8545';
+
+// Default Anvil / Hardhat dev accounts #0 (initiator), #1 (redeemer) and #2 (deploys the contracts)
+const INITIATOR_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const REDEEMER_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const DEPLOYER_KEY = '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a';
+
+async function nodeAvailable() {
+    try {
+        const response = await fetch(RPC_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] }),
+            signal: AbortSignal.timeout(2000)
+        });
+        return response.ok;
+    } catch (error) {
+        return false;
+    }
+}
+
+async function deploy(name, signer) {
+    const { abi, bytecode } = compileContract(name);
+    const contract = await new ethers.ContractFactory(abi, bytecode, signer).deploy();
+    await contract.waitForDeployment();
+    return contract;
+}
+
+describe('HTLCEscrow on a local EVM node', { concurrency: 1 }, () => {
+    let available = false;
+    let provider;
+    let client;
+    let token;
+    let noReturnToken;
+
+    // Timelock (ms) one hour after the latest block
+    async function futureTimelock() {
+        const block = await provider.getBlock('latest');
+        return (block.timestamp + 3600) * 1000;
+    }
+
+    async function increaseTime(seconds) {
+        await provider.send('evm_increaseTime', [seconds]);
+        await provider.send('evm_mine', []);
+    }
+
+    before(async () => {
+        available = await nodeAvailable();
+        if (!available) return;
+
+        provider = new ethers.JsonRpcProvider(RPC_URL, undefined, { cacheTimeout: -1 });
+        const deployer = new ethers.NonceManager(new ethers.Wallet(DEPLOYER_KEY, provider));
+        const escrow = await deploy('HTLCEscrow', deployer);
+        token = await deploy('TestToken', deployer);
+        noReturnToken = await deploy('NoReturnToken', deployer);
+
+        client = new EthereumClient({
+            rpcUrl: RPC_URL,
+            privateKey: INITIATOR_KEY,
+            redeemerPrivateKey: REDEEMER_KEY,
+            htlcAddress: await escrow.getAddress(),
+            networkName: 'LOCAL'
+        });
+
+        const mintTx = await token.mint(client.wallet.address, ethers.parseEther('100'));
+        await mintTx.wait();
+        const noReturnMintTx = await noReturnToken.mint(client.wallet.address, ethers.parseEther('100'));
+        await noReturnMintTx.wait();
+    });
+
+    after(() => {
+        if (provider) provider.destroy();
+        if (client) client.provider.destroy();
+    });
+
+    test('locks native ETH and lets the redeemer claim with the secret', async (t) => {
+        if (!available) return t.skip(`no EVM node at ${RPC_URL}`);
+
+        const { secret, secretHash, hashAlgorithm } = createHashlock('keccak256');
+        const redeemer = await client.getRedeemerAddress();
+        const amount = ethers.parseEther('1');
+
+        const escrow = await client.createEscrow(redeemer, secretHash, amount, await futureTimelock(), { hashAlgorithm });
+        const locked = await client.getEscrow(escrow.escrowId);
+        assert.strictEqual(locked.remainingAmount, amount.toString());
+        assert.strictEqual(locked.hashAlgorithm, 1);
+
+        const balanceBefore = await provider.getBalance(redeemer);
+        const claim = await client.claimEscrow(escrow.escrowId, secret, amount);
+        assert.strictEqual(claim.status, 'claimed');
+
+        const receipt = await provider.getTransactionReceipt(claim.txHash);
+        const gasCost = receipt.gasUsed * receipt.gasPrice;
+        assert.strictEqual(await provider.getBalance(redeemer), balanceBefore + amount - gasCost);
+        assert.strictEqual((await client.getEscrow(escrow.escrowId)).remainingAmount, '0');
+    });
+
+    test('supports partial fills of an ERC-20 escrow with a sha256 hashlock', async (t) => {
+        if (!available) return t.skip(`no EVM node at ${RPC_URL}`);
+
+        const { secret, secretHash, hashAlgorithm } = createHashlock('sha256');
+        const redeemer = await client.getRedeemerAddress();
+        const amount = ethers.parseEther('10');
+
+        const escrow = await client.createEscrow(redeemer, secretHash, amount, await futureTimelock(), {
+            token: await token.getAddress(),
+            hashAlgorithm
+        });
+
+        await client.claimEscrow(escrow.escrowId, secret, ethers.parseEther('4'));
+        let state = await client.getEscrow(escrow.escrowId);
+        assert.strictEqual(state.remainingAmount, ethers.parseEther('6').toString());
+        assert.strictEqual(state.totalFilled, ethers.parseEther('4').toString());
+
+        await client.claimEscrow(escrow.escrowId, secret, ethers.parseEther('6'));
+        state = await client.getEscrow(escrow.escrowId);
+        assert.strictEqual(state.remainingAmount, '0');
+        assert.strictEqual(await token.balanceOf(redeemer), amount);
+    });
+
+    test('locks and pays out tokens that return nothing from transfer, like USDT', async (t) => {
+        if (!available) return t.skip(`no EVM node at ${RPC_URL}`);
+
+        const { secret, secretHash, hashAlgorithm } = createHashlock('keccak256');
+        const redeemer = await client.getRedeemerAddress();
+        const amount = ethers.parseEther('5');
+
+        const escrow = await client.createEscrow(redeemer, secretHash, amount, await futureTimelock(), {
+            token: await noReturnToken.getAddress(),
+            hashAlgorithm
+        });
+        assert.strictEqual((await client.getEscrow(escrow.escrowId)).remainingAmount, amount.toString());
+
+        await client.claimEscrow(escrow.escrowId, secret, amount);
+        assert.strictEqual(await noReturnToken.balanceOf(redeemer), amount);
+    });
+
+    test('derives the escrow ID from the sender, so a copied deposit cannot take it', async (t) => {
+        if (!available) return t.skip(`no EVM node at ${RPC_URL}`);
+
+        const { secretHash, hashAlgorithm } = createHashlock('keccak256');
+        const redeemer = await client.getRedeemerAddress();
+        const salt = ethers.hexlify(ethers.randomBytes(32));
+        const other = new EthereumClient({ rpcUrl: RPC_URL, privateKey: REDEEMER_KEY, htlcAddress: client.htlcAddress, networkName: 'LOCAL' });
+        t.after(() => other.provider.destroy());
+
+        const copied = await other.createEscrow(redeemer, secretHash, 1000n, await futureTimelock(), { hashAlgorithm, salt });
+        const escrow = await client.createEscrow(redeemer, secretHash, 1000n, await futureTimelock(), { hashAlgorithm, salt });
+        assert.notStrictEqual(escrow.escrowId, copied.escrowId);
+        assert.strictEqual((await client.getEscrow(escrow.escrowId)).initiator, client.wallet.address);
+
+        await assert.rejects(
+            client.createEscrow(redeemer, secretHash, 1000n, await futureTimelock(), { hashAlgorithm, salt }),
+            error => error.revert?.name === 'EscrowExists'
+        );
+    });
+
+    test('rejects a wrong secret and a claim from someone other than the redeemer', async (t) => {
+        if (!available) return t.skip(`no EVM node at ${RPC_URL}`);
+
+        const { secret, secretHash } = createHashlock('keccak256');
+        const redeemer = await client.getRedeemerAddress();
+        const escrow = await client.createEscrow(redeemer, secretHash, 1000n, await futureTimelock(), {
+            hashAlgorithm: 'keccak256'
+        });
+
+        await assert.rejects(
+            client.claimEscrow(escrow.escrowId, createHashlock().secret, 1000n),
+            error => error.revert?.name === 'HashMismatch'
+        );
+        await assert.rejects(
+            client.claimEscrow(escrow.escrowId, secret, 1000n, { signer: client.wallet }),
+            error => error.revert?.name === 'NotRedeemer'
+        );
+    });
+
+    test('refunds the initiator only after the timelock', async (t) => {
+        if (!available) return t.skip(`no EVM node at ${RPC_URL}`);
+
+        const { secret, secretHash } = createHashlock('keccak256');
+        const redeemer = await client.getRedeemerAddress();
+        const escrow = await client.createEscrow(redeemer, secretHash, 5000n, await futureTimelock(), {
+            hashAlgorithm: 'keccak256'
+        });
+        await client.claimEscrow(escrow.escrowId, secret, 2000n);
+
+        await assert.rejects(
+            client.refundEscrow(escrow.escrowId),
+            error => error.revert?.name === 'TimelockNotReached'
+        );
+
+        await increaseTime(3601);
+
+        await assert.rejects(
+            client.refundEscrow(escrow.escrowId, { signer: client.redeemerWallet }),
+            error => error.revert?.name === 'NotInitiator'
+        );
+
+        const refund = await client.refundEscrow(escrow.escrowId);
+        assert.strictEqual(refund.status, 'refunded');
+        assert.strictEqual((await client.getEscrow(escrow.escrowId)).remainingAmount, '0');
+    });
+
+    test('stops withdrawals once the timelock has passed', async (t) => {
+        if (!available) return t.skip(`no EVM node at ${RPC_URL}`);
+
+        const { secret, secretHash } = createHashlock('keccak256');
+        const escrow = await client.createEscrow(await client.getRedeemerAddress(), secretHash, 1000n, await futureTimelock(), {
+            hashAlgorithm: 'keccak256'
+        });
+
+        await increaseTime(3601);
+
+        await assert.rejects(
+            client.claimEscrow(escrow.escrowId, secret, 1000n),
+            error => error.revert?.name === 'TimelockExpired'
+        );
+        await client.refundEscrow(escrow.escrowId);
+        assert.strictEqual((await client.getEscrow(escrow.escrowId)).remainingAmount, '0');
+    });
+
+    test('rejects a zero redeemer and a timelock in the past', async (t) => {
+        if (!available) return t.skip(`no EVM node at ${RPC_URL}`);
+
+        const { secretHash } = createHashlock('keccak256');
+        const options = { hashAlgorithm: 'keccak256' };
+        await assert.rejects(
+            client.createEscrow(ethers.ZeroAddress, secretHash, 1000n, await futureTimelock(), options),
+            error => error.revert?.name === 'InvalidRedeemer'
+        );
+
+        const block = await provider.getBlock('latest');
+        await assert.rejects(
+            client.createEscrow(await client.getRedeemerAddress(), secretHash, 1000n, block.timestamp * 1000, options),
+            error => error.revert?.name === 'InvalidTimelock'
+        );
+    });
+
+    test('verifies a destination escrow against the order before the reveal', async (t) => {
+        if (!available) return t.skip(`no EVM node at ${RPC_URL}`);
+
+        const { secretHash, hashAlgorithm } = createHashlock('keccak256');
+        const maker = await client.getAddress();
+        const timelock = await futureTimelock();
+        const escrow = await client.createEscrow(maker, secretHash, 5000n, timelock, { hashAlgorithm });
+        const expected = { secretHash, hashAlgorithm, amount: '5000', redeemer: maker, timelockBefore: timelock + 60000 };
+
+        const verified = await client.verifyEscrow(escrow.escrowId, expected);
+        assert.strictEqual(verified.verified, true, verified.reason);
+        assert.strictEqual(verified.amount, '5000');
+
+        const failures = [
+            [{ secretHash: createHashlock('keccak256').secretHash }, /hashlock does not match/],
+            [{ hashAlgorithm: 'sha256' }, /hashlock does not match/],
+            [{ amount: '5001' }, /less than the quoted 5001/],
+            [{ redeemer: await client.getRedeemerAddress() }, /does not pay the maker/],
+            [{ timelockBefore: timelock }, /not shorter than the source timelock/]
+        ];
+        for (const [changes, reason] of failures) {
+            const result = await client.verifyEscrow(escrow.escrowId, { ...expected, ...changes });
+            assert.strictEqual(result.verified, false);
+            assert.match(result.reason, reason);
+        }
+        assert.match((await client.verifyEscrow(ethers.ZeroHash, expected)).reason, /not found/);
+    });
+
+    test('refuses blake2b256 hashlocks', async (t) => {
+        if (!available) return t.skip(`no EVM node at ${RPC_URL}`);
+
+        const { secretHash } = createHashlock('blake2b256');
+        await assert.rejects(
+            client.createEscrow(await client.getRedeemerAddress(), secretHash, 1000n, await futureTimelock(), {
+                hashAlgorithm: 'blake2b256'
+            }),
+            /not supported by EVM escrows/
+        );
+    });
+});
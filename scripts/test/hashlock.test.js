@@ -0,0 +1,17 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createHashlock, parseHashlock, verifySecret } = require('../hashlock');
+
+test('parseHashlock keeps only the hash and normalises the algorithm', () => {
+    const { secret, secretHash } = createHashlock('sha256');
+
+    const parsed = parseHashlock({ secretHash: `0x${secretHash}`, hashAlgorithm: 'SHA-256', secret });
+    assert.deepStrictEqual(parsed, { secretHash, hashAlgorithm: 'sha256' });
+    assert.ok(verifySecret(secret, parsed.secretHash, parsed.hashAlgorithm));
+});
+
+test('parseHashlock rejects missing or malformed hashes', () => {
+    assert.throws(() => parseHashlock({}), /secretHash is required/);
+    assert.throws(() => parseHashlock({ secretHash: 'abcd' }), /32 bytes/);
+    assert.throws(() => parseHashlock({ secretHash: 'ab'.repeat(32), hashAlgorithm: 'md5' }), /Unsupported hash algorithm/);
+});
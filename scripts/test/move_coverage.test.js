@@ -0,0 +1,52 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_COVERAGE_THRESHOLD, parseCoverageSummary, loadBaseline, saveBaseline, getThreshold, checkCoverage } = require('../move_coverage');
+
+const SUMMARY = `+-------------------------+
+| Move Coverage Summary   |
++-------------------------+
+Module 0000000000000000000000000000000000000000000000000000000000000000::escrow
+>>> % Module coverage: 93.75
++-------------------------+
+| % Move Coverage: 93.75  |
++-------------------------+
+`;
+
+describe('move coverage', () => {
+    test('reads module and package coverage from the summary', () => {
+        assert.deepStrictEqual(parseCoverageSummary(SUMMARY), { total: 93.75, modules: { escrow: 93.75 } });
+        assert.deepStrictEqual(parseCoverageSummary('Total tests: 0'), { total: null, modules: {} });
+    });
+
+    test('fails below the threshold', () => {
+        const summary = parseCoverageSummary(SUMMARY);
+        assert.strictEqual(checkCoverage(summary, 90), summary);
+        assert.throws(() => checkCoverage(summary, 95), /93.75% is below the 95% threshold/);
+        assert.throws(() => checkCoverage({ total: null, modules: {} }, 90), /No coverage total/);
+    });
+
+    test('takes the threshold from the arguments', () => {
+        assert.strictEqual(getThreshold(['--threshold=75'], null), 75);
+        assert.strictEqual(getThreshold(['--threshold=75'], 93.75), 75);
+        assert.strictEqual(getThreshold(['--threshold=oops'], null), DEFAULT_COVERAGE_THRESHOLD);
+    });
+
+    test('fails below the recorded baseline', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coverage-'));
+        const file = path.join(dir, 'coverage_baseline.json');
+        try {
+            assert.strictEqual(loadBaseline(file), null);
+            saveBaseline(parseCoverageSummary(SUMMARY), file);
+            assert.strictEqual(loadBaseline(file), 93.75);
+
+            const threshold = getThreshold([], loadBaseline(file));
+            assert.strictEqual(threshold, 93.75);
+            assert.throws(() => checkCoverage({ total: 93.5, modules: {} }, threshold), /93.5% is below the 93.75% threshold/);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
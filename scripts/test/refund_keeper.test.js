@@ -0,0 +1,192 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createStore } = require('../store');
+const { SwapStateMachine, SWAP_STATES } = require('../swap_state');
+const { RefundKeeper } = require('../refund_keeper');
+const { toErrorResponse } = require('../errors');
+
+describe('RefundKeeper', () => {
+    let store;
+    let swaps;
+    let now;
+    let refunded;
+    let keeper;
+
+    async function lock(orderId, timelock) {
+        await store.saveOrder(orderId, {});
+        await swaps.create(orderId);
+        await swaps.transition(orderId, SWAP_STATES.SRC_LOCKED, { escrowId: `0x${orderId}`, timelock });
+        await store.saveEscrow(`0x${orderId}`, { orderId, chain: 'sui', status: 'locked', timelock });
+    }
+
+    beforeEach(() => {
+        store = createStore({ type: 'memory' });
+        now = 1000;
+        swaps = new SwapStateMachine(store, { now: () => now });
+        refunded = [];
+        keeper = new RefundKeeper({
+            store,
+            swaps,
+            now: () => now,
+            refund: async (escrow) => {
+                refunded.push(escrow.escrowId);
+                return { txHash: `refund-${escrow.escrowId}` };
+            }
+        });
+    });
+
+    test('refunds only once the clock is past the timelock', async () => {
+        await lock('a', 2000);
+
+        now = 2000;
+        assert.deepStrictEqual(await keeper.tick(), []);
+
+        now = 2001;
+        const results = await keeper.tick();
+        assert.deepStrictEqual(refunded, ['0xa']);
+        assert.strictEqual(results[0].txHash, 'refund-0xa');
+    });
+
+    test('records the refund on the escrow, the tx log and the swap', async () => {
+        await lock('a', 2000);
+        now = 3000;
+        await keeper.tick();
+
+        const escrow = await store.getEscrow('0xa');
+        assert.strictEqual(escrow.status, 'refunded');
+        assert.strictEqual(escrow.refundTxHash, 'refund-0xa');
+
+        const order = await store.getOrder('a');
+        assert.strictEqual(order.status, SWAP_STATES.REFUNDED);
+        assert.strictEqual(order.refundTxHash, 'refund-0xa');
+        assert.deepStrictEqual((await store.listTransactions('a')).map(tx => tx.type), ['refund']);
+
+        // Already refunded - nothing to do on the next tick
+        await keeper.tick();
+        assert.deepStrictEqual(refunded, ['0xa']);
+    });
+
+    test('skips claimed escrows and other chains', async () => {
+        await lock('a', 2000);
+        await store.saveEscrow('0xa', { status: 'claimed' });
+        await store.saveEscrow('0xevm', { chain: 'base_sepolia', status: 'locked', timelock: 2000 });
+
+        now = 3000;
+        await keeper.tick();
+        assert.deepStrictEqual(refunded, []);
+    });
+
+    test('keeps a failed refund for the next tick', async () => {
+        await lock('a', 2000);
+        now = 3000;
+        let fail = true;
+        keeper.refund = async () => {
+            if (fail) throw new Error('rpc down');
+            return { txHash: 'late-refund' };
+        };
+
+        const [first] = await keeper.tick();
+        assert.strictEqual(first.action, 'failed');
+        assert.strictEqual(first.cause.message, 'rpc down');
+        assert.strictEqual((await store.getEscrow('0xa')).refundAttempts, 1);
+
+        fail = false;
+        const [second] = await keeper.tick();
+        assert.strictEqual(second.action, 'refunded');
+        assert.strictEqual((await store.getOrder('a')).status, SWAP_STATES.REFUNDED);
+    });
+
+    test('keeps the escrow abort of a failed refund for the API response', async () => {
+        await lock('a', 2000);
+        keeper.refund = async () => {
+            throw new Error('Transaction failed: MoveAbort(MoveLocation { module: ModuleId { address: 0x1, name: Identifier("escrow") }, function: 9, instruction: 12, function_name: Some("refund") }, 1003) in command 0');
+        };
+
+        const result = await keeper.refundEscrow({ ...(await store.getEscrow('0xa')), escrowId: '0xa', orderId: 'a' });
+        const { status, body } = toErrorResponse(result.cause);
+        assert.strictEqual(status, 403);
+        assert.strictEqual(body.code, 'NOT_INITIATOR');
+    });
+
+    test('refunds the remainder of a partially claimed escrow', async () => {
+        await lock('a', 2000);
+        await swaps.transition('a', SWAP_STATES.DST_LOCKED);
+        await swaps.transition('a', SWAP_STATES.SECRET_REVEALED);
+        await swaps.recordClaim('a', '0xa', { txHash: 'claim-0xa', fee: '4', remainingAmount: '600' });
+
+        const escrow = await store.getEscrow('0xa');
+        assert.strictEqual(escrow.status, 'partially_filled');
+        assert.strictEqual(escrow.remainingAmount, '600');
+        assert.strictEqual((await store.getOrder('a')).status, SWAP_STATES.SECRET_REVEALED);
+
+        now = 3000;
+        const [result] = await keeper.tick();
+        assert.strictEqual(result.action, 'refunded');
+        assert.deepStrictEqual(refunded, ['0xa']);
+        assert.strictEqual((await store.getOrder('a')).status, SWAP_STATES.REFUNDED);
+        assert.deepStrictEqual((await store.listTransactions('a')).map(tx => tx.type), ['claim', 'refund']);
+    });
+
+    test('completes a revealed swap for the redeemer once public withdrawal opens', async () => {
+        const timelocks = { publicWithdrawal: 1500, cancellation: 2000, publicCancellation: 2500 };
+        await lock('a', 2000);
+        await store.saveEscrow('0xa', { timelocks });
+        await swaps.transition('a', SWAP_STATES.DST_LOCKED);
+        await swaps.transition('a', SWAP_STATES.SECRET_REVEALED);
+        const withdrawn = [];
+        keeper.publicWithdraw = async (escrow, order) => {
+            withdrawn.push([escrow.escrowId, order.status]);
+            return { txHash: `withdraw-${escrow.escrowId}`, fee: '10', remainingAmount: '0' };
+        };
+
+        now = 1500;
+        assert.deepStrictEqual(await keeper.tick(), []);
+
+        now = 1501;
+        const [result] = await keeper.tick();
+        assert.deepStrictEqual(result, { escrowId: '0xa', orderId: 'a', action: 'withdrawn', txHash: 'withdraw-0xa' });
+        assert.deepStrictEqual(withdrawn, [['0xa', SWAP_STATES.SECRET_REVEALED]]);
+        assert.strictEqual((await store.getEscrow('0xa')).status, 'claimed');
+        assert.strictEqual((await store.getOrder('a')).status, SWAP_STATES.CLAIMED);
+
+        // Claimed - nothing left to withdraw or refund
+        now = 3000;
+        assert.deepStrictEqual(await keeper.tick(), []);
+        assert.deepStrictEqual(refunded, []);
+    });
+
+    test('leaves unrevealed swaps in public withdrawal alone', async () => {
+        await lock('a', 2000);
+        await store.saveEscrow('0xa', { timelocks: { publicWithdrawal: 1500, cancellation: 2000, publicCancellation: 2500 } });
+        keeper.publicWithdraw = async () => assert.fail('the secret was never revealed');
+
+        now = 1800;
+        assert.deepStrictEqual(await keeper.tick(), []);
+    });
+
+    test('cancels escrows of other users once public cancellation opens', async () => {
+        const timelocks = { publicWithdrawal: 1500, cancellation: 2000, publicCancellation: 2500 };
+        await store.saveEscrow('0xother', { chain: 'sui', status: 'locked', timelock: 2000 });
+        let reads = 0;
+        keeper.getTimelocks = async () => {
+            reads++;
+            return timelocks;
+        };
+        keeper.publicCancel = async (escrow) => ({ txHash: `cancel-${escrow.escrowId}` });
+
+        // Private cancellation - only the initiator may refund
+        now = 2200;
+        assert.deepStrictEqual(await keeper.tick(), []);
+        assert.deepStrictEqual((await store.getEscrow('0xother')).timelocks, timelocks);
+
+        now = 2501;
+        const [result] = await keeper.tick();
+        assert.deepStrictEqual(result, { escrowId: '0xother', action: 'cancelled', txHash: 'cancel-0xother' });
+        assert.strictEqual(reads, 1);
+
+        const escrow = await store.getEscrow('0xother');
+        assert.strictEqual(escrow.status, 'refunded');
+        assert.strictEqual(escrow.refundTxHash, 'cancel-0xother');
+        assert.deepStrictEqual(refunded, []);
+    });
+});
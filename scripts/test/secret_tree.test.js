@@ -0,0 +1,51 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const {
+    hashLeaf,
+    getSecretIndex,
+    createSecretTree,
+    getProof,
+    verifyProof,
+    getFillSecret
+} = require('../secret_tree');
+const { hashSecret } = require('../hashlock');
+
+describe('secret tree', () => {
+    test('proves every secret against the root', () => {
+        for (const algorithm of ['sha256', 'keccak256', 'blake2b256']) {
+            const tree = createSecretTree(4, algorithm);
+            assert.strictEqual(tree.secrets.length, 5);
+            for (let index = 0; index <= 4; index++) {
+                const proof = getProof(tree, index);
+                assert.ok(verifyProof(tree.root, tree.secrets[index], index, proof, algorithm));
+                assert.ok(!verifyProof(tree.root, tree.secrets[index], (index + 1) % 5, proof, algorithm));
+            }
+        }
+    });
+
+    test('matches the layout used by the Move tests', () => {
+        // 3 leaves: root = H(H(L0 || L1) || H(L2 || L2))
+        const tree = createSecretTree(2, 'keccak256');
+        const leaves = tree.secretHashes.map((hash, index) => hashLeaf(index, hash, 'keccak256'));
+        const n0 = hashSecret(Buffer.concat([leaves[0], leaves[1]]), 'keccak256');
+        const n1 = hashSecret(Buffer.concat([leaves[2], leaves[2]]), 'keccak256');
+
+        assert.strictEqual(tree.root, hashSecret(Buffer.concat([n0, n1]), 'keccak256').toString('hex'));
+        assert.deepStrictEqual(getProof(tree, 2), [leaves[2].toString('hex'), n0.toString('hex')]);
+    });
+
+    test('picks the secret of the tranche a fill ends in', () => {
+        assert.strictEqual(getSecretIndex(0, 1000, 4), 0);
+        assert.strictEqual(getSecretIndex(249, 1000, 4), 0);
+        assert.strictEqual(getSecretIndex(250, 1000, 4), 1);
+        assert.strictEqual(getSecretIndex(999, 1000, 4), 3);
+        assert.strictEqual(getSecretIndex(1000, 1000, 4), 4);
+
+        const tree = createSecretTree(4);
+        const fill = getFillSecret(tree, 250, 250, 1000);
+        assert.strictEqual(fill.index, 2);
+        assert.strictEqual(fill.secret, tree.secrets[2]);
+        assert.ok(verifyProof(tree.root, fill.secret, fill.index, fill.proof));
+        assert.throws(() => getProof(tree, 5), /out of range/);
+    });
+});
@@ -0,0 +1,55 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore, FileStore, SwapStore } = require('../store');
+
+describe('SwapStore', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'swap-store-'));
+        filePath = path.join(dir, 'store.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('keeps orders, secrets, escrows and transactions across restarts', async () => {
+        const store = createStore({ type: 'file', path: filePath });
+        await store.saveOrder('order-1', { secret: 'aa', secretHash: 'bb', hashAlgorithm: 'keccak256', amount: '1', createdAt: 1 });
+        await store.saveEscrow('0xescrow', { orderId: 'order-1', chain: 'sui', status: 'locked' });
+        await store.recordTransaction({ orderId: 'order-1', chain: 'sui', type: 'lock', txHash: 'digest-1' });
+        await store.updateOrder('order-1', { status: 'locked' });
+
+        const restarted = createStore({ type: 'file', path: filePath });
+        const order = await restarted.getOrder('order-1', { includeSecret: true });
+        assert.strictEqual(order.secret, 'aa');
+        assert.strictEqual(order.status, 'locked');
+        assert.strictEqual(order.createdAt, 1);
+        assert.deepStrictEqual((await restarted.listEscrows('order-1')).map(escrow => escrow.escrowId), ['0xescrow']);
+        assert.deepStrictEqual((await restarted.listTransactions('order-1')).map(tx => tx.txHash), ['digest-1']);
+    });
+
+    test('never exposes the secret in order records or listings', async () => {
+        const store = createStore({ type: 'memory' });
+        await store.saveOrder('order-1', { secret: 'aa', secretHash: 'bb' });
+
+        assert.strictEqual((await store.getOrder('order-1')).secret, undefined);
+        assert.strictEqual((await store.listOrders())[0].secret, undefined);
+        assert.strictEqual((await store.getSecret('order-1')).secret, 'aa');
+    });
+
+    test('serialises BigInt values and accepts a custom backend', async () => {
+        const backend = new FileStore(filePath);
+        const store = new SwapStore(backend);
+        await store.saveOrder('order-1', { quote: { amount: 10n } });
+
+        assert.strictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).orders['order-1'].quote.amount, '10');
+        await assert.rejects(store.updateOrder('missing', {}), /Order not found/);
+        assert.throws(() => createStore({ type: 'redis' }), /Unsupported SWAP_STORE/);
+    });
+});
@@ -0,0 +1,89 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { Transaction } = require('@mysten/sui/transactions');
+const {
+    SUI_COIN_TYPE,
+    getSuiToken,
+    getSuiTokenByCoinType,
+    normalizeCoinType,
+    isSuiCoinType,
+    coinTypeFromEscrowType,
+    selectCoins,
+    prepareGasPayment,
+    takeCoin
+} = require('../sui_coins');
+
+const USDC = getSuiToken('USDC.sui').coinType;
+const OWNER = `0x${'11'.repeat(32)}`;
+
+function coinId(n) {
+    return `0x${n.toString(16).padStart(64, '0')}`;
+}
+
+// Serves the owner's coins of one type in pages of two, counting the pages fetched
+function fakeClient(balances, expectedType = USDC) {
+    const client = {
+        pages: 0,
+        async getCoins({ owner, coinType, cursor }) {
+            assert.strictEqual(owner, OWNER);
+            assert.strictEqual(coinType, expectedType);
+            client.pages++;
+            const start = cursor ? Number(cursor) : 0;
+            const data = balances.slice(start, start + 2).map((balance, i) => ({
+                coinObjectId: coinId(start + i + 1),
+                version: '1',
+                digest: '11111111111111111111111111111111',
+                balance: String(balance)
+            }));
+            const hasNextPage = start + 2 < balances.length;
+            return { data, hasNextPage, nextCursor: hasNextPage ? String(start + 2) : null };
+        }
+    };
+    return client;
+}
+
+describe('sui coins', () => {
+    test('recognises coin types', () => {
+        assert.strictEqual(normalizeCoinType(`0x${'0'.repeat(63)}2::sui::SUI`), SUI_COIN_TYPE);
+        assert.ok(isSuiCoinType('0x0002::sui::SUI'));
+        assert.ok(!isSuiCoinType(USDC));
+        assert.strictEqual(coinTypeFromEscrowType(`0xpkg::escrow::Escrow<${USDC}>`), USDC);
+        assert.strictEqual(coinTypeFromEscrowType('0xpkg::escrow::Other'), null);
+        assert.throws(() => getSuiToken('DOGE'), /Unsupported Sui token/);
+        assert.strictEqual(getSuiTokenByCoinType(`0x${'0'.repeat(63)}2::sui::SUI`).symbol, 'SUI');
+        assert.strictEqual(getSuiTokenByCoinType('0xabc::fake::FAKE'), null);
+    });
+
+    test('selects the largest coins covering the amount', async () => {
+        const client = fakeClient([100, 500, 300]);
+        const coins = await selectCoins(client, OWNER, USDC, 700);
+        assert.deepStrictEqual(coins.map(coin => coin.balance), ['500', '300']);
+        await assert.rejects(selectCoins(client, OWNER, USDC, 1000), /Insufficient/);
+    });
+
+    test('pages through coins only until the amount is covered', async () => {
+        const client = fakeClient([10, 20, 30, 40, 50, 60]);
+        const coins = await selectCoins(client, OWNER, USDC, 90);
+        assert.strictEqual(client.pages, 2); // 10 + 20 + 30 + 40 covers 90
+        assert.deepStrictEqual(coins.map(coin => coin.balance), ['40', '30', '20']);
+    });
+
+    test('merges and splits non-SUI coins, splits SUI from gas', async () => {
+        const tx = new Transaction();
+        const { coins } = await takeCoin(tx, fakeClient([100, 500, 300]), OWNER, USDC, 700);
+        assert.deepStrictEqual(coins.map(coin => coin.coinObjectId), [coinId(2), coinId(3)]);
+        const [merge, split] = tx.getData().commands;
+        assert.strictEqual(merge.$kind, 'MergeCoins');
+        assert.strictEqual(merge.MergeCoins.sources.length, 1);
+        assert.strictEqual(split.$kind, 'SplitCoins');
+
+        const gasTx = new Transaction();
+        const gasCoins = await prepareGasPayment(gasTx, fakeClient([400, 300, 200], SUI_COIN_TYPE), OWNER, 650);
+        const taken = await takeCoin(gasTx, null, OWNER, SUI_COIN_TYPE, 500);
+        assert.deepStrictEqual(taken.coins, []);
+        assert.deepStrictEqual(gasTx.getData().gasData.payment.map(ref => ref.objectId), gasCoins.map(coin => coin.coinObjectId));
+        assert.strictEqual(gasCoins.length, 2);
+        const [gasSplit] = gasTx.getData().commands;
+        assert.strictEqual(gasSplit.SplitCoins.coin.$kind, 'GasCoin');
+    });
+});
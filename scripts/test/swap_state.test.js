@@ -0,0 +1,118 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createStore } = require('../store');
+const { SwapStateMachine, SWAP_STATES, InvalidTransitionError } = require('../swap_state');
+
+describe('SwapStateMachine', () => {
+    let store;
+    let now;
+    let swaps;
+
+    async function lockedSwap(orderId, state) {
+        await store.saveOrder(orderId, { secret: 'ab', secretHash: 'cd', expiresAt: now + 1000 });
+        await swaps.create(orderId);
+        await swaps.transition(orderId, SWAP_STATES.SRC_LOCKED, { escrowId: `0x${orderId}`, escrowAmount: '100', timelock: now + 500 });
+        if (state !== SWAP_STATES.SRC_LOCKED) {
+            await swaps.transition(orderId, SWAP_STATES.DST_LOCKED);
+        }
+        if (state === SWAP_STATES.SECRET_REVEALED) {
+            await swaps.transition(orderId, SWAP_STATES.SECRET_REVEALED);
+        }
+    }
+
+    beforeEach(() => {
+        store = createStore({ type: 'memory' });
+        now = 1000000;
+        swaps = new SwapStateMachine(store, { now: () => now });
+    });
+
+    test('persists each transition with its history', async () => {
+        await lockedSwap('a', SWAP_STATES.SECRET_REVEALED);
+        await swaps.transition('a', SWAP_STATES.CLAIMED, { claimTxHash: 'digest' });
+
+        const order = await store.getOrder('a');
+        assert.strictEqual(order.status, SWAP_STATES.CLAIMED);
+        assert.strictEqual(order.claimTxHash, 'digest');
+        assert.deepStrictEqual(order.stateHistory.map(entry => entry.state),
+            ['created', 'src_locked', 'dst_locked', 'secret_revealed', 'claimed']);
+    });
+
+    test('rejects transitions that skip a step', async () => {
+        await store.saveOrder('a', {});
+        await swaps.create('a');
+
+        await assert.rejects(swaps.transition('a', SWAP_STATES.SECRET_REVEALED), InvalidTransitionError);
+        await swaps.transition('a', SWAP_STATES.SRC_LOCKED);
+        await assert.rejects(swaps.transition('a', SWAP_STATES.CLAIMED), InvalidTransitionError);
+    });
+
+    test('resume retries interrupted claims and refunds expired escrows', async () => {
+        await lockedSwap('revealed', SWAP_STATES.SECRET_REVEALED);
+        await store.updateOrder('revealed', { claimAmount: '100' });
+        await lockedSwap('locked', SWAP_STATES.SRC_LOCKED);
+        await lockedSwap('waiting', SWAP_STATES.DST_LOCKED);
+        await store.saveOrder('stale', { expiresAt: now + 10 });
+        await swaps.create('stale');
+        await store.updateOrder('locked', { timelock: now - 1 });
+
+        const claimed = [];
+        const refunded = [];
+        const results = await swaps.resume({
+            claim: async (order) => { claimed.push(order.orderId); return { txHash: 'claim-tx' }; },
+            refund: async (order) => { refunded.push(order.orderId); return { txHash: 'refund-tx' }; }
+        });
+
+        assert.deepStrictEqual(claimed, ['revealed']);
+        assert.deepStrictEqual(refunded, ['locked']);
+        assert.strictEqual(await swaps.getState('revealed'), SWAP_STATES.CLAIMED);
+        assert.strictEqual(await swaps.getState('locked'), SWAP_STATES.REFUNDED);
+        assert.strictEqual(await swaps.getState('waiting'), SWAP_STATES.DST_LOCKED);
+        assert.strictEqual(await swaps.getState('stale'), SWAP_STATES.CREATED);
+        assert.strictEqual(results.length, 2);
+
+        now += 2000;
+        await swaps.resume({ refund: async () => ({ txHash: 'refund-tx-2' }) });
+        assert.strictEqual(await swaps.getState('stale'), SWAP_STATES.EXPIRED);
+        assert.strictEqual(await swaps.getState('waiting'), SWAP_STATES.REFUNDED);
+    });
+
+    test('leaves a failed resume in place for the next run', async () => {
+        await lockedSwap('a', SWAP_STATES.SECRET_REVEALED);
+        await store.updateOrder('a', { claimAmount: '100' });
+
+        const results = await swaps.resume({ claim: async () => { throw new Error('rpc down'); } });
+
+        assert.deepStrictEqual(results, [{ orderId: 'a', action: 'failed', error: 'rpc down' }]);
+        assert.strictEqual(await swaps.getState('a'), SWAP_STATES.SECRET_REVEALED);
+    });
+
+    test('does not claim a revealed swap whose claim was never requested', async () => {
+        await lockedSwap('a', SWAP_STATES.SECRET_REVEALED);
+
+        const claimed = [];
+        const results = await swaps.resume({ claim: async (order) => { claimed.push(order.orderId); return { txHash: 'claim-tx' }; } });
+
+        assert.deepStrictEqual(claimed, []);
+        assert.deepStrictEqual(results, []);
+        assert.strictEqual(await swaps.getState('a'), SWAP_STATES.SECRET_REVEALED);
+    });
+
+    test('a partial claim keeps the swap revealed and is not resumed', async () => {
+        await lockedSwap('a', SWAP_STATES.SECRET_REVEALED);
+        await store.updateOrder('a', { claimAmount: '40' });
+
+        const order = await swaps.recordClaim('a', '0xa', { txHash: 'fill-1', remainingAmount: '60' });
+        assert.strictEqual(order.status, SWAP_STATES.SECRET_REVEALED);
+        assert.strictEqual(order.remainingAmount, '60');
+        assert.strictEqual(order.claimAmount, null);
+        assert.strictEqual((await store.getEscrow('0xa')).status, 'partially_filled');
+
+        const claimed = [];
+        await swaps.resume({ claim: async (pending) => { claimed.push(pending.orderId); return { txHash: 'claim-tx' }; } });
+        assert.deepStrictEqual(claimed, []);
+
+        await swaps.recordClaim('a', '0xa', { txHash: 'fill-2', remainingAmount: '0', closed: true });
+        assert.strictEqual(await swaps.getState('a'), SWAP_STATES.CLAIMED);
+        assert.strictEqual((await store.getEscrow('0xa')).status, 'claimed');
+    });
+});
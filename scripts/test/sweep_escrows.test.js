@@ -0,0 +1,84 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { SuiHTLCClient } = require('../real_swap');
+
+const PACKAGE_ID = `0x${'1'.repeat(64)}`;
+const ME = `0x${'a'.repeat(64)}`;
+const ESCROW_TYPE = `${PACKAGE_ID}::escrow::Escrow<0x2::sui::SUI>`;
+
+function escrowId(byte) {
+    return `0x${byte.repeat(64)}`;
+}
+
+function initiated(byte, initiator) {
+    return { parsedJson: { order_id: Array.from(Buffer.alloc(32, parseInt(byte, 16) * 17)), initiator } };
+}
+
+function escrowObject(byte, balance, safetyDeposit, owner = { Shared: { initial_shared_version: 1 } }) {
+    return {
+        data: {
+            objectId: escrowId(byte),
+            owner,
+            content: { dataType: 'moveObject', type: ESCROW_TYPE, fields: { balance, safety_deposit: safetyDeposit } }
+        }
+    };
+}
+
+// SuiHTLCClient without keys or a deployment manifest, talking to a fake node
+function sweepClient(objects) {
+    const client = Object.create(SuiHTLCClient.prototype);
+    client.originalPackageId = PACKAGE_ID;
+    client.packageId = PACKAGE_ID;
+    client.getAddress = async () => ME;
+    client.client = {
+        queryEvents: async ({ query, cursor }) => {
+            assert.strictEqual(query.MoveEventType, `${PACKAGE_ID}::escrow::Initiated`);
+            return cursor
+                ? { data: [initiated('c', ME), initiated('d', ME)], hasNextPage: false }
+                : { data: [initiated('a', ME), initiated('b', escrowId('9'))], hasNextPage: true, nextCursor: 'page2' };
+        },
+        multiGetObjects: async ({ ids }) => ids.map(id => objects[id] || { error: { code: 'deleted' } })
+    };
+    return client;
+}
+
+describe('sweepEscrows', () => {
+    test('finds the account\'s shared escrows with nothing left', async () => {
+        const client = sweepClient({
+            [escrowId('a')]: escrowObject('a', '0', '0'),
+            [escrowId('b')]: escrowObject('b', '0', '0'), // someone else's
+            [escrowId('c')]: escrowObject('c', '500', '0'),
+            [escrowId('d')]: escrowObject('d', '0', '0', { AddressOwner: ME })
+        });
+
+        const drained = await client.findDrainedEscrows();
+        assert.deepStrictEqual(drained, [{ escrowId: escrowId('a'), coinType: '0x2::sui::SUI' }]);
+    });
+
+    test('only lists them on a dry run', async () => {
+        const client = sweepClient({ [escrowId('a')]: escrowObject('a', '0', '0') });
+        const result = await client.sweepEscrows({ dryRun: true });
+        assert.strictEqual(result.escrows.length, 1);
+        assert.deepStrictEqual(result.transactions, []);
+    });
+
+    test('leaves closing to the final withdraw and the refund', async () => {
+        const client = sweepClient({});
+        const signer = { toSuiAddress: () => ME };
+        const calls = [];
+        client.getConfigId = async () => escrowId('c');
+        client.simulateTransaction = async (tx) => {
+            calls.push(...tx.getData().commands.map(command => command.MoveCall.function));
+            return { success: true, gasBudget: 1000n };
+        };
+        const closed = { type: `${PACKAGE_ID}::escrow::Closed`, parsedJson: { order_id: Array.from(Buffer.alloc(32, 0xaa)) } };
+        client.client.signAndExecuteTransaction = async () => ({ digest: 'tx', events: [closed] });
+
+        const claim = await client.claimEscrow(escrowId('a'), Buffer.from('secret'), '1000', { coinType: '0x2::sui::SUI', takingAmount: 0, signer });
+        const refund = await client.refundEscrow(escrowId('a'), { coinType: '0x2::sui::SUI', signer });
+
+        assert.deepStrictEqual(calls, ['withdraw', 'refund']);
+        assert.strictEqual(claim.closed, true);
+        assert.strictEqual(refund.closed, true);
+    });
+});
@@ -0,0 +1,55 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const {
+    STAGES,
+    NEVER,
+    createTimelocks,
+    parseTimelocks,
+    getStage,
+    canWithdraw,
+    canCancel,
+    getNextStageTime
+} = require('../timelocks');
+
+// Same stages as the Move tests: public withdrawal after 1000, cancellation after 2000, public cancellation after 3000
+const TIMELOCKS = { publicWithdrawal: 1000, cancellation: 2000, publicCancellation: 3000 };
+const ESCROW = { initiator: '0xa11ce', redeemer: '0xb0b', timelocks: TIMELOCKS };
+
+describe('timelocks', () => {
+    test('moves through the stages as the Move module does', () => {
+        assert.strictEqual(getStage(TIMELOCKS, 0), STAGES.EXCLUSIVE_WITHDRAWAL);
+        assert.strictEqual(getStage(TIMELOCKS, 1000), STAGES.EXCLUSIVE_WITHDRAWAL);
+        assert.strictEqual(getStage(TIMELOCKS, 1001), STAGES.PUBLIC_WITHDRAWAL);
+        assert.strictEqual(getStage(TIMELOCKS, 2001), STAGES.PRIVATE_CANCELLATION);
+        assert.strictEqual(getStage(TIMELOCKS, 3001), STAGES.PUBLIC_CANCELLATION);
+
+        assert.strictEqual(getNextStageTime(TIMELOCKS, 1500), 2000);
+        assert.strictEqual(getNextStageTime(TIMELOCKS, 3001), null);
+    });
+
+    test('checks who may act in each stage', () => {
+        assert.ok(canWithdraw(ESCROW, '0xb0b', 500));
+        assert.ok(!canWithdraw(ESCROW, '0xca201', 500));
+        assert.ok(canWithdraw(ESCROW, '0xca201', 1500));
+        assert.ok(!canWithdraw(ESCROW, '0xb0b', 2500));
+
+        assert.ok(!canCancel(ESCROW, '0xa11ce', 1500));
+        assert.ok(canCancel(ESCROW, '0xa11ce', 2500));
+        assert.ok(!canCancel(ESCROW, '0xca201', 2500));
+        assert.ok(canCancel(ESCROW, '0xca201', 3500));
+    });
+
+    test('reads single-timelock escrows and builds staged ones', () => {
+        const single = parseTimelocks({ public_withdrawal: '5000', cancellation: '5000', public_cancellation: NEVER });
+        assert.deepStrictEqual(single, { publicWithdrawal: 5000, cancellation: 5000, publicCancellation: null });
+        assert.strictEqual(getStage(single, 10 ** 15), STAGES.PRIVATE_CANCELLATION);
+
+        const staged = createTimelocks({
+            start: 0,
+            exclusiveWithdrawalMs: 100,
+            publicWithdrawalMs: 50,
+            privateCancellationMs: 25
+        });
+        assert.deepStrictEqual(staged, { publicWithdrawal: 100, cancellation: 150, publicCancellation: 175 });
+    });
+});
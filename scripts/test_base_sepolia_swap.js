@@ -7,6 +7,7 @@
  */
 
 const { SuiHTLCClient, OneinchFusionClient, EthereumClient } = require('./real_swap.js');
+const { createHashlock } = require('./hashlock');
 const dotenv = require('dotenv');
 const path = require('path');
 
@@ -67,7 +68,8 @@ async function testBaseSpoliaSwap() {
             'SUI',    // From token
             'ETH',    // To token  
             '0.01',   // Amount (small for testing)
-            ethAddress
+            ethAddress,
+            createHashlock()
         );
         
         console.log(`✅ Order created successfully!`);
@@ -0,0 +1,94 @@
+/**
+ * Staged timelocks shared with htlc_escrow::escrow
+ *
+ * Each stage starts once the clock passes its timestamp (ms, like the Sui clock):
+ *   creation .. publicWithdrawal      exclusive withdrawal - redeemer only
+ *   publicWithdrawal .. cancellation  public withdrawal - anyone with the secret
+ *   cancellation .. publicCancellation private cancellation - initiator only
+ *   publicCancellation ..             public cancellation - anyone
+ * Withdrawals always pay the redeemer and cancellations the initiator; the
+ * caller earns the escrow's safety deposit.
+ */
+
+const STAGES = {
+    EXCLUSIVE_WITHDRAWAL: 'exclusive_withdrawal',
+    PUBLIC_WITHDRAWAL: 'public_withdrawal',
+    PRIVATE_CANCELLATION: 'private_cancellation',
+    PUBLIC_CANCELLATION: 'public_cancellation'
+};
+
+const DEFAULT_EXCLUSIVE_WITHDRAWAL_MS = 15 * 60 * 1000;
+const DEFAULT_PUBLIC_WITHDRAWAL_MS = 5 * 60 * 1000;
+const DEFAULT_PRIVATE_CANCELLATION_MS = 10 * 60 * 1000;
+
+// u64::MAX - escrows from the single-timelock entry points never open public
+// cancellation; parseTimelocks maps it to null
+const NEVER = '18446744073709551615';
+
+// Stage timestamps from stage durations
+function createTimelocks(options = {}) {
+    const {
+        start = Date.now(),
+        exclusiveWithdrawalMs = DEFAULT_EXCLUSIVE_WITHDRAWAL_MS,
+        publicWithdrawalMs = DEFAULT_PUBLIC_WITHDRAWAL_MS,
+        privateCancellationMs = DEFAULT_PRIVATE_CANCELLATION_MS
+    } = options;
+
+    const publicWithdrawal = start + exclusiveWithdrawalMs;
+    const cancellation = publicWithdrawal + publicWithdrawalMs;
+    return {
+        publicWithdrawal,
+        cancellation,
+        publicCancellation: cancellation + privateCancellationMs
+    };
+}
+
+// Timelocks from the escrow's Move fields
+function parseTimelocks(fields) {
+    return {
+        publicWithdrawal: Number(fields.public_withdrawal),
+        cancellation: Number(fields.cancellation),
+        publicCancellation: String(fields.public_cancellation) === NEVER ? null : Number(fields.public_cancellation)
+    };
+}
+
+function getStage(timelocks, now = Date.now()) {
+    if (timelocks.publicCancellation !== null && now > timelocks.publicCancellation) return STAGES.PUBLIC_CANCELLATION;
+    if (now > timelocks.cancellation) return STAGES.PRIVATE_CANCELLATION;
+    if (now > timelocks.publicWithdrawal) return STAGES.PUBLIC_WITHDRAWAL;
+    return STAGES.EXCLUSIVE_WITHDRAWAL;
+}
+
+// Whether `caller` may withdraw / cancel at `now` - same checks as the Move module
+function canWithdraw(escrow, caller, now = Date.now()) {
+    const stage = getStage(escrow.timelocks, now);
+    return stage === STAGES.PUBLIC_WITHDRAWAL ||
+        (stage === STAGES.EXCLUSIVE_WITHDRAWAL && caller === escrow.redeemer);
+}
+
+function canCancel(escrow, caller, now = Date.now()) {
+    const stage = getStage(escrow.timelocks, now);
+    return stage === STAGES.PUBLIC_CANCELLATION ||
+        (stage === STAGES.PRIVATE_CANCELLATION && caller === escrow.initiator);
+}
+
+// Next stage change after `now` (null once public cancellation is open)
+function getNextStageTime(timelocks, now = Date.now()) {
+    const next = [timelocks.publicWithdrawal, timelocks.cancellation, timelocks.publicCancellation]
+        .find(time => time !== null && now <= time);
+    return next === undefined ? null : next;
+}
+
+module.exports = {
+    STAGES,
+    NEVER,
+    DEFAULT_EXCLUSIVE_WITHDRAWAL_MS,
+    DEFAULT_PUBLIC_WITHDRAWAL_MS,
+    DEFAULT_PRIVATE_CANCELLATION_MS,
+    createTimelocks,
+    parseTimelocks,
+    getStage,
+    canWithdraw,
+    canCancel,
+    getNextStageTime
+};
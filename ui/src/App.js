@@ -2,7 +2,7 @@ import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { createNetworkConfig, SuiClientProvider, WalletProvider } from '@mysten/dapp-kit';
 import { getFullnodeUrl } from '@mysten/sui/client';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
-import { Toaster } from 'react-hot-toast';
+import toast, { Toaster } from 'react-hot-toast';
 import '@mysten/dapp-kit/dist/index.css';
 import './App.css';
 
@@ -30,7 +30,12 @@ function App() {
     isLoading,
     error,
     executeSwap,
-    resetSwap
+    resetSwap,
+    lockedSwap,
+    isRefunding,
+    refundSwap,
+    isWithdrawing,
+    publicWithdrawSwap
   } = useRealSwap();
   
   const [selectedTokens, setSelectedTokens] = useState({
@@ -106,7 +111,7 @@ function App() {
   }, []);
 
   // Start real swap process
-  const initiateSwap = useCallback(async () => {
+  const initiateSwap = useCallback(async ({ allowPartialFills = true } = {}) => {
     setSwapState(prev => ({ ...prev, isSwapping: true, error: null, currentStep: 1 }));
     
     try {
@@ -118,7 +123,7 @@ function App() {
         amount: parseFloat(selectedTokens.from.amount),
         fromAddress: null, // Will be determined by wallet
         toAddress: null, // Will be determined by wallet
-        allowPartialFills: true
+        allowPartialFills
       };
 
       const result = await executeSwap(swapParams);
@@ -148,11 +153,15 @@ function App() {
         }
       }
     } catch (error) {
+      // Keep the tracker on the HTLC step when funds were already locked, so they can be refunded
+      const { lockedSwap: locked } = error;
       setSwapState(prev => ({
         ...prev,
         isSwapping: false,
         error: error.message,
-        currentStep: 0
+        currentStep: locked ? 3 : 0,
+        orderId: locked ? locked.orderId : prev.orderId,
+        escrowId: locked ? locked.escrowId : prev.escrowId
       }));
       console.error('Swap initiation failed:', error);
     }
@@ -196,6 +205,32 @@ function App() {
     });
   }, [resetSwap]);
 
+  // Refund the escrow of a stalled swap
+  const handleRefund = useCallback(async () => {
+    if (!lockedSwap) return;
+
+    try {
+      const refund = await refundSwap(lockedSwap.orderId);
+      toast.success(`Escrow refunded: ${refund.txHash.substring(0, 12)}...`);
+      handleResetSwap();
+    } catch (error) {
+      toast.error(`Refund failed: ${error.message}`);
+    }
+  }, [lockedSwap, refundSwap, handleResetSwap]);
+
+  // Complete a revealed swap the resolver left unclaimed
+  const handlePublicWithdraw = useCallback(async () => {
+    if (!lockedSwap) return;
+
+    try {
+      const withdrawal = await publicWithdrawSwap(lockedSwap.orderId);
+      toast.success(`Swap completed: ${withdrawal.txHash.substring(0, 12)}...`);
+      handleResetSwap();
+    } catch (error) {
+      toast.error(`Completing the swap failed: ${error.message}`);
+    }
+  }, [lockedSwap, publicWithdrawSwap, handleResetSwap]);
+
   return (
     <QueryClientProvider client={queryClient}>
       <SuiClientProvider networks={networkConfig} defaultNetwork="testnet">
@@ -264,6 +299,15 @@ function App() {
                       metrics={fusionMetrics}
                       orderId={swapState.orderId}
                       escrowId={swapState.escrowId}
+                      refund={lockedSwap && !swapState.isSwapping ? {
+                        refundableAt: lockedSwap.refundableAt,
+                        timelocks: lockedSwap.timelocks,
+                        revealed: !!lockedSwap.revealed,
+                        onRefund: handleRefund,
+                        onPublicWithdraw: handlePublicWithdraw,
+                        isRefunding,
+                        isWithdrawing
+                      } : null}
                     />
                   )}
 
@@ -1,11 +1,34 @@
-import React, { useState, useEffect } from 'react';
+/* global BigInt */
+import React, { useState, useEffect, useCallback } from 'react';
 import { ExternalLink, CheckCircle, AlertCircle, RefreshCw } from 'lucide-react';
 import apiService from '../services/apiService';
+import { formatUnits } from '../utils/auction';
 
-const FusionVerification = ({ orderHash, isVisible = false }) => {
+const shortAddress = (address) => address ? `${address.slice(0, 8)}...${address.slice(-6)}` : 'N/A';
+
+// Escrow amounts are in base units of its coin type
+const formatEscrowAmount = (amount, escrow) => escrow.decimals !== null
+    ? `${formatUnits(BigInt(amount), escrow.decimals)} ${escrow.token}`
+    : `${amount} base units`;
+
+const FusionVerification = ({ orderHash, escrowId, isVisible = false }) => {
     const [verificationData, setVerificationData] = useState(null);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
+    const [escrow, setEscrow] = useState(null);
+    const [escrowError, setEscrowError] = useState(null);
+
+    // What is actually locked on Sui, decoded from the escrow object
+    const fetchEscrow = useCallback(async () => {
+        if (!escrowId) return;
+        try {
+            const response = await apiService.getEscrow(escrowId);
+            setEscrow(response.data);
+            setEscrowError(null);
+        } catch (err) {
+            setEscrowError(err.message);
+        }
+    }, [escrowId]);
 
     const fetchVerification = async () => {
         if (!orderHash) return;
@@ -30,6 +53,12 @@ const FusionVerification = ({ orderHash, isVisible = false }) => {
         }
     }, [orderHash, isVisible]);
 
+    useEffect(() => {
+        if (isVisible) {
+            fetchEscrow();
+        }
+    }, [isVisible, fetchEscrow]);
+
     if (!isVisible) return null;
 
     if (loading) {
@@ -117,6 +146,60 @@ const FusionVerification = ({ orderHash, isVisible = false }) => {
                 </div>
             )}
 
+            {/* On-chain Escrow */}
+            {escrow && (
+                <div className="order-details on-chain-escrow">
+                    <h4>⛓️ On-chain Escrow</h4>
+                    <div className="detail-grid">
+                        <div className="detail-item">
+                            <span className="label">Locked:</span>
+                            <span className="value">{formatEscrowAmount(escrow.amount, escrow)}</span>
+                        </div>
+                        <div className="detail-item">
+                            <span className="label">Remaining:</span>
+                            <span className="value">{formatEscrowAmount(escrow.remainingAmount, escrow)}</span>
+                        </div>
+                        <div className="detail-item">
+                            <span className="label">Filled:</span>
+                            <span className="value">{formatEscrowAmount(escrow.totalFilled, escrow)}</span>
+                        </div>
+                        <div className="detail-item">
+                            <span className="label">Stage:</span>
+                            <span className="value">{escrow.stage.replace(/_/g, ' ')}</span>
+                        </div>
+                        <div className="detail-item">
+                            <span className="label">Refundable After:</span>
+                            <span className="value">{new Date(escrow.timelocks.cancellation).toLocaleString()}</span>
+                        </div>
+                        <div className="detail-item">
+                            <span className="label">Auction Price:</span>
+                            <span className="value">
+                                {escrow.auctionParams.currentAmount} ({escrow.auctionParams.minAmount} - {escrow.auctionParams.maxAmount})
+                            </span>
+                        </div>
+                        <div className="detail-item">
+                            <span className="label">Initiator:</span>
+                            <span className="value">{shortAddress(escrow.initiator)}</span>
+                        </div>
+                        <div className="detail-item">
+                            <span className="label">Redeemer:</span>
+                            <span className="value">{shortAddress(escrow.redeemer)}</span>
+                        </div>
+                        <div className="detail-item">
+                            <span className="label">Coin Type:</span>
+                            <span className="value">{escrow.token || escrow.coinType}</span>
+                        </div>
+                    </div>
+                    <a href={escrow.explorerUrl} target="_blank" rel="noopener noreferrer" className="verification-link">
+                        <ExternalLink size={14} />
+                        View Escrow Object
+                    </a>
+                </div>
+            )}
+            {escrowError && (
+                <p className="error-message">On-chain escrow unavailable: {escrowError}</p>
+            )}
+
             {/* API Status */}
             {apiData && (
                 <div className="api-status">
@@ -285,7 +368,7 @@ const FusionVerification = ({ orderHash, isVisible = false }) => {
 
             {/* Refresh Button */}
             <div className="verification-actions">
-                <button onClick={fetchVerification} className="refresh-verification">
+                <button onClick={() => { fetchVerification(); fetchEscrow(); }} className="refresh-verification">
                     <RefreshCw size={14} />
                     Refresh Verification
                 </button>
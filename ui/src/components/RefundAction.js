@@ -0,0 +1,85 @@
+import React, { memo, useState, useEffect } from 'react';
+import { RotateCcw, Clock, CheckCircle } from 'lucide-react';
+import { STAGES, getStage } from '../utils/timelocks';
+
+// "1h 04m 09s" / "04m 09s"
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}h ${minutes}m ${seconds}s` : `${minutes}m ${seconds}s`;
+};
+
+// What the current escrow stage means for the maker
+const describeStage = (stage, remaining) => {
+  switch (stage) {
+    case STAGES.EXCLUSIVE_WITHDRAWAL:
+      return `Resolver's exclusive withdrawal window - refund available in ${formatCountdown(remaining)}`;
+    case STAGES.PUBLIC_WITHDRAWAL:
+      return `Any resolver with the secret can complete the swap - refund available in ${formatCountdown(remaining)}`;
+    case STAGES.PUBLIC_CANCELLATION:
+      return 'Public cancellation open - anyone can return your locked funds to you';
+    default:
+      return 'Timelock passed - your locked funds can be refunded';
+  }
+};
+
+const RefundAction = memo(({ refundableAt, timelocks, revealed, onRefund, onPublicWithdraw, isRefunding, isWithdrawing }) => {
+  const [now, setNow] = useState(Date.now());
+
+  // Tick every second until the escrow timelock has passed (or public cancellation opens)
+  const lastChange = (timelocks && timelocks.publicCancellation) || refundableAt;
+  useEffect(() => {
+    if (!lastChange || now > lastChange) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [lastChange, now]);
+
+  const remaining = refundableAt ? refundableAt - now : 0;
+  const refundable = remaining < 0;
+  const stage = timelocks ? getStage(timelocks, now) : null;
+  // Once the secret is out, anyone can finish the swap for us in public withdrawal
+  const withdrawable = revealed && onPublicWithdraw && stage === STAGES.PUBLIC_WITHDRAWAL;
+
+  return (
+    <div className="refund-action">
+      <div className="refund-info">
+        <Clock size={14} />
+        <span>
+          {timelocks
+            ? describeStage(stage, remaining)
+            : (refundable
+              ? 'Timelock passed - your locked funds can be refunded'
+              : `Refund available in ${formatCountdown(remaining)}`)}
+        </span>
+      </div>
+
+      {withdrawable ? (
+        <button
+          className="action-button secondary refund-button"
+          onClick={onPublicWithdraw}
+          disabled={isWithdrawing}
+        >
+          <CheckCircle size={16} className={isWithdrawing ? 'spinning' : ''} />
+          {isWithdrawing ? 'Completing...' : 'Complete Swap'}
+        </button>
+      ) : (
+        <button
+          className="action-button secondary refund-button"
+          onClick={onRefund}
+          disabled={!refundable || isRefunding}
+        >
+          <RotateCcw size={16} className={isRefunding ? 'spinning' : ''} />
+          {isRefunding
+            ? 'Refunding...'
+            : (stage === STAGES.PUBLIC_CANCELLATION ? 'Cancel Escrow' : 'Refund Escrow')}
+        </button>
+      )}
+    </div>
+  );
+});
+
+RefundAction.displayName = 'RefundAction';
+
+export default RefundAction;
@@ -1,5 +1,6 @@
 import React, { memo } from 'react';
 import { Check, Clock, AlertCircle, Activity, TrendingUp, Zap } from 'lucide-react';
+import RefundAction from './RefundAction';
 
 const StatusTracker = memo(({ 
   steps, 
@@ -7,7 +8,8 @@ const StatusTracker = memo(({
   isActive, 
   metrics, 
   orderId, 
-  escrowId 
+  escrowId,
+  refund
 }) => {
   const getStepIcon = (step, index) => {
     const stepNumber = index + 1;
@@ -176,6 +178,19 @@ const StatusTracker = memo(({
         </div>
       )}
 
+      {/* Stalled swap - funds locked on Sui can be refunded after the timelock */}
+      {refund && (
+        <RefundAction
+          refundableAt={refund.refundableAt}
+          timelocks={refund.timelocks}
+          revealed={refund.revealed}
+          onRefund={refund.onRefund}
+          onPublicWithdraw={refund.onPublicWithdraw}
+          isRefunding={refund.isRefunding}
+          isWithdrawing={refund.isWithdrawing}
+        />
+      )}
+
       {/* Progress Bar */}
       <div className="overall-progress">
         <div className="progress-bar">
@@ -2,11 +2,17 @@ import React, { useState, useCallback, memo, useMemo, useEffect } from 'react';
 import { ArrowDown, Settings, RefreshCw, Zap, TrendingUp } from 'lucide-react';
 import { useCurrentAccount, useSuiClientQuery } from '@mysten/dapp-kit';
 import toast from 'react-hot-toast';
+import { getAuctionPrice, formatUnits } from '../utils/auction';
+
+// Circle USDC on Sui testnet - set REACT_APP_SUI_USDC_COIN_TYPE on other networks
+const SUI_USDC_COIN_TYPE = process.env.REACT_APP_SUI_USDC_COIN_TYPE
+  || '0xa1ec7fc00a6f40db9693ad1415d0c193ad3906494428cf252621037bd7117e29::usdc::USDC';
 
 // Base token definitions
 const BASE_TOKENS = [
   { symbol: 'ETH', name: 'Ethereum', icon: '🟦', balance: '2.45' },
   { symbol: 'SUI', name: 'Sui', icon: '🔵', balance: '0.00' },
+  { symbol: 'USDC.sui', name: 'USD Coin (Sui)', icon: '💵', balance: '0.00', coinType: SUI_USDC_COIN_TYPE },
   { symbol: 'USDC', name: 'USD Coin', icon: '💵', balance: '150.30' },
   { symbol: 'USDT', name: 'Tether', icon: '💰', balance: '75.20' }
 ];
@@ -44,16 +50,29 @@ const SwapInterface = memo(({
     }
   );
 
+  // Fetch Sui-native USDC balance (6 decimals)
+  const { data: suiUsdcBalance } = useSuiClientQuery(
+    'getBalance',
+    {
+      owner: currentAccount?.address,
+      coinType: SUI_USDC_COIN_TYPE,
+    },
+    {
+      enabled: !!currentAccount?.address,
+      refetchInterval: 10000,
+      retry: 3
+    }
+  );
+
   // Update tokens with real SUI balance
   useEffect(() => {
     if (suiBalance) {
       const balanceInSui = (parseInt(suiBalance.totalBalance) / 1_000_000_000).toFixed(4);
-      const updatedTokens = BASE_TOKENS.map(token => 
+      setTokens(current => current.map(token => 
         token.symbol === 'SUI' 
           ? { ...token, balance: balanceInSui }
           : token
-      );
-      setTokens(updatedTokens);
+      ));
       
       // Update the selected tokens if SUI is currently selected
       if (selectedTokens.from.symbol === 'SUI') {
@@ -71,6 +90,21 @@ const SwapInterface = memo(({
     }
   }, [suiBalance, selectedTokens.from.symbol, selectedTokens.to.symbol, onTokenChange, balanceToastShown]);
 
+  // Update tokens with real Sui USDC balance
+  useEffect(() => {
+    if (!suiUsdcBalance) return;
+    const balanceInUsdc = (parseInt(suiUsdcBalance.totalBalance) / 1_000_000).toFixed(2);
+    setTokens(current => current.map(token =>
+      token.symbol === 'USDC.sui' ? { ...token, balance: balanceInUsdc } : token
+    ));
+    if (selectedTokens.from.symbol === 'USDC.sui') {
+      onTokenChange('from', { balance: balanceInUsdc });
+    }
+    if (selectedTokens.to.symbol === 'USDC.sui') {
+      onTokenChange('to', { balance: balanceInUsdc });
+    }
+  }, [suiUsdcBalance, selectedTokens.from.symbol, selectedTokens.to.symbol, onTokenChange]);
+
   // Reset toast flag when account changes
   useEffect(() => {
     setBalanceToastShown(false);
@@ -79,6 +113,11 @@ const SwapInterface = memo(({
   // Estimated output calculation using real 1inch quotes
   const [estimatedOutput, setEstimatedOutput] = useState('0.00');
   const [isLoadingQuote, setIsLoadingQuote] = useState(false);
+  // Dutch auction from the latest quote - resolvers must fill at or above its price
+  const [auction, setAuction] = useState(null);
+  const [auctionPrice, setAuctionPrice] = useState(null);
+  // Resolver fee the escrow pays out of the locked amount
+  const [resolverFee, setResolverFee] = useState(null);
 
   // Add function to get real-time quote (moved before useEffect)
   const getRealTimeQuote = useCallback(async (fromToken, toToken, amount) => {
@@ -98,8 +137,7 @@ const SwapInterface = memo(({
       });
       
       if (response.ok) {
-        const quote = await response.json();
-        return quote.estimatedOutput;
+        return await response.json();
       }
     } catch (error) {
       console.error('Error fetching real-time quote:', error);
@@ -114,6 +152,8 @@ const SwapInterface = memo(({
       const inputAmount = parseFloat(selectedTokens.from.amount) || 0;
       if (inputAmount <= 0) {
         setEstimatedOutput('0.00');
+        setAuction(null);
+        setResolverFee(null);
         return;
       }
 
@@ -126,9 +166,13 @@ const SwapInterface = memo(({
         );
         
         if (quote) {
-          setEstimatedOutput(quote);
+          setEstimatedOutput(quote.estimatedOutput);
+          setAuction(quote.auction || null);
+          setResolverFee(quote.resolverFee || null);
         } else {
           setEstimatedOutput('Error');
+          setAuction(null);
+          setResolverFee(null);
         }
       } catch (error) {
         console.error('Quote fetch error:', error);
@@ -142,6 +186,22 @@ const SwapInterface = memo(({
     return () => clearTimeout(debounceTimer);
   }, [selectedTokens.from.amount, selectedTokens.from.symbol, selectedTokens.to.symbol, getRealTimeQuote]);
 
+  // Replay the auction curve once a second until it reaches its floor
+  useEffect(() => {
+    if (!auction) {
+      setAuctionPrice(null);
+      return;
+    }
+
+    const update = () => setAuctionPrice(formatUnits(getAuctionPrice(auction), auction.decimals));
+    update();
+    const timer = setInterval(() => {
+      update();
+      if (Date.now() >= auction.endTime) clearInterval(timer);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [auction]);
+
   const handleAmountChange = useCallback(
     (value) => {
       // Allow numeric input with decimal point, prevent multiple decimals
@@ -412,7 +472,7 @@ const SwapInterface = memo(({
         
         <button
           className={`swap-button ${isSwapping ? 'swapping' : ''}`}
-          onClick={onSwap}
+          onClick={() => onSwap({ allowPartialFills: partialFills })}
           disabled={disabled || !isValidAmount || !selectedTokens.from.amount}
           type="button"
         >
@@ -434,6 +494,18 @@ const SwapInterface = memo(({
             <span>Expected Output:</span>
             <span className="highlight">{estimatedOutput} {selectedTokens.to.symbol}</span>
           </div>
+          {auctionPrice && (
+            <div className="detail-row">
+              <span>Live Auction Price:</span>
+              <span>{auctionPrice} {selectedTokens.to.symbol}</span>
+            </div>
+          )}
+          {resolverFee && (
+            <div className="detail-row">
+              <span>Resolver Fee ({resolverFee.bps / 100}%):</span>
+              <span>{resolverFee.amount} {selectedTokens.from.symbol}</span>
+            </div>
+          )}
           <div className="detail-row">
             <span>Slippage Tolerance:</span>
             <span>{slippage}%</span>
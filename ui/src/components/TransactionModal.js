@@ -280,6 +280,7 @@ const TransactionModal = memo(({
         {/* Fusion+ Verification */}
         <FusionVerification 
           orderHash={orderId || metrics?.fusionOrderHash} 
+          escrowId={escrowId}
           isVisible={true}
         />
 
@@ -1,5 +1,6 @@
 import { useState, useCallback } from 'react';
 import apiService from '../services/apiService';
+import { createHashlock } from '../utils/hashlock';
 
 /**
  * Hook for managing real cross-chain swaps with actual transaction hashes
@@ -10,22 +11,32 @@ export const useRealSwap = () => {
     const [error, setError] = useState(null);
     const [swapResult, setSwapResult] = useState(null);
     const [swapProgress, setSwapProgress] = useState(null);
+    // Swap whose funds are locked on Sui but never claimed - refundable after its timelock
+    const [lockedSwap, setLockedSwap] = useState(null);
+    const [isRefunding, setIsRefunding] = useState(false);
+    const [isWithdrawing, setIsWithdrawing] = useState(false);
 
     // Real swap execution with actual onchain transactions
     const executeSwap = useCallback(async (swapParams) => {
         setIsLoading(true);
         setError(null);
+        setLockedSwap(null);
         setSwapProgress('Creating order...');
+        let locked = null;
 
         try {
             console.log('🚀 Starting real swap execution:', swapParams);
 
             // Step 1: Create swap order (matches terminal flow)
+            // The secret is generated in the browser - the server only ever sees its hash until the reveal
             setSwapProgress('Creating swap order...');
+            const hashlock = createHashlock();
             const orderResponse = await apiService.createSwap({
                 fromToken: swapParams.fromToken,
                 toToken: swapParams.toToken,
-                amount: swapParams.amount
+                amount: swapParams.amount,
+                secretHash: hashlock.secretHash,
+                hashAlgorithm: hashlock.hashAlgorithm
             });
             
             console.log('✅ Order created:', orderResponse);
@@ -34,12 +45,44 @@ export const useRealSwap = () => {
             setSwapProgress('Locking funds in HTLC escrow...');
             const lockResponse = await apiService.lockFunds({
                 orderId: orderResponse.orderId || orderResponse.id,
-                amount: swapParams.amount
+                amount: swapParams.amount,
+                partialFills: swapParams.allowPartialFills !== false
             });
 
             console.log('✅ REAL funds locked:', lockResponse);
+            locked = {
+                orderId: orderResponse.orderId || orderResponse.id,
+                escrowId: lockResponse.escrowId,
+                refundableAt: lockResponse.timelock,
+                timelocks: lockResponse.timelocks
+            };
 
-            // Step 3: Claim funds from escrow (REAL TRANSACTION)
+            // Step 3: Destination leg - the server only accepts a claim once both sides are locked
+            setSwapProgress('Executing destination chain transaction...');
+            const executeResponse = await apiService.executeCrossChainSwap({
+                orderID: orderResponse.orderId || orderResponse.id,
+                escrowID: lockResponse.escrowId,
+                direction: swapParams.direction || `${swapParams.fromToken}->${swapParams.toToken}`,
+                amount: swapParams.amount
+            });
+            if (!executeResponse.success) {
+                throw new Error(executeResponse.error);
+            }
+
+            console.log('✅ Destination leg executed:', executeResponse.data);
+
+            // Step 4: Reveal the secret - rejected unless both escrows check out on-chain
+            setSwapProgress('Verifying escrows and revealing secret...');
+            const revealResponse = await apiService.revealSecret({
+                orderId: orderResponse.orderId || orderResponse.id,
+                secret: hashlock.secret
+            });
+
+            console.log('✅ Secret revealed:', revealResponse);
+            // From here the swap can still be completed for us in public withdrawal
+            locked.revealed = true;
+
+            // Step 5: Claim funds from escrow (REAL TRANSACTION)
             setSwapProgress('Claiming funds from escrow...');
             const claimResponse = await apiService.claimFunds({
                 escrowId: lockResponse.escrowId,
@@ -58,10 +101,12 @@ export const useRealSwap = () => {
                     orderCreation: orderResponse.orderId || orderResponse.id,
                     escrowCreation: lockResponse.txHash, // Real Sui lock transaction
                     fundsClaim: claimResponse.txHash, // Real Sui claim transaction
+                    crossChainExecution: executeResponse.data.txHash,
                 },
                 explorerUrls: {
                     escrowCreation: lockResponse.explorerUrl || `https://suiscan.xyz/testnet/tx/${lockResponse.txHash}`,
                     fundsClaim: claimResponse.explorerUrl || `https://suiscan.xyz/testnet/tx/${claimResponse.txHash}`,
+                    crossChainExecution: executeResponse.data.explorerUrl,
                 },
                 amounts: {
                     input: swapParams.amount,
@@ -104,12 +149,49 @@ export const useRealSwap = () => {
             console.error('❌ Swap error:', err);
             setError(err.message);
             setSwapProgress(null);
+            if (locked) {
+                // Funds stay in escrow until the timelock passes - surface them for a refund
+                setLockedSwap(locked);
+                err.lockedSwap = locked;
+            }
             throw err;
         } finally {
             setIsLoading(false);
         }
     }, []);
 
+    // Refund the escrow of a swap that stalled after its funds were locked
+    const refundSwap = useCallback(async (orderId) => {
+        setIsRefunding(true);
+        try {
+            const refundResponse = await apiService.refundSwap({ orderId });
+            console.log('✅ Escrow refunded:', refundResponse);
+            setLockedSwap(null);
+            return refundResponse;
+        } catch (err) {
+            console.error('❌ Refund failed:', err);
+            throw err;
+        } finally {
+            setIsRefunding(false);
+        }
+    }, []);
+
+    // Complete a revealed swap the resolver left unclaimed once public withdrawal opens
+    const publicWithdrawSwap = useCallback(async (orderId) => {
+        setIsWithdrawing(true);
+        try {
+            const withdrawResponse = await apiService.publicWithdraw({ orderId });
+            console.log('✅ Swap completed in public withdrawal:', withdrawResponse);
+            setLockedSwap(null);
+            return withdrawResponse;
+        } catch (err) {
+            console.error('❌ Public withdrawal failed:', err);
+            throw err;
+        } finally {
+            setIsWithdrawing(false);
+        }
+    }, []);
+
     // Execute bidirectional swap - SUI to ETH
     const executeSuiToEth = useCallback(async (amount, ethAddress) => {
         return executeSwap({
@@ -137,9 +219,9 @@ export const useRealSwap = () => {
     }, [executeSwap]);
 
     // Get real transaction status
-    const getTransactionStatus = useCallback(async (txHash) => {
+    const getTransactionStatus = useCallback(async (txHash, chain) => {
         try {
-            const statusResponse = await apiService.getTransactionStatus(txHash);
+            const statusResponse = await apiService.getTransactionStatus(txHash, chain);
             return statusResponse.data;
         } catch (err) {
             console.error('❌ Error getting transaction status:', err);
@@ -158,28 +240,35 @@ export const useRealSwap = () => {
             
             // Verify Sui transactions
             if (swapResult.transactions.escrowCreation) {
-                const suiStatus = await getTransactionStatus(swapResult.transactions.escrowCreation);
+                const suiStatus = await getTransactionStatus(swapResult.transactions.escrowCreation, 'sui');
                 verificationResults.escrowCreation = {
                     hash: swapResult.transactions.escrowCreation,
-                    verified: suiStatus.confirmed,
+                    verified: suiStatus.confirmed && suiStatus.status === 'success',
+                    status: suiStatus.status,
+                    confirmations: suiStatus.confirmations,
                     explorerUrl: swapResult.explorerUrls.escrowCreation
                 };
             }
 
             if (swapResult.transactions.fundsClaim) {
-                const claimStatus = await getTransactionStatus(swapResult.transactions.fundsClaim);
+                const claimStatus = await getTransactionStatus(swapResult.transactions.fundsClaim, 'sui');
                 verificationResults.fundsClaim = {
                     hash: swapResult.transactions.fundsClaim,
-                    verified: claimStatus.confirmed,
+                    verified: claimStatus.confirmed && claimStatus.status === 'success',
+                    status: claimStatus.status,
+                    confirmations: claimStatus.confirmations,
                     explorerUrl: swapResult.explorerUrls.fundsClaim
                 };
             }
 
             // Verify ETH transaction
             if (swapResult.transactions.crossChainExecution) {
+                const ethStatus = await getTransactionStatus(swapResult.transactions.crossChainExecution, 'evm');
                 verificationResults.crossChainExecution = {
                     hash: swapResult.transactions.crossChainExecution,
-                    verified: true, // Assume verified if we got the hash
+                    verified: ethStatus.confirmed,
+                    status: ethStatus.status,
+                    confirmations: ethStatus.confirmations,
                     explorerUrl: swapResult.explorerUrls.crossChainExecution
                 };
             }
@@ -198,6 +287,7 @@ export const useRealSwap = () => {
         setSwapResult(null);
         setError(null);
         setSwapProgress(null);
+        setLockedSwap(null);
         setIsLoading(false);
     }, []);
 
@@ -207,6 +297,9 @@ export const useRealSwap = () => {
         error,
         swapResult,
         swapProgress,
+        lockedSwap,
+        isRefunding,
+        isWithdrawing,
         
         // Actions
         executeSwap,
@@ -214,6 +307,8 @@ export const useRealSwap = () => {
         executeEthToSui,
         verifyTransactions,
         getTransactionStatus,
+        refundSwap,
+        publicWithdrawSwap,
         resetSwap,
         
         // Utils
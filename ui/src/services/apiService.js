@@ -1,4 +1,6 @@
 import toast from 'react-hot-toast';
+import { createHashlock } from '../utils/hashlock';
+import { APIError, SERVICE_ERROR_CODES } from '../utils/errors';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
 
@@ -21,9 +23,10 @@ class APIService {
         try {
             const response = await fetch(url, config);
             
+            // Errors carry a stable code (see utils/errors.js) and the server's detail
             if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+                const errorData = await response.json().catch(() => ({ error: `HTTP ${response.status}: ${response.statusText}` }));
+                throw new APIError(errorData, response.status);
             }
             
             return await response.json();
@@ -35,6 +38,9 @@ class APIService {
                 toast.error('Cannot connect to backend. Make sure the API server is running.');
                 throw new Error('Backend connection failed. Please check if the API server is running on localhost:3001');
             }
+            if (SERVICE_ERROR_CODES.includes(error.code)) {
+                toast.error(error.message);
+            }
             
             throw error;
         }
@@ -62,25 +68,39 @@ class APIService {
         return this.request('/wallet');
     }
 
-    // Create a new swap order
-    async createSwap({ fromToken, toToken, amount }) {
+    // Create a new swap order - only the hashlock is sent, the secret stays with the caller
+    async createSwap({ fromToken, toToken, amount, secretHash, hashAlgorithm }) {
         return this.request('/swap/create', {
             method: 'POST',
             body: JSON.stringify({
                 fromToken,
                 toToken,
-                amount: amount.toString()
+                amount: amount.toString(),
+                secretHash,
+                hashAlgorithm
             })
         });
     }
 
-    // Lock funds in HTLC escrow
-    async lockFunds({ orderId, amount }) {
+    // Lock funds in HTLC escrow - partialFills is enforced by the escrow on-chain
+    async lockFunds({ orderId, amount, partialFills = true }) {
         return this.request('/swap/lock', {
             method: 'POST',
             body: JSON.stringify({
                 orderId,
-                amount: amount.toString()
+                amount: amount.toString(),
+                partialFills
+            })
+        });
+    }
+
+    // Reveal the maker's secret - the server checks both escrows on-chain first
+    async revealSecret({ orderId, secret }) {
+        return this.request('/swap/reveal', {
+            method: 'POST',
+            body: JSON.stringify({
+                orderId,
+                secret
             })
         });
     }
@@ -97,6 +117,39 @@ class APIService {
         });
     }
 
+    // Complete a revealed swap the resolver left unclaimed - only once public withdrawal opens
+    async publicWithdraw({ orderId }) {
+        return this.request('/swap/public-withdraw', {
+            method: 'POST',
+            body: JSON.stringify({ orderId })
+        });
+    }
+
+    // Refund a stalled swap - the server checks the escrow timelock and initiator on-chain
+    async refundSwap({ orderId }) {
+        return this.request('/swap/refund', {
+            method: 'POST',
+            body: JSON.stringify({ orderId })
+        });
+    }
+
+    // Preview a lock, claim or refund with a dry run - returns { success, error, abortCode, reason, gasBudget }
+    async simulateSwap({ orderId, action, amount }) {
+        return this.request('/swap/simulate', {
+            method: 'POST',
+            body: JSON.stringify({
+                orderId,
+                action,
+                amount: amount !== undefined ? amount.toString() : undefined
+            })
+        });
+    }
+
+    // Decoded on-chain state of a Sui escrow
+    async getEscrow(escrowId) {
+        return this.request(`/escrow/${escrowId}`);
+    }
+
     // Get swap status
     async getSwapStatus(orderId) {
         return this.request(`/swap/${orderId}/status`);
@@ -130,16 +183,20 @@ class APIService {
 
     // Additional methods for real swap integration
     async createFusionOrder(swapParams) {
+        const hashlock = createHashlock();
         return this.createSwap({
             fromToken: swapParams.fromToken,
             toToken: swapParams.toToken,
-            amount: swapParams.amount
+            amount: swapParams.amount,
+            secretHash: hashlock.secretHash,
+            hashAlgorithm: hashlock.hashAlgorithm
         }).then(response => ({
             success: true,
             data: {
                 id: response.orderId || response.id,
-                secretHash: response.secretHash || 'demo_secret_hash',
-                secret: response.secret || 'demo_secret',
+                secretHash: hashlock.secretHash,
+                secret: hashlock.secret, // generated here, never sent until /swap/reveal
+                hashAlgorithm: hashlock.hashAlgorithm,
                 expiresAt: response.expiresAt || Date.now() + (30 * 60 * 1000)
             }
         })).catch(error => ({
@@ -231,21 +288,10 @@ class APIService {
         }));
     }
 
-    async getTransactionStatus(txHash) {
-        // Simulate transaction status check
-        // In a real implementation, this would query the blockchain
-        return new Promise(resolve => {
-            setTimeout(() => {
-                resolve({
-                    success: true,
-                    data: {
-                        confirmed: true,
-                        blockHeight: Math.floor(Math.random() * 1000000),
-                        confirmations: Math.floor(Math.random() * 20) + 1
-                    }
-                });
-            }, 1000);
-        });
+    // On-chain status of a Sui digest or EVM hash - chain defaults from the hash format
+    async getTransactionStatus(txHash, chain) {
+        const txChain = chain || (txHash.startsWith('0x') && txHash.length === 66 ? 'evm' : 'sui');
+        return this.request(`/tx/${txChain}/${txHash}`);
     }
 }
 
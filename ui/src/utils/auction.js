@@ -0,0 +1,27 @@
+/* global BigInt */
+/**
+ * Dutch auction curve (browser version of scripts/auction.js)
+ * Replays the auction returned by /api/quote so the UI can show the live price.
+ * Amounts are destination token base units, times are ms.
+ */
+
+// Price for the whole order at `now` - same integer maths as the Move module
+export const getAuctionPrice = (auction, now = Date.now()) => {
+    const minAmount = BigInt(auction.minAmount);
+    const maxAmount = BigInt(auction.maxAmount);
+
+    if (now <= auction.startTime) return maxAmount;
+    if (now >= auction.endTime) return minAmount;
+
+    const elapsed = BigInt(Math.floor(now - auction.startTime));
+    const duration = BigInt(auction.endTime - auction.startTime);
+    return maxAmount - ((maxAmount - minAmount) * elapsed) / duration;
+};
+
+// Base units -> display string with `precision` decimals
+export const formatUnits = (amount, decimals, precision = 4) => {
+    const base = BigInt(10) ** BigInt(decimals);
+    const whole = amount / base;
+    const fraction = (amount % base).toString().padStart(decimals, '0').slice(0, precision);
+    return precision > 0 ? `${whole}.${fraction}` : whole.toString();
+};
@@ -0,0 +1,35 @@
+/**
+ * API error codes (see scripts/errors.js) and what to tell the user about them.
+ * Codes without an entry show the server's message.
+ */
+
+const ERROR_MESSAGES = {
+    HASH_MISMATCH: 'The secret does not match this swap\'s hashlock.',
+    NOT_REDEEMER: 'Only the resolver can claim this escrow until public withdrawal opens.',
+    TIMELOCK_NOT_REACHED: 'The escrow timelock does not allow this right now.',
+    NOT_INITIATOR: 'Only the wallet that locked the funds can refund them until public cancellation opens.',
+    AMOUNT_TOO_LARGE: 'The amount is larger than what is left in the escrow.',
+    ZERO_AMOUNT: 'The amount must be greater than zero.',
+    ATTESTED_BELOW_AUCTION_PRICE: 'The resolver attested less than the current auction price for this fill.',
+    PARTIAL_FILL_NOT_ALLOWED: 'This swap does not allow partial fills.',
+    BELOW_MIN_FILL: 'The fill is below the minimum fill size.',
+    PAUSED: 'Swaps are paused by the escrow admin. Refunds still work.',
+    RESOLVER_NOT_ALLOWED: 'Only allowlisted resolvers can fill this escrow.',
+    INSUFFICIENT_BALANCE: 'Insufficient balance to cover the amount and gas.',
+    RPC_TIMEOUT: 'The blockchain node did not respond in time. Please try again.',
+    RPC_UNAVAILABLE: 'The blockchain node is unreachable. Please try again later.'
+};
+
+// Codes caused by the backend's environment rather than the request
+export const SERVICE_ERROR_CODES = ['RPC_TIMEOUT', 'RPC_UNAVAILABLE', 'NOT_CONFIGURED'];
+
+export class APIError extends Error {
+    constructor(body, status) {
+        super(ERROR_MESSAGES[body.code] || body.error || `HTTP ${status}`);
+        this.name = 'APIError';
+        this.code = body.code || 'INTERNAL_ERROR';
+        this.status = status;
+        this.detail = body.error;
+        this.body = body;
+    }
+}
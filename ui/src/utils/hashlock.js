@@ -0,0 +1,35 @@
+import { sha256 } from '@noble/hashes/sha256';
+import { keccak_256 } from '@noble/hashes/sha3';
+import { blake2b } from '@noble/hashes/blake2b';
+import { bytesToHex, randomBytes } from '@noble/hashes/utils';
+
+/**
+ * Maker-side secret / hashlock helpers (browser version of scripts/hashlock.js)
+ * The secret is generated here and only its hash goes to the API server.
+ * It is sent to /swap/reveal once both escrows are verified on-chain.
+ */
+
+const HASHERS = {
+    sha256: (data) => sha256(data),
+    keccak256: (data) => keccak_256(data),
+    blake2b256: (data) => blake2b(data, { dkLen: 32 })
+};
+
+export const HASH_ALGORITHMS = Object.keys(HASHERS);
+
+export const DEFAULT_HASH_ALGORITHM = process.env.REACT_APP_HASHLOCK_ALGORITHM || 'keccak256';
+
+// Create a fresh 32-byte secret and its hashlock (hex encoded, no 0x prefix)
+export const createHashlock = (hashAlgorithm = DEFAULT_HASH_ALGORITHM) => {
+    const hasher = HASHERS[hashAlgorithm];
+    if (!hasher) {
+        throw new Error(`Unsupported hash algorithm: ${hashAlgorithm}. Supported: ${HASH_ALGORITHMS.join(', ')}`);
+    }
+
+    const secret = randomBytes(32);
+    return {
+        secret: bytesToHex(secret),
+        secretHash: bytesToHex(hasher(secret)),
+        hashAlgorithm
+    };
+};
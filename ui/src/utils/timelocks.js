@@ -0,0 +1,18 @@
+/**
+ * Escrow timelock stages (browser version of scripts/timelocks.js)
+ * Each stage starts once the clock passes its timestamp (ms).
+ */
+
+export const STAGES = {
+    EXCLUSIVE_WITHDRAWAL: 'exclusive_withdrawal',
+    PUBLIC_WITHDRAWAL: 'public_withdrawal',
+    PRIVATE_CANCELLATION: 'private_cancellation',
+    PUBLIC_CANCELLATION: 'public_cancellation'
+};
+
+export const getStage = (timelocks, now = Date.now()) => {
+    if (timelocks.publicCancellation !== null && now > timelocks.publicCancellation) return STAGES.PUBLIC_CANCELLATION;
+    if (now > timelocks.cancellation) return STAGES.PRIVATE_CANCELLATION;
+    if (now > timelocks.publicWithdrawal) return STAGES.PUBLIC_WITHDRAWAL;
+    return STAGES.EXCLUSIVE_WITHDRAWAL;
+};